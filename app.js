@@ -4,31 +4,32 @@ require('dotenv').config();
 
 const enrollmentRoutes = require('./routes/enrollment');
 const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const { authenticate, authorize } = require('./middleware/auth');
+const { idempotency } = require('./middleware/idempotency');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-
-console.log('Environment variables:');
-console.log('DB_HOST:', process.env.DB_HOST);
-console.log('DB_USER:', process.env.DB_USER);
-console.log('DB_PASSWORD:', process.env.DB_PASSWORD);
-console.log('DB_NAME:', process.env.DB_NAME);
-console.log('DB_PORT:', process.env.DB_PORT);
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// CSV uploads (bulk import); parsed here so Idempotency-Key checks see the whole body
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
+// Request logging middleware (quiet under the test runner)
+if (process.env.NODE_ENV !== 'test') {
+  app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+  });
+}
 
-// Routes
-app.use('/api/enrollment', enrollmentRoutes);
-app.use('/api/admin', adminRoutes);
+// Routes (everything except login requires a Bearer token; writes accept an Idempotency-Key)
+app.use('/api/auth', authRoutes);
+app.use('/api/enrollment', authenticate, idempotency, enrollmentRoutes);
+app.use('/api/admin', authenticate, authorize('college_admin', 'super_admin'), idempotency, adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -45,44 +46,79 @@ app.get('/', (req, res) => {
     message: 'Student Course Enrollment System API',
     version: '1.0.0',
     endpoints: {
+      auth: {
+        login: 'POST /api/auth/login'
+      },
       enrollment: {
         enroll: 'POST /api/enrollment/enroll',
+        validate: 'POST /api/enrollment/validate',
+        generateSchedules: 'POST /api/enrollment/schedules/generate',
         available: 'GET /api/enrollment/available/:studentId',
         enrolled: 'GET /api/enrollment/enrolled/:studentId',
-        drop: 'DELETE /api/enrollment/drop'
+        calendar: 'GET /api/enrollment/enrolled/:studentId/calendar.ics',
+        timetable: 'GET /api/enrollment/timetable/:studentId',
+        drop: 'DELETE /api/enrollment/drop',
+        swap: 'POST /api/enrollment/swap',
+        waitlist: 'GET /api/enrollment/waitlist/:studentId',
+        leaveWaitlist: 'DELETE /api/enrollment/waitlist'
       },
       admin: {
+        previewAddTimetable: 'POST /api/admin/timetable/preview',
+        previewUpdateTimetable: 'POST /api/admin/timetable/:timetableId/preview',
         addTimetable: 'POST /api/admin/timetable',
         updateTimetable: 'PUT /api/admin/timetable/:timetableId',
         deleteTimetable: 'DELETE /api/admin/timetable/:timetableId',
         getTimetables: 'GET /api/admin/timetable/:courseId',
+        getCourseCalendar: 'GET /api/admin/course/:courseId/calendar.ics',
         addCourse: 'POST /api/admin/course',
-        getEnrolledStudents: 'GET /api/admin/course/:courseId/students'
+        updateCourse: 'PUT /api/admin/course/:courseId',
+        deleteCourse: 'DELETE /api/admin/course/:courseId',
+        restoreCourse: 'POST /api/admin/course/:courseId/restore',
+        addSection: 'POST /api/admin/course/:courseId/sections',
+        getSections: 'GET /api/admin/course/:courseId/sections',
+        updateSection: 'PUT /api/admin/section/:sectionId',
+        addRoom: 'POST /api/admin/college/:collegeId/rooms',
+        getRooms: 'GET /api/admin/college/:collegeId/rooms',
+        updateRoom: 'PUT /api/admin/room/:roomId',
+        addInstructor: 'POST /api/admin/college/:collegeId/instructors',
+        getInstructors: 'GET /api/admin/college/:collegeId/instructors',
+        getEnrolledStudents: 'GET /api/admin/course/:courseId/students',
+        getPrerequisites: 'GET /api/admin/course/:courseId/prerequisites',
+        addPrerequisite: 'POST /api/admin/course/:courseId/prerequisites',
+        removePrerequisite: 'DELETE /api/admin/course/:courseId/prerequisites/:requiredCourseId',
+        recordCompletedCourse: 'POST /api/admin/student/:studentId/completed-courses',
+        createTerm: 'POST /api/admin/term',
+        updateTerm: 'PUT /api/admin/term/:termId',
+        getCollegeTerms: 'GET /api/admin/college/:collegeId/terms',
+        addOffering: 'POST /api/admin/term/:termId/offerings',
+        getOfferings: 'GET /api/admin/term/:termId/offerings',
+        getColleges: 'GET /api/admin/colleges',
+        createCollege: 'POST /api/admin/college',
+        getCollege: 'GET /api/admin/college/:collegeId',
+        updateCollege: 'PUT /api/admin/college/:collegeId',
+        deleteCollege: 'DELETE /api/admin/college/:collegeId',
+        getStudents: 'GET /api/admin/students',
+        createStudent: 'POST /api/admin/student',
+        getStudent: 'GET /api/admin/student/:studentId',
+        updateStudent: 'PUT /api/admin/student/:studentId',
+        deleteStudent: 'DELETE /api/admin/student/:studentId',
+        updateCreditLimits: 'PUT /api/admin/college/:collegeId/credit-limits',
+        setCreditOverride: 'PUT /api/admin/student/:studentId/credit-override',
+        removeCreditOverride: 'DELETE /api/admin/student/:studentId/credit-override',
+        createUser: 'POST /api/admin/user',
+        importCsv: 'POST /api/admin/import/:entity?mode=preview|commit',
+        getAuditLog: 'GET /api/admin/audit',
+        getNotifications: 'GET /api/admin/notifications',
+        deliverNotifications: 'POST /api/admin/notifications/deliver'
       }
     }
   });
 });
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found'
-  });
-});
+app.use(notFound);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
-});
+// Error handling middleware (every error response is { success: false, code, error, ...details })
+app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`API docs: http://localhost:${PORT}/`);
-});
\ No newline at end of file
+module.exports = app;
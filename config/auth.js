@@ -0,0 +1,10 @@
+require('dotenv').config();
+
+if (!process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set to sign and verify access tokens');
+}
+
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '8h'
+};
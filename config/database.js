@@ -1,18 +1,33 @@
-const mysql = require('mysql2');
 require('dotenv').config();
+const path = require('path');
 
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME || 'enrollment_system',
-  port: process.env.DB_PORT || 3306,
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
-});
+// DB_CLIENT picks the storage backend: mysql (default) or sqlite, an embedded database
+// loaded with dbSchema.sql that needs no server (DB_FILE, default in memory)
+const client = process.env.DB_CLIENT || 'mysql';
 
-// Use promise wrapper for async/await support
-const promisePool = pool.promise();
+// The sample login accounts share a published password, so they are only loaded on request
+const seedFile = process.env.SEED_DEMO_ACCOUNTS === 'true'
+  ? path.join(__dirname, '..', 'demoAccounts.sql')
+  : null;
 
-module.exports = promisePool;
\ No newline at end of file
+let pool;
+
+if (client === 'sqlite') {
+  pool = require('../storage/sqlite').createPool({
+    filename: process.env.DB_FILE || ':memory:',
+    seedFile
+  });
+} else if (client === 'mysql') {
+  pool = require('../storage/mysql').createPool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME || 'enrollment_system',
+    port: process.env.DB_PORT || 3306,
+    seedFile
+  });
+} else {
+  throw new Error(`Unknown DB_CLIENT "${client}"; use mysql or sqlite`);
+}
+
+module.exports = pool;
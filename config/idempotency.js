@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+// How long the response to a request sent with an Idempotency-Key is kept and replayed
+const ttlHours = process.env.IDEMPOTENCY_KEY_TTL_HOURS === undefined
+  ? 24
+  : Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+
+if (!(ttlHours > 0)) {
+  throw new Error('IDEMPOTENCY_KEY_TTL_HOURS must be a positive number of hours');
+}
+
+// How often the server deletes expired keys and stored responses (0 turns it off, e.g. when
+// another instance or a cron job already does it)
+const purgeIntervalMinutes = process.env.IDEMPOTENCY_PURGE_INTERVAL_MINUTES === undefined
+  ? 60
+  : Number(process.env.IDEMPOTENCY_PURGE_INTERVAL_MINUTES);
+
+if (!(purgeIntervalMinutes >= 0)) {
+  throw new Error('IDEMPOTENCY_PURGE_INTERVAL_MINUTES must be 0 or a positive number of minutes');
+}
+
+module.exports = {
+  ttlHours,
+  purgeIntervalMinutes
+};
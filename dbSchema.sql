@@ -3,8 +3,21 @@
 USE enrollment_system;
 
 -- Drop tables if they exist (for clean setup)
+DROP TABLE IF EXISTS idempotency_keys;
+DROP TABLE IF EXISTS notification_outbox;
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS credit_load_overrides;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS completed_courses;
+DROP TABLE IF EXISTS course_requisites;
+DROP TABLE IF EXISTS course_waitlist;
 DROP TABLE IF EXISTS student_courses;
 DROP TABLE IF EXISTS timetables;
+DROP TABLE IF EXISTS course_sections;
+DROP TABLE IF EXISTS instructors;
+DROP TABLE IF EXISTS rooms;
+DROP TABLE IF EXISTS course_offerings;
+DROP TABLE IF EXISTS terms;
 DROP TABLE IF EXISTS courses;
 DROP TABLE IF EXISTS students;
 DROP TABLE IF EXISTS colleges;
@@ -13,7 +26,19 @@ DROP TABLE IF EXISTS colleges;
 CREATE TABLE colleges (
     college_id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(255) NOT NULL UNIQUE,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    min_credits INT NOT NULL DEFAULT 0,
+    max_credits INT DEFAULT NULL,
+    min_credit_policy ENUM('warn', 'block') NOT NULL DEFAULT 'warn',
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    -- Slot grid: classes start and end on steps of slot_minutes from teaching_start, within teaching hours
+    slot_minutes INT NOT NULL DEFAULT 15,
+    teaching_start TIME NOT NULL DEFAULT '08:00:00',
+    teaching_end TIME NOT NULL DEFAULT '22:00:00',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (min_credits >= 0),
+    CHECK (max_credits IS NULL OR max_credits >= min_credits),
+    CHECK (slot_minutes BETWEEN 5 AND 240),
+    CHECK (teaching_start < teaching_end)
 );
 
 -- Students Table
@@ -34,36 +59,254 @@ CREATE TABLE courses (
     course_name VARCHAR(255) NOT NULL,
     college_id INT NOT NULL,
     credits INT DEFAULT 3,
+    capacity INT DEFAULT NULL, -- default seat limit of new sections
+    archived_at TIMESTAMP NULL DEFAULT NULL, -- soft delete: hidden from the catalog, history kept
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (college_id) REFERENCES colleges(college_id) ON DELETE CASCADE,
+    CHECK (capacity IS NULL OR capacity > 0),
     UNIQUE KEY unique_course_college (course_code, college_id),
     INDEX idx_course_college (college_id)
 );
 
--- Timetables Table
+-- Academic Terms Table
+CREATE TABLE terms (
+    term_id INT AUTO_INCREMENT PRIMARY KEY,
+    college_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    enrollment_opens_at DATETIME NOT NULL,
+    enrollment_closes_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (college_id) REFERENCES colleges(college_id) ON DELETE CASCADE,
+    CHECK (end_date > start_date),
+    CHECK (enrollment_closes_at > enrollment_opens_at),
+    UNIQUE KEY unique_term_college (college_id, name),
+    INDEX idx_term_dates (college_id, start_date)
+);
+
+-- Course Offerings Table (which catalog courses run in which term)
+CREATE TABLE course_offerings (
+    offering_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    term_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+    FOREIGN KEY (term_id) REFERENCES terms(term_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_course_term (course_id, term_id),
+    INDEX idx_offering_term (term_id)
+);
+
+-- Rooms Table (teaching spaces a college can book timetable slots into)
+CREATE TABLE rooms (
+    room_id INT AUTO_INCREMENT PRIMARY KEY,
+    college_id INT NOT NULL,
+    room_code VARCHAR(50) NOT NULL,
+    building VARCHAR(255) NULL,
+    capacity INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (college_id) REFERENCES colleges(college_id) ON DELETE CASCADE,
+    CHECK (capacity > 0),
+    UNIQUE KEY unique_college_room (college_id, room_code)
+);
+
+-- Instructors Table
+CREATE TABLE instructors (
+    instructor_id INT AUTO_INCREMENT PRIMARY KEY,
+    college_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (college_id) REFERENCES colleges(college_id) ON DELETE CASCADE,
+    INDEX idx_instructor_college (college_id)
+);
+
+-- Course Sections Table (each offering runs as one or more sections with their own seats).
+-- Timetables, enrollments and waitlists reference (section_id, course_id, term_id) so the
+-- course and term they carry always match their section.
+CREATE TABLE course_sections (
+    section_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    term_id INT NOT NULL,
+    section_code VARCHAR(10) NOT NULL,
+    capacity INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id, term_id) REFERENCES course_offerings(course_id, term_id) ON DELETE CASCADE,
+    CHECK (capacity IS NULL OR capacity > 0),
+    UNIQUE KEY unique_section_code (course_id, term_id, section_code),
+    UNIQUE KEY unique_section_course_term (section_id, course_id, term_id)
+);
+
+-- Timetables Table (each slot may book a room and an instructor; neither may be double-booked)
 CREATE TABLE timetables (
     timetable_id INT AUTO_INCREMENT PRIMARY KEY,
     course_id INT NOT NULL,
+    term_id INT NOT NULL,
+    section_id INT NOT NULL,
     day_of_week ENUM('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday') NOT NULL,
     start_time TIME NOT NULL,
     end_time TIME NOT NULL,
+    room_id INT NULL,
+    instructor_id INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+    FOREIGN KEY (section_id, course_id, term_id) REFERENCES course_sections(section_id, course_id, term_id) ON DELETE CASCADE,
+    FOREIGN KEY (room_id) REFERENCES rooms(room_id) ON DELETE SET NULL,
+    FOREIGN KEY (instructor_id) REFERENCES instructors(instructor_id) ON DELETE SET NULL,
     CHECK (end_time > start_time),
-    INDEX idx_timetable_course (course_id)
+    INDEX idx_timetable_course (course_id, term_id),
+    INDEX idx_timetable_section (section_id),
+    INDEX idx_timetable_term (term_id),
+    INDEX idx_timetable_room (room_id, day_of_week),
+    INDEX idx_timetable_instructor (instructor_id, day_of_week)
 );
 
--- Student Course Selections Table
+-- Student Course Selections Table (one section per course and term)
 CREATE TABLE student_courses (
     enrollment_id INT AUTO_INCREMENT PRIMARY KEY,
     student_id INT NOT NULL,
     course_id INT NOT NULL,
+    term_id INT NOT NULL,
+    section_id INT NOT NULL,
     enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Set while a forced timetable change leaves this class overlapping another of the student's classes
+    in_conflict BOOLEAN NOT NULL DEFAULT FALSE,
+    FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+    FOREIGN KEY (section_id, course_id, term_id) REFERENCES course_sections(section_id, course_id, term_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_student_course (student_id, course_id, term_id),
+    INDEX idx_student_courses (student_id, term_id),
+    INDEX idx_course_students (course_id, term_id),
+    INDEX idx_section_students (section_id)
+);
+
+-- Course Waitlist Table (one queue per section; queue order follows waitlist_id)
+CREATE TABLE course_waitlist (
+    waitlist_id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    course_id INT NOT NULL,
+    term_id INT NOT NULL,
+    section_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+    FOREIGN KEY (section_id, course_id, term_id) REFERENCES course_sections(section_id, course_id, term_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_waitlist_student_course (student_id, course_id, term_id),
+    INDEX idx_waitlist_section (section_id, waitlist_id)
+);
+
+-- Course Requisites Table (prerequisites must be completed, corequisites may be concurrent)
+CREATE TABLE course_requisites (
+    requisite_id INT AUTO_INCREMENT PRIMARY KEY,
+    course_id INT NOT NULL,
+    required_course_id INT NOT NULL,
+    requisite_type ENUM('prerequisite', 'corequisite') NOT NULL DEFAULT 'prerequisite',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
-    UNIQUE KEY unique_student_course (student_id, course_id),
-    INDEX idx_student_courses (student_id),
-    INDEX idx_course_students (course_id)
+    FOREIGN KEY (required_course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+    CHECK (course_id != required_course_id),
+    UNIQUE KEY unique_course_requisite (course_id, required_course_id),
+    INDEX idx_requisite_required (required_course_id)
+);
+
+-- Completed Courses Table
+CREATE TABLE completed_courses (
+    completion_id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    course_id INT NOT NULL,
+    completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_completed_course (student_id, course_id)
+);
+
+-- Users Table (login accounts; students link to their student record, college admins to their college)
+CREATE TABLE users (
+    user_id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    role ENUM('student', 'college_admin', 'super_admin') NOT NULL,
+    student_id INT NULL UNIQUE,
+    college_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+    FOREIGN KEY (college_id) REFERENCES colleges(college_id) ON DELETE CASCADE,
+    CHECK (role != 'student' OR student_id IS NOT NULL),
+    CHECK (role != 'college_admin' OR college_id IS NOT NULL)
+);
+
+-- Credit Load Overrides Table (per-student, per-term exceptions such as approved overloads)
+CREATE TABLE credit_load_overrides (
+    override_id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    term_id INT NOT NULL,
+    min_credits INT DEFAULT NULL,
+    max_credits INT DEFAULT NULL,
+    reason VARCHAR(255),
+    approved_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+    FOREIGN KEY (term_id) REFERENCES terms(term_id) ON DELETE CASCADE,
+    FOREIGN KEY (approved_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_student_term_override (student_id, term_id)
+);
+
+-- Audit Log Table (append-only history of enrollment and timetable changes).
+-- IDs are stored without foreign keys so entries outlive the rows they describe.
+CREATE TABLE audit_log (
+    audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    action ENUM('enroll', 'drop', 'waitlist_join', 'waitlist_leave', 'waitlist_promote',
+                'timetable_add', 'timetable_update', 'timetable_delete',
+                'course_update', 'course_archive', 'course_restore', 'course_delete',
+                'student_update', 'student_delete') NOT NULL,
+    actor_user_id INT NULL,
+    actor_role VARCHAR(50) NULL,
+    college_id INT NOT NULL,
+    student_id INT NULL,
+    course_id INT NULL,
+    term_id INT NULL,
+    timetable_id INT NULL,
+    before_value JSON NULL,
+    after_value JSON NULL,
+    reason VARCHAR(500) NULL,
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    INDEX idx_audit_college_time (college_id, created_at),
+    INDEX idx_audit_student (student_id, created_at),
+    INDEX idx_audit_course (course_id, created_at),
+    INDEX idx_audit_action (action, created_at)
+);
+
+-- Notification Outbox (messages are queued in the same transaction as the change they
+-- describe and handed to the configured sender afterwards)
+CREATE TABLE notification_outbox (
+    notification_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    payload JSON NULL,
+    status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error VARCHAR(500) NULL,
+    claimed_until DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL,
+    FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+    INDEX idx_outbox_status (status, notification_id)
+);
+
+-- Idempotency Keys (responses to write requests sent with an Idempotency-Key header, replayed
+-- when the same request is retried; status_code is NULL while the first request is running)
+CREATE TABLE idempotency_keys (
+    user_id INT NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path VARCHAR(500) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status_code INT NULL,
+    response_body JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    PRIMARY KEY (user_id, idempotency_key),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX idx_idempotency_expires (expires_at)
 );
 
 -- Trigger to prevent students from enrolling in courses from different colleges
@@ -85,7 +328,7 @@ BEGIN
     END IF;
 END//
 
--- Trigger to prevent timetable clashes when enrolling
+-- Trigger to prevent timetable clashes when enrolling (within the same term)
 CREATE TRIGGER check_timetable_clash_before_insert
 BEFORE INSERT ON student_courses
 FOR EACH ROW
@@ -94,9 +337,10 @@ BEGIN
     
     SELECT COUNT(*) INTO clash_count
     FROM student_courses sc
-    JOIN timetables t1 ON sc.course_id = t1.course_id
-    JOIN timetables t2 ON NEW.course_id = t2.course_id
+    JOIN timetables t1 ON sc.section_id = t1.section_id
+    JOIN timetables t2 ON t2.section_id = NEW.section_id
     WHERE sc.student_id = NEW.student_id
+    AND sc.term_id = NEW.term_id
     AND t1.day_of_week = t2.day_of_week
     AND (
         (t1.start_time < t2.end_time AND t1.end_time > t2.start_time)
@@ -108,13 +352,30 @@ BEGIN
     END IF;
 END//
 
+-- Triggers to keep the audit log append-only
+CREATE TRIGGER prevent_audit_log_update
+BEFORE UPDATE ON audit_log
+FOR EACH ROW
+BEGIN
+    SIGNAL SQLSTATE '45000'
+    SET MESSAGE_TEXT = 'Audit log entries cannot be modified';
+END//
+
+CREATE TRIGGER prevent_audit_log_delete
+BEFORE DELETE ON audit_log
+FOR EACH ROW
+BEGIN
+    SIGNAL SQLSTATE '45000'
+    SET MESSAGE_TEXT = 'Audit log entries cannot be deleted';
+END//
+
 DELIMITER ;
 
 -- Insert sample data
-INSERT INTO colleges (name) VALUES 
-('Massachusetts Institute of Technology'),
-('Stanford University'),
-('Harvard University');
+INSERT INTO colleges (name, min_credits, max_credits, min_credit_policy, timezone, slot_minutes, teaching_start, teaching_end) VALUES 
+('Massachusetts Institute of Technology', 3, 12, 'warn', 'America/New_York', 15, '08:00:00', '22:00:00'),
+('Stanford University', 3, 10, 'block', 'America/Los_Angeles', 30, '08:00:00', '20:00:00'),
+('Harvard University', 0, NULL, 'warn', 'America/New_York', 15, '08:00:00', '22:00:00');
 
 INSERT INTO students (name, email, college_id) VALUES
 ('John Doe', 'john.doe@mit.edu', 1),
@@ -122,25 +383,74 @@ INSERT INTO students (name, email, college_id) VALUES
 ('Bob Johnson', 'bob.johnson@stanford.edu', 2),
 ('Alice Williams', 'alice.williams@mit.edu', 1);
 
-INSERT INTO courses (course_code, course_name, college_id, credits) VALUES
-('CS101', 'Introduction to Computer Science', 1, 4),
-('MA204', 'Linear Algebra', 1, 3),
-('AP105', 'Physics I', 1, 4),
-('CS201', 'Data Structures', 1, 4),
-('CS102', 'Programming Fundamentals', 2, 3);
-
-INSERT INTO timetables (course_id, day_of_week, start_time, end_time) VALUES
--- CS101: Mon 9-10, Tue 10-11
-(1, 'Monday', '09:00:00', '10:00:00'),
-(1, 'Tuesday', '10:00:00', '11:00:00'),
--- MA204: Mon 10-11, Wed 9-10
-(2, 'Monday', '10:00:00', '11:00:00'),
-(2, 'Wednesday', '09:00:00', '10:00:00'),
--- AP105: Tue 10-11, Thu 15-18 (clash with CS101 on Tuesday)
-(3, 'Tuesday', '10:00:00', '11:00:00'),
-(3, 'Thursday', '15:00:00', '18:00:00'),
--- CS201: Wed 10-12, Fri 14-16
-(4, 'Wednesday', '10:00:00', '12:00:00'),
-(4, 'Friday', '14:00:00', '16:00:00'),
--- CS102 (Stanford): Mon 9-11
-(5, 'Monday', '09:00:00', '11:00:00');
\ No newline at end of file
+INSERT INTO courses (course_code, course_name, college_id, credits, capacity) VALUES
+('CS101', 'Introduction to Computer Science', 1, 4, 30),
+('MA204', 'Linear Algebra', 1, 3, 25),
+('AP105', 'Physics I', 1, 4, 20),
+('CS201', 'Data Structures', 1, 4, 1),
+('CS102', 'Programming Fundamentals', 2, 3, NULL);
+
+-- Terms are relative to setup time so the sample data always has an open enrollment window
+INSERT INTO terms (college_id, name, start_date, end_date, enrollment_opens_at, enrollment_closes_at) VALUES
+(1, 'Current Semester', CURDATE() - INTERVAL 14 DAY, CURDATE() + INTERVAL 100 DAY, NOW() - INTERVAL 30 DAY, NOW() + INTERVAL 30 DAY),
+(2, 'Current Semester', CURDATE() - INTERVAL 14 DAY, CURDATE() + INTERVAL 100 DAY, NOW() - INTERVAL 30 DAY, NOW() + INTERVAL 30 DAY),
+(3, 'Current Semester', CURDATE() - INTERVAL 14 DAY, CURDATE() + INTERVAL 100 DAY, NOW() - INTERVAL 30 DAY, NOW() + INTERVAL 30 DAY);
+
+INSERT INTO course_offerings (course_id, term_id) VALUES
+(1, 1),
+(2, 1),
+(3, 1),
+(4, 1),
+(5, 2);
+
+-- Every offering has a section A; CS101 also runs a second section B
+INSERT INTO course_sections (course_id, term_id, section_code, capacity) VALUES
+(1, 1, 'A', 15),
+(2, 1, 'A', 25),
+(3, 1, 'A', 20),
+(4, 1, 'A', 1),
+(5, 2, 'A', NULL),
+(1, 1, 'B', 15);
+
+INSERT INTO rooms (college_id, room_code, building, capacity) VALUES
+(1, '32-123', 'Stata Center', 60),
+(1, '2-190', 'Building 2', 40),
+(1, '26-100', 'Building 26', 300),
+(1, '32-144', 'Stata Center', 12),
+(2, 'Gates B01', 'Gates Computer Science', 120);
+
+INSERT INTO instructors (college_id, name, email) VALUES
+(1, 'Prof. Alan Kay', 'alan.kay@mit.edu'),
+(1, 'Prof. Gilbert Strang', 'gilbert.strang@mit.edu'),
+(1, 'Prof. Walter Lewin', 'walter.lewin@mit.edu'),
+(1, 'Prof. Erik Demaine', 'erik.demaine@mit.edu'),
+(2, 'Prof. Mehran Sahami', 'mehran.sahami@stanford.edu');
+
+INSERT INTO timetables (course_id, term_id, section_id, day_of_week, start_time, end_time, room_id, instructor_id) VALUES
+-- CS101-A: Mon 9-10, Tue 10-11 in 32-123 with Kay
+(1, 1, 1, 'Monday', '09:00:00', '10:00:00', 1, 1),
+(1, 1, 1, 'Tuesday', '10:00:00', '11:00:00', 1, 1),
+-- MA204-A: Mon 10-11, Wed 9-10 in 2-190 with Strang
+(2, 1, 2, 'Monday', '10:00:00', '11:00:00', 2, 2),
+(2, 1, 2, 'Wednesday', '09:00:00', '10:00:00', 2, 2),
+-- AP105-A: Tue 10-11, Thu 15-18 in 26-100 with Lewin (clash with CS101-A on Tuesday)
+(3, 1, 3, 'Tuesday', '10:00:00', '11:00:00', 3, 3),
+(3, 1, 3, 'Thursday', '15:00:00', '18:00:00', 3, 3),
+-- CS201-A: Wed 10-12, Fri 14-16 in 32-123 with Demaine
+(4, 1, 4, 'Wednesday', '10:00:00', '12:00:00', 1, 4),
+(4, 1, 4, 'Friday', '14:00:00', '16:00:00', 1, 4),
+-- CS102-A (Stanford): Mon 9-11 in Gates B01 with Sahami
+(5, 2, 5, 'Monday', '09:00:00', '11:00:00', 5, 5),
+-- CS101-B: Wed 13-14, Fri 10-11 in the small seminar room 32-144, also taught by Kay
+(1, 1, 6, 'Wednesday', '13:00:00', '14:00:00', 4, 1),
+(1, 1, 6, 'Friday', '10:00:00', '11:00:00', 4, 1);
+
+INSERT INTO course_requisites (course_id, required_course_id, requisite_type) VALUES
+-- CS201 requires CS101 to be completed first
+(4, 1, 'prerequisite'),
+-- AP105 must be taken alongside (or after) MA204
+(3, 2, 'corequisite');
+
+INSERT INTO completed_courses (student_id, course_id) VALUES
+(1, 1),
+(2, 1);
@@ -0,0 +1,12 @@
+-- Sample login accounts for local development, loaded after dbSchema.sql only when
+-- SEED_DEMO_ACCOUNTS=true. Every account, the super admin included, has the published
+-- password "password123": never load this file into a database that is reachable by others.
+
+INSERT INTO users (email, password_hash, role, student_id, college_id) VALUES
+('admin@enrollment.local', '$2a$10$nF99/RLvA8Fprz3iJGgSXu56JwrmA8QXLUBFQnocNV6mlS3yOWULO', 'super_admin', NULL, NULL),
+('registrar@mit.edu', '$2a$10$nF99/RLvA8Fprz3iJGgSXu56JwrmA8QXLUBFQnocNV6mlS3yOWULO', 'college_admin', NULL, 1),
+('registrar@stanford.edu', '$2a$10$nF99/RLvA8Fprz3iJGgSXu56JwrmA8QXLUBFQnocNV6mlS3yOWULO', 'college_admin', NULL, 2),
+('john.doe@mit.edu', '$2a$10$nF99/RLvA8Fprz3iJGgSXu56JwrmA8QXLUBFQnocNV6mlS3yOWULO', 'student', 1, 1),
+('jane.smith@mit.edu', '$2a$10$nF99/RLvA8Fprz3iJGgSXu56JwrmA8QXLUBFQnocNV6mlS3yOWULO', 'student', 2, 1),
+('bob.johnson@stanford.edu', '$2a$10$nF99/RLvA8Fprz3iJGgSXu56JwrmA8QXLUBFQnocNV6mlS3yOWULO', 'student', 3, 2),
+('alice.williams@mit.edu', '$2a$10$nF99/RLvA8Fprz3iJGgSXu56JwrmA8QXLUBFQnocNV6mlS3yOWULO', 'student', 4, 1);
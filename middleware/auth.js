@@ -0,0 +1,96 @@
+const authService = require('../services/authService');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Resolve the caller from the Bearer token and attach it as req.user
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new AuthenticationError('AUTHENTICATION_REQUIRED', 'Authentication required'));
+  }
+
+  const user = authService.verifyToken(token);
+
+  if (!user) {
+    return next(new AuthenticationError('INVALID_TOKEN', 'Invalid or expired token'));
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Only let callers with one of the given roles through
+ * @param {...string} roles - Allowed roles
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return next(new ForbiddenError('FORBIDDEN', 'You do not have permission to access this resource'));
+  }
+
+  next();
+};
+
+/**
+ * Only let callers act on a student they are allowed to: students on themselves,
+ * college admins on students of their college, super admins on anyone.
+ * Requests without a usable student ID are passed on for the route to reject.
+ * @param {Function} getStudentId - Reads the target student ID from the request
+ */
+const requireStudentAccess = (getStudentId) => async (req, res, next) => {
+  try {
+    const studentId = parseInt(getStudentId(req));
+
+    if (isNaN(studentId) || req.user.role === 'super_admin') {
+      return next();
+    }
+
+    if (req.user.role === 'student' && req.user.studentId === studentId) {
+      return next();
+    }
+
+    if (req.user.role === 'college_admin') {
+      const collegeId = await authService.getStudentCollegeId(studentId);
+      if (collegeId === null || collegeId === req.user.collegeId) {
+        return next();
+      }
+    }
+
+    next(new ForbiddenError('FORBIDDEN', 'You may only act on your own student record'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Only let college admins manage resources of their own college; super admins manage all.
+ * Resources that can't be resolved are passed on for the route to report as not found.
+ * @param {Function} resolveCollegeId - Async function returning the college ID of the target resource, or null
+ */
+const requireCollegeAccess = (resolveCollegeId) => async (req, res, next) => {
+  try {
+    if (req.user.role === 'super_admin') {
+      return next();
+    }
+
+    const collegeId = await resolveCollegeId(req);
+
+    if (collegeId === null || Number.isNaN(collegeId) || collegeId === req.user.collegeId) {
+      return next();
+    }
+
+    next(new ForbiddenError('FORBIDDEN', 'You may only manage resources of your own college'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  requireStudentAccess,
+  requireCollegeAccess
+};
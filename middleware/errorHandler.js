@@ -0,0 +1,42 @@
+const { AppError, NotFoundError, ValidationError, InternalError } = require('../utils/errors');
+
+/**
+ * Wrap an async route handler so a thrown or rejected error reaches the error middleware
+ * @param {Function} handler - async (req, res, next) route handler
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * Answer requests no route matched
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError('ROUTE_NOT_FOUND', `No endpoint for ${req.method} ${req.path}`));
+};
+
+/**
+ * Turn any error into the uniform error response { success: false, code, error, ...details }.
+ * Typed errors carry their own status; malformed JSON bodies are reported as 400 and
+ * anything unexpected is logged and reported as 500 without its internals.
+ */
+const errorHandler = (err, req, res, next) => {
+  let error = err;
+
+  if (!(error instanceof AppError)) {
+    if (err.type === 'entity.parse.failed') {
+      error = new ValidationError('INVALID_JSON', 'Request body is not valid JSON');
+    } else {
+      console.error('Error:', err);
+      error = new InternalError('INTERNAL_ERROR', 'Internal server error');
+    }
+  }
+
+  res.status(error.status).json(error);
+};
+
+module.exports = {
+  asyncHandler,
+  notFound,
+  errorHandler
+};
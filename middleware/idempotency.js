@@ -0,0 +1,71 @@
+const idempotencyService = require('../services/idempotencyService');
+const { AppError, ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('./errorHandler');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Check whether a response is final and may be replayed. Server errors and lock conflicts
+ * are not stored: sending the request again should run it again.
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - JSON body
+ * @returns {boolean} Whether to store the response
+ */
+const isReplayable = (statusCode, body) => statusCode < 500 && !(body && body.code === 'LOCK_CONFLICT');
+
+/**
+ * Let clients retry write requests safely with an Idempotency-Key header. The first request
+ * with a key runs normally and its response is stored (see config/idempotency.js for how long);
+ * sending the same request with the same key again returns that response, marked with an
+ * Idempotent-Replayed: true header, instead of running it twice. Reusing a key for a different
+ * request is refused with 422 IDEMPOTENCY_KEY_REUSED, and a repeat that arrives while the
+ * first is still running with 409 IDEMPOTENCY_KEY_IN_USE. Requests without the header, and
+ * reads, are passed through. Must run after authenticate: keys are scoped to the caller.
+ */
+const idempotency = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined || !WRITE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return next(new ValidationError('INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be 1 to 255 visible ASCII characters'));
+  }
+
+  const scope = { userId: req.user.userId, key };
+  const result = await idempotencyService.begin({ ...scope, method: req.method, path: req.originalUrl, body: req.body });
+
+  if (!result.success) {
+    return next(AppError.fromResult(result));
+  }
+
+  const { replay } = result.data;
+
+  if (replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(replay.statusCode).json(replay.body);
+  }
+
+  // Store the response before sending it, so a retry that follows it gets the replay
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    res.json = send;
+    const settle = isReplayable(res.statusCode, body)
+      ? idempotencyService.complete(scope, res.statusCode, body)
+      : idempotencyService.release(scope);
+
+    settle
+      .catch(error => console.error('Error saving Idempotency-Key response:', error))
+      .then(() => send(body));
+
+    return res;
+  };
+
+  next();
+});
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,29 @@
+const { validateRequest } = require('../utils/validation');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Check the request's params, query and body against a schema before the route runs.
+ * Checked values replace the raw ones (so "7" arrives as 7 and "true" as true); any
+ * failure is answered with 400 VALIDATION_FAILED and the full list of invalid fields:
+ * { success: false, code, error, fields: [{ location, field, message }] }
+ * @param {Object} schema - Request schema (see utils/validation.js)
+ */
+const validate = (schema) => (req, res, next) => {
+  const result = validateRequest(schema, req);
+
+  if (!result.success) {
+    return next(AppError.fromResult(result));
+  }
+
+  for (const location of ['params', 'query', 'body']) {
+    if (result[location]) {
+      Object.assign(req[location], result[location]);
+    }
+  }
+
+  next();
+};
+
+module.exports = {
+  validate
+};
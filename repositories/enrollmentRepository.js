@@ -0,0 +1,134 @@
+/**
+ * Writes of enrollments and waitlist entries. Every path that seats or queues a student
+ * goes through here, so the integrity rules hold on any storage backend: the student and
+ * course belong to the same college, a student holds one seat (and one waitlist entry) per
+ * course and term, and a new seat never overlaps the student's other classes. MySQL also
+ * enforces the first and last rule with triggers; the embedded store relies on these checks.
+ */
+class EnrollmentRepository {
+  /**
+   * Seat a student in a section
+   * @param {Object} connection - Database connection inside the caller's transaction
+   * @param {Object} enrollment - { studentId, courseId, termId, sectionId }
+   * @returns {Object} { success, enrollmentId } or { success: false, code, error }
+   */
+  async insertEnrollment(connection, { studentId, courseId, termId, sectionId }) {
+    const collegeCheck = await this.checkSameCollege(connection, studentId, courseId);
+    if (!collegeCheck.success) {
+      return collegeCheck;
+    }
+
+    const [existing] = await connection.query(
+      'SELECT enrollment_id FROM student_courses WHERE student_id = ? AND course_id = ? AND term_id = ?',
+      [studentId, courseId, termId]
+    );
+
+    if (existing.length > 0) {
+      return {
+        success: false,
+        code: 'ALREADY_ENROLLED',
+        error: 'Student is already enrolled in this course for the term'
+      };
+    }
+
+    const [clashes] = await connection.query(
+      `SELECT c.course_code, t1.day_of_week, t1.start_time, t1.end_time
+       FROM student_courses sc
+       JOIN courses c ON sc.course_id = c.course_id
+       JOIN timetables t1 ON sc.section_id = t1.section_id
+       JOIN timetables t2 ON t2.section_id = ?
+       WHERE sc.student_id = ?
+       AND sc.term_id = ?
+       AND t1.day_of_week = t2.day_of_week
+       AND t1.start_time < t2.end_time
+       AND t1.end_time > t2.start_time`,
+      [sectionId, studentId, termId]
+    );
+
+    if (clashes.length > 0) {
+      return {
+        success: false,
+        code: 'TIMETABLE_CLASH',
+        error: `Timetable clash with ${clashes.map(clash =>
+          `${clash.course_code} (${clash.day_of_week} ${clash.start_time}-${clash.end_time})`).join(', ')}`,
+        clashes
+      };
+    }
+
+    const [result] = await connection.query(
+      'INSERT INTO student_courses (student_id, course_id, term_id, section_id) VALUES (?, ?, ?, ?)',
+      [studentId, courseId, termId, sectionId]
+    );
+
+    return { success: true, enrollmentId: result.insertId };
+  }
+
+  /**
+   * Put a student on a section's waitlist
+   * @param {Object} connection - Database connection inside the caller's transaction
+   * @param {Object} entry - { studentId, courseId, termId, sectionId }
+   * @returns {Object} { success, waitlistId } or { success: false, code, error }
+   */
+  async insertWaitlistEntry(connection, { studentId, courseId, termId, sectionId }) {
+    const collegeCheck = await this.checkSameCollege(connection, studentId, courseId);
+    if (!collegeCheck.success) {
+      return collegeCheck;
+    }
+
+    const [existing] = await connection.query(
+      'SELECT waitlist_id FROM course_waitlist WHERE student_id = ? AND course_id = ? AND term_id = ?',
+      [studentId, courseId, termId]
+    );
+
+    if (existing.length > 0) {
+      return {
+        success: false,
+        code: 'ALREADY_WAITLISTED',
+        error: 'Student is already on the waitlist for this course'
+      };
+    }
+
+    const [result] = await connection.query(
+      'INSERT INTO course_waitlist (student_id, course_id, term_id, section_id) VALUES (?, ?, ?, ?)',
+      [studentId, courseId, termId, sectionId]
+    );
+
+    return { success: true, waitlistId: result.insertId };
+  }
+
+  /**
+   * Check that a student and a course belong to the same college
+   * @param {Object} connection - Database connection
+   * @param {number} studentId - The ID of the student
+   * @param {number} courseId - The ID of the course
+   * @returns {Object} { success } or { success: false, code, error }
+   */
+  async checkSameCollege(connection, studentId, courseId) {
+    const [rows] = await connection.query(
+      `SELECT s.college_id AS student_college_id, c.college_id AS course_college_id
+       FROM students s, courses c
+       WHERE s.student_id = ? AND c.course_id = ?`,
+      [studentId, courseId]
+    );
+
+    if (rows.length === 0) {
+      return {
+        success: false,
+        code: 'NOT_FOUND',
+        error: 'Student or course not found'
+      };
+    }
+
+    if (rows[0].student_college_id !== rows[0].course_college_id) {
+      return {
+        success: false,
+        code: 'CROSS_COLLEGE',
+        error: 'Student and course must belong to the same college'
+      };
+    }
+
+    return { success: true };
+  }
+}
+
+module.exports = new EnrollmentRepository();
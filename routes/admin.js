@@ -1,202 +1,948 @@
 const express = require('express');
 const router = express.Router();
 const adminService = require('../services/adminService');
+const termService = require('../services/termService');
+const sectionService = require('../services/sectionService');
+const resourceService = require('../services/resourceService');
+const calendarService = require('../services/calendarService');
+const importService = require('../services/importService');
+const collegeService = require('../services/collegeService');
+const studentService = require('../services/studentService');
+const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const authService = require('../services/authService');
+const { parseTermId, getActor } = require('../utils/params');
+const { requireCollegeAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { AppError, ForbiddenError, ValidationError } = require('../utils/errors');
+const schemas = require('../schemas/admin');
+
+// College admins may only manage resources that belong to their own college
+const courseFromParams = requireCollegeAccess(req => authService.getCourseCollegeId(req.params.courseId));
+const sectionFromParams = requireCollegeAccess(req => authService.getSectionCollegeId(req.params.sectionId));
+const sectionFromBody = requireCollegeAccess(req => authService.getSectionCollegeId(req.body.sectionId));
+const timetableFromParams = requireCollegeAccess(req => authService.getTimetableCollegeId(req.params.timetableId));
+const termFromParams = requireCollegeAccess(req => authService.getTermCollegeId(req.params.termId));
+const roomFromParams = requireCollegeAccess(req => authService.getRoomCollegeId(req.params.roomId));
+const studentFromParams = requireCollegeAccess(req => authService.getStudentCollegeId(req.params.studentId));
+const collegeFromParams = requireCollegeAccess(req => req.params.collegeId);
+const collegeFromBody = requireCollegeAccess(req => parseInt(req.body.collegeId));
 
 /**
- * POST /api/admin/timetable
- * Add a new timetable slot for a course
- * Body: { courseId, dayOfWeek, startTime, endTime }
+ * POST /api/admin/timetable/preview
+ * Show what adding a timetable slot would do without saving it: affected students and
+ * the classes they would clash with, double bookings and room size warnings
+ * Body: { sectionId, dayOfWeek, startTime, endTime, roomId?, instructorId? }
  */
-router.post('/timetable', async (req, res) => {
-  try {
-    const { courseId, dayOfWeek, startTime, endTime } = req.body;
+router.post('/timetable/preview', validate(schemas.previewAddTimetable), sectionFromBody, asyncHandler(async (req, res) => {
+  const { sectionId, dayOfWeek, startTime, endTime, roomId, instructorId } = req.body;
+
+  const result = await adminService.previewTimetableChange({
+    sectionId, dayOfWeek, startTime, endTime, roomId, instructorId
+  });
 
-    if (!courseId || !dayOfWeek || !startTime || !endTime) {
-      return res.status(400).json({
-        success: false,
-        error: 'courseId, dayOfWeek, startTime, and endTime are required'
-      });
-    }
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
 
-    const result = await adminService.addTimetable(courseId, dayOfWeek, startTime, endTime);
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/timetable/:timetableId/preview
+ * Show what changing a timetable slot would do without saving it
+ * Body: { dayOfWeek?, startTime?, endTime?, roomId?, instructorId? }
+ */
+router.post('/timetable/:timetableId/preview', validate(schemas.previewUpdateTimetable), timetableFromParams, asyncHandler(async (req, res) => {
+  const { timetableId } = req.params;
+  const { dayOfWeek, startTime, endTime, roomId, instructorId } = req.body;
 
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
+  const result = await adminService.previewTimetableChange({
+    timetableId, dayOfWeek, startTime, endTime, roomId, instructorId
+  });
 
-    res.status(201).json(result);
-  } catch (error) {
-    console.error('Error in POST /timetable route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.json(result);
+}));
 
 /**
- * PUT /api/admin/timetable/:timetableId
- * Update an existing timetable slot
- * Body: { dayOfWeek?, startTime?, endTime? }
+ * POST /api/admin/timetable
+ * Add a new timetable slot for a course section, optionally booking a room and instructor.
+ * With force: true the slot is added even if it clashes with enrolled students' classes;
+ * their enrollments are marked in conflict and a notification is queued for each of them.
+ * Body: { sectionId, dayOfWeek, startTime, endTime, roomId?, instructorId?, force?, reason? }
  */
-router.put('/timetable/:timetableId', async (req, res) => {
-  try {
-    const timetableId = parseInt(req.params.timetableId);
-    const { dayOfWeek, startTime, endTime } = req.body;
+router.post('/timetable', validate(schemas.addTimetable), sectionFromBody, asyncHandler(async (req, res) => {
+  const { sectionId, dayOfWeek, startTime, endTime, roomId, instructorId } = req.body;
 
-    if (isNaN(timetableId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid timetable ID'
-      });
-    }
+  const result = await adminService.addTimetable(
+    sectionId, dayOfWeek, startTime, endTime, { roomId, instructorId }, getActor(req), { force: req.body.force === true }
+  );
 
-    if (!dayOfWeek && !startTime && !endTime) {
-      return res.status(400).json({
-        success: false,
-        error: 'At least one field (dayOfWeek, startTime, or endTime) must be provided'
-      });
-    }
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
 
-    const result = await adminService.updateTimetable(timetableId, { dayOfWeek, startTime, endTime });
+  res.status(201).json(result);
+}));
 
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
+/**
+ * PUT /api/admin/timetable/:timetableId
+ * Update an existing timetable slot. force: true applies the change even if it clashes
+ * with enrolled students' classes, as for POST /timetable.
+ * Body: { dayOfWeek?, startTime?, endTime?, roomId? (null to release), instructorId? (null to release), force?, reason? }
+ */
+router.put('/timetable/:timetableId', validate(schemas.updateTimetable), timetableFromParams, asyncHandler(async (req, res) => {
+  const { timetableId } = req.params;
+  const { dayOfWeek, startTime, endTime, roomId, instructorId } = req.body;
 
-    res.json(result);
-  } catch (error) {
-    console.error('Error in PUT /timetable route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+  const result = await adminService.updateTimetable(
+    timetableId, { dayOfWeek, startTime, endTime, roomId, instructorId }, getActor(req), { force: req.body.force === true }
+  );
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.json(result);
+}));
 
 /**
  * DELETE /api/admin/timetable/:timetableId
- * Delete a timetable slot
+ * Delete a timetable slot. When students are enrolled in its section, confirm: true is
+ * required and each of them is notified.
+ * Body: { confirm?, reason? }
  */
-router.delete('/timetable/:timetableId', async (req, res) => {
-  try {
-    const timetableId = parseInt(req.params.timetableId);
+router.delete('/timetable/:timetableId', validate(schemas.deleteTimetable), timetableFromParams, asyncHandler(async (req, res) => {
+  const { timetableId } = req.params;
 
-    if (isNaN(timetableId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid timetable ID'
-      });
-    }
+  const result = await adminService.deleteTimetable(timetableId, getActor(req), { confirm: req.body.confirm === true });
 
-    const result = await adminService.deleteTimetable(timetableId);
-
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
-
-    res.json(result);
-  } catch (error) {
-    console.error('Error in DELETE /timetable route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.json(result);
+}));
 
 /**
  * GET /api/admin/timetable/:courseId
- * Get all timetables for a course
+ * Get all timetables for a course in the current term (or ?termId)
  */
-router.get('/timetable/:courseId', async (req, res) => {
-  try {
-    const courseId = parseInt(req.params.courseId);
+router.get('/timetable/:courseId', validate(schemas.courseTimetable), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const termId = parseTermId(req.query.termId);
+
+  const result = await adminService.getCourseTimetables(courseId, termId);
 
-    if (isNaN(courseId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid course ID'
-      });
-    }
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
 
-    const result = await adminService.getCourseTimetables(courseId);
+  res.json(result);
+}));
 
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
+/**
+ * GET /api/admin/course/:courseId/calendar.ics
+ * Download every section of a course in the current term (or ?termId) as an iCalendar file
+ */
+router.get('/course/:courseId/calendar.ics', validate(schemas.courseCalendar), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const termId = parseTermId(req.query.termId);
 
-    res.json(result);
-  } catch (error) {
-    console.error('Error in GET /timetable route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+  const result = await calendarService.getCourseCalendar(courseId, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.type('text/calendar; charset=utf-8');
+  res.attachment(result.filename);
+  res.send(result.calendar);
+}));
 
 /**
  * POST /api/admin/course
  * Add a new course
- * Body: { courseCode, courseName, collegeId, credits? }
+ * Body: { courseCode, courseName, collegeId, credits?, capacity? }
  */
-router.post('/course', async (req, res) => {
-  try {
-    const { courseCode, courseName, collegeId, credits } = req.body;
+router.post('/course', validate(schemas.addCourse), collegeFromBody, asyncHandler(async (req, res) => {
+  const { courseCode, courseName, collegeId, credits, capacity } = req.body;
 
-    if (!courseCode || !courseName || !collegeId) {
-      return res.status(400).json({
-        success: false,
-        error: 'courseCode, courseName, and collegeId are required'
-      });
-    }
+  const result = await adminService.addCourse(courseCode, courseName, collegeId, credits, capacity);
 
-    const result = await adminService.addCourse(courseCode, courseName, collegeId, credits);
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * PUT /api/admin/course/:courseId
+ * Update a course. Changing the credits of a course with active enrollments needs confirm: true.
+ * Body: { courseCode?, courseName?, credits?, capacity? (null for unlimited), confirm?, reason? }
+ */
+router.put('/course/:courseId', validate(schemas.updateCourse), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const { courseCode, courseName, credits, capacity } = req.body;
 
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
+  const result = await adminService.updateCourse(
+    courseId, { courseCode, courseName, credits, capacity }, getActor(req), { confirm: req.body.confirm === true }
+  );
 
-    res.status(201).json(result);
-  } catch (error) {
-    console.error('Error in POST /course route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.json(result);
+}));
+
+/**
+ * DELETE /api/admin/course/:courseId
+ * Archive a course (soft delete), or remove it for good with permanent: true when it has no
+ * enrollment history. Archiving a course with active enrollments or waitlist entries needs
+ * confirm: true and withdraws them. The response reports the students and enrollments affected.
+ * Body: { confirm?, permanent?, reason? }
+ */
+router.delete('/course/:courseId', validate(schemas.deleteCourse), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+
+  const result = await adminService.deleteCourse(courseId, getActor(req), {
+    confirm: req.body.confirm === true,
+    permanent: req.body.permanent === true
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/course/:courseId/restore
+ * Bring an archived course back into the catalog
+ * Body: { reason? }
+ */
+router.post('/course/:courseId/restore', validate(schemas.restoreCourse), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+
+  const result = await adminService.restoreCourse(courseId, getActor(req));
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
 
 /**
  * GET /api/admin/course/:courseId/students
- * Get students enrolled in a course
- */
-router.get('/course/:courseId/students', async (req, res) => {
-  try {
-    const courseId = parseInt(req.params.courseId);
-
-    if (isNaN(courseId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid course ID'
-      });
-    }
-
-    const result = await adminService.getEnrolledStudents(courseId);
-
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
-
-    res.json(result);
-  } catch (error) {
-    console.error('Error in GET /course/:courseId/students route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
+ * Get students enrolled in a course in the current term (or ?termId)
+ */
+router.get('/course/:courseId/students', validate(schemas.enrolledStudents), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const termId = parseTermId(req.query.termId);
+
+  const result = await adminService.getEnrolledStudents(courseId, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * GET /api/admin/course/:courseId/prerequisites
+ * Get the prerequisite and corequisite rules of a course
+ */
+router.get('/course/:courseId/prerequisites', validate(schemas.getPrerequisites), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+
+  const result = await adminService.getCourseRequisites(courseId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/course/:courseId/prerequisites
+ * Add a prerequisite or corequisite rule to a course
+ * Body: { requiredCourseId, type?: 'prerequisite' | 'corequisite' }
+ */
+router.post('/course/:courseId/prerequisites', validate(schemas.addPrerequisite), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const { requiredCourseId, type } = req.body;
+
+  const result = await adminService.addCourseRequisite(courseId, requiredCourseId, type);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * DELETE /api/admin/course/:courseId/prerequisites/:requiredCourseId
+ * Remove a prerequisite or corequisite rule from a course
+ */
+router.delete('/course/:courseId/prerequisites/:requiredCourseId', validate(schemas.removePrerequisite), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId, requiredCourseId } = req.params;
+
+  const result = await adminService.removeCourseRequisite(courseId, requiredCourseId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/student/:studentId/completed-courses
+ * Record a course the student has completed
+ * Body: { courseId }
+ */
+router.post('/student/:studentId/completed-courses', validate(schemas.recordCompletedCourse), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const { courseId } = req.body;
+
+  const result = await adminService.recordCompletedCourse(studentId, courseId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * POST /api/admin/term
+ * Create an academic term for a college
+ * Body: { collegeId, name, startDate, endDate, enrollmentOpensAt, enrollmentClosesAt }
+ */
+router.post('/term', validate(schemas.createTerm), collegeFromBody, asyncHandler(async (req, res) => {
+  const { collegeId, name, startDate, endDate, enrollmentOpensAt, enrollmentClosesAt } = req.body;
+
+  const result = await termService.createTerm({
+    collegeId,
+    name,
+    startDate,
+    endDate,
+    enrollmentOpensAt,
+    enrollmentClosesAt
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * PUT /api/admin/term/:termId
+ * Update a term's name, dates or enrollment window
+ * Body: { name?, startDate?, endDate?, enrollmentOpensAt?, enrollmentClosesAt? }
+ */
+router.put('/term/:termId', validate(schemas.updateTerm), termFromParams, asyncHandler(async (req, res) => {
+  const { termId } = req.params;
+  const { name, startDate, endDate, enrollmentOpensAt, enrollmentClosesAt } = req.body;
+
+  const result = await termService.updateTerm(termId, {
+    name,
+    startDate,
+    endDate,
+    enrollmentOpensAt,
+    enrollmentClosesAt
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * GET /api/admin/college/:collegeId/terms
+ * Get all terms of a college, flagging the current one
+ */
+router.get('/college/:collegeId/terms', validate(schemas.collegeTerms), collegeFromParams, asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+
+  const result = await termService.getCollegeTerms(collegeId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/term/:termId/offerings
+ * Offer a course in a term
+ * Body: { courseId }
+ */
+router.post('/term/:termId/offerings', validate(schemas.addOffering), termFromParams, asyncHandler(async (req, res) => {
+  const { termId } = req.params;
+  const { courseId } = req.body;
+
+  const result = await termService.addOffering(termId, courseId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * GET /api/admin/term/:termId/offerings
+ * Get the courses offered in a term
+ */
+router.get('/term/:termId/offerings', validate(schemas.getOfferings), termFromParams, asyncHandler(async (req, res) => {
+  const { termId } = req.params;
+
+  const result = await termService.getOfferings(termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/course/:courseId/sections
+ * Add a section to a course offered in the current term (or termId)
+ * Body: { sectionCode, capacity?, termId? }
+ */
+router.post('/course/:courseId/sections', validate(schemas.addSection), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const { sectionCode, capacity } = req.body;
+  const termId = parseTermId(req.body.termId);
+
+  const result = await sectionService.createSection(courseId, termId, { sectionCode, capacity });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * GET /api/admin/course/:courseId/sections
+ * Get the sections of a course in the current term (or ?termId) with seat counts
+ */
+router.get('/course/:courseId/sections', validate(schemas.getSections), courseFromParams, asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const termId = parseTermId(req.query.termId);
+
+  const result = await sectionService.getCourseSections(courseId, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * PUT /api/admin/section/:sectionId
+ * Update a section's code or capacity
+ * Body: { sectionCode?, capacity?, reason? }
+ */
+router.put('/section/:sectionId', validate(schemas.updateSection), sectionFromParams, asyncHandler(async (req, res) => {
+  const { sectionId } = req.params;
+  const { sectionCode, capacity } = req.body;
+
+  const result = await sectionService.updateSection(sectionId, { sectionCode, capacity }, getActor(req));
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/college/:collegeId/rooms
+ * Add a bookable room to a college
+ * Body: { roomCode, building?, capacity }
+ */
+router.post('/college/:collegeId/rooms', validate(schemas.addRoom), collegeFromParams, asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+  const { roomCode, building, capacity } = req.body;
+
+  const result = await resourceService.createRoom(collegeId, { roomCode, building, capacity });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * GET /api/admin/college/:collegeId/rooms
+ * Get a college's rooms
+ */
+router.get('/college/:collegeId/rooms', validate(schemas.getRooms), collegeFromParams, asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+
+  const result = await resourceService.getCollegeRooms(collegeId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * PUT /api/admin/room/:roomId
+ * Update a room's code, building or capacity
+ * Body: { roomCode?, building?, capacity? }
+ */
+router.put('/room/:roomId', validate(schemas.updateRoom), roomFromParams, asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const { roomCode, building, capacity } = req.body;
+
+  const result = await resourceService.updateRoom(roomId, { roomCode, building, capacity });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/college/:collegeId/instructors
+ * Add an instructor to a college
+ * Body: { name, email? }
+ */
+router.post('/college/:collegeId/instructors', validate(schemas.addInstructor), collegeFromParams, asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+  const { name, email } = req.body;
+
+  const result = await resourceService.createInstructor(collegeId, { name, email });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * GET /api/admin/college/:collegeId/instructors
+ * Get a college's instructors
+ */
+router.get('/college/:collegeId/instructors', validate(schemas.getInstructors), collegeFromParams, asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+
+  const result = await resourceService.getCollegeInstructors(collegeId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * PUT /api/admin/college/:collegeId/credit-limits
+ * Update a college's credit load limits
+ * Body: { minCredits?, maxCredits? (null for no maximum), minCreditPolicy?: 'warn' | 'block' }
+ */
+router.put('/college/:collegeId/credit-limits', validate(schemas.updateCreditLimits), collegeFromParams, asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+  const { minCredits, maxCredits, minCreditPolicy } = req.body;
+
+  const result = await adminService.updateCollegeCreditLimits(collegeId, { minCredits, maxCredits, minCreditPolicy });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * PUT /api/admin/student/:studentId/credit-override
+ * Set a student's credit load override for the current term (or termId)
+ * Body: { minCredits?, maxCredits?, reason?, termId? }
+ */
+router.put('/student/:studentId/credit-override', validate(schemas.setCreditOverride), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const termId = parseTermId(req.body.termId);
+  const { minCredits, maxCredits, reason } = req.body;
+
+  const result = await adminService.setStudentCreditOverride(
+    studentId,
+    termId,
+    { minCredits, maxCredits, reason },
+    req.user.userId
+  );
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * DELETE /api/admin/student/:studentId/credit-override
+ * Remove a student's credit load override for the current term (or ?termId)
+ */
+router.delete('/student/:studentId/credit-override', validate(schemas.removeCreditOverride), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const termId = parseTermId(req.query.termId);
+
+  const result = await adminService.removeStudentCreditOverride(studentId, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/import/:entity?mode=preview|commit
+ * Bulk import colleges, students, courses or timetables from a CSV request body
+ * (Content-Type: text/csv). Preview (the default) reports a result for every row without
+ * saving anything; commit saves all rows or, if any row fails, none of them.
+ */
+router.post('/import/:entity', validate(schemas.importCsv), asyncHandler(async (req, res) => {
+  const { entity } = req.params;
+  const mode = req.query.mode || 'preview';
+
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    throw new ValidationError('INVALID_INPUT', 'Send the CSV file as the request body with Content-Type: text/csv');
+  }
+
+  const result = await importService.importCsv(entity, req.body, {
+    mode,
+    collegeId: req.user.role === 'college_admin' ? req.user.collegeId : null,
+    actor: getActor(req)
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(mode === 'commit' ? 201 : 200).json(result);
+}));
+
+/**
+ * GET /api/admin/audit
+ * Query the enrollment and timetable audit log, newest first.
+ * College admins only see their own college's entries.
+ * Query: studentId?, courseId?, action?, from?, to?, collegeId? (super admins), limit?, offset?
+ */
+router.get('/audit', validate(schemas.auditLog), asyncHandler(async (req, res) => {
+  const { studentId, courseId, collegeId, action, from, to, limit, offset } = req.query;
+  const filters = { studentId, courseId, collegeId, action, from, to, limit, offset };
+
+  if (req.user.role === 'college_admin') {
+    filters.collegeId = req.user.collegeId;
+  }
+
+  const result = await auditService.getAuditLog(filters);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * GET /api/admin/notifications
+ * List the notification outbox, newest first. College admins only see their own college's students.
+ * Query: status? (pending, sending, sent, failed), studentId?, collegeId? (super admins), limit?, offset?
+ */
+router.get('/notifications', validate(schemas.notifications), asyncHandler(async (req, res) => {
+  const { status, studentId, collegeId, limit, offset } = req.query;
+  const filters = { status, studentId, collegeId, limit, offset };
+
+  if (req.user.role === 'college_admin') {
+    filters.collegeId = req.user.collegeId;
+  }
+
+  const result = await notificationService.getNotifications(filters);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/notifications/deliver
+ * Hand pending notifications to the configured sender. College admins only deliver
+ * notifications for their own college's students.
+ * Body: { limit? }
+ */
+router.post('/notifications/deliver', validate(schemas.deliverNotifications), asyncHandler(async (req, res) => {
+  const { limit } = req.body;
+
+  const result = await notificationService.deliverPending({
+    limit,
+    collegeId: req.user.role === 'college_admin' ? req.user.collegeId : null
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * GET /api/admin/colleges
+ * List colleges with their student and course counts. College admins only see their own.
+ * Query: search?, page?, pageSize?
+ */
+router.get('/colleges', validate(schemas.getColleges), asyncHandler(async (req, res) => {
+  const { search, page = 1, pageSize = 20 } = req.query;
+
+  const result = await collegeService.getColleges({
+    search: search || null,
+    collegeId: req.user.role === 'college_admin' ? req.user.collegeId : null,
+    page,
+    pageSize
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/college
+ * Create a college (super admins only)
+ * Body: { name, minCredits?, maxCredits?, minCreditPolicy?, timezone?, slotMinutes?, teachingStart?, teachingEnd? }
+ */
+router.post('/college', validate(schemas.createCollege), asyncHandler(async (req, res) => {
+  const { name, minCredits, maxCredits, minCreditPolicy, timezone, slotMinutes, teachingStart, teachingEnd } = req.body;
+
+  if (req.user.role !== 'super_admin') {
+    throw new ForbiddenError('FORBIDDEN', 'Only super admins can create colleges');
+  }
+
+  const result = await collegeService.createCollege({
+    name, minCredits, maxCredits, minCreditPolicy, timezone, slotMinutes, teachingStart, teachingEnd
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * GET /api/admin/college/:collegeId
+ * Get a college with counts of its students, courses, terms, rooms, instructors and admins
+ */
+router.get('/college/:collegeId', validate(schemas.getCollege), collegeFromParams, asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+
+  const result = await collegeService.getCollege(collegeId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * PUT /api/admin/college/:collegeId
+ * Rename a college or change its timezone or slot grid (credit limits are set via /credit-limits).
+ * Slots that no longer fit a changed grid are kept and come back as warnings.
+ * Body: { name?, timezone?, slotMinutes?, teachingStart?, teachingEnd? }
+ */
+router.put('/college/:collegeId', validate(schemas.updateCollege), collegeFromParams, asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+  const { name, timezone, slotMinutes, teachingStart, teachingEnd } = req.body;
+
+  const result = await collegeService.updateCollege(collegeId, { name, timezone, slotMinutes, teachingStart, teachingEnd });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * DELETE /api/admin/college/:collegeId
+ * Delete a college that has no students, courses or terms left (super admins only).
+ * Its rooms, instructors and admin accounts are deleted with it.
+ */
+router.delete('/college/:collegeId', validate(schemas.deleteCollege), asyncHandler(async (req, res) => {
+  const { collegeId } = req.params;
+
+  if (req.user.role !== 'super_admin') {
+    throw new ForbiddenError('FORBIDDEN', 'Only super admins can delete colleges');
+  }
+
+  const result = await collegeService.deleteCollege(collegeId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * GET /api/admin/students
+ * List students matched on name or email. College admins only see their own college's students.
+ * Query: collegeId? (super admins), search?, page?, pageSize?
+ */
+router.get('/students', validate(schemas.getStudents), asyncHandler(async (req, res) => {
+  const { search, page = 1, pageSize = 20 } = req.query;
+
+  const result = await studentService.getStudents({
+    collegeId: req.user.role === 'college_admin' ? req.user.collegeId : (req.query.collegeId || null),
+    search: search || null,
+    page,
+    pageSize
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/student
+ * Create a student record in a college (login accounts are created via /user)
+ * Body: { collegeId, name, email }
+ */
+router.post('/student', validate(schemas.createStudent), collegeFromBody, asyncHandler(async (req, res) => {
+  const { collegeId, name, email } = req.body;
+
+  const result = await studentService.createStudent({ collegeId, name, email });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * GET /api/admin/student/:studentId
+ * Get a student with their college, login account and enrollment history counts
+ */
+router.get('/student/:studentId', validate(schemas.getStudent), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+
+  const result = await studentService.getStudent(studentId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * PUT /api/admin/student/:studentId
+ * Update a student's name or email, or move them to another college (super admins only).
+ * Students may only take their own college's courses, so a move with enrollments or waitlist
+ * entries in current or upcoming terms needs confirm: true and withdraws them. The response
+ * lists the cross-college records found, including past enrollments kept as history.
+ * Body: { name?, email?, collegeId?, confirm?, reason? }
+ */
+router.put('/student/:studentId', validate(schemas.updateStudent), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const { name, email, collegeId } = req.body;
+
+  if (collegeId !== undefined && req.user.role !== 'super_admin' && collegeId !== req.user.collegeId) {
+    throw new ForbiddenError('FORBIDDEN', 'Only super admins can move students to another college');
+  }
+
+  const result = await studentService.updateStudent(
+    studentId, { name, email, collegeId }, getActor(req), { confirm: req.body.confirm === true }
+  );
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * DELETE /api/admin/student/:studentId
+ * Delete a student and their login account. A student with enrollments or waitlist entries
+ * in current or upcoming terms needs confirm: true; their seats go to waitlisted students.
+ * Body: { confirm?, reason? }
+ */
+router.delete('/student/:studentId', validate(schemas.deleteStudent), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+
+  const result = await studentService.deleteStudent(studentId, getActor(req), {
+    confirm: req.body.confirm === true
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/user
+ * Create a login account. College admins may only create accounts for their own college
+ * and may not create super admins.
+ * Body: { email, password, role, studentId?, collegeId? }
+ */
+router.post('/user', validate(schemas.createUser), requireCollegeAccess(req => (
+  req.body.role === 'student'
+    ? authService.getStudentCollegeId(req.body.studentId)
+    : parseInt(req.body.collegeId)
+)), asyncHandler(async (req, res) => {
+  const { email, password, role, studentId, collegeId } = req.body;
+
+  if (role === 'super_admin' && req.user.role !== 'super_admin') {
+    throw new ForbiddenError('FORBIDDEN', 'Only super admins can create super admin accounts');
+  }
+
+  const result = await authService.createUser({ email, password, role, studentId, collegeId });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
 
 module.exports = router;
\ No newline at end of file
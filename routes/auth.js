@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/auth');
+
+/**
+ * POST /api/auth/login
+ * Exchange credentials for a signed access token
+ * Body: { email: string, password: string }
+ */
+router.post('/login', validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const result = await authService.login(email, password);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+module.exports = router;
@@ -1,138 +1,242 @@
 const express = require('express');
 const router = express.Router();
 const enrollmentService = require('../services/enrollmentService');
+const scheduleService = require('../services/scheduleService');
+const calendarService = require('../services/calendarService');
+const { parseTermId, getActor } = require('../utils/params');
+const { requireStudentAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/enrollment');
+
+const studentFromParams = requireStudentAccess(req => req.params.studentId);
+const studentFromBody = requireStudentAccess(req => req.body.studentId);
 
 /**
  * POST /api/enrollment/enroll
- * Enroll a student in courses
- * Body: { studentId: number, courseIds: number[] }
+ * Enroll a student in courses for the current term (or termId)
+ * Body: { studentId: number, courseIds?: number[], sectionIds?: number[], termId?: number, reason?: string }
+ * (courseIds may only name courses that run a single section)
  */
-router.post('/enroll', async (req, res) => {
-  try {
-    const { studentId, courseIds } = req.body;
-
-    if (!studentId) {
-      return res.status(400).json({
-        success: false,
-        error: 'studentId is required'
-      });
-    }
-
-    if (!courseIds) {
-      return res.status(400).json({
-        success: false,
-        error: 'courseIds is required'
-      });
-    }
-
-    const result = await enrollmentService.saveStudentCourses(studentId, courseIds);
-
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
-
-    res.status(201).json(result);
-  } catch (error) {
-    console.error('Error in /enroll route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+router.post('/enroll', validate(schemas.enroll), studentFromBody, asyncHandler(async (req, res) => {
+  const { studentId, courseIds, sectionIds } = req.body;
+  const termId = parseTermId(req.body.termId);
+
+  const result = await enrollmentService.saveStudentCourses(studentId, { courseIds, sectionIds }, termId, getActor(req));
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.status(201).json(result);
+}));
+
+/**
+ * POST /api/enrollment/validate
+ * Check a course selection without enrolling and list every problem found, each with an error code
+ * Body: { studentId: number, courseIds?: number[], sectionIds?: number[], termId?: number }
+ */
+router.post('/validate', validate(schemas.validate), studentFromBody, asyncHandler(async (req, res) => {
+  const { studentId, courseIds, sectionIds } = req.body;
+  const termId = parseTermId(req.body.termId);
+
+  const result = await enrollmentService.validateEnrollment(studentId, { courseIds, sectionIds }, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/enrollment/schedules/generate
+ * Build clash-free schedules from a wishlist of courses, ranked by soft preferences
+ * Body: { studentId: number, courseIds: number[], mustHave?: number[], maxCredits?: number,
+ *         preferences?: { earliestStart?: string, latestEnd?: string, freeDays?: string[] },
+ *         limit?: number, termId?: number }
+ */
+router.post('/schedules/generate', validate(schemas.generateSchedules), studentFromBody, asyncHandler(async (req, res) => {
+  const { studentId, courseIds, mustHave, maxCredits, preferences, limit } = req.body;
+  const termId = parseTermId(req.body.termId);
+
+  const result = await scheduleService.generateSchedules(studentId, {
+    courseIds,
+    mustHave,
+    maxCredits,
+    preferences,
+    limit
+  }, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.json(result);
+}));
 
 /**
  * GET /api/enrollment/available/:studentId
- * Get available courses for a student
+ * Get course sections offered to a student in the current term (or ?termId), annotated
+ * with the student's enrollment status, clashes, requisites and seats
+ * Query: search?, eligibleOnly?, hideEnrolled?, hideClashes?, hideFull? (true/false),
+ *        sortBy? (code|name|credits|seatsLeft), order? (asc|desc), page?, pageSize?
  */
-router.get('/available/:studentId', async (req, res) => {
-  try {
-    const studentId = parseInt(req.params.studentId);
-
-    if (isNaN(studentId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid student ID'
-      });
-    }
-
-    const result = await enrollmentService.getAvailableCoursesForStudent(studentId);
-
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
-
-    res.json(result);
-  } catch (error) {
-    console.error('Error in /available route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+router.get('/available/:studentId', validate(schemas.available), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const termId = parseTermId(req.query.termId);
+  const { search, sortBy, order, page = 1, pageSize = 20 } = req.query;
+
+  const result = await enrollmentService.getAvailableCoursesForStudent(studentId, termId, {
+    search: search || null,
+    eligibleOnly: req.query.eligibleOnly === true,
+    hideEnrolled: req.query.hideEnrolled === true,
+    hideClashes: req.query.hideClashes === true,
+    hideFull: req.query.hideFull === true,
+    sortBy,
+    order,
+    page,
+    pageSize
+  });
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.json(result);
+}));
 
 /**
  * GET /api/enrollment/enrolled/:studentId
- * Get enrolled courses for a student
+ * Get a student's enrolled courses in the current term (or ?termId)
+ */
+router.get('/enrolled/:studentId', validate(schemas.enrolled), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const termId = parseTermId(req.query.termId);
+
+  const result = await enrollmentService.getEnrolledCourses(studentId, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * GET /api/enrollment/enrolled/:studentId/calendar.ics
+ * Download a student's timetable for the current term (or ?termId) as an iCalendar file
  */
-router.get('/enrolled/:studentId', async (req, res) => {
-  try {
-    const studentId = parseInt(req.params.studentId);
-
-    if (isNaN(studentId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid student ID'
-      });
-    }
-
-    const result = await enrollmentService.getEnrolledCourses(studentId);
-
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
-
-    res.json(result);
-  } catch (error) {
-    console.error('Error in /enrolled route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+router.get('/enrolled/:studentId/calendar.ics', validate(schemas.studentCalendar), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const termId = parseTermId(req.query.termId);
+
+  const result = await calendarService.getStudentCalendar(studentId, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.type('text/calendar; charset=utf-8');
+  res.attachment(result.filename);
+  res.send(result.calendar);
+}));
+
+/**
+ * GET /api/enrollment/timetable/:studentId
+ * Get a student's weekly timetable for the current term (or ?termId), grouped by day
+ * with free gaps and contact hours
+ */
+router.get('/timetable/:studentId', validate(schemas.weeklyTimetable), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const termId = parseTermId(req.query.termId);
+
+  const result = await enrollmentService.getWeeklyTimetable(studentId, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
 
 /**
  * DELETE /api/enrollment/drop
  * Drop a course
- * Body: { studentId: number, courseId: number }
+ * Body: { studentId: number, courseId: number, termId?: number, reason?: string }
+ */
+router.delete('/drop', validate(schemas.drop), studentFromBody, asyncHandler(async (req, res) => {
+  const { studentId, courseId } = req.body;
+  const termId = parseTermId(req.body.termId);
+
+  const result = await enrollmentService.dropCourse(studentId, courseId, termId, getActor(req));
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * POST /api/enrollment/swap
+ * Drop some courses and enroll in others in one step; nothing changes unless the whole swap succeeds
+ * Body: { studentId: number, dropCourseIds: number[], addCourseIds?: number[], addSectionIds?: number[],
+ *         termId?: number, reason?: string }
  */
-router.delete('/drop', async (req, res) => {
-  try {
-    const { studentId, courseId } = req.body;
-
-    if (!studentId || !courseId) {
-      return res.status(400).json({
-        success: false,
-        error: 'studentId and courseId are required'
-      });
-    }
-
-    const result = await enrollmentService.dropCourse(studentId, courseId);
-
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
-
-    res.json(result);
-  } catch (error) {
-    console.error('Error in /drop route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+router.post('/swap', validate(schemas.swap), studentFromBody, asyncHandler(async (req, res) => {
+  const { studentId, dropCourseIds, addCourseIds, addSectionIds } = req.body;
+  const termId = parseTermId(req.body.termId);
+
+  const result = await enrollmentService.swapCourses(
+    studentId,
+    dropCourseIds,
+    { courseIds: addCourseIds, sectionIds: addSectionIds },
+    termId,
+    getActor(req)
+  );
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
   }
-});
+
+  res.json(result);
+}));
+
+/**
+ * GET /api/enrollment/waitlist/:studentId
+ * Get a student's waitlist entries and their position in each queue (current term or ?termId)
+ */
+router.get('/waitlist/:studentId', validate(schemas.waitlist), studentFromParams, asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+  const termId = parseTermId(req.query.termId);
+
+  const result = await enrollmentService.getWaitlist(studentId, termId);
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
+
+/**
+ * DELETE /api/enrollment/waitlist
+ * Leave a course waitlist
+ * Body: { studentId: number, courseId: number, termId?: number, reason?: string }
+ */
+router.delete('/waitlist', validate(schemas.leaveWaitlist), studentFromBody, asyncHandler(async (req, res) => {
+  const { studentId, courseId } = req.body;
+  const termId = parseTermId(req.body.termId);
+
+  const result = await enrollmentService.leaveWaitlist(studentId, courseId, termId, getActor(req));
+
+  if (!result.success) {
+    throw AppError.fromResult(result);
+  }
+
+  res.json(result);
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,342 @@
+const {
+  id, requiredId, nullableId, reason, flag, dayOfWeek, time, credits, capacity,
+  search, page, pageSize, limit, offset, idParam
+} = require('./common');
+
+const name = { type: 'string', maxLength: 255 };
+const email = { type: 'email', maxLength: 255 };
+const courseCode = { type: 'string', maxLength: 20 };
+const sectionCode = { type: 'string', maxLength: 10 };
+const minCreditPolicy = { type: 'enum', values: ['warn', 'block'] };
+const timezone = { type: 'string', maxLength: 64 };
+const slotMinutes = { type: 'integer', min: 5, max: 240 };
+
+const newSlot = {
+  body: {
+    sectionId: requiredId,
+    dayOfWeek: { ...dayOfWeek, required: true },
+    startTime: { ...time, required: true },
+    endTime: { ...time, required: true },
+    roomId: id,
+    instructorId: id,
+    force: flag,
+    reason
+  }
+};
+
+const slotChanges = {
+  dayOfWeek,
+  startTime: time,
+  endTime: time,
+  roomId: nullableId,
+  instructorId: nullableId
+};
+
+const courseTermQuery = {
+  params: idParam('courseId'),
+  query: { termId: id }
+};
+
+module.exports = {
+  previewAddTimetable: newSlot,
+
+  previewUpdateTimetable: {
+    params: idParam('timetableId'),
+    body: slotChanges
+  },
+
+  addTimetable: newSlot,
+
+  updateTimetable: {
+    params: idParam('timetableId'),
+    body: { ...slotChanges, force: flag, reason },
+    atLeastOneOf: Object.keys(slotChanges)
+  },
+
+  deleteTimetable: {
+    params: idParam('timetableId'),
+    body: { confirm: flag, reason }
+  },
+
+  courseTimetable: courseTermQuery,
+
+  courseCalendar: courseTermQuery,
+
+  addCourse: {
+    body: {
+      courseCode: { ...courseCode, required: true },
+      courseName: { ...name, required: true },
+      collegeId: requiredId,
+      credits: { ...credits, min: 1 },
+      capacity: { ...capacity, nullable: true }
+    }
+  },
+
+  updateCourse: {
+    params: idParam('courseId'),
+    body: {
+      courseCode,
+      courseName: name,
+      credits: { ...credits, min: 1 },
+      capacity: { ...capacity, nullable: true },
+      confirm: flag,
+      reason
+    },
+    atLeastOneOf: ['courseCode', 'courseName', 'credits', 'capacity']
+  },
+
+  deleteCourse: {
+    params: idParam('courseId'),
+    body: { confirm: flag, permanent: flag, reason }
+  },
+
+  restoreCourse: {
+    params: idParam('courseId'),
+    body: { reason }
+  },
+
+  enrolledStudents: courseTermQuery,
+
+  getPrerequisites: {
+    params: idParam('courseId')
+  },
+
+  addPrerequisite: {
+    params: idParam('courseId'),
+    body: {
+      requiredCourseId: requiredId,
+      type: { type: 'enum', values: ['prerequisite', 'corequisite'] }
+    }
+  },
+
+  removePrerequisite: {
+    params: { courseId: requiredId, requiredCourseId: requiredId }
+  },
+
+  recordCompletedCourse: {
+    params: idParam('studentId'),
+    body: { courseId: requiredId }
+  },
+
+  createTerm: {
+    body: {
+      collegeId: requiredId,
+      name: { ...name, required: true },
+      startDate: { type: 'date', required: true },
+      endDate: { type: 'date', required: true },
+      enrollmentOpensAt: { type: 'datetime', required: true },
+      enrollmentClosesAt: { type: 'datetime', required: true }
+    }
+  },
+
+  updateTerm: {
+    params: idParam('termId'),
+    body: {
+      name,
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      enrollmentOpensAt: { type: 'datetime' },
+      enrollmentClosesAt: { type: 'datetime' }
+    },
+    atLeastOneOf: ['name', 'startDate', 'endDate', 'enrollmentOpensAt', 'enrollmentClosesAt']
+  },
+
+  collegeTerms: {
+    params: idParam('collegeId')
+  },
+
+  addOffering: {
+    params: idParam('termId'),
+    body: { courseId: requiredId }
+  },
+
+  getOfferings: {
+    params: idParam('termId')
+  },
+
+  addSection: {
+    params: idParam('courseId'),
+    body: {
+      sectionCode: { ...sectionCode, required: true },
+      capacity: { ...capacity, nullable: true },
+      termId: id
+    }
+  },
+
+  getSections: courseTermQuery,
+
+  updateSection: {
+    params: idParam('sectionId'),
+    body: {
+      sectionCode,
+      capacity: { ...capacity, nullable: true },
+      reason
+    },
+    atLeastOneOf: ['sectionCode', 'capacity']
+  },
+
+  addRoom: {
+    params: idParam('collegeId'),
+    body: {
+      roomCode: { type: 'string', required: true, maxLength: 20 },
+      building: { ...name, nullable: true },
+      capacity: { ...capacity, required: true }
+    }
+  },
+
+  getRooms: {
+    params: idParam('collegeId')
+  },
+
+  updateRoom: {
+    params: idParam('roomId'),
+    body: {
+      roomCode: { type: 'string', maxLength: 20 },
+      building: { ...name, nullable: true },
+      capacity
+    },
+    atLeastOneOf: ['roomCode', 'building', 'capacity']
+  },
+
+  addInstructor: {
+    params: idParam('collegeId'),
+    body: {
+      name: { ...name, required: true },
+      email: { ...email, nullable: true }
+    }
+  },
+
+  getInstructors: {
+    params: idParam('collegeId')
+  },
+
+  updateCreditLimits: {
+    params: idParam('collegeId'),
+    body: {
+      minCredits: credits,
+      maxCredits: { ...credits, min: 1, nullable: true },
+      minCreditPolicy
+    },
+    atLeastOneOf: ['minCredits', 'maxCredits', 'minCreditPolicy']
+  },
+
+  setCreditOverride: {
+    params: idParam('studentId'),
+    body: {
+      minCredits: { ...credits, nullable: true },
+      maxCredits: { ...credits, min: 1, nullable: true },
+      termId: id,
+      reason
+    },
+    atLeastOneOf: ['minCredits', 'maxCredits']
+  },
+
+  removeCreditOverride: {
+    params: idParam('studentId'),
+    query: { termId: id }
+  },
+
+  importCsv: {
+    params: {
+      entity: { type: 'enum', values: ['colleges', 'students', 'courses', 'timetables'], required: true }
+    },
+    query: {
+      mode: { type: 'enum', values: ['preview', 'commit'] }
+    }
+  },
+
+  auditLog: {
+    query: {
+      studentId: id,
+      courseId: id,
+      collegeId: id,
+      action: { type: 'string', maxLength: 50 },
+      from: { type: 'datetime' },
+      to: { type: 'datetime' },
+      limit,
+      offset
+    }
+  },
+
+  notifications: {
+    query: {
+      status: { type: 'enum', values: ['pending', 'sending', 'sent', 'failed'] },
+      studentId: id,
+      collegeId: id,
+      limit,
+      offset
+    }
+  },
+
+  deliverNotifications: {
+    body: { limit }
+  },
+
+  getColleges: {
+    query: { search, page, pageSize }
+  },
+
+  createCollege: {
+    body: {
+      name: { ...name, required: true },
+      minCredits: credits,
+      maxCredits: { ...credits, min: 1, nullable: true },
+      minCreditPolicy,
+      timezone,
+      slotMinutes,
+      teachingStart: time,
+      teachingEnd: time
+    }
+  },
+
+  getCollege: {
+    params: idParam('collegeId')
+  },
+
+  updateCollege: {
+    params: idParam('collegeId'),
+    body: { name, timezone, slotMinutes, teachingStart: time, teachingEnd: time },
+    atLeastOneOf: ['name', 'timezone', 'slotMinutes', 'teachingStart', 'teachingEnd']
+  },
+
+  deleteCollege: {
+    params: idParam('collegeId')
+  },
+
+  getStudents: {
+    query: { collegeId: id, search, page, pageSize }
+  },
+
+  createStudent: {
+    body: {
+      collegeId: requiredId,
+      name: { ...name, required: true },
+      email: { ...email, required: true }
+    }
+  },
+
+  getStudent: {
+    params: idParam('studentId')
+  },
+
+  updateStudent: {
+    params: idParam('studentId'),
+    body: { name, email, collegeId: id, confirm: flag, reason },
+    atLeastOneOf: ['name', 'email', 'collegeId']
+  },
+
+  deleteStudent: {
+    params: idParam('studentId'),
+    body: { confirm: flag, reason }
+  },
+
+  createUser: {
+    body: {
+      email: { ...email, required: true },
+      password: { type: 'string', required: true, minLength: 8, maxLength: 200 },
+      role: { type: 'enum', values: ['student', 'college_admin', 'super_admin'], required: true },
+      studentId: id,
+      collegeId: id
+    }
+  }
+};
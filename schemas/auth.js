@@ -0,0 +1,8 @@
+module.exports = {
+  login: {
+    body: {
+      email: { type: 'string', required: true, maxLength: 255 },
+      password: { type: 'string', required: true, maxLength: 200 }
+    }
+  }
+};
@@ -0,0 +1,44 @@
+const { DAYS_OF_WEEK } = require('../utils/validation');
+
+// Field rules shared by the route schemas
+const id = { type: 'integer', min: 1 };
+const requiredId = { ...id, required: true };
+const idList = { type: 'array', items: id, minItems: 1, maxItems: 50, unique: true };
+const nullableId = { ...id, nullable: true };
+const reason = { type: 'string', maxLength: 500 };
+const flag = { type: 'boolean' };
+const dayOfWeek = { type: 'enum', values: DAYS_OF_WEEK };
+const time = { type: 'time' };
+const credits = { type: 'integer', min: 0, max: 100 };
+const capacity = { type: 'integer', min: 1, max: 100000 };
+const search = { type: 'string', minLength: 0, maxLength: 100 };
+const page = { type: 'integer', min: 1 };
+const pageSize = { type: 'integer', min: 1, max: 100 };
+const limit = { type: 'integer', min: 1, max: 500 };
+const offset = { type: 'integer', min: 0 };
+
+/**
+ * Schema fragment for a route whose only path parameter is a resource ID
+ * @param {string} name - Parameter name (e.g., courseId)
+ * @returns {Object} params rules
+ */
+const idParam = (name) => ({ [name]: requiredId });
+
+module.exports = {
+  id,
+  requiredId,
+  idList,
+  nullableId,
+  reason,
+  flag,
+  dayOfWeek,
+  time,
+  credits,
+  capacity,
+  search,
+  page,
+  pageSize,
+  limit,
+  offset,
+  idParam
+};
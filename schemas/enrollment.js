@@ -0,0 +1,91 @@
+const { id, requiredId, idList, reason, flag, dayOfWeek, time, credits, search, page, pageSize, idParam } = require('./common');
+
+const studentTermQuery = {
+  params: idParam('studentId'),
+  query: { termId: id }
+};
+
+const selection = {
+  body: {
+    studentId: requiredId,
+    courseIds: idList,
+    sectionIds: idList,
+    termId: id,
+    reason
+  },
+  atLeastOneOf: ['courseIds', 'sectionIds']
+};
+
+const courseAction = {
+  body: {
+    studentId: requiredId,
+    courseId: requiredId,
+    termId: id,
+    reason
+  }
+};
+
+module.exports = {
+  enroll: selection,
+
+  validate: selection,
+
+  generateSchedules: {
+    body: {
+      studentId: requiredId,
+      courseIds: { ...idList, required: true, maxItems: 15 },
+      mustHave: { ...idList, minItems: 0, maxItems: 15 },
+      maxCredits: { ...credits, min: 1 },
+      preferences: {
+        type: 'object',
+        properties: {
+          earliestStart: time,
+          latestEnd: time,
+          freeDays: { type: 'array', items: dayOfWeek, maxItems: 7, unique: true }
+        }
+      },
+      limit: { type: 'integer', min: 1, max: 100 },
+      termId: id
+    }
+  },
+
+  available: {
+    params: idParam('studentId'),
+    query: {
+      termId: id,
+      search,
+      eligibleOnly: flag,
+      hideEnrolled: flag,
+      hideClashes: flag,
+      hideFull: flag,
+      sortBy: { type: 'enum', values: ['code', 'name', 'credits', 'seatsLeft'] },
+      order: { type: 'enum', values: ['asc', 'desc'] },
+      page,
+      pageSize
+    }
+  },
+
+  enrolled: studentTermQuery,
+
+  studentCalendar: studentTermQuery,
+
+  weeklyTimetable: studentTermQuery,
+
+  drop: courseAction,
+
+  swap: {
+    body: {
+      studentId: requiredId,
+      dropCourseIds: { ...idList, required: true },
+      addCourseIds: idList,
+      addSectionIds: idList,
+      termId: id,
+      reason
+    },
+    atLeastOneOf: ['addCourseIds', 'addSectionIds']
+  },
+
+  waitlist: studentTermQuery,
+
+  leaveWaitlist: courseAction
+};
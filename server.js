@@ -0,0 +1,23 @@
+const app = require('./app');
+const idempotencyService = require('./services/idempotencyService');
+const { purgeIntervalMinutes } = require('./config/idempotency');
+
+const PORT = process.env.PORT || 3000;
+
+console.log('Environment variables:');
+console.log('DB_CLIENT:', process.env.DB_CLIENT || 'mysql');
+console.log('DB_HOST:', process.env.DB_HOST);
+console.log('DB_USER:', process.env.DB_USER);
+console.log('DB_PASSWORD:', process.env.DB_PASSWORD);
+console.log('DB_NAME:', process.env.DB_NAME);
+console.log('DB_PORT:', process.env.DB_PORT);
+
+// Start server
+app.listen(PORT, () => {
+  console.log(`Server is running on port ${PORT}`);
+  console.log(`Health check: http://localhost:${PORT}/health`);
+  console.log(`API docs: http://localhost:${PORT}/`);
+
+  // Stored Idempotency-Key responses expire; clear them out so the table does not keep growing
+  idempotencyService.schedulePurge(purgeIntervalMinutes);
+});
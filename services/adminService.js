@@ -1,112 +1,474 @@
 const db = require('../config/database');
+const termService = require('./termService');
+const auditService = require('./auditService');
+const resourceService = require('./resourceService');
+const enrollmentService = require('./enrollmentService');
+const notificationService = require('./notificationService');
+const collegeService = require('./collegeService');
+const { normalizeTime, compareTimes, checkSlotGrid } = require('../utils/time');
 
 class AdminService {
   /**
-   * Add a new timetable slot for a course
-   * @param {number} courseId - The ID of the course
+   * Add a new timetable slot for a course section. Times are wall-clock times in the college's
+   * timezone and must fit its slot grid.
+   * @param {number} sectionId - The ID of the section
    * @param {string} dayOfWeek - Day of the week
-   * @param {string} startTime - Start time (HH:MM:SS)
-   * @param {string} endTime - End time (HH:MM:SS)
+   * @param {string} startTime - Start time (any format utils/time.js parses)
+   * @param {string} endTime - End time
+   * @param {Object} resources - { roomId, instructorId } to book for the slot (either may be omitted)
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - { force }: add the slot even if it clashes with enrolled students' classes
    * @returns {Object} Result object
    */
-  async addTimetable(courseId, dayOfWeek, startTime, endTime) {
+  async addTimetable(sectionId, dayOfWeek, startTime, endTime, { roomId = null, instructorId = null } = {}, actor = {}, { force = false } = {}) {
+    const validation = this.validateTimetableSlot(dayOfWeek, startTime, endTime);
+    if (!validation.success) {
+      return validation;
+    }
+
+    ({ startTime, endTime } = validation);
+
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Verify the section exists (and lock it, so no one enrolls while the slot is checked)
+      const [sectionRows] = await connection.query(
+        `SELECT s.section_id, s.section_code, s.course_id, s.term_id, c.college_id, c.course_code, c.course_name,
+                c.archived_at
+         FROM course_sections s
+         JOIN courses c ON s.course_id = c.course_id
+         WHERE s.section_id = ?
+         FOR UPDATE`,
+        [sectionId]
+      );
+
+      if (sectionRows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'SECTION_NOT_FOUND',
+          error: 'Section not found'
+        };
+      }
+
+      const result = await this.insertTimetable(
+        connection, sectionRows[0], { dayOfWeek, startTime, endTime, roomId, instructorId }, actor, { force }
+      );
+
+      if (!result.success) {
+        await connection.rollback();
+        return result;
+      }
+
+      await connection.commit();
+
+      return result;
+
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in addTimetable:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to add timetable'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Check the day and times of a timetable slot and normalize the times
+   * @param {string} dayOfWeek - Day of the week
+   * @param {string} startTime - Start time (any format utils/time.js parses)
+   * @param {string} endTime - End time
+   * @returns {Object} { success, startTime, endTime } with the times as HH:MM:SS, or
+   *   { success: false, code, error }
+   */
+  validateTimetableSlot(dayOfWeek, startTime, endTime) {
     const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
     
     if (!validDays.includes(dayOfWeek)) {
       return {
         success: false,
+        code: 'INVALID_INPUT',
         error: 'Invalid day of week. Must be one of: ' + validDays.join(', ')
       };
     }
 
-    if (startTime >= endTime) {
+    const start = normalizeTime(startTime);
+    const end = normalizeTime(endTime);
+
+    if (start === null || end === null) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'startTime and endTime must be times of day such as 09:30 or 2:15 pm'
+      };
+    }
+
+    if (compareTimes(start, end) >= 0) {
       return {
         success: false,
+        code: 'INVALID_TIME_RANGE',
         error: 'Start time must be before end time'
       };
     }
 
-    const connection = await db.getConnection();
+    return { success: true, startTime: start, endTime: end };
+  }
 
-    try {
-      await connection.beginTransaction();
+  /**
+   * Check a slot's times against its college's slot grid and teaching hours
+   * @param {Object} connection - Database connection
+   * @param {number} collegeId - College the slot belongs to
+   * @param {Object} slot - { startTime, endTime } (HH:MM:SS)
+   * @returns {Object} { success } or { success: false, code, error }
+   */
+  async checkCollegeSlotGrid(connection, collegeId, slot) {
+    const settings = await collegeService.getTimeSettings(connection, collegeId);
+    return checkSlotGrid(slot, settings);
+  }
 
-      // Verify course exists
-      const [courseRows] = await connection.query(
-        'SELECT course_id, course_code FROM courses WHERE course_id = ?',
-        [courseId]
+  /**
+   * Insert a timetable slot inside the caller's transaction after checking it against the
+   * college's slot grid, enrolled students' timetables and room/instructor bookings.
+   * Does not commit or roll back.
+   * With force, clashes with enrolled students' classes no longer block the slot: the clashing
+   * enrollments are marked in conflict and each affected student is sent a notification.
+   * Double bookings always block.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} section - Section row with section_id, section_code, course_id, term_id, college_id
+   *   and archived_at of the course
+   * @param {Object} slot - { dayOfWeek, startTime, endTime, roomId, instructorId } with times as HH:MM:SS
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - { force }
+   * @returns {Object} Result object
+   */
+  async insertTimetable(connection, section, { dayOfWeek, startTime, endTime, roomId = null, instructorId = null }, actor = {}, { force = false } = {}) {
+    const sectionId = section.section_id;
+    const courseId = section.course_id;
+    const slot = { dayOfWeek, startTime, endTime, roomId, instructorId };
+
+    if (section.archived_at) {
+      return {
+        success: false,
+        code: 'COURSE_ARCHIVED',
+        error: 'Course is archived; restore it before adding timetable slots'
+      };
+    }
+
+    const grid = await this.checkCollegeSlotGrid(connection, section.college_id, slot);
+    if (!grid.success) {
+      return grid;
+    }
+
+    const { conflicts, affectedStudents, booking } = await this.assessTimetableSlot(connection, section, slot);
+
+    if (conflicts.length > 0 && !force) {
+      return {
+        success: false,
+        code: 'TIMETABLE_CLASH',
+        error: `Cannot add timetable: Would create conflicts for ${affectedStudents.length} enrolled student(s). Preview the change, or resend with force to add it anyway`,
+        conflicts,
+        affectedStudents
+      };
+    }
+
+    // Make sure the room and instructor are free at this time
+    if (!booking.success) {
+      return booking;
+    }
+
+    // Insert the new timetable
+    const [result] = await connection.query(
+      `INSERT INTO timetables (course_id, term_id, section_id, day_of_week, start_time, end_time, room_id, instructor_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [courseId, section.term_id, sectionId, dayOfWeek, startTime, endTime, roomId, instructorId]
+    );
+
+    const warnings = await resourceService.getRoomWarnings(connection, booking.room, sectionId, result.insertId);
+
+    let notificationsQueued = 0;
+    if (affectedStudents.length > 0) {
+      await enrollmentService.refreshConflictFlags(
+        connection, affectedStudents.map(student => student.studentId), section.term_id
       );
+      notificationsQueued = await this.queueConflictNotifications(connection, section, {
+        timetableId: result.insertId,
+        before: null,
+        after: slot,
+        affectedStudents,
+        actor
+      });
+    }
 
-      if (courseRows.length === 0) {
-        await connection.rollback();
-        return {
-          success: false,
-          error: 'Course not found'
-        };
+    await auditService.record(connection, {
+      action: 'timetable_add',
+      actor,
+      collegeId: section.college_id,
+      courseId,
+      termId: section.term_id,
+      timetableId: result.insertId,
+      after: {
+        sectionCode: section.section_code,
+        dayOfWeek,
+        startTime,
+        endTime,
+        roomId,
+        instructorId,
+        ...this.forcedAuditFields(affectedStudents)
       }
+    });
 
-      // Check if this would create conflicts with existing enrollments
-      const [enrolledStudents] = await connection.query(
-        `SELECT DISTINCT sc.student_id, s.name
-         FROM student_courses sc
-         JOIN students s ON sc.student_id = s.student_id
-         WHERE sc.course_id = ?`,
-        [courseId]
-      );
+    return {
+      success: true,
+      message: 'Timetable added successfully',
+      data: {
+        timetableId: result.insertId,
+        courseId,
+        sectionId,
+        termId: section.term_id,
+        dayOfWeek,
+        startTime,
+        endTime,
+        roomId,
+        instructorId
+      },
+      warnings,
+      affectedStudents,
+      notificationsQueued
+    };
+  }
+
+  /**
+   * Work out what a timetable slot would do: which enrolled students of its section it would
+   * put in a clash and whether its room and instructor are free. Locks the room and instructor.
+   * When an existing slot is being changed, clashes it already had are not counted again.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} section - Section row with section_id, term_id and college_id
+   * @param {Object} slot - { dayOfWeek, startTime, endTime, roomId, instructorId }
+   * @param {number|null} excludeTimetableId - Slot being moved, ignored when looking for double bookings
+   * @param {Object|null} previousSlot - Current { dayOfWeek, startTime, endTime } of the slot being moved
+   * @returns {Object} { conflicts, affectedStudents, booking } where booking is the checkBookings result
+   */
+  async assessTimetableSlot(connection, section, slot, excludeTimetableId = null, previousSlot = null) {
+    let conflicts = await this.findStudentConflicts(connection, section.section_id, slot);
+
+    if (previousSlot && conflicts.length > 0) {
+      const existing = await this.findStudentConflicts(connection, section.section_id, previousSlot);
+      const existingKeys = new Set(existing.map(row => `${row.student_id}:${row.timetable_id}`));
+      conflicts = conflicts.filter(row => !existingKeys.has(`${row.student_id}:${row.timetable_id}`));
+    }
+
+    const byStudent = new Map();
+    for (const row of conflicts) {
+      if (!byStudent.has(row.student_id)) {
+        byStudent.set(row.student_id, {
+          studentId: row.student_id,
+          name: row.name,
+          email: row.email,
+          clashes: []
+        });
+      }
+      byStudent.get(row.student_id).clashes.push({
+        timetableId: row.timetable_id,
+        sectionId: row.section_id,
+        courseCode: row.course_code,
+        sectionCode: row.section_code,
+        dayOfWeek: row.day_of_week,
+        startTime: row.start_time,
+        endTime: row.end_time
+      });
+    }
 
-      if (enrolledStudents.length > 0) {
-        // Check if any of these students have conflicts
-        const [conflicts] = await connection.query(
-          `SELECT DISTINCT s.student_id, s.name, c.course_code, t.day_of_week, t.start_time, t.end_time
-           FROM student_courses sc1
-           JOIN students s ON sc1.student_id = s.student_id
-           JOIN student_courses sc2 ON s.student_id = sc2.student_id
-           JOIN timetables t ON sc2.course_id = t.course_id
+    const booking = await resourceService.checkBookings(connection, {
+      collegeId: section.college_id,
+      termId: section.term_id,
+      dayOfWeek: slot.dayOfWeek,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      roomId: slot.roomId,
+      instructorId: slot.instructorId,
+      excludeTimetableId
+    });
+
+    return {
+      conflicts,
+      affectedStudents: [...byStudent.values()],
+      booking
+    };
+  }
+
+  /**
+   * Find the classes of other sections that a section's enrolled students take at the time of a slot
+   * @param {Object} connection - Database connection
+   * @param {number} sectionId - The section the slot belongs to
+   * @param {Object} slot - { dayOfWeek, startTime, endTime }
+   * @returns {Array} One row per student and overlapping class
+   */
+  async findStudentConflicts(connection, sectionId, { dayOfWeek, startTime, endTime }) {
+    const [conflicts] = await connection.query(
+      `SELECT DISTINCT s.student_id, s.name, s.email, c.course_code, cs.section_code,
+              t.timetable_id, t.section_id, t.day_of_week, t.start_time, t.end_time
+       FROM student_courses sc1
+       JOIN students s ON sc1.student_id = s.student_id
+       JOIN student_courses sc2 ON s.student_id = sc2.student_id AND sc2.term_id = sc1.term_id
+       JOIN timetables t ON sc2.section_id = t.section_id
+       JOIN courses c ON t.course_id = c.course_id
+       JOIN course_sections cs ON t.section_id = cs.section_id
+       WHERE sc1.section_id = ?
+       AND sc2.section_id != sc1.section_id
+       AND t.day_of_week = ?
+       AND t.start_time < ?
+       AND t.end_time > ?
+       ORDER BY s.student_id, t.start_time`,
+      [sectionId, dayOfWeek, endTime, startTime]
+    );
+
+    return conflicts;
+  }
+
+  /**
+   * Preview adding or changing a timetable slot without saving anything: the enrolled
+   * students it would put in a clash (and with which classes), double bookings of its room
+   * or instructor, and room size warnings.
+   * @param {Object} change - The proposed slot
+   * @param {number} [change.sectionId] - Section for a new slot
+   * @param {number} [change.timetableId] - Existing slot to change (omitted fields keep their values)
+   * @param {string} [change.dayOfWeek] - Day of the week
+   * @param {string} [change.startTime] - Start time
+   * @param {string} [change.endTime] - End time
+   * @param {number|null} [change.roomId] - Room to book (null for none)
+   * @param {number|null} [change.instructorId] - Instructor to book (null for none)
+   * @returns {Object} Result object with the impact of the change
+   */
+  async previewTimetableChange({ sectionId = null, timetableId = null, dayOfWeek, startTime, endTime, roomId, instructorId }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      let target;
+      let before = null;
+
+      if (timetableId) {
+        const [timetableRows] = await connection.query(
+          `SELECT t.*, c.college_id, c.course_code, s.section_code
+           FROM timetables t
            JOIN courses c ON t.course_id = c.course_id
-           WHERE sc1.course_id = ?
-           AND t.day_of_week = ?
-           AND t.start_time < ?
-           AND t.end_time > ?
-           AND sc2.course_id != ?`,
-          [courseId, dayOfWeek, endTime, startTime, courseId]
+           JOIN course_sections s ON t.section_id = s.section_id
+           WHERE t.timetable_id = ?`,
+          [timetableId]
         );
 
-        if (conflicts.length > 0) {
+        if (timetableRows.length === 0) {
           await connection.rollback();
           return {
             success: false,
-            error: `Cannot add timetable: Would create conflicts for ${conflicts.length} enrolled student(s)`,
-            conflicts: conflicts
+            code: 'TIMETABLE_NOT_FOUND',
+            error: 'Timetable not found'
           };
         }
+
+        target = timetableRows[0];
+        before = {
+          dayOfWeek: target.day_of_week,
+          startTime: target.start_time,
+          endTime: target.end_time,
+          roomId: target.room_id,
+          instructorId: target.instructor_id
+        };
+      } else {
+        const [sectionRows] = await connection.query(
+          `SELECT s.section_id, s.section_code, s.course_id, s.term_id, c.college_id, c.course_code
+           FROM course_sections s
+           JOIN courses c ON s.course_id = c.course_id
+           WHERE s.section_id = ?`,
+          [sectionId]
+        );
+
+        if (sectionRows.length === 0) {
+          await connection.rollback();
+          return {
+            success: false,
+            code: 'SECTION_NOT_FOUND',
+            error: 'Section not found'
+          };
+        }
+
+        target = sectionRows[0];
       }
 
-      // Insert the new timetable
-      const [result] = await connection.query(
-        'INSERT INTO timetables (course_id, day_of_week, start_time, end_time) VALUES (?, ?, ?, ?)',
-        [courseId, dayOfWeek, startTime, endTime]
+      const after = {
+        dayOfWeek: dayOfWeek || (before && before.dayOfWeek),
+        startTime: startTime || (before && before.startTime),
+        endTime: endTime || (before && before.endTime),
+        roomId: roomId !== undefined ? roomId : (before ? before.roomId : null),
+        instructorId: instructorId !== undefined ? instructorId : (before ? before.instructorId : null)
+      };
+
+      const validation = this.validateTimetableSlot(after.dayOfWeek, after.startTime, after.endTime);
+      if (!validation.success) {
+        await connection.rollback();
+        return validation;
+      }
+
+      after.startTime = validation.startTime;
+      after.endTime = validation.endTime;
+
+      // Slots kept from before a grid change may stay off the grid until their times are changed
+      if (!timetableId || startTime || endTime) {
+        const grid = await this.checkCollegeSlotGrid(connection, target.college_id, after);
+        if (!grid.success) {
+          await connection.rollback();
+          return grid;
+        }
+      }
+
+      const { affectedStudents, booking } = await this.assessTimetableSlot(
+        connection, target, after, timetableId, before
       );
 
-      await connection.commit();
+      // A missing room or instructor is an input error rather than part of the impact
+      if (!booking.success && !booking.bookingConflicts) {
+        await connection.rollback();
+        return booking;
+      }
+
+      const warnings = await resourceService.getRoomWarnings(connection, booking.room, target.section_id, timetableId);
+      const bookingConflicts = booking.bookingConflicts || [];
+
+      await connection.rollback();
 
       return {
         success: true,
-        message: 'Timetable added successfully',
         data: {
-          timetableId: result.insertId,
-          courseId,
-          dayOfWeek,
-          startTime,
-          endTime
+          action: timetableId ? 'update' : 'add',
+          timetableId,
+          courseId: target.course_id,
+          courseCode: target.course_code,
+          sectionId: target.section_id,
+          sectionCode: target.section_code,
+          termId: target.term_id,
+          before,
+          after,
+          affectedStudents,
+          bookingConflicts,
+          warnings,
+          canApply: bookingConflicts.length === 0,
+          requiresForce: affectedStudents.length > 0
         }
       };
-
     } catch (error) {
       await connection.rollback();
-      console.error('Error in addTimetable:', error);
+      console.error('Error in previewTimetableChange:', error);
       return {
         success: false,
-        error: 'Failed to add timetable'
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to preview timetable change'
       };
     } finally {
       connection.release();
@@ -114,18 +476,115 @@ class AdminService {
   }
 
   /**
-   * Update an existing timetable slot
+   * Queue a notification for each student a forced timetable change puts in a clash.
+   * Runs inside the caller's transaction so nothing is sent for a change that is rolled back.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} section - Row with section_id, section_code, course_id, term_id and ideally course_code
+   * @param {Object} change - { timetableId, before, after, affectedStudents, actor }
+   * @returns {number} Number of notifications queued
+   */
+  async queueConflictNotifications(connection, section, { timetableId, before, after, affectedStudents, actor = {} }) {
+    let courseCode = section.course_code;
+    if (!courseCode) {
+      const [courseRows] = await connection.query(
+        'SELECT course_code FROM courses WHERE course_id = ?',
+        [section.course_id]
+      );
+      courseCode = courseRows[0].course_code;
+    }
+
+    const className = `${courseCode}-${section.section_code}`;
+    const describe = slot => `${slot.dayOfWeek} ${slot.startTime}-${slot.endTime}`;
+    const change = before
+      ? `${className} has moved from ${describe(before)} to ${describe(after)}.`
+      : `${className} has a new class on ${describe(after)}.`;
+
+    for (const student of affectedStudents) {
+      const clashList = student.clashes
+        .map(clash => `${clash.courseCode}-${clash.sectionCode} (${clash.dayOfWeek} ${clash.startTime}-${clash.endTime})`)
+        .join(', ');
+
+      const body = [
+        `Hello ${student.name},`,
+        '',
+        change,
+        `It now overlaps with ${clashList} on your timetable.`,
+        actor.reason ? `Reason given: ${actor.reason}` : null,
+        '',
+        'Please switch sections or contact your registrar to resolve the clash.'
+      ].filter(line => line !== null).join('\n');
+
+      await notificationService.queue(connection, {
+        studentId: student.studentId,
+        type: 'timetable_conflict',
+        subject: `Timetable change: ${className} now clashes with your schedule`,
+        body,
+        payload: {
+          timetableId,
+          courseId: section.course_id,
+          courseCode,
+          sectionId: section.section_id,
+          sectionCode: section.section_code,
+          termId: section.term_id,
+          before,
+          after,
+          clashes: student.clashes
+        }
+      });
+    }
+
+    return affectedStudents.length;
+  }
+
+  /**
+   * Audit fields recording that a timetable change was forced through student clashes
+   * @param {Array} affectedStudents - Students the change put in a clash
+   * @returns {Object} { forced, affectedStudentIds }, or an empty object when nobody was affected
+   */
+  forcedAuditFields(affectedStudents) {
+    if (affectedStudents.length === 0) {
+      return {};
+    }
+
+    return {
+      forced: true,
+      affectedStudentIds: affectedStudents.map(student => student.studentId)
+    };
+  }
+
+  /**
+   * Recompute the conflict flags of everyone enrolled in a section
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} sectionId - The section whose timetable changed
+   * @param {number} termId - The section's term
+   */
+  async refreshSectionConflictFlags(connection, sectionId, termId) {
+    const [studentRows] = await connection.query(
+      'SELECT student_id FROM student_courses WHERE section_id = ?',
+      [sectionId]
+    );
+
+    await enrollmentService.refreshConflictFlags(connection, studentRows.map(row => row.student_id), termId);
+  }
+
+  /**
+   * Update an existing timetable slot. Changed times must fit the college's slot grid.
    * @param {number} timetableId - The ID of the timetable to update
-   * @param {Object} updates - Object containing dayOfWeek, startTime, endTime
+   * @param {Object} updates - Object containing dayOfWeek, startTime, endTime, roomId, instructorId
+   *   (null roomId or instructorId releases the booking)
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - { force }: move the slot even if it clashes with enrolled students'
+   *   classes; the clashing enrollments are marked in conflict and the students notified
    * @returns {Object} Result object
    */
-  async updateTimetable(timetableId, updates) {
-    const { dayOfWeek, startTime, endTime } = updates;
+  async updateTimetable(timetableId, updates, actor = {}, { force = false } = {}) {
+    const { dayOfWeek, startTime, endTime, roomId, instructorId } = updates;
     const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
     
     if (dayOfWeek && !validDays.includes(dayOfWeek)) {
       return {
         success: false,
+        code: 'INVALID_INPUT',
         error: 'Invalid day of week'
       };
     }
@@ -137,7 +596,12 @@ class AdminService {
 
       // Get existing timetable
       const [timetableRows] = await connection.query(
-        'SELECT * FROM timetables WHERE timetable_id = ?',
+        `SELECT t.*, c.college_id, c.course_code, s.section_code
+         FROM timetables t
+         JOIN courses c ON t.course_id = c.course_id
+         JOIN course_sections s ON t.section_id = s.section_id
+         WHERE t.timetable_id = ?
+         FOR UPDATE`,
         [timetableId]
       );
 
@@ -145,6 +609,7 @@ class AdminService {
         await connection.rollback();
         return {
           success: false,
+          code: 'TIMETABLE_NOT_FOUND',
           error: 'Timetable not found'
         };
       }
@@ -153,46 +618,103 @@ class AdminService {
       const newDayOfWeek = dayOfWeek || existingTimetable.day_of_week;
       const newStartTime = startTime || existingTimetable.start_time;
       const newEndTime = endTime || existingTimetable.end_time;
+      const newRoomId = roomId !== undefined ? roomId : existingTimetable.room_id;
+      const newInstructorId = instructorId !== undefined ? instructorId : existingTimetable.instructor_id;
 
-      if (newStartTime >= newEndTime) {
+      const validation = this.validateTimetableSlot(newDayOfWeek, newStartTime, newEndTime);
+      if (!validation.success) {
         await connection.rollback();
-        return {
-          success: false,
-          error: 'Start time must be before end time'
-        };
+        return validation;
       }
 
-      // Check for conflicts with enrolled students
-      const [conflicts] = await connection.query(
-        `SELECT DISTINCT s.student_id, s.name, c.course_code, t.day_of_week, t.start_time, t.end_time
-         FROM student_courses sc1
-         JOIN students s ON sc1.student_id = s.student_id
-         JOIN student_courses sc2 ON s.student_id = sc2.student_id
-         JOIN timetables t ON sc2.course_id = t.course_id
-         JOIN courses c ON t.course_id = c.course_id
-         WHERE sc1.course_id = ?
-         AND t.day_of_week = ?
-         AND t.start_time < ?
-         AND t.end_time > ?
-         AND t.timetable_id != ?`,
-        [existingTimetable.course_id, newDayOfWeek, newEndTime, newStartTime, timetableId]
+      // Slots kept from before a grid change may stay off the grid until their times are changed
+      if (startTime || endTime) {
+        const grid = await this.checkCollegeSlotGrid(connection, existingTimetable.college_id, validation);
+        if (!grid.success) {
+          await connection.rollback();
+          return grid;
+        }
+      }
+
+      const before = {
+        dayOfWeek: existingTimetable.day_of_week,
+        startTime: existingTimetable.start_time,
+        endTime: existingTimetable.end_time,
+        roomId: existingTimetable.room_id,
+        instructorId: existingTimetable.instructor_id
+      };
+      const newSlot = {
+        dayOfWeek: newDayOfWeek,
+        startTime: validation.startTime,
+        endTime: validation.endTime,
+        roomId: newRoomId,
+        instructorId: newInstructorId
+      };
+
+      // Check for new conflicts with enrolled students and double bookings at the new time
+      const { conflicts, affectedStudents, booking } = await this.assessTimetableSlot(
+        connection, existingTimetable, newSlot, timetableId, before
       );
 
-      if (conflicts.length > 0) {
+      if (conflicts.length > 0 && !force) {
         await connection.rollback();
         return {
           success: false,
-          error: `Cannot update timetable: Would create conflicts for ${conflicts.length} enrolled student(s)`,
-          conflicts: conflicts
+          code: 'TIMETABLE_CLASH',
+          error: `Cannot update timetable: Would create conflicts for ${affectedStudents.length} enrolled student(s). Preview the change, or resend with force to apply it anyway`,
+          conflicts,
+          affectedStudents
         };
       }
 
+      if (!booking.success) {
+        await connection.rollback();
+        return booking;
+      }
+
       // Update the timetable
       await connection.query(
-        'UPDATE timetables SET day_of_week = ?, start_time = ?, end_time = ? WHERE timetable_id = ?',
-        [newDayOfWeek, newStartTime, newEndTime, timetableId]
+        `UPDATE timetables
+         SET day_of_week = ?, start_time = ?, end_time = ?, room_id = ?, instructor_id = ?
+         WHERE timetable_id = ?`,
+        [newDayOfWeek, newSlot.startTime, newSlot.endTime, newRoomId, newInstructorId, timetableId]
+      );
+
+      const warnings = await resourceService.getRoomWarnings(
+        connection, booking.room, existingTimetable.section_id, timetableId
       );
 
+      // Moving a slot can both create clashes and resolve earlier forced ones
+      await this.refreshSectionConflictFlags(connection, existingTimetable.section_id, existingTimetable.term_id);
+
+      const notificationsQueued = affectedStudents.length > 0
+        ? await this.queueConflictNotifications(connection, existingTimetable, {
+          timetableId,
+          before,
+          after: newSlot,
+          affectedStudents,
+          actor
+        })
+        : 0;
+
+      await auditService.record(connection, {
+        action: 'timetable_update',
+        actor,
+        collegeId: existingTimetable.college_id,
+        courseId: existingTimetable.course_id,
+        termId: existingTimetable.term_id,
+        timetableId,
+        before: {
+          sectionCode: existingTimetable.section_code,
+          ...before
+        },
+        after: {
+          sectionCode: existingTimetable.section_code,
+          ...newSlot,
+          ...this.forcedAuditFields(affectedStudents)
+        }
+      });
+
       await connection.commit();
 
       return {
@@ -200,10 +722,17 @@ class AdminService {
         message: 'Timetable updated successfully',
         data: {
           timetableId,
+          sectionId: existingTimetable.section_id,
+          termId: existingTimetable.term_id,
           dayOfWeek: newDayOfWeek,
-          startTime: newStartTime,
-          endTime: newEndTime
-        }
+          startTime: newSlot.startTime,
+          endTime: newSlot.endTime,
+          roomId: newRoomId,
+          instructorId: newInstructorId
+        },
+        warnings,
+        affectedStudents,
+        notificationsQueued
       };
 
     } catch (error) {
@@ -211,6 +740,7 @@ class AdminService {
       console.error('Error in updateTimetable:', error);
       return {
         success: false,
+        code: 'INTERNAL_ERROR',
         error: 'Failed to update timetable'
       };
     } finally {
@@ -219,62 +749,195 @@ class AdminService {
   }
 
   /**
-   * Delete a timetable slot
+   * Delete a timetable slot. If students are enrolled in its section the delete needs
+   * confirm, and each of them is notified that the class no longer meets. The slot's
+   * details stay in the audit log.
    * @param {number} timetableId - The ID of the timetable to delete
-   * @returns {Object} Result object
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - { confirm }
+   * @returns {Object} Result object with the number of students affected
    */
-  async deleteTimetable(timetableId) {
+  async deleteTimetable(timetableId, actor = {}, { confirm = false } = {}) {
+    const connection = await db.getConnection();
+
     try {
-      const [result] = await db.query(
-        'DELETE FROM timetables WHERE timetable_id = ?',
+      await connection.beginTransaction();
+
+      const [timetableRows] = await connection.query(
+        `SELECT t.*, c.college_id, c.course_code, s.section_code
+         FROM timetables t
+         JOIN courses c ON t.course_id = c.course_id
+         JOIN course_sections s ON t.section_id = s.section_id
+         WHERE t.timetable_id = ?
+         FOR UPDATE`,
         [timetableId]
       );
 
-      if (result.affectedRows === 0) {
+      if (timetableRows.length === 0) {
+        await connection.rollback();
         return {
           success: false,
+          code: 'TIMETABLE_NOT_FOUND',
           error: 'Timetable not found'
         };
       }
 
+      const timetable = timetableRows[0];
+
+      const [enrolled] = await connection.query(
+        `SELECT sc.student_id, s.name
+         FROM student_courses sc
+         JOIN students s ON sc.student_id = s.student_id
+         WHERE sc.section_id = ?`,
+        [timetable.section_id]
+      );
+      const [[{ remaining_slots: remainingSlots }]] = await connection.query(
+        'SELECT COUNT(*) AS remaining_slots FROM timetables WHERE section_id = ? AND timetable_id != ?',
+        [timetable.section_id, timetableId]
+      );
+      const impact = {
+        enrolledStudents: enrolled.length,
+        remainingSlots: Number(remainingSlots)
+      };
+
+      if (enrolled.length > 0 && !confirm) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'CONFIRMATION_REQUIRED',
+          error: `${enrolled.length} student(s) are enrolled in ${timetable.course_code}-${timetable.section_code}. Resend with confirm to delete the slot and notify them`,
+          requiresConfirmation: true,
+          impact
+        };
+      }
+
+      await connection.query(
+        'DELETE FROM timetables WHERE timetable_id = ?',
+        [timetableId]
+      );
+
+      // Removing a class may resolve clashes created by an earlier forced change
+      await this.refreshSectionConflictFlags(connection, timetable.section_id, timetable.term_id);
+
+      const slotText = `${timetable.day_of_week} ${timetable.start_time}-${timetable.end_time}`;
+      for (const student of enrolled) {
+        await notificationService.queue(connection, {
+          studentId: student.student_id,
+          type: 'timetable_cancelled',
+          subject: `Timetable change: ${timetable.course_code}-${timetable.section_code} no longer meets ${slotText}`,
+          body: [
+            `Hello ${student.name},`,
+            '',
+            `The ${slotText} class of ${timetable.course_code}-${timetable.section_code} has been removed from the timetable.`,
+            actor.reason ? `Reason given: ${actor.reason}` : null
+          ].filter(line => line !== null).join('\n'),
+          payload: {
+            timetableId,
+            courseId: timetable.course_id,
+            courseCode: timetable.course_code,
+            sectionId: timetable.section_id,
+            sectionCode: timetable.section_code,
+            termId: timetable.term_id,
+            before: {
+              dayOfWeek: timetable.day_of_week,
+              startTime: timetable.start_time,
+              endTime: timetable.end_time
+            }
+          }
+        });
+      }
+
+      await auditService.record(connection, {
+        action: 'timetable_delete',
+        actor,
+        collegeId: timetable.college_id,
+        courseId: timetable.course_id,
+        termId: timetable.term_id,
+        timetableId,
+        before: {
+          sectionCode: timetable.section_code,
+          dayOfWeek: timetable.day_of_week,
+          startTime: timetable.start_time,
+          endTime: timetable.end_time,
+          roomId: timetable.room_id,
+          instructorId: timetable.instructor_id
+        }
+      });
+
+      await connection.commit();
+
       return {
         success: true,
-        message: 'Timetable deleted successfully'
+        message: 'Timetable deleted successfully',
+        data: {
+          timetableId,
+          sectionId: timetable.section_id
+        },
+        impact,
+        notificationsQueued: enrolled.length
       };
     } catch (error) {
+      await connection.rollback();
       console.error('Error in deleteTimetable:', error);
       return {
         success: false,
+        code: 'INTERNAL_ERROR',
         error: 'Failed to delete timetable'
       };
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Get all timetables for a course
+   * Get all timetables for a course in a term, section by section, with the timezone their times are in.
+   * Slots whose room seats fewer students than the section has enrolled are flagged room_too_small.
    * @param {number} courseId - The ID of the course
+   * @param {number|null} termId - Term to list, or null for the current term
    * @returns {Object} Result object with timetables
    */
-  async getCourseTimetables(courseId) {
+  async getCourseTimetables(courseId, termId = null) {
     try {
+      const termResult = await this.resolveCourseTerm(db, courseId, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
       const [rows] = await db.query(
-        `SELECT t.*, c.course_code, c.course_name
+        `SELECT t.*, c.course_code, c.course_name, s.section_code,
+                r.room_code, r.capacity AS room_capacity, i.name AS instructor_name,
+                (SELECT COUNT(*) FROM student_courses sc WHERE sc.section_id = t.section_id) AS enrolled_count
          FROM timetables t
          JOIN courses c ON t.course_id = c.course_id
-         WHERE t.course_id = ?
-         ORDER BY FIELD(t.day_of_week, 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'), 
+         JOIN course_sections s ON t.section_id = s.section_id
+         LEFT JOIN rooms r ON t.room_id = r.room_id
+         LEFT JOIN instructors i ON t.instructor_id = i.instructor_id
+         WHERE t.course_id = ? AND t.term_id = ?
+         ORDER BY s.section_code,
+                  FIELD(t.day_of_week, 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'), 
                   t.start_time`,
-        [courseId]
+        [courseId, termResult.term.term_id]
       );
 
+      const { timezone } = await collegeService.getTimeSettings(db, termResult.course.college_id);
+
       return {
         success: true,
-        data: rows
+        term: {
+          termId: termResult.term.term_id,
+          name: termResult.term.name
+        },
+        timezone,
+        data: rows.map(row => ({
+          ...row,
+          room_too_small: row.room_capacity !== null && row.enrolled_count > row.room_capacity
+        }))
       };
     } catch (error) {
       console.error('Error in getCourseTimetables:', error);
       return {
         success: false,
+        code: 'INTERNAL_ERROR',
         error: 'Failed to fetch timetables'
       };
     }
@@ -286,69 +949,1200 @@ class AdminService {
    * @param {string} courseName - Course name
    * @param {number} collegeId - College ID
    * @param {number} credits - Number of credits
+   * @param {number|null} capacity - Default seat limit of the course's sections, or null for unlimited
    * @returns {Object} Result object
    */
-  async addCourse(courseCode, courseName, collegeId, credits = 3) {
+  async addCourse(courseCode, courseName, collegeId, credits = 3, capacity = null) {
     try {
-      const [result] = await db.query(
-        'INSERT INTO courses (course_code, course_name, college_id, credits) VALUES (?, ?, ?, ?)',
-        [courseCode, courseName, collegeId, credits]
-      );
-
-      return {
-        success: true,
-        message: 'Course added successfully',
-        data: {
-          courseId: result.insertId,
-          courseCode,
-          courseName,
-          collegeId,
-          credits
-        }
-      };
+      return await this.insertCourse(db, { courseCode, courseName, collegeId, credits, capacity });
     } catch (error) {
       console.error('Error in addCourse:', error);
-      if (error.code === 'ER_DUP_ENTRY') {
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to add course'
+      };
+    }
+  }
+
+  /**
+   * Validate and insert a course using the given connection
+   * @param {Object} connection - Database connection (or the pool)
+   * @param {Object} course - { courseCode, courseName, collegeId, credits, capacity }
+   * @returns {Object} Result object
+   */
+  async insertCourse(connection, { courseCode, courseName, collegeId, credits = 3, capacity = null }) {
+    const validation = this.validateCourseFields({ credits, capacity });
+    if (!validation.success) {
+      return validation;
+    }
+
+    try {
+      const [result] = await connection.query(
+        'INSERT INTO courses (course_code, course_name, college_id, credits, capacity) VALUES (?, ?, ?, ?, ?)',
+        [courseCode, courseName, collegeId, credits, capacity]
+      );
+
+      return {
+        success: true,
+        message: 'Course added successfully',
+        data: {
+          courseId: result.insertId,
+          courseCode,
+          courseName,
+          collegeId,
+          credits,
+          capacity
+        }
+      };
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_COURSE_CODE',
+          error: 'Course code already exists for this college'
+        };
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check the credits and default capacity of a course
+   * @param {Object} fields - { credits, capacity } (capacity null for unlimited)
+   * @returns {Object} { success } or { success: false, code, error }
+   */
+  validateCourseFields({ credits, capacity }) {
+    if (!Number.isInteger(credits) || credits <= 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Credits must be a positive integer'
+      };
+    }
+
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity <= 0)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Capacity must be a positive integer'
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Count what a course change touches. Enrollments and waitlist entries are active while
+   * their term has not ended; enrollments in finished terms are history.
+   * @param {Object} connection - Database connection
+   * @param {number} courseId - The ID of the course
+   * @returns {Object} Counts of active and past enrollments, students, waitlist entries,
+   *   completions, requisite rules, sections and timetable slots
+   */
+  async getCourseImpact(connection, courseId) {
+    const [[enrollments]] = await connection.query(
+      `SELECT COALESCE(SUM(t.end_date >= CURDATE()), 0) AS active_enrollments,
+              COUNT(DISTINCT CASE WHEN t.end_date >= CURDATE() THEN sc.student_id END) AS active_students,
+              COALESCE(SUM(t.end_date < CURDATE()), 0) AS past_enrollments
+       FROM student_courses sc
+       JOIN terms t ON sc.term_id = t.term_id
+       WHERE sc.course_id = ?`,
+      [courseId]
+    );
+
+    const [[counts]] = await connection.query(
+      `SELECT (SELECT COUNT(*) FROM course_waitlist w JOIN terms t ON w.term_id = t.term_id
+               WHERE w.course_id = ? AND t.end_date >= CURDATE()) AS waitlisted,
+              (SELECT COUNT(*) FROM completed_courses WHERE course_id = ?) AS completions,
+              (SELECT COUNT(*) FROM course_requisites WHERE course_id = ? OR required_course_id = ?) AS requisite_rules,
+              (SELECT COUNT(*) FROM course_sections WHERE course_id = ?) AS sections,
+              (SELECT COUNT(*) FROM timetables WHERE course_id = ?) AS timetable_slots`,
+      [courseId, courseId, courseId, courseId, courseId, courseId]
+    );
+
+    return {
+      activeEnrollments: Number(enrollments.active_enrollments),
+      activeStudents: Number(enrollments.active_students),
+      pastEnrollments: Number(enrollments.past_enrollments),
+      waitlisted: Number(counts.waitlisted),
+      completions: Number(counts.completions),
+      requisiteRules: Number(counts.requisite_rules),
+      sections: Number(counts.sections),
+      timetableSlots: Number(counts.timetable_slots)
+    };
+  }
+
+  /**
+   * Update a course's code, name, credits or default section capacity.
+   * Changing the credits of a course with active enrollments changes those students' credit
+   * loads, so it needs confirm; students it takes over their maximum are returned as warnings.
+   * @param {number} courseId - The ID of the course
+   * @param {Object} updates - Any of courseCode, courseName, credits, capacity (null for unlimited)
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - { confirm }
+   * @returns {Object} Result object
+   */
+  async updateCourse(courseId, updates, actor = {}, { confirm = false } = {}) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [courseRows] = await connection.query(
+        'SELECT * FROM courses WHERE course_id = ? FOR UPDATE',
+        [courseId]
+      );
+
+      if (courseRows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'COURSE_NOT_FOUND',
+          error: 'Course not found'
+        };
+      }
+
+      const existing = courseRows[0];
+
+      if (existing.archived_at) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'COURSE_ARCHIVED',
+          error: 'Course is archived; restore it before editing'
+        };
+      }
+
+      const merged = {
+        courseCode: updates.courseCode !== undefined ? updates.courseCode : existing.course_code,
+        courseName: updates.courseName !== undefined ? updates.courseName : existing.course_name,
+        credits: updates.credits !== undefined ? updates.credits : existing.credits,
+        capacity: updates.capacity !== undefined ? updates.capacity : existing.capacity
+      };
+
+      const validation = this.validateCourseFields(merged);
+      if (!validation.success) {
+        await connection.rollback();
+        return validation;
+      }
+
+      const impact = await this.getCourseImpact(connection, courseId);
+      const creditsChanged = merged.credits !== existing.credits;
+
+      if (creditsChanged && impact.activeEnrollments > 0 && !confirm) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'CONFIRMATION_REQUIRED',
+          error: `Changing credits from ${existing.credits} to ${merged.credits} changes the credit load of ${impact.activeStudents} enrolled student(s). Resend with confirm to apply it`,
+          requiresConfirmation: true,
+          impact
+        };
+      }
+
+      await connection.query(
+        `UPDATE courses
+         SET course_code = ?, course_name = ?, credits = ?, capacity = ?
+         WHERE course_id = ?`,
+        [merged.courseCode, merged.courseName, merged.credits, merged.capacity, courseId]
+      );
+
+      const warnings = [];
+      if (creditsChanged && impact.activeEnrollments > 0) {
+        const [enrolled] = await connection.query(
+          `SELECT sc.student_id, sc.term_id, s.college_id
+           FROM student_courses sc
+           JOIN students s ON sc.student_id = s.student_id
+           JOIN terms t ON sc.term_id = t.term_id
+           WHERE sc.course_id = ? AND t.end_date >= CURDATE()`,
+          [courseId]
+        );
+
+        for (const row of enrolled) {
+          const creditStatus = await enrollmentService.getCreditStatus(connection, row, row.term_id);
+          if (creditStatus.maxCredits !== null && creditStatus.totalCredits > creditStatus.maxCredits) {
+            warnings.push({
+              code: 'CREDIT_LIMIT_EXCEEDED',
+              message: `Student ${row.student_id} now has ${creditStatus.totalCredits} credits, over the maximum of ${creditStatus.maxCredits}`,
+              studentId: row.student_id,
+              termId: row.term_id,
+              totalCredits: creditStatus.totalCredits,
+              maxCredits: creditStatus.maxCredits
+            });
+          }
+        }
+      }
+
+      await auditService.record(connection, {
+        action: 'course_update',
+        actor,
+        collegeId: existing.college_id,
+        courseId,
+        before: {
+          courseCode: existing.course_code,
+          courseName: existing.course_name,
+          credits: existing.credits,
+          capacity: existing.capacity
+        },
+        after: merged
+      });
+
+      await connection.commit();
+
+      return {
+        success: true,
+        message: 'Course updated successfully',
+        data: {
+          courseId,
+          collegeId: existing.college_id,
+          ...merged
+        },
+        impact,
+        warnings
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in updateCourse:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_COURSE_CODE',
+          error: 'Course code already exists for this college'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to update course'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete a course. By default the course is archived: it leaves the catalog and can no
+   * longer be offered or enrolled in, while its sections, timetables, past enrollments and
+   * completions are kept. If students are enrolled or waitlisted in a term that has not
+   * ended, the archive needs confirm; those enrollments and waitlist entries are then
+   * withdrawn (each recorded in the audit log) and the students notified.
+   * permanent removes the course and everything attached to it, and is only allowed for a
+   * course that nobody has ever enrolled in or completed.
+   * @param {number} courseId - The ID of the course
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - { confirm, permanent }
+   * @returns {Object} Result object with the impact of the deletion
+   */
+  async deleteCourse(courseId, actor = {}, { confirm = false, permanent = false } = {}) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [courseRows] = await connection.query(
+        'SELECT * FROM courses WHERE course_id = ? FOR UPDATE',
+        [courseId]
+      );
+
+      if (courseRows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'COURSE_NOT_FOUND',
+          error: 'Course not found'
+        };
+      }
+
+      const course = courseRows[0];
+      const impact = await this.getCourseImpact(connection, courseId);
+      const before = {
+        courseCode: course.course_code,
+        courseName: course.course_name,
+        credits: course.credits,
+        capacity: course.capacity
+      };
+
+      if (permanent) {
+        if (impact.activeEnrollments + impact.pastEnrollments + impact.waitlisted + impact.completions > 0) {
+          await connection.rollback();
+          return {
+            success: false,
+            code: 'COURSE_HAS_HISTORY',
+            error: 'Course has enrollment or completion records and cannot be deleted permanently; archive it instead',
+            impact
+          };
+        }
+
+        await connection.query('DELETE FROM courses WHERE course_id = ?', [courseId]);
+
+        await auditService.record(connection, {
+          action: 'course_delete',
+          actor,
+          collegeId: course.college_id,
+          courseId,
+          before
+        });
+
+        await connection.commit();
+
+        return {
+          success: true,
+          message: 'Course deleted permanently',
+          data: { courseId, permanent: true },
+          impact
+        };
+      }
+
+      if (course.archived_at) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'ALREADY_ARCHIVED',
+          error: 'Course is already archived'
+        };
+      }
+
+      if (impact.activeEnrollments + impact.waitlisted > 0 && !confirm) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'CONFIRMATION_REQUIRED',
+          error: `Course has ${impact.activeEnrollments} active enrollment(s) and ${impact.waitlisted} waitlisted student(s). Resend with confirm to archive it and withdraw them`,
+          requiresConfirmation: true,
+          impact
+        };
+      }
+
+      const withdrawn = await this.withdrawActiveStudents(connection, course, actor);
+
+      await connection.query(
+        'UPDATE courses SET archived_at = CURRENT_TIMESTAMP WHERE course_id = ?',
+        [courseId]
+      );
+
+      await auditService.record(connection, {
+        action: 'course_archive',
+        actor,
+        collegeId: course.college_id,
+        courseId,
+        before,
+        after: {
+          archived: true,
+          withdrawnEnrollments: withdrawn.enrollments,
+          removedWaitlistEntries: withdrawn.waitlistEntries
+        }
+      });
+
+      await connection.commit();
+
+      return {
+        success: true,
+        message: 'Course archived successfully',
+        data: {
+          courseId,
+          permanent: false,
+          withdrawnEnrollments: withdrawn.enrollments,
+          removedWaitlistEntries: withdrawn.waitlistEntries,
+          notificationsQueued: withdrawn.notificationsQueued
+        },
+        impact
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in deleteCourse:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to delete course'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Withdraw every enrollment and waitlist entry a course has in terms that have not ended,
+   * auditing each one and notifying each student once. Does not commit or roll back.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} course - Course row
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} { enrollments, waitlistEntries, notificationsQueued }
+   */
+  async withdrawActiveStudents(connection, course, actor = {}) {
+    const [enrollments] = await connection.query(
+      `SELECT sc.enrollment_id, sc.student_id, sc.term_id, sc.enrolled_at, s.section_code, t.name AS term_name
+       FROM student_courses sc
+       JOIN course_sections s ON sc.section_id = s.section_id
+       JOIN terms t ON sc.term_id = t.term_id
+       WHERE sc.course_id = ? AND t.end_date >= CURDATE()
+       FOR UPDATE`,
+      [course.course_id]
+    );
+
+    const [waitlistEntries] = await connection.query(
+      `SELECT w.waitlist_id, w.student_id, w.term_id, w.created_at, s.section_code, t.name AS term_name
+       FROM course_waitlist w
+       JOIN course_sections s ON w.section_id = s.section_id
+       JOIN terms t ON w.term_id = t.term_id
+       WHERE w.course_id = ? AND t.end_date >= CURDATE()
+       FOR UPDATE`,
+      [course.course_id]
+    );
+
+    for (const enrollment of enrollments) {
+      await connection.query('DELETE FROM student_courses WHERE enrollment_id = ?', [enrollment.enrollment_id]);
+      await enrollmentService.refreshConflictFlags(connection, [enrollment.student_id], enrollment.term_id);
+      await auditService.record(connection, {
+        action: 'drop',
+        actor,
+        collegeId: course.college_id,
+        studentId: enrollment.student_id,
+        courseId: course.course_id,
+        termId: enrollment.term_id,
+        before: {
+          status: 'enrolled',
+          courseCode: course.course_code,
+          sectionCode: enrollment.section_code,
+          enrolledAt: enrollment.enrolled_at
+        }
+      });
+    }
+
+    for (const entry of waitlistEntries) {
+      await connection.query('DELETE FROM course_waitlist WHERE waitlist_id = ?', [entry.waitlist_id]);
+      await auditService.record(connection, {
+        action: 'waitlist_leave',
+        actor,
+        collegeId: course.college_id,
+        studentId: entry.student_id,
+        courseId: course.course_id,
+        termId: entry.term_id,
+        before: {
+          status: 'waitlisted',
+          courseCode: course.course_code,
+          sectionCode: entry.section_code,
+          joinedAt: entry.created_at
+        }
+      });
+    }
+
+    const notified = new Set();
+    for (const row of [...enrollments, ...waitlistEntries]) {
+      const key = `${row.student_id}:${row.term_id}`;
+      if (notified.has(key)) {
+        continue;
+      }
+      notified.add(key);
+
+      const wasEnrolled = enrollments.includes(row);
+      await notificationService.queue(connection, {
+        studentId: row.student_id,
+        type: 'course_withdrawn',
+        subject: `${course.course_code} has been withdrawn`,
+        body: [
+          `${course.course_code} ${course.course_name} has been withdrawn from the ${row.term_name} catalog.`,
+          wasEnrolled
+            ? `Your enrollment in section ${row.section_code} has been cancelled.`
+            : `Your place on the waitlist for section ${row.section_code} has been removed.`,
+          actor.reason ? `Reason given: ${actor.reason}` : null,
+          '',
+          'Please choose another course if you need the credits.'
+        ].filter(line => line !== null).join('\n'),
+        payload: {
+          courseId: course.course_id,
+          courseCode: course.course_code,
+          termId: row.term_id,
+          sectionCode: row.section_code,
+          status: wasEnrolled ? 'enrolled' : 'waitlisted'
+        }
+      });
+    }
+
+    return {
+      enrollments: enrollments.length,
+      waitlistEntries: waitlistEntries.length,
+      notificationsQueued: notified.size
+    };
+  }
+
+  /**
+   * Bring an archived course back into the catalog. Enrollments withdrawn when it was
+   * archived are not restored.
+   * @param {number} courseId - The ID of the course
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} Result object
+   */
+  async restoreCourse(courseId, actor = {}) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [courseRows] = await connection.query(
+        'SELECT * FROM courses WHERE course_id = ? FOR UPDATE',
+        [courseId]
+      );
+
+      if (courseRows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'COURSE_NOT_FOUND',
+          error: 'Course not found'
+        };
+      }
+
+      const course = courseRows[0];
+
+      if (!course.archived_at) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'COURSE_NOT_ARCHIVED',
+          error: 'Course is not archived'
+        };
+      }
+
+      await connection.query('UPDATE courses SET archived_at = NULL WHERE course_id = ?', [courseId]);
+
+      await auditService.record(connection, {
+        action: 'course_restore',
+        actor,
+        collegeId: course.college_id,
+        courseId,
+        before: { archived: true, archivedAt: course.archived_at },
+        after: { archived: false }
+      });
+
+      await connection.commit();
+
+      return {
+        success: true,
+        message: 'Course restored successfully',
+        data: {
+          courseId,
+          courseCode: course.course_code
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in restoreCourse:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to restore course'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get the prerequisite and corequisite rules of a course
+   * @param {number} courseId - The ID of the course
+   * @returns {Object} Result object with the course's rules
+   */
+  async getCourseRequisites(courseId) {
+    try {
+      const [rows] = await db.query(
+        `SELECT cr.requisite_id, cr.required_course_id, rc.course_code AS required_course_code,
+                rc.course_name AS required_course_name, cr.requisite_type
+         FROM course_requisites cr
+         JOIN courses rc ON cr.required_course_id = rc.course_id
+         WHERE cr.course_id = ?
+         ORDER BY cr.requisite_type, rc.course_code`,
+        [courseId]
+      );
+
+      return {
+        success: true,
+        data: {
+          courseId,
+          prerequisites: rows.filter(r => r.requisite_type === 'prerequisite'),
+          corequisites: rows.filter(r => r.requisite_type === 'corequisite')
+        }
+      };
+    } catch (error) {
+      console.error('Error in getCourseRequisites:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch course prerequisites'
+      };
+    }
+  }
+
+  /**
+   * Add a prerequisite or corequisite rule to a course
+   * @param {number} courseId - The ID of the course the rule applies to
+   * @param {number} requiredCourseId - The ID of the required course
+   * @param {string} requisiteType - 'prerequisite' or 'corequisite'
+   * @returns {Object} Result object
+   */
+  async addCourseRequisite(courseId, requiredCourseId, requisiteType = 'prerequisite') {
+    const validTypes = ['prerequisite', 'corequisite'];
+
+    if (!validTypes.includes(requisiteType)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid requisite type. Must be one of: ' + validTypes.join(', ')
+      };
+    }
+
+    if (courseId === requiredCourseId) {
+      return {
+        success: false,
+        code: 'REQUISITE_CYCLE',
+        error: 'A course cannot require itself'
+      };
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [courseRows] = await connection.query(
+        'SELECT course_id, course_code, college_id FROM courses WHERE course_id IN (?) FOR UPDATE',
+        [[courseId, requiredCourseId]]
+      );
+
+      const course = courseRows.find(c => c.course_id === courseId);
+      const requiredCourse = courseRows.find(c => c.course_id === requiredCourseId);
+
+      if (!course || !requiredCourse) {
+        await connection.rollback();
         return {
           success: false,
-          error: 'Course code already exists for this college'
+          code: 'COURSE_NOT_FOUND',
+          error: 'Course not found'
+        };
+      }
+
+      if (course.college_id !== requiredCourse.college_id) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'CROSS_COLLEGE',
+          error: 'Required course must belong to the same college'
+        };
+      }
+
+      // A prerequisite has to be taken in an earlier term and a corequisite no later than the
+      // course, so a loop of rules containing a prerequisite could never be satisfied. A loop
+      // of corequisites alone is fine: those courses are taken together.
+      const cyclePath = await this.findRequisitePath(
+        connection,
+        course.college_id,
+        requiredCourseId,
+        courseId,
+        requisiteType !== 'prerequisite'
+      );
+
+      if (cyclePath) {
+        await connection.rollback();
+        const [pathRows] = await connection.query(
+          'SELECT course_id, course_code FROM courses WHERE course_id IN (?)',
+          [cyclePath]
+        );
+        const codes = [courseId, ...cyclePath].map(id => pathRows.find(c => c.course_id === id).course_code);
+        return {
+          success: false,
+          code: 'REQUISITE_CYCLE',
+          error: `Requisite cycle detected: ${codes.join(' -> ')}`
+        };
+      }
+
+      const [result] = await connection.query(
+        'INSERT INTO course_requisites (course_id, required_course_id, requisite_type) VALUES (?, ?, ?)',
+        [courseId, requiredCourseId, requisiteType]
+      );
+
+      await connection.commit();
+
+      return {
+        success: true,
+        message: `${requisiteType === 'prerequisite' ? 'Prerequisite' : 'Corequisite'} added successfully`,
+        data: {
+          requisiteId: result.insertId,
+          courseId,
+          requiredCourseId,
+          requisiteType
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in addCourseRequisite:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_REQUISITE',
+          error: 'A rule between these courses already exists'
         };
       }
       return {
         success: false,
-        error: 'Failed to add course'
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to add course prerequisite'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find a chain of prerequisite and corequisite rules leading from one course to another
+   * @param {Object} connection - Database connection to query with
+   * @param {number} collegeId - College whose rules are searched
+   * @param {number} fromCourseId - Course to start from
+   * @param {number} toCourseId - Course to look for
+   * @param {boolean} [needsPrerequisite=false] - Only accept a chain with at least one prerequisite rule
+   * @returns {number[]|null} Course IDs along the chain, or null if there is none
+   */
+  async findRequisitePath(connection, collegeId, fromCourseId, toCourseId, needsPrerequisite = false) {
+    const [edges] = await connection.query(
+      `SELECT cr.course_id, cr.required_course_id, cr.requisite_type
+       FROM course_requisites cr
+       JOIN courses c ON cr.course_id = c.course_id
+       WHERE c.college_id = ?`,
+      [collegeId]
+    );
+
+    const requiredBy = {};
+    for (const edge of edges) {
+      if (!requiredBy[edge.course_id]) {
+        requiredBy[edge.course_id] = [];
+      }
+      requiredBy[edge.course_id].push(edge);
+    }
+
+    // A course is revisited once a prerequisite has been crossed, since only then can it
+    // lead somewhere the first visit could not
+    const visited = new Set();
+    const search = (currentId, hasPrerequisite, path) => {
+      if (currentId === toCourseId && (hasPrerequisite || !needsPrerequisite)) {
+        return path;
+      }
+      const key = `${currentId}:${hasPrerequisite}`;
+      if (visited.has(key)) {
+        return null;
+      }
+      visited.add(key);
+
+      for (const edge of requiredBy[currentId] || []) {
+        const nextId = edge.required_course_id;
+        const found = search(nextId, hasPrerequisite || edge.requisite_type === 'prerequisite', [...path, nextId]);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+
+    return search(fromCourseId, false, [fromCourseId]);
+  }
+
+  /**
+   * Remove a prerequisite or corequisite rule from a course
+   * @param {number} courseId - The ID of the course
+   * @param {number} requiredCourseId - The ID of the required course
+   * @returns {Object} Result object
+   */
+  async removeCourseRequisite(courseId, requiredCourseId) {
+    try {
+      const [result] = await db.query(
+        'DELETE FROM course_requisites WHERE course_id = ? AND required_course_id = ?',
+        [courseId, requiredCourseId]
+      );
+
+      if (result.affectedRows === 0) {
+        return {
+          success: false,
+          code: 'REQUISITE_NOT_FOUND',
+          error: 'Prerequisite rule not found'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Prerequisite rule removed successfully'
+      };
+    } catch (error) {
+      console.error('Error in removeCourseRequisite:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to remove course prerequisite'
+      };
+    }
+  }
+
+  /**
+   * Record that a student has completed a course, satisfying it as a prerequisite
+   * @param {number} studentId - The ID of the student
+   * @param {number} courseId - The ID of the completed course
+   * @returns {Object} Result object
+   */
+  async recordCompletedCourse(studentId, courseId) {
+    try {
+      const [rows] = await db.query(
+        `SELECT s.college_id AS student_college_id, c.college_id AS course_college_id
+         FROM students s, courses c
+         WHERE s.student_id = ? AND c.course_id = ?`,
+        [studentId, courseId]
+      );
+
+      if (rows.length === 0) {
+        return {
+          success: false,
+          code: 'NOT_FOUND',
+          error: 'Student or course not found'
+        };
+      }
+
+      if (rows[0].student_college_id !== rows[0].course_college_id) {
+        return {
+          success: false,
+          code: 'CROSS_COLLEGE',
+          error: 'Course does not belong to student\'s college'
+        };
+      }
+
+      await db.query(
+        'INSERT INTO completed_courses (student_id, course_id) VALUES (?, ?)',
+        [studentId, courseId]
+      );
+
+      return {
+        success: true,
+        message: 'Completed course recorded successfully',
+        data: {
+          studentId,
+          courseId
+        }
+      };
+    } catch (error) {
+      console.error('Error in recordCompletedCourse:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'ALREADY_COMPLETED',
+          error: 'Course is already recorded as completed'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to record completed course'
       };
     }
   }
 
   /**
-   * Get students enrolled in a specific course
+   * Get students enrolled in a specific course during a term
    * @param {number} courseId - The ID of the course
+   * @param {number|null} termId - Term to list, or null for the current term
    * @returns {Object} Result object with enrolled students
    */
-  async getEnrolledStudents(courseId) {
+  async getEnrolledStudents(courseId, termId = null) {
     try {
+      const termResult = await this.resolveCourseTerm(db, courseId, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
       const [rows] = await db.query(
-        `SELECT s.student_id, s.name, s.email, sc.enrolled_at
+        `SELECT s.student_id, s.name, s.email, sc.section_id, sec.section_code, sc.enrolled_at, sc.in_conflict
          FROM student_courses sc
          JOIN students s ON sc.student_id = s.student_id
-         WHERE sc.course_id = ?
-         ORDER BY s.name`,
-        [courseId]
+         JOIN course_sections sec ON sc.section_id = sec.section_id
+         WHERE sc.course_id = ? AND sc.term_id = ?
+         ORDER BY sec.section_code, s.name`,
+        [courseId, termResult.term.term_id]
       );
 
       return {
         success: true,
-        data: rows
+        term: {
+          termId: termResult.term.term_id,
+          name: termResult.term.name
+        },
+        data: rows.map(row => ({ ...row, in_conflict: Boolean(row.in_conflict) }))
       };
     } catch (error) {
       console.error('Error in getEnrolledStudents:', error);
       return {
         success: false,
+        code: 'INTERNAL_ERROR',
         error: 'Failed to fetch enrolled students'
       };
     }
   }
+
+  /**
+   * Update a college's credit load limits
+   * @param {number} collegeId - The ID of the college
+   * @param {Object} limits - Any of minCredits, maxCredits (null for no maximum), minCreditPolicy ('warn' or 'block')
+   * @returns {Object} Result object
+   */
+  async updateCollegeCreditLimits(collegeId, limits) {
+    const validPolicies = ['warn', 'block'];
+
+    if (limits.minCreditPolicy !== undefined && !validPolicies.includes(limits.minCreditPolicy)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid minimum credit policy. Must be one of: ' + validPolicies.join(', ')
+      };
+    }
+
+    try {
+      const [collegeRows] = await db.query(
+        'SELECT college_id, min_credits, max_credits, min_credit_policy FROM colleges WHERE college_id = ?',
+        [collegeId]
+      );
+
+      if (collegeRows.length === 0) {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+
+      const existing = collegeRows[0];
+      const minCredits = limits.minCredits !== undefined ? limits.minCredits : existing.min_credits;
+      const maxCredits = limits.maxCredits !== undefined ? limits.maxCredits : existing.max_credits;
+      const minCreditPolicy = limits.minCreditPolicy || existing.min_credit_policy;
+
+      const validation = this.validateCreditRange(minCredits, maxCredits);
+      if (!validation.success) {
+        return validation;
+      }
+
+      await db.query(
+        'UPDATE colleges SET min_credits = ?, max_credits = ?, min_credit_policy = ? WHERE college_id = ?',
+        [minCredits, maxCredits, minCreditPolicy, collegeId]
+      );
+
+      return {
+        success: true,
+        message: 'Credit limits updated successfully',
+        data: {
+          collegeId,
+          minCredits,
+          maxCredits,
+          minCreditPolicy
+        }
+      };
+    } catch (error) {
+      console.error('Error in updateCollegeCreditLimits:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to update credit limits'
+      };
+    }
+  }
+
+  /**
+   * Set a student's credit load override for a term (e.g. an approved overload)
+   * @param {number} studentId - The ID of the student
+   * @param {number|null} termId - Term the override applies to, or null for the current term
+   * @param {Object} override - minCredits and/or maxCredits (null falls back to the college limit), reason
+   * @param {number} approvedBy - User ID of the admin approving the override
+   * @returns {Object} Result object
+   */
+  async setStudentCreditOverride(studentId, termId, { minCredits = null, maxCredits = null, reason }, approvedBy) {
+    if (minCredits === null && maxCredits === null) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'At least one of minCredits or maxCredits must be provided'
+      };
+    }
+
+    const validation = this.validateCreditRange(minCredits === null ? 0 : minCredits, maxCredits);
+    if (!validation.success) {
+      return validation;
+    }
+
+    try {
+      const [studentRows] = await db.query(
+        'SELECT student_id, college_id FROM students WHERE student_id = ?',
+        [studentId]
+      );
+
+      if (studentRows.length === 0) {
+        return {
+          success: false,
+          code: 'STUDENT_NOT_FOUND',
+          error: 'Student not found'
+        };
+      }
+
+      const termResult = await termService.resolveTerm(db, studentRows[0].college_id, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      await db.query(
+        `INSERT INTO credit_load_overrides (student_id, term_id, min_credits, max_credits, reason, approved_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE min_credits = VALUES(min_credits), max_credits = VALUES(max_credits),
+                                 reason = VALUES(reason), approved_by = VALUES(approved_by)`,
+        [studentId, termResult.term.term_id, minCredits, maxCredits, reason || null, approvedBy]
+      );
+
+      return {
+        success: true,
+        message: 'Credit override saved successfully',
+        data: {
+          studentId,
+          termId: termResult.term.term_id,
+          minCredits,
+          maxCredits,
+          reason: reason || null
+        }
+      };
+    } catch (error) {
+      console.error('Error in setStudentCreditOverride:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to save credit override'
+      };
+    }
+  }
+
+  /**
+   * Remove a student's credit load override for a term
+   * @param {number} studentId - The ID of the student
+   * @param {number|null} termId - Term of the override, or null for the current term
+   * @returns {Object} Result object
+   */
+  async removeStudentCreditOverride(studentId, termId) {
+    try {
+      const [studentRows] = await db.query(
+        'SELECT student_id, college_id FROM students WHERE student_id = ?',
+        [studentId]
+      );
+
+      if (studentRows.length === 0) {
+        return {
+          success: false,
+          code: 'STUDENT_NOT_FOUND',
+          error: 'Student not found'
+        };
+      }
+
+      const termResult = await termService.resolveTerm(db, studentRows[0].college_id, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      const [result] = await db.query(
+        'DELETE FROM credit_load_overrides WHERE student_id = ? AND term_id = ?',
+        [studentId, termResult.term.term_id]
+      );
+
+      if (result.affectedRows === 0) {
+        return {
+          success: false,
+          code: 'CREDIT_OVERRIDE_NOT_FOUND',
+          error: 'Credit override not found'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Credit override removed successfully'
+      };
+    } catch (error) {
+      console.error('Error in removeStudentCreditOverride:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to remove credit override'
+      };
+    }
+  }
+
+  /**
+   * Validate a minimum/maximum credit pair
+   * @param {number} minCredits - Minimum credit load
+   * @param {number|null} maxCredits - Maximum credit load, or null for no maximum
+   * @returns {Object} Result with success status
+   */
+  validateCreditRange(minCredits, maxCredits) {
+    if (!Number.isInteger(minCredits) || minCredits < 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'minCredits must be a non-negative integer'
+      };
+    }
+
+    if (maxCredits !== null && (!Number.isInteger(maxCredits) || maxCredits <= 0)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'maxCredits must be a positive integer or null'
+      };
+    }
+
+    if (maxCredits !== null && minCredits > maxCredits) {
+      return {
+        success: false,
+        code: 'INVALID_CREDIT_RANGE',
+        error: 'minCredits cannot be greater than maxCredits'
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Resolve a course and the term an admin operation applies to
+   * @param {Object} connection - Database connection to query with
+   * @param {number} courseId - The ID of the course
+   * @param {number|null} termId - Explicit term ID, or null for the course college's current term
+   * @returns {Object} Result with the course and term rows
+   */
+  async resolveCourseTerm(connection, courseId, termId = null) {
+    const [courseRows] = await connection.query(
+      'SELECT course_id, course_code, college_id FROM courses WHERE course_id = ?',
+      [courseId]
+    );
+
+    if (courseRows.length === 0) {
+      return {
+        success: false,
+        code: 'COURSE_NOT_FOUND',
+        error: 'Course not found'
+      };
+    }
+
+    const termResult = await termService.resolveTerm(connection, courseRows[0].college_id, termId);
+    if (!termResult.success) {
+      return termResult;
+    }
+
+    return {
+      success: true,
+      course: courseRows[0],
+      term: termResult.term
+    };
+  }
 }
 
 module.exports = new AdminService();
\ No newline at end of file
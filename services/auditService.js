@@ -0,0 +1,158 @@
+const db = require('../config/database');
+
+const AUDIT_ACTIONS = [
+  'enroll',
+  'drop',
+  'waitlist_join',
+  'waitlist_leave',
+  'waitlist_promote',
+  'timetable_add',
+  'timetable_update',
+  'timetable_delete',
+  'course_update',
+  'course_archive',
+  'course_restore',
+  'course_delete',
+  'student_update',
+  'student_delete'
+];
+
+class AuditService {
+  /**
+   * Append an entry to the audit log. Call this with the same connection as the change
+   * being audited so that both commit or roll back together.
+   * @param {Object} connection - Database connection (inside the change's transaction)
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - One of AUDIT_ACTIONS
+   * @param {Object} entry.actor - { userId, role, reason } of the caller making the change
+   * @param {number} entry.collegeId - College the change belongs to
+   * @param {number} [entry.studentId] - Student affected
+   * @param {number} [entry.courseId] - Course affected
+   * @param {number} [entry.termId] - Term affected
+   * @param {number} [entry.timetableId] - Timetable slot affected
+   * @param {Object} [entry.before] - State before the change
+   * @param {Object} [entry.after] - State after the change
+   */
+  async record(connection, { action, actor = {}, collegeId, studentId = null, courseId = null, termId = null, timetableId = null, before = null, after = null }) {
+    if (!AUDIT_ACTIONS.includes(action)) {
+      throw new Error(`Unknown audit action: ${action}`);
+    }
+
+    await connection.query(
+      `INSERT INTO audit_log
+         (action, actor_user_id, actor_role, college_id, student_id, course_id, term_id, timetable_id,
+          before_value, after_value, reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        action,
+        actor.userId || null,
+        actor.role || null,
+        collegeId,
+        studentId,
+        courseId,
+        termId,
+        timetableId,
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        actor.reason || null
+      ]
+    );
+  }
+
+  /**
+   * Query the audit log, newest first
+   * @param {Object} filters - Optional filters
+   * @param {number} [filters.collegeId] - Only entries of this college
+   * @param {number} [filters.studentId] - Only entries about this student
+   * @param {number} [filters.courseId] - Only entries about this course
+   * @param {string} [filters.action] - Only entries with this action
+   * @param {string} [filters.from] - Only entries at or after this date-time
+   * @param {string} [filters.to] - Only entries at or before this date-time
+   * @param {number} [filters.limit] - Page size (default 100, max 500)
+   * @param {number} [filters.offset] - Entries to skip
+   * @returns {Object} Result object with audit entries
+   */
+  async getAuditLog({ collegeId, studentId, courseId, action, from, to, limit = 100, offset = 0 } = {}) {
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid action. Must be one of: ' + AUDIT_ACTIONS.join(', ')
+      };
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'from and to must be valid date-times'
+      };
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500 || !Number.isInteger(offset) || offset < 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'limit must be between 1 and 500 and offset must be non-negative'
+      };
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (collegeId) {
+      conditions.push('college_id = ?');
+      params.push(collegeId);
+    }
+    if (studentId) {
+      conditions.push('student_id = ?');
+      params.push(studentId);
+    }
+    if (courseId) {
+      conditions.push('course_id = ?');
+      params.push(courseId);
+    }
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (fromDate) {
+      conditions.push('created_at >= ?');
+      params.push(fromDate);
+    }
+    if (toDate) {
+      conditions.push('created_at <= ?');
+      params.push(toDate);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      const [rows] = await db.query(
+        `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, audit_id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          limit,
+          offset
+        }
+      };
+    } catch (error) {
+      console.error('Error in getAuditLog:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch audit log'
+      };
+    }
+  }
+}
+
+module.exports = new AuditService();
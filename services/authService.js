@@ -0,0 +1,266 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { jwtSecret, jwtExpiresIn } = require('../config/auth');
+
+const ROLES = ['student', 'college_admin', 'super_admin'];
+
+// Hash of a random throwaway password, compared against when an email has no account
+const DUMMY_PASSWORD_HASH = '$2a$10$s2VcOJVeA7xn/SMvh803xeyGZXfwK/4K90gqp1GEUFA0s5zb7ZcQ.';
+
+class AuthService {
+  /**
+   * Check credentials and issue a signed access token
+   * @param {string} email - Account email
+   * @param {string} password - Plain-text password
+   * @returns {Object} Result object with the token and caller details
+   */
+  async login(email, password) {
+    try {
+      const [rows] = await db.query(
+        'SELECT user_id, email, password_hash, role, student_id, college_id FROM users WHERE email = ?',
+        [email]
+      );
+
+      // Compare even when the account is missing so response timing doesn't reveal it
+      const passwordHash = rows.length > 0 ? rows[0].password_hash : DUMMY_PASSWORD_HASH;
+      const passwordMatches = await bcrypt.compare(password, passwordHash);
+
+      if (rows.length === 0 || !passwordMatches) {
+        return {
+          success: false,
+          code: 'INVALID_CREDENTIALS',
+          error: 'Invalid email or password'
+        };
+      }
+
+      const user = rows[0];
+      const caller = {
+        userId: user.user_id,
+        role: user.role,
+        studentId: user.student_id,
+        collegeId: user.college_id
+      };
+
+      const token = jwt.sign(
+        { role: caller.role, studentId: caller.studentId, collegeId: caller.collegeId },
+        jwtSecret,
+        { subject: String(caller.userId), expiresIn: jwtExpiresIn }
+      );
+
+      return {
+        success: true,
+        message: 'Login successful',
+        data: {
+          token,
+          tokenType: 'Bearer',
+          expiresIn: jwtExpiresIn,
+          user: caller
+        }
+      };
+    } catch (error) {
+      console.error('Error in login:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to log in'
+      };
+    }
+  }
+
+  /**
+   * Verify an access token and resolve the caller it was issued to
+   * @param {string} token - Signed access token
+   * @returns {Object|null} Caller details, or null if the token is invalid or expired
+   */
+  verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, jwtSecret);
+
+      if (!ROLES.includes(payload.role)) {
+        return null;
+      }
+
+      return {
+        userId: parseInt(payload.sub),
+        role: payload.role,
+        studentId: payload.studentId || null,
+        collegeId: payload.collegeId || null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a login account
+   * @param {Object} account - Account details
+   * @param {string} account.email - Login email
+   * @param {string} account.password - Plain-text password (at least 8 characters)
+   * @param {string} account.role - student, college_admin or super_admin
+   * @param {number} [account.studentId] - Student the account belongs to (students only)
+   * @param {number} [account.collegeId] - College the account manages (college admins only)
+   * @returns {Object} Result object
+   */
+  async createUser({ email, password, role, studentId = null, collegeId = null }) {
+    if (!ROLES.includes(role)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid role. Must be one of: ' + ROLES.join(', ')
+      };
+    }
+
+    if (typeof password !== 'string' || password.length < 8) {
+      return {
+        success: false,
+        code: 'WEAK_PASSWORD',
+        error: 'Password must be at least 8 characters long'
+      };
+    }
+
+    if (role === 'student' && !studentId) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'studentId is required for student accounts'
+      };
+    }
+
+    if (role === 'college_admin' && !collegeId) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'collegeId is required for college admin accounts'
+      };
+    }
+
+    try {
+      let accountCollegeId = role === 'super_admin' ? null : collegeId;
+
+      if (role === 'student') {
+        accountCollegeId = await this.getStudentCollegeId(studentId);
+        if (accountCollegeId === null) {
+          return {
+            success: false,
+            code: 'STUDENT_NOT_FOUND',
+            error: 'Student not found'
+          };
+        }
+      }
+
+      const passwordHash = await bcrypt.hash(password, 10);
+      const [result] = await db.query(
+        'INSERT INTO users (email, password_hash, role, student_id, college_id) VALUES (?, ?, ?, ?, ?)',
+        [email, passwordHash, role, role === 'student' ? studentId : null, accountCollegeId]
+      );
+
+      return {
+        success: true,
+        message: 'User created successfully',
+        data: {
+          userId: result.insertId,
+          email,
+          role,
+          studentId: role === 'student' ? studentId : null,
+          collegeId: accountCollegeId
+        }
+      };
+    } catch (error) {
+      console.error('Error in createUser:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_ACCOUNT',
+          error: 'An account with this email or student already exists'
+        };
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to create user'
+      };
+    }
+  }
+
+  /**
+   * Get the college a student belongs to
+   * @param {number} studentId - The ID of the student
+   * @returns {number|null} College ID, or null if the student doesn't exist
+   */
+  async getStudentCollegeId(studentId) {
+    const [rows] = await db.query('SELECT college_id FROM students WHERE student_id = ?', [studentId]);
+    return rows.length > 0 ? rows[0].college_id : null;
+  }
+
+  /**
+   * Get the college a course belongs to
+   * @param {number} courseId - The ID of the course
+   * @returns {number|null} College ID, or null if the course doesn't exist
+   */
+  async getCourseCollegeId(courseId) {
+    const [rows] = await db.query('SELECT college_id FROM courses WHERE course_id = ?', [courseId]);
+    return rows.length > 0 ? rows[0].college_id : null;
+  }
+
+  /**
+   * Get the college a timetable slot belongs to
+   * @param {number} timetableId - The ID of the timetable
+   * @returns {number|null} College ID, or null if the timetable doesn't exist
+   */
+  async getTimetableCollegeId(timetableId) {
+    const [rows] = await db.query(
+      `SELECT c.college_id
+       FROM timetables t
+       JOIN courses c ON t.course_id = c.course_id
+       WHERE t.timetable_id = ?`,
+      [timetableId]
+    );
+    return rows.length > 0 ? rows[0].college_id : null;
+  }
+
+  /**
+   * Get the college a course section belongs to
+   * @param {number} sectionId - The ID of the section
+   * @returns {number|null} College ID, or null if the section doesn't exist
+   */
+  async getSectionCollegeId(sectionId) {
+    const [rows] = await db.query(
+      `SELECT c.college_id
+       FROM course_sections s
+       JOIN courses c ON s.course_id = c.course_id
+       WHERE s.section_id = ?`,
+      [sectionId]
+    );
+    return rows.length > 0 ? rows[0].college_id : null;
+  }
+
+  /**
+   * Get the college a room belongs to
+   * @param {number} roomId - The ID of the room
+   * @returns {number|null} College ID, or null if the room doesn't exist
+   */
+  async getRoomCollegeId(roomId) {
+    const [rows] = await db.query('SELECT college_id FROM rooms WHERE room_id = ?', [roomId]);
+    return rows.length > 0 ? rows[0].college_id : null;
+  }
+
+  /**
+   * Get the college a term belongs to
+   * @param {number} termId - The ID of the term
+   * @returns {number|null} College ID, or null if the term doesn't exist
+   */
+  async getTermCollegeId(termId) {
+    const [rows] = await db.query('SELECT college_id FROM terms WHERE term_id = ?', [termId]);
+    return rows.length > 0 ? rows[0].college_id : null;
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,164 @@
+const db = require('../config/database');
+const termService = require('./termService');
+const enrollmentService = require('./enrollmentService');
+const { buildCalendar } = require('../utils/icalendar');
+
+const UID_DOMAIN = 'enrollment-system';
+
+class CalendarService {
+  /**
+   * Export a student's timetable for a term as an iCalendar document
+   * @param {number} studentId - The ID of the student
+   * @param {number|null} termId - Term to export, or null for the current term
+   * @returns {Object} Result object with filename and calendar (.ics text)
+   */
+  async getStudentCalendar(studentId, termId = null) {
+    try {
+      const termResult = await enrollmentService.resolveStudentTerm(db, studentId, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      const { student, term } = termResult;
+
+      const [slots] = await db.query(
+        `SELECT t.timetable_id, t.day_of_week, t.start_time, t.end_time,
+                c.course_code, c.course_name, s.section_code,
+                r.room_code, r.building, i.name AS instructor_name
+         FROM student_courses sc
+         JOIN timetables t ON t.section_id = sc.section_id
+         JOIN courses c ON sc.course_id = c.course_id
+         JOIN course_sections s ON sc.section_id = s.section_id
+         LEFT JOIN rooms r ON t.room_id = r.room_id
+         LEFT JOIN instructors i ON t.instructor_id = i.instructor_id
+         WHERE sc.student_id = ? AND sc.term_id = ?
+         ORDER BY c.course_code, t.timetable_id`,
+        [studentId, term.term_id]
+      );
+
+      const timeZone = await this.getCollegeTimezone(student.college_id);
+
+      return {
+        success: true,
+        filename: `schedule-${studentId}-term-${term.term_id}.ics`,
+        calendar: buildCalendar({
+          name: `${student.name} - ${term.name}`,
+          timeZone,
+          startDate: termService.formatDate(term.start_date),
+          endDate: termService.formatDate(term.end_date),
+          events: slots.map(slot => this.toEvent(slot))
+        })
+      };
+    } catch (error) {
+      console.error('Error in getStudentCalendar:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to export calendar'
+      };
+    }
+  }
+
+  /**
+   * Export every section of a course in a term as an iCalendar document (for instructors)
+   * @param {number} courseId - The ID of the course
+   * @param {number|null} termId - Term to export, or null for the current term
+   * @returns {Object} Result object with filename and calendar (.ics text)
+   */
+  async getCourseCalendar(courseId, termId = null) {
+    try {
+      const [courseRows] = await db.query(
+        'SELECT course_id, course_code, course_name, college_id FROM courses WHERE course_id = ?',
+        [courseId]
+      );
+
+      if (courseRows.length === 0) {
+        return {
+          success: false,
+          code: 'COURSE_NOT_FOUND',
+          error: 'Course not found'
+        };
+      }
+
+      const course = courseRows[0];
+      const termResult = await termService.resolveTerm(db, course.college_id, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      const { term } = termResult;
+
+      const [slots] = await db.query(
+        `SELECT t.timetable_id, t.day_of_week, t.start_time, t.end_time,
+                c.course_code, c.course_name, s.section_code,
+                r.room_code, r.building, i.name AS instructor_name
+         FROM timetables t
+         JOIN courses c ON t.course_id = c.course_id
+         JOIN course_sections s ON t.section_id = s.section_id
+         LEFT JOIN rooms r ON t.room_id = r.room_id
+         LEFT JOIN instructors i ON t.instructor_id = i.instructor_id
+         WHERE t.course_id = ? AND t.term_id = ?
+         ORDER BY s.section_code, t.timetable_id`,
+        [courseId, term.term_id]
+      );
+
+      const timeZone = await this.getCollegeTimezone(course.college_id);
+
+      return {
+        success: true,
+        filename: `${course.course_code}-term-${term.term_id}.ics`,
+        calendar: buildCalendar({
+          name: `${course.course_code} ${course.course_name} - ${term.name}`,
+          timeZone,
+          startDate: termService.formatDate(term.start_date),
+          endDate: termService.formatDate(term.end_date),
+          events: slots.map(slot => this.toEvent(slot))
+        })
+      };
+    } catch (error) {
+      console.error('Error in getCourseCalendar:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to export calendar'
+      };
+    }
+  }
+
+  /**
+   * Get the IANA timezone a college's timetables are expressed in
+   * @param {number} collegeId - The ID of the college
+   * @returns {string} Timezone name
+   */
+  async getCollegeTimezone(collegeId) {
+    const [rows] = await db.query('SELECT timezone FROM colleges WHERE college_id = ?', [collegeId]);
+    return rows.length > 0 ? rows[0].timezone : 'UTC';
+  }
+
+  /**
+   * Turn a timetable slot row into a weekly calendar event
+   * @param {Object} slot - Slot row with course, section, room and instructor columns
+   * @returns {Object} Event for buildCalendar
+   */
+  toEvent(slot) {
+    const location = slot.room_code
+      ? [slot.room_code, slot.building].filter(Boolean).join(', ')
+      : null;
+    const description = [
+      `${slot.course_name}, section ${slot.section_code}`,
+      slot.instructor_name ? `Instructor: ${slot.instructor_name}` : null
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: `timetable-${slot.timetable_id}@${UID_DOMAIN}`,
+      dayOfWeek: slot.day_of_week,
+      startTime: slot.start_time,
+      endTime: slot.end_time,
+      summary: `${slot.course_code}-${slot.section_code} ${slot.course_name}`,
+      location,
+      description
+    };
+  }
+}
+
+module.exports = new CalendarService();
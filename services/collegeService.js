@@ -0,0 +1,520 @@
+const db = require('../config/database');
+const { parseTime, normalizeTime, checkSlotGrid } = require('../utils/time');
+
+const MIN_CREDIT_POLICIES = ['warn', 'block'];
+const MAX_PAGE_SIZE = 100;
+const MIN_SLOT_MINUTES = 5;
+const MAX_SLOT_MINUTES = 240;
+
+class CollegeService {
+  /**
+   * Create a college
+   * @param {Object} college - College details
+   * @param {string} college.name - Unique college name
+   * @param {number} [college.minCredits] - Minimum credit load per term (default 0)
+   * @param {number|null} [college.maxCredits] - Maximum credit load per term (null for none)
+   * @param {string} [college.minCreditPolicy] - warn or block (default warn)
+   * @param {string} [college.timezone] - IANA timezone timetables are expressed in (default UTC)
+   * @param {number} [college.slotMinutes] - Step of the slot grid classes start and end on (default 15)
+   * @param {string} [college.teachingStart] - Earliest class start (default 08:00)
+   * @param {string} [college.teachingEnd] - Latest class end (default 22:00)
+   * @returns {Object} Result object
+   */
+  async createCollege(college) {
+    try {
+      return await this.insertCollege(db, college);
+    } catch (error) {
+      console.error('Error in createCollege:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to create college'
+      };
+    }
+  }
+
+  /**
+   * Validate and insert a college using the given connection
+   * @param {Object} connection - Database connection (or the pool)
+   * @param {Object} college - { name, minCredits, maxCredits, minCreditPolicy, timezone,
+   *   slotMinutes, teachingStart, teachingEnd }
+   * @returns {Object} Result object
+   */
+  async insertCollege(connection, { name, minCredits = 0, maxCredits = null, minCreditPolicy = 'warn', timezone = 'UTC', slotMinutes = 15, teachingStart = '08:00:00', teachingEnd = '22:00:00' }) {
+    const validation = this.validateCollege({ name, minCredits, maxCredits, minCreditPolicy, timezone });
+    if (!validation.success) {
+      return validation;
+    }
+
+    const grid = this.validateSlotGrid({ slotMinutes, teachingStart, teachingEnd });
+    if (!grid.success) {
+      return grid;
+    }
+
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO colleges (name, min_credits, max_credits, min_credit_policy, timezone, slot_minutes, teaching_start, teaching_end)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, minCredits, maxCredits, minCreditPolicy, timezone, grid.slotMinutes, grid.teachingStart, grid.teachingEnd]
+      );
+
+      return {
+        success: true,
+        message: 'College created successfully',
+        data: {
+          collegeId: result.insertId,
+          name,
+          minCredits,
+          maxCredits,
+          minCreditPolicy,
+          timezone,
+          slotMinutes: grid.slotMinutes,
+          teachingStart: grid.teachingStart,
+          teachingEnd: grid.teachingEnd
+        }
+      };
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_COLLEGE',
+          error: 'A college with this name already exists'
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check a college's fields
+   * @param {Object} college - { name, minCredits, maxCredits, minCreditPolicy, timezone }
+   * @returns {Object} { success } or { success: false, code, error }
+   */
+  validateCollege({ name, minCredits, maxCredits, minCreditPolicy, timezone }) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'name is required'
+      };
+    }
+
+    if (!Number.isInteger(minCredits) || minCredits < 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'minCredits must be a non-negative integer'
+      };
+    }
+
+    if (maxCredits !== null && (!Number.isInteger(maxCredits) || maxCredits < minCredits)) {
+      return {
+        success: false,
+        code: 'INVALID_CREDIT_RANGE',
+        error: 'maxCredits must be an integer no lower than minCredits'
+      };
+    }
+
+    if (!MIN_CREDIT_POLICIES.includes(minCreditPolicy)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'minCreditPolicy must be one of: ' + MIN_CREDIT_POLICIES.join(', ')
+      };
+    }
+
+    if (!this.isValidTimezone(timezone)) {
+      return {
+        success: false,
+        code: 'UNKNOWN_TIMEZONE',
+        error: `Unknown timezone: ${timezone}`
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Check and normalize a college's slot grid
+   * @param {Object} grid - { slotMinutes, teachingStart, teachingEnd }
+   * @returns {Object} { success, slotMinutes, teachingStart, teachingEnd } with the teaching
+   *   hours as HH:MM:SS, or { success: false, code, error }
+   */
+  validateSlotGrid({ slotMinutes, teachingStart, teachingEnd }) {
+    if (!Number.isInteger(slotMinutes) || slotMinutes < MIN_SLOT_MINUTES || slotMinutes > MAX_SLOT_MINUTES) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `slotMinutes must be an integer between ${MIN_SLOT_MINUTES} and ${MAX_SLOT_MINUTES}`
+      };
+    }
+
+    const start = parseTime(teachingStart);
+    const end = parseTime(teachingEnd);
+
+    if (start === null || end === null || start % 60 !== 0 || end % 60 !== 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'teachingStart and teachingEnd must be times of day in whole minutes'
+      };
+    }
+
+    if (start >= end) {
+      return {
+        success: false,
+        code: 'INVALID_TIME_RANGE',
+        error: 'teachingStart must be before teachingEnd'
+      };
+    }
+
+    return {
+      success: true,
+      slotMinutes,
+      teachingStart: normalizeTime(teachingStart),
+      teachingEnd: normalizeTime(teachingEnd)
+    };
+  }
+
+  /**
+   * Get the settings a college's timetables follow: the timezone their times are in and the slot grid
+   * @param {Object} connection - Database connection (or the pool)
+   * @param {number} collegeId - The ID of the college
+   * @returns {Object|null} { timezone, slotMinutes, teachingStart, teachingEnd }, or null if there is no such college
+   */
+  async getTimeSettings(connection, collegeId) {
+    const [rows] = await connection.query(
+      'SELECT timezone, slot_minutes, teaching_start, teaching_end FROM colleges WHERE college_id = ?',
+      [collegeId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      timezone: rows[0].timezone,
+      slotMinutes: rows[0].slot_minutes,
+      teachingStart: normalizeTime(rows[0].teaching_start),
+      teachingEnd: normalizeTime(rows[0].teaching_end)
+    };
+  }
+
+  /**
+   * Check that a timezone is a known IANA name
+   * @param {string} timezone - Timezone name
+   * @returns {boolean} Whether the timezone is valid
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List colleges with their student and course counts
+   * @param {Object} options - Listing options
+   * @param {string} [options.search] - Case-insensitive match on the name
+   * @param {number|null} [options.collegeId] - Only this college (college admins)
+   * @param {number} [options.page] - Page number, from 1
+   * @param {number} [options.pageSize] - Colleges per page (1-100, default 20)
+   * @returns {Object} Result object with pagination and colleges
+   */
+  async getColleges({ search = null, collegeId = null, page = 1, pageSize = 20 } = {}) {
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `page must be a positive integer and pageSize between 1 and ${MAX_PAGE_SIZE}`
+      };
+    }
+
+    try {
+      const searchPattern = search ? `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%` : null;
+      const conditions = '(? IS NULL OR c.name LIKE ?) AND (? IS NULL OR c.college_id = ?)';
+      const params = [searchPattern, searchPattern, collegeId, collegeId];
+
+      const [[{ total }]] = await db.query(
+        `SELECT COUNT(*) AS total FROM colleges c WHERE ${conditions}`,
+        params
+      );
+
+      const [rows] = await db.query(
+        `SELECT c.college_id, c.name, c.min_credits, c.max_credits, c.min_credit_policy, c.timezone,
+                c.slot_minutes, c.teaching_start, c.teaching_end, c.created_at,
+                (SELECT COUNT(*) FROM students s WHERE s.college_id = c.college_id) AS student_count,
+                (SELECT COUNT(*) FROM courses co WHERE co.college_id = c.college_id AND co.archived_at IS NULL) AS course_count
+         FROM colleges c
+         WHERE ${conditions}
+         ORDER BY c.name
+         LIMIT ? OFFSET ?`,
+        [...params, pageSize, (page - 1) * pageSize]
+      );
+
+      return {
+        success: true,
+        pagination: {
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        },
+        data: rows
+      };
+    } catch (error) {
+      console.error('Error in getColleges:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch colleges'
+      };
+    }
+  }
+
+  /**
+   * Get a college with counts of everything that belongs to it
+   * @param {number} collegeId - The ID of the college
+   * @returns {Object} Result object with the college
+   */
+  async getCollege(collegeId) {
+    try {
+      const [rows] = await db.query('SELECT * FROM colleges WHERE college_id = ?', [collegeId]);
+
+      if (rows.length === 0) {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          ...rows[0],
+          counts: await this.getCollegeCounts(db, collegeId)
+        }
+      };
+    } catch (error) {
+      console.error('Error in getCollege:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch college'
+      };
+    }
+  }
+
+  /**
+   * Update a college's name, timezone or slot grid (credit limits have their own endpoint).
+   * Existing slots that no longer fit a changed grid are kept, and listed as warnings for
+   * terms that have not ended; moving them afterwards has to follow the new grid.
+   * @param {number} collegeId - The ID of the college
+   * @param {Object} updates - Any of name, timezone, slotMinutes, teachingStart, teachingEnd
+   * @returns {Object} Result object
+   */
+  async updateCollege(collegeId, { name, timezone, slotMinutes, teachingStart, teachingEnd }) {
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'name cannot be empty'
+      };
+    }
+
+    if (timezone !== undefined && !this.isValidTimezone(timezone)) {
+      return {
+        success: false,
+        code: 'UNKNOWN_TIMEZONE',
+        error: `Unknown timezone: ${timezone}`
+      };
+    }
+
+    try {
+      const [rows] = await db.query('SELECT * FROM colleges WHERE college_id = ?', [collegeId]);
+
+      if (rows.length === 0) {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+
+      const existing = rows[0];
+      const grid = this.validateSlotGrid({
+        slotMinutes: slotMinutes !== undefined ? slotMinutes : existing.slot_minutes,
+        teachingStart: teachingStart !== undefined ? teachingStart : existing.teaching_start,
+        teachingEnd: teachingEnd !== undefined ? teachingEnd : existing.teaching_end
+      });
+
+      if (!grid.success) {
+        return grid;
+      }
+
+      const merged = {
+        name: name !== undefined ? name : existing.name,
+        timezone: timezone !== undefined ? timezone : existing.timezone,
+        slotMinutes: grid.slotMinutes,
+        teachingStart: grid.teachingStart,
+        teachingEnd: grid.teachingEnd
+      };
+
+      await db.query(
+        `UPDATE colleges
+         SET name = ?, timezone = ?, slot_minutes = ?, teaching_start = ?, teaching_end = ?
+         WHERE college_id = ?`,
+        [merged.name, merged.timezone, merged.slotMinutes, merged.teachingStart, merged.teachingEnd, collegeId]
+      );
+
+      const gridChanged = merged.slotMinutes !== existing.slot_minutes ||
+        merged.teachingStart !== normalizeTime(existing.teaching_start) ||
+        merged.teachingEnd !== normalizeTime(existing.teaching_end);
+
+      return {
+        success: true,
+        message: 'College updated successfully',
+        data: {
+          collegeId,
+          ...merged
+        },
+        warnings: gridChanged ? await this.findOffGridSlots(collegeId, merged) : []
+      };
+    } catch (error) {
+      console.error('Error in updateCollege:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_COLLEGE',
+          error: 'A college with this name already exists'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to update college'
+      };
+    }
+  }
+
+  /**
+   * List a college's timetable slots in terms that have not ended which do not fit a slot grid
+   * @param {number} collegeId - The ID of the college
+   * @param {Object} grid - { slotMinutes, teachingStart, teachingEnd }
+   * @returns {Array} One warning per slot, with the grid rule it breaks
+   */
+  async findOffGridSlots(collegeId, grid) {
+    const [slots] = await db.query(
+      `SELECT tt.timetable_id, tt.section_id, c.course_code, s.section_code, tt.day_of_week, tt.start_time, tt.end_time
+       FROM timetables tt
+       JOIN courses c ON tt.course_id = c.course_id
+       JOIN course_sections s ON tt.section_id = s.section_id
+       JOIN terms t ON tt.term_id = t.term_id
+       WHERE c.college_id = ? AND t.end_date >= CURDATE()
+       ORDER BY tt.timetable_id`,
+      [collegeId]
+    );
+
+    return slots
+      .map(slot => ({ slot, check: checkSlotGrid({ startTime: slot.start_time, endTime: slot.end_time }, grid) }))
+      .filter(({ check }) => !check.success)
+      .map(({ slot, check }) => ({
+        code: check.code,
+        message: `${slot.course_code}-${slot.section_code} on ${slot.day_of_week} (${normalizeTime(slot.start_time)}-${normalizeTime(slot.end_time)}) no longer fits the slot grid`,
+        timetableId: slot.timetable_id,
+        sectionId: slot.section_id
+      }));
+  }
+
+  /**
+   * Delete a college. Refused while it has students, courses or terms, since deleting it
+   * would erase them; its rooms, instructors and admin accounts are deleted with it.
+   * @param {number} collegeId - The ID of the college
+   * @returns {Object} Result object with the counts of what was deleted
+   */
+  async deleteCollege(collegeId) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        'SELECT * FROM colleges WHERE college_id = ? FOR UPDATE',
+        [collegeId]
+      );
+
+      if (rows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+
+      const counts = await this.getCollegeCounts(connection, collegeId);
+
+      if (counts.students + counts.courses + counts.terms > 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_EMPTY',
+          error: `College still has ${counts.students} student(s), ${counts.courses} course(s) and ${counts.terms} term(s); remove or move them first`,
+          impact: counts
+        };
+      }
+
+      await connection.query('DELETE FROM colleges WHERE college_id = ?', [collegeId]);
+      await connection.commit();
+
+      return {
+        success: true,
+        message: 'College deleted successfully',
+        data: { collegeId },
+        impact: counts
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in deleteCollege:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to delete college'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Count a college's students, courses (archived included), terms, rooms, instructors and admin accounts
+   * @param {Object} connection - Database connection
+   * @param {number} collegeId - The ID of the college
+   * @returns {Object} Counts
+   */
+  async getCollegeCounts(connection, collegeId) {
+    const [[counts]] = await connection.query(
+      `SELECT (SELECT COUNT(*) FROM students WHERE college_id = ?) AS students,
+              (SELECT COUNT(*) FROM courses WHERE college_id = ?) AS courses,
+              (SELECT COUNT(*) FROM terms WHERE college_id = ?) AS terms,
+              (SELECT COUNT(*) FROM rooms WHERE college_id = ?) AS rooms,
+              (SELECT COUNT(*) FROM instructors WHERE college_id = ?) AS instructors,
+              (SELECT COUNT(*) FROM users WHERE college_id = ? AND role = 'college_admin') AS admins`,
+      [collegeId, collegeId, collegeId, collegeId, collegeId, collegeId]
+    );
+
+    return {
+      students: Number(counts.students),
+      courses: Number(counts.courses),
+      terms: Number(counts.terms),
+      rooms: Number(counts.rooms),
+      instructors: Number(counts.instructors),
+      admins: Number(counts.admins)
+    };
+  }
+}
+
+module.exports = new CollegeService();
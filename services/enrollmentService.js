@@ -1,330 +1,2054 @@
 const db = require('../config/database');
+const termService = require('./termService');
+const auditService = require('./auditService');
+const collegeService = require('./collegeService');
+const enrollmentRepository = require('../repositories/enrollmentRepository');
+const { lockConflictResult, beginLockingTransaction, retryOnLockConflict } = require('../utils/locking');
+const { toMinutes, fromMinutes, compareTimes, timesOverlap } = require('../utils/time');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const CATALOG_SORT_KEYS = ['code', 'name', 'credits', 'seatsLeft'];
+const MAX_PAGE_SIZE = 100;
 
 class EnrollmentService {
   /**
-   * Save student course selections with validation
+   * Save student course selections with validation.
+   * Students enroll in sections: pick them with sectionIds, or give a courseId for a course
+   * that runs a single section in the term.
+   * @param {number} studentId - The ID of the student
+   * @param {Object} selection - { courseIds, sectionIds } to enroll in
+   * @param {number|null} termId - Term to enroll in, or null for the current term
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} Result object with success status and message
+   */
+  async saveStudentCourses(studentId, selection, termId = null, actor = {}) {
+    // Input validation
+    if (!studentId || typeof studentId !== 'number') {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid student ID provided'
+      };
+    }
+
+    const selectionResult = this.normalizeSelection(selection);
+    if (!selectionResult.success) {
+      return selectionResult;
+    }
+
+    return retryOnLockConflict(() => this.attemptEnrollment(studentId, selectionResult, termId, actor));
+  }
+
+  /**
+   * Run saveStudentCourses once in its own transaction
+   * @param {number} studentId - The ID of the student
+   * @param {Object} selection - Normalized { courseIds, sectionIds }
+   * @param {number|null} termId - Term to enroll in, or null for the current term
+   * @param {Object} actor - { userId, role, reason } of the caller
+   * @returns {Object} Result object
+   */
+  async attemptEnrollment(studentId, selection, termId, actor) {
+    const connection = await db.getConnection();
+    
+    try {
+      await beginLockingTransaction(connection);
+
+      // 1. Verify student exists, get their college and the term being enrolled in
+      const termResult = await this.resolveStudentTerm(connection, studentId, termId, { lock: true });
+
+      if (!termResult.success) {
+        await connection.rollback();
+        return termResult;
+      }
+
+      const { student, term } = termResult;
+
+      const windowResult = this.checkEnrollmentWindow(term);
+      if (!windowResult.success) {
+        await connection.rollback();
+        return windowResult;
+      }
+
+      // 2-10. Validate the selection and write the enrollments
+      const enrollResult = await this.enrollInTransaction(connection, student, term, selection, actor);
+
+      if (!enrollResult.success) {
+        await connection.rollback();
+        return enrollResult;
+      }
+
+      await connection.commit();
+
+      const { coursesToEnroll, coursesToWaitlist, waitlistPositions } = enrollResult;
+
+      let message = `Successfully enrolled in ${coursesToEnroll.length} course(s)`;
+      if (coursesToWaitlist.length > 0) {
+        message += `, waitlisted for ${coursesToWaitlist.length} full course(s)`;
+      }
+
+      return {
+        success: true,
+        message,
+        data: {
+          studentId,
+          termId: term.term_id,
+          enrolledCourses: coursesToEnroll.map(c => this.describeSection(c)),
+          waitlistedCourses: coursesToWaitlist.map(c => ({
+            ...this.describeSection(c),
+            position: waitlistPositions.find(w => w.course_id === c.course_id).position
+          }))
+        }
+      };
+
+    } catch (error) {
+      await connection.rollback();
+
+      const conflict = lockConflictResult(error);
+      if (conflict) {
+        return conflict;
+      }
+
+      console.error('Error in saveStudentCourses:', error);
+      
+      // Handle specific MySQL errors
+      if (error.code === 'ER_SIGNAL_EXCEPTION') {
+        return {
+          success: false,
+          code: /same college/i.test(error.sqlMessage || '') ? 'CROSS_COLLEGE' : 'TIMETABLE_CLASH',
+          error: error.sqlMessage || 'Database constraint violation'
+        };
+      }
+
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'An error occurred while processing enrollment'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Dry-run an enrollment: run every check saveStudentCourses would and report all problems at once.
+   * Nothing is written.
+   * @param {number} studentId - The ID of the student
+   * @param {Object} selection - { courseIds, sectionIds } to check
+   * @param {number|null} termId - Term to check against, or null for the current term
+   * @returns {Object} Result object whose data lists every problem and warning found
+   */
+  async validateEnrollment(studentId, selection, termId = null) {
+    if (!studentId || typeof studentId !== 'number') {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid student ID provided'
+      };
+    }
+
+    const selectionResult = this.normalizeSelection(selection);
+    if (!selectionResult.success) {
+      return selectionResult;
+    }
+
+    try {
+      const termResult = await this.resolveStudentTerm(db, studentId, termId);
+
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      const { student, term } = termResult;
+      const problems = [];
+
+      const windowResult = this.checkEnrollmentWindow(term);
+      if (!windowResult.success) {
+        problems.push({
+          code: 'ENROLLMENT_CLOSED',
+          message: windowResult.error,
+          courseIds: []
+        });
+      }
+
+      const check = await this.collectEnrollmentProblems(db, student, term, selectionResult);
+      problems.push(...check.problems);
+
+      return {
+        success: true,
+        data: {
+          studentId,
+          termId: term.term_id,
+          valid: problems.length === 0,
+          problems,
+          warnings: check.warnings,
+          enrollableCourses: check.coursesToEnroll.map(c => this.describeSection(c)),
+          waitlistedCourses: check.coursesToWaitlist.map(c => this.describeSection(c))
+        }
+      };
+    } catch (error) {
+      console.error('Error in validateEnrollment:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'An error occurred while validating enrollment'
+      };
+    }
+  }
+
+  /**
+   * Drop some courses and enroll in others as a single all-or-nothing change.
+   * The new courses go through the same checks as saveStudentCourses, with the dropped
+   * courses already gone, and must have open seats: a swap never lands on a waitlist.
+   * Dropping a course and adding another of its sections switches sections.
+   * @param {number} studentId - The ID of the student
+   * @param {number[]} dropCourseIds - Course IDs to drop
+   * @param {Object} addSelection - { courseIds, sectionIds } to enroll in
+   * @param {number|null} termId - Term of the swap, or null for the current term
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} Result object
+   */
+  async swapCourses(studentId, dropCourseIds, addSelection, termId = null, actor = {}) {
+    if (!studentId || typeof studentId !== 'number') {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid student ID provided'
+      };
+    }
+
+    if (!Array.isArray(dropCourseIds) || dropCourseIds.length === 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'A swap needs at least one course to drop and one course to add'
+      };
+    }
+
+    const selectionResult = this.normalizeSelection(addSelection);
+    if (!selectionResult.success) {
+      return selectionResult;
+    }
+
+    const uniqueDropIds = [...new Set(dropCourseIds)];
+
+    if (uniqueDropIds.some(id => selectionResult.courseIds.includes(id))) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'A course cannot be both dropped and added in the same swap'
+      };
+    }
+
+    return retryOnLockConflict(() => this.attemptSwap(studentId, uniqueDropIds, selectionResult, termId, actor));
+  }
+
+  /**
+   * Run swapCourses once in its own transaction
+   * @param {number} studentId - The ID of the student
+   * @param {number[]} dropCourseIds - Unique course IDs to drop
+   * @param {Object} selection - Normalized { courseIds, sectionIds } to enroll in
+   * @param {number|null} termId - Term of the swap, or null for the current term
+   * @param {Object} actor - { userId, role, reason } of the caller
+   * @returns {Object} Result object
+   */
+  async attemptSwap(studentId, dropCourseIds, selection, termId, actor) {
+    const connection = await db.getConnection();
+
+    try {
+      await beginLockingTransaction(connection);
+
+      // 1. Verify student, term and enrollment window
+      const termResult = await this.resolveStudentTerm(connection, studentId, termId, { lock: true });
+
+      if (!termResult.success) {
+        await connection.rollback();
+        return termResult;
+      }
+
+      const { student, term } = termResult;
+
+      const windowResult = this.checkEnrollmentWindow(term);
+      if (!windowResult.success) {
+        await connection.rollback();
+        return windowResult;
+      }
+
+      // 2. Verify the student holds every course being dropped
+      const [dropRows] = await connection.query(
+        `SELECT sc.enrollment_id, sc.course_id, sc.section_id, sc.enrolled_at,
+                c.course_code, c.course_name, s.section_code
+         FROM student_courses sc
+         JOIN courses c ON sc.course_id = c.course_id
+         JOIN course_sections s ON sc.section_id = s.section_id
+         WHERE sc.student_id = ? AND sc.term_id = ? AND sc.course_id IN (?)
+         FOR UPDATE`,
+        [studentId, term.term_id, dropCourseIds]
+      );
+
+      if (dropRows.length !== dropCourseIds.length) {
+        await connection.rollback();
+        const heldIds = dropRows.map(r => r.course_id);
+        return {
+          success: false,
+          code: 'NOT_ENROLLED',
+          error: `Student is not enrolled in courses: ${dropCourseIds.filter(id => !heldIds.includes(id)).join(', ')}`
+        };
+      }
+
+      const creditsBefore = await this.getCreditStatus(connection, student, term.term_id);
+
+      // 3. Drop first so the new courses are checked against the remaining schedule
+      await connection.query(
+        'DELETE FROM student_courses WHERE enrollment_id IN (?)',
+        [dropRows.map(r => r.enrollment_id)]
+      );
+      await this.refreshConflictFlags(connection, [studentId], term.term_id);
+
+      for (const dropped of dropRows) {
+        await auditService.record(connection, {
+          action: 'drop',
+          actor,
+          collegeId: student.college_id,
+          studentId,
+          courseId: dropped.course_id,
+          termId: term.term_id,
+          before: {
+            status: 'enrolled',
+            courseCode: dropped.course_code,
+            sectionCode: dropped.section_code,
+            enrolledAt: dropped.enrolled_at
+          }
+        });
+      }
+
+      // 4. Enroll in the new courses with the full set of checks
+      const enrollResult = await this.enrollInTransaction(
+        connection,
+        student,
+        term,
+        selection,
+        actor,
+        { allowWaitlist: false }
+      );
+
+      if (!enrollResult.success) {
+        await connection.rollback();
+        return enrollResult;
+      }
+
+      // 5. Apply the minimum credit rule to the net result
+      const creditsAfter = await this.getCreditStatus(connection, student, term.term_id);
+      const minimumResult = this.checkMinimumCredits(creditsBefore, creditsAfter);
+
+      if (minimumResult.blocked) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'BELOW_MIN_CREDITS',
+          error: `Cannot swap courses: ${minimumResult.message}`
+        };
+      }
+
+      // 6. Hand the freed seats to the waitlists
+      const promotedStudents = [];
+      for (const dropped of dropRows) {
+        promotedStudents.push(...await this.promoteFromWaitlist(connection, dropped.section_id, actor));
+      }
+
+      await connection.commit();
+
+      const response = {
+        success: true,
+        message: `Swapped ${dropRows.length} course(s) for ${enrollResult.coursesToEnroll.length} course(s)`,
+        data: {
+          studentId,
+          termId: term.term_id,
+          droppedCourses: dropRows.map(c => this.describeSection(c)),
+          enrolledCourses: enrollResult.coursesToEnroll.map(c => this.describeSection(c)),
+          totalCredits: creditsAfter.totalCredits,
+          promotedStudents
+        }
+      };
+
+      if (minimumResult.belowMinimum) {
+        response.warning = minimumResult.message;
+      }
+
+      return response;
+    } catch (error) {
+      await connection.rollback();
+
+      const conflict = lockConflictResult(error);
+      if (conflict) {
+        return conflict;
+      }
+
+      console.error('Error in swapCourses:', error);
+
+      if (error.code === 'ER_SIGNAL_EXCEPTION') {
+        return {
+          success: false,
+          code: /same college/i.test(error.sqlMessage || '') ? 'CROSS_COLLEGE' : 'TIMETABLE_CLASH',
+          error: error.sqlMessage || 'Database constraint violation'
+        };
+      }
+
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'An error occurred while swapping courses'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Validate a course selection and write the enrollments and waitlist entries.
+   * Runs inside the caller's transaction; on failure the caller must roll back.
+   * @param {Object} connection - Database connection inside an open transaction
+   * @param {Object} student - Student row with student_id and college_id
+   * @param {Object} term - Term row being enrolled in
+   * @param {Object} selection - Normalized { courseIds, sectionIds } to enroll in
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - allowWaitlist: put full sections on the waitlist instead of failing
+   * @returns {Object} Result with the enrolled and waitlisted section rows, or every problem found
+   */
+  async enrollInTransaction(connection, student, term, selection, actor = {}, { allowWaitlist = true } = {}) {
+    // 2-9. Run every check (section rows are locked so seat counts stay accurate until commit)
+    const { problems, coursesToEnroll, coursesToWaitlist } = await this.collectEnrollmentProblems(
+      connection,
+      student,
+      term,
+      selection,
+      { lock: true, allowWaitlist }
+    );
+
+    if (problems.length > 0) {
+      return {
+        success: false,
+        code: problems.length === 1 ? problems[0].code : 'ENROLLMENT_REJECTED',
+        error: problems.map(problem => problem.message).join('; '),
+        problems
+      };
+    }
+
+    // 10. Insert all course enrollments and waitlist entries (the repository re-checks
+    // college, duplicate and clash rules on every write)
+    for (const course of coursesToEnroll) {
+      const inserted = await enrollmentRepository.insertEnrollment(connection, {
+        studentId: student.student_id,
+        courseId: course.course_id,
+        termId: term.term_id,
+        sectionId: course.section_id
+      });
+      if (!inserted.success) {
+        return inserted;
+      }
+    }
+
+    for (const course of coursesToWaitlist) {
+      const inserted = await enrollmentRepository.insertWaitlistEntry(connection, {
+        studentId: student.student_id,
+        courseId: course.course_id,
+        termId: term.term_id,
+        sectionId: course.section_id
+      });
+      if (!inserted.success) {
+        return inserted;
+      }
+    }
+
+    // A student who got a seat no longer needs their waitlist entry
+    if (coursesToEnroll.length > 0) {
+      await connection.query(
+        'DELETE FROM course_waitlist WHERE student_id = ? AND term_id = ? AND course_id IN (?)',
+        [student.student_id, term.term_id, coursesToEnroll.map(c => c.course_id)]
+      );
+    }
+
+    const waitlistPositions = await this.getWaitlistPositions(connection, student.student_id, term.term_id);
+
+    for (const course of coursesToEnroll) {
+      await auditService.record(connection, {
+        action: 'enroll',
+        actor,
+        collegeId: student.college_id,
+        studentId: student.student_id,
+        courseId: course.course_id,
+        termId: term.term_id,
+        after: { status: 'enrolled', courseCode: course.course_code, sectionCode: course.section_code }
+      });
+    }
+
+    for (const course of coursesToWaitlist) {
+      await auditService.record(connection, {
+        action: 'waitlist_join',
+        actor,
+        collegeId: student.college_id,
+        studentId: student.student_id,
+        courseId: course.course_id,
+        termId: term.term_id,
+        after: {
+          status: 'waitlisted',
+          courseCode: course.course_code,
+          sectionCode: course.section_code,
+          position: waitlistPositions.find(w => w.course_id === course.course_id).position
+        }
+      });
+    }
+
+    return {
+      success: true,
+      coursesToEnroll,
+      coursesToWaitlist,
+      waitlistPositions
+    };
+  }
+
+  /**
+   * Run every enrollment check on a section selection without writing anything.
+   * Each problem carries a machine-readable code and the course IDs it concerns:
+   * COURSE_NOT_FOUND, SECTION_NOT_FOUND, CROSS_COLLEGE, NOT_OFFERED, SECTION_REQUIRED, DUPLICATE_COURSE,
+   * TIMETABLE_CLASH, ALREADY_ENROLLED, PREREQUISITE_NOT_MET, COREQUISITE_NOT_MET, COURSE_FULL,
+   * ALREADY_WAITLISTED, CREDIT_LIMIT_EXCEEDED.
+   * @param {Object} connection - Database connection to query with
+   * @param {Object} student - Student row with student_id and college_id
+   * @param {Object} term - Term row being enrolled in
+   * @param {Object} selection - Normalized { courseIds, sectionIds } to check
+   * @param {Object} options - lock: lock the section rows; allowWaitlist: treat full sections as waitlisted,
+   *   not as problems; allSections: take every section of the given courses instead of requiring a choice
+   * @returns {Object} problems, warnings, and the sections that would be enrolled or waitlisted
+   */
+  async collectEnrollmentProblems(connection, student, term, { courseIds = [], sectionIds = [] }, { lock = false, allowWaitlist = true, allSections = false } = {}) {
+    const problems = [];
+    const warnings = [];
+    let selected = [];
+
+    // Sections picked explicitly must exist in the term and belong to the student's college
+    if (sectionIds.length > 0) {
+      const [sectionRows] = await connection.query(
+        `SELECT s.section_id, s.section_code, s.term_id, s.capacity,
+                c.course_id, c.course_code, c.course_name, c.college_id, c.credits, c.archived_at
+         FROM course_sections s
+         JOIN courses c ON s.course_id = c.course_id
+         WHERE s.section_id IN (?)`,
+        [sectionIds]
+      );
+
+      for (const id of sectionIds) {
+        const section = sectionRows.find(row => row.section_id === id);
+
+        if (!section || section.term_id !== term.term_id) {
+          problems.push({
+            code: 'SECTION_NOT_FOUND',
+            message: `Section ${id} not found in ${term.name}`,
+            courseIds: section ? [section.course_id] : [],
+            sectionIds: [id]
+          });
+        } else if (section.college_id !== student.college_id) {
+          problems.push({
+            code: 'CROSS_COLLEGE',
+            message: `${section.course_code} does not belong to student's college`,
+            courseIds: [section.course_id]
+          });
+        } else if (section.archived_at) {
+          problems.push({
+            code: 'COURSE_ARCHIVED',
+            message: `${section.course_code} has been withdrawn from the catalog`,
+            courseIds: [section.course_id]
+          });
+        } else {
+          selected.push(section);
+        }
+      }
+    }
+
+    // Courses given by ID must exist, belong to the student's college and run in the term;
+    // a course with several sections needs one picked, unless every section is wanted
+    if (courseIds.length > 0) {
+      const [courseRows] = await connection.query(
+        'SELECT course_id, course_code, college_id, archived_at FROM courses WHERE course_id IN (?)',
+        [courseIds]
+      );
+
+      const foundIds = courseRows.map(c => c.course_id);
+      for (const id of courseIds.filter(id => !foundIds.includes(id))) {
+        problems.push({
+          code: 'COURSE_NOT_FOUND',
+          message: `Course ${id} not found`,
+          courseIds: [id]
+        });
+      }
+
+      const collegeCourses = [];
+      for (const course of courseRows) {
+        if (course.college_id !== student.college_id) {
+          problems.push({
+            code: 'CROSS_COLLEGE',
+            message: `${course.course_code} does not belong to student's college`,
+            courseIds: [course.course_id]
+          });
+        } else if (course.archived_at) {
+          problems.push({
+            code: 'COURSE_ARCHIVED',
+            message: `${course.course_code} has been withdrawn from the catalog`,
+            courseIds: [course.course_id]
+          });
+        } else {
+          collegeCourses.push(course);
+        }
+      }
+
+      let sectionRows = [];
+      if (collegeCourses.length > 0) {
+        [sectionRows] = await connection.query(
+          `SELECT s.section_id, s.section_code, s.term_id, s.capacity,
+                  c.course_id, c.course_code, c.course_name, c.college_id, c.credits
+           FROM course_sections s
+           JOIN courses c ON s.course_id = c.course_id
+           WHERE s.term_id = ? AND s.course_id IN (?)
+           ORDER BY s.section_code`,
+          [term.term_id, collegeCourses.map(c => c.course_id)]
+        );
+      }
+
+      for (const course of collegeCourses) {
+        const sections = sectionRows.filter(row => row.course_id === course.course_id);
+
+        if (sections.length === 0) {
+          problems.push({
+            code: 'NOT_OFFERED',
+            message: `${course.course_code} is not offered in ${term.name}`,
+            courseIds: [course.course_id]
+          });
+        } else if (sections.length === 1 || allSections) {
+          selected.push(...sections);
+        } else {
+          problems.push({
+            code: 'SECTION_REQUIRED',
+            message: `${course.course_code} has several sections (${sections.map(sec => sec.section_code).join(', ')}); choose one`,
+            courseIds: [course.course_id],
+            sectionIds: sections.map(sec => sec.section_id)
+          });
+        }
+      }
+    }
+
+    // A student takes at most one section of a course
+    if (!allSections) {
+      const duplicated = [...new Set(selected.map(sec => sec.course_id))]
+        .filter(courseId => selected.filter(sec => sec.course_id === courseId).length > 1);
+
+      for (const courseId of duplicated) {
+        const sections = selected.filter(sec => sec.course_id === courseId);
+        problems.push({
+          code: 'DUPLICATE_COURSE',
+          message: `Only one section of ${sections[0].course_code} can be taken (chose ${sections.map(sec => sec.section_code).join(', ')})`,
+          courseIds: [courseId],
+          sectionIds: sections.map(sec => sec.section_id)
+        });
+      }
+
+      selected = selected.filter(sec => !duplicated.includes(sec.course_id));
+    }
+
+    if (selected.length === 0) {
+      return { problems, warnings, coursesToEnroll: [], coursesToWaitlist: [] };
+    }
+
+    const validIds = [...new Set(selected.map(sec => sec.course_id))];
+    const selectedSectionIds = selected.map(sec => sec.section_id);
+
+    // Lock the chosen sections in one statement, in ID order, so requests for the same seats
+    // queue up instead of deadlocking; capacity is read again under the lock
+    if (lock) {
+      const [lockedRows] = await connection.query(
+        'SELECT section_id, capacity FROM course_sections WHERE section_id IN (?) ORDER BY section_id FOR UPDATE',
+        [selectedSectionIds]
+      );
+      for (const row of lockedRows) {
+        selected.find(sec => sec.section_id === row.section_id).capacity = row.capacity;
+      }
+    }
+
+    // Timetable clashes among the selection and with the courses already enrolled in
+    const [timetableRows] = await connection.query(
+      `SELECT t.*, c.course_code 
+       FROM timetables t
+       JOIN courses c ON t.course_id = c.course_id
+       WHERE t.section_id IN (?)
+       ORDER BY t.day_of_week, t.start_time`,
+      [selectedSectionIds]
+    );
+
+    const existingEnrollments = await this.getEnrolledTimetables(connection, student.student_id, term.term_id);
+    const clashes = this.findTimetableClashes([...existingEnrollments, ...timetableRows]).filter(clash =>
+      clash.slots[0].courseId !== clash.slots[1].courseId &&
+      (timetableRows.includes(clash.rows[0]) || timetableRows.includes(clash.rows[1]))
+    );
+
+    for (const clash of clashes) {
+      problems.push({
+        code: 'TIMETABLE_CLASH',
+        message: clash.message,
+        courseIds: clash.slots.map(slot => slot.courseId),
+        day: clash.day,
+        slots: clash.slots
+      });
+    }
+
+    // Courses the student already holds
+    const [alreadyEnrolled] = await connection.query(
+      `SELECT c.course_id, c.course_code 
+       FROM student_courses sc
+       JOIN courses c ON sc.course_id = c.course_id
+       WHERE sc.student_id = ? AND sc.term_id = ? AND sc.course_id IN (?)`,
+      [student.student_id, term.term_id, validIds]
+    );
+
+    for (const course of alreadyEnrolled) {
+      problems.push({
+        code: 'ALREADY_ENROLLED',
+        message: `Student is already enrolled in ${course.course_code}`,
+        courseIds: [course.course_id]
+      });
+    }
+
+    // Prerequisite and corequisite rules
+    const requisiteResult = await this.checkRequisites(connection, student.student_id, validIds, term);
+    for (const rule of requisiteResult.unmetRequisites || []) {
+      problems.push({
+        code: rule.type === 'prerequisite' ? 'PREREQUISITE_NOT_MET' : 'COREQUISITE_NOT_MET',
+        message: rule.type === 'prerequisite'
+          ? `Prerequisite not met: ${rule.courseCode} requires ${rule.requiredCourseCode} to be completed first`
+          : `Corequisite not met: ${rule.courseCode} must be taken with ${rule.requiredCourseCode}`,
+        courseIds: [rule.courseId],
+        requiredCourseId: rule.requiredCourseId,
+        requiredCourseCode: rule.requiredCourseCode
+      });
+    }
+
+    // Split sections into those with an open seat and those that are full
+    const [seatRows] = await connection.query(
+      `SELECT section_id, COUNT(*) AS enrolled_count
+       FROM student_courses
+       WHERE section_id IN (?)
+       GROUP BY section_id`,
+      [selectedSectionIds]
+    );
+
+    const enrolledCounts = {};
+    seatRows.forEach(row => {
+      enrolledCounts[row.section_id] = row.enrolled_count;
+    });
+
+    const coursesToEnroll = [];
+    const coursesToWaitlist = [];
+
+    for (const course of selected) {
+      const enrolledCount = enrolledCounts[course.section_id] || 0;
+      if (course.capacity !== null && enrolledCount >= course.capacity) {
+        coursesToWaitlist.push(course);
+      } else {
+        coursesToEnroll.push(course);
+      }
+    }
+
+    // The new seats must keep the student within their maximum credit load
+    const creditStatus = await this.getCreditStatus(connection, student, term.term_id);
+    const addedCredits = coursesToEnroll.reduce((sum, course) => sum + course.credits, 0);
+
+    if (creditStatus.maxCredits !== null && creditStatus.totalCredits + addedCredits > creditStatus.maxCredits) {
+      problems.push({
+        code: 'CREDIT_LIMIT_EXCEEDED',
+        message: `Credit limit exceeded: enrolling would bring the student to ${creditStatus.totalCredits + addedCredits} credits (maximum ${creditStatus.maxCredits})`,
+        courseIds: coursesToEnroll.map(c => c.course_id),
+        totalCredits: creditStatus.totalCredits + addedCredits,
+        maxCredits: creditStatus.maxCredits
+      });
+    }
+
+    // Full courses go to the waitlist, unless waitlisting is not allowed or the student is already on it
+    if (coursesToWaitlist.length > 0 && !allowWaitlist) {
+      for (const course of coursesToWaitlist) {
+        problems.push({
+          code: 'COURSE_FULL',
+          message: `${course.course_code}-${course.section_code} is full`,
+          courseIds: [course.course_id],
+          sectionIds: [course.section_id]
+        });
+      }
+    } else if (coursesToWaitlist.length > 0) {
+      const [alreadyWaitlisted] = await connection.query(
+        `SELECT c.course_id, c.course_code
+         FROM course_waitlist w
+         JOIN courses c ON w.course_id = c.course_id
+         WHERE w.student_id = ? AND w.term_id = ? AND w.course_id IN (?)`,
+        [student.student_id, term.term_id, coursesToWaitlist.map(c => c.course_id)]
+      );
+
+      for (const course of alreadyWaitlisted) {
+        problems.push({
+          code: 'ALREADY_WAITLISTED',
+          message: `Student is already on the waitlist for ${course.course_code}`,
+          courseIds: [course.course_id]
+        });
+      }
+
+      for (const course of coursesToWaitlist) {
+        warnings.push({
+          code: 'COURSE_FULL',
+          message: `${course.course_code}-${course.section_code} is full; the student will be waitlisted`,
+          courseIds: [course.course_id],
+          sectionIds: [course.section_id]
+        });
+      }
+    }
+
+    return { problems, warnings, coursesToEnroll, coursesToWaitlist };
+  }
+
+  /**
+   * Validate and de-duplicate an enrollment selection
+   * @param {Object} selection - { courseIds, sectionIds }
+   * @returns {Object} Result with unique courseIds and sectionIds
+   */
+  normalizeSelection({ courseIds = [], sectionIds = [] } = {}) {
+    if (!Array.isArray(courseIds) || !Array.isArray(sectionIds)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Course and section IDs must be provided as arrays'
+      };
+    }
+
+    if (courseIds.length === 0 && sectionIds.length === 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Course list cannot be empty'
+      };
+    }
+
+    return {
+      success: true,
+      courseIds: [...new Set(courseIds)],
+      sectionIds: [...new Set(sectionIds)]
+    };
+  }
+
+  /**
+   * Shape a section row for API responses
+   * @param {Object} row - Row with course and section columns
+   * @returns {Object} Course and section identifiers
+   */
+  describeSection(row) {
+    return {
+      courseId: row.course_id,
+      courseCode: row.course_code,
+      courseName: row.course_name,
+      sectionId: row.section_id,
+      sectionCode: row.section_code
+    };
+  }
+
+  /**
+   * Check that a term's enrollment window is open
+   * @param {Object} term - Term row
+   * @returns {Object} Result with success status
+   */
+  checkEnrollmentWindow(term) {
+    if (!termService.isEnrollmentOpen(term)) {
+      const { opensAt, closesAt } = termService.getEnrollmentWindow(term);
+      return {
+        success: false,
+        code: 'ENROLLMENT_CLOSED',
+        error: `Enrollment for ${term.name} is closed (open from ${opensAt.toISOString()} to ${closesAt.toISOString()})`
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Decide whether a change in credit load breaks the minimum credit rule.
+   * Only a change that takes the student from at or above the minimum to below it counts.
+   * @param {Object} creditsBefore - Credit status before the change
+   * @param {Object} creditsAfter - Credit status after the change
+   * @returns {Object} belowMinimum, blocked (the college blocks such changes) and a message
+   */
+  checkMinimumCredits(creditsBefore, creditsAfter) {
+    const belowMinimum = creditsBefore.totalCredits >= creditsAfter.minCredits &&
+      creditsAfter.totalCredits < creditsAfter.minCredits;
+
+    return {
+      belowMinimum,
+      blocked: belowMinimum && creditsAfter.minCreditPolicy === 'block',
+      message: `This change leaves the student with ${creditsAfter.totalCredits} credits (minimum ${creditsAfter.minCredits})`
+    };
+  }
+
+  /**
+   * Check for timetable clashes in a set of timetables
+   * @param {Array} timetables - Array of timetable objects
+   * @returns {Object} Result with success status and clash details if any
+   */
+  checkTimetableClashes(timetables) {
+    const clashes = this.findTimetableClashes(timetables);
+
+    if (clashes.length > 0) {
+      return {
+        success: false,
+        code: 'TIMETABLE_CLASH',
+        error: clashes[0].message
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Find every pair of overlapping slots in a set of timetables
+   * @param {Array} timetables - Array of timetable objects
+   * @returns {Array} One entry per clashing pair with the day, a message, both slots and both source rows
+   */
+  findTimetableClashes(timetables) {
+    const timeSlotsByDay = {};
+    const clashes = [];
+
+    const describeSlot = slot => ({
+      timetableId: slot.timetable_id,
+      courseId: slot.course_id,
+      sectionId: slot.section_id,
+      courseCode: slot.course_code,
+      startTime: slot.start_time,
+      endTime: slot.end_time
+    });
+
+    for (const slot of timetables) {
+      const day = slot.day_of_week;
+      
+      if (!timeSlotsByDay[day]) {
+        timeSlotsByDay[day] = [];
+      }
+
+      // Check against existing slots for this day
+      for (const existing of timeSlotsByDay[day]) {
+        if (this.timeSlotsOverlap(
+          slot.start_time,
+          slot.end_time,
+          existing.start_time,
+          existing.end_time
+        )) {
+          clashes.push({
+            day,
+            message: `Timetable clash detected on ${day}: ${slot.course_code || 'Course'} (${slot.start_time}-${slot.end_time}) overlaps with ${existing.course_code || 'Course'} (${existing.start_time}-${existing.end_time})`,
+            slots: [describeSlot(slot), describeSlot(existing)],
+            rows: [slot, existing]
+          });
+        }
+      }
+
+      timeSlotsByDay[day].push(slot);
+    }
+
+    return clashes;
+  }
+
+  /**
+   * Check if two time slots overlap
+   * @param {string} start1 - Start time of first slot (HH:MM:SS)
+   * @param {string} end1 - End time of first slot (HH:MM:SS)
+   * @param {string} start2 - Start time of second slot (HH:MM:SS)
+   * @param {string} end2 - End time of second slot (HH:MM:SS)
+   * @returns {boolean} True if slots overlap
+   */
+  timeSlotsOverlap(start1, end1, start2, end2) {
+    return timesOverlap(start1, end1, start2, end2);
+  }
+
+  /**
+   * Recompute the in_conflict flag on every enrollment the given students hold in a term.
+   * An enrollment is in conflict while one of its classes overlaps a class of another of the
+   * student's courses, which only a forced timetable change can cause; moving or deleting
+   * a class or dropping a course can clear it again.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Array<number>} studentIds - Students to recompute
+   * @param {number} termId - The term
+   * @returns {Array<number>} Enrollment IDs now in conflict
+   */
+  async refreshConflictFlags(connection, studentIds, termId) {
+    if (studentIds.length === 0) {
+      return [];
+    }
+
+    const [rows] = await connection.query(
+      `SELECT sc.enrollment_id, sc.student_id, t.timetable_id, t.course_id, t.section_id,
+              t.day_of_week, t.start_time, t.end_time, c.course_code
+       FROM student_courses sc
+       JOIN timetables t ON t.section_id = sc.section_id
+       JOIN courses c ON t.course_id = c.course_id
+       WHERE sc.student_id IN (?) AND sc.term_id = ?
+       ORDER BY sc.student_id`,
+      [studentIds, termId]
+    );
+
+    const rowsByStudent = new Map();
+    for (const row of rows) {
+      if (!rowsByStudent.has(row.student_id)) {
+        rowsByStudent.set(row.student_id, []);
+      }
+      rowsByStudent.get(row.student_id).push(row);
+    }
+
+    const conflicting = new Set();
+    for (const studentRows of rowsByStudent.values()) {
+      for (const clash of this.findTimetableClashes(studentRows)) {
+        if (clash.rows[0].enrollment_id !== clash.rows[1].enrollment_id) {
+          conflicting.add(clash.rows[0].enrollment_id);
+          conflicting.add(clash.rows[1].enrollment_id);
+        }
+      }
+    }
+
+    await connection.query(
+      'UPDATE student_courses SET in_conflict = FALSE WHERE student_id IN (?) AND term_id = ? AND in_conflict = TRUE',
+      [studentIds, termId]
+    );
+
+    if (conflicting.size > 0) {
+      await connection.query(
+        'UPDATE student_courses SET in_conflict = TRUE WHERE enrollment_id IN (?)',
+        [[...conflicting]]
+      );
+    }
+
+    return [...conflicting];
+  }
+
+  /**
+   * Check that a student meets the prerequisite and corequisite rules of the selected courses.
+   * Prerequisites must be completed or taken in an earlier term; corequisites may also be
+   * enrolled in the same term or be part of the same selection.
+   * @param {Object} connection - Database connection to query with
+   * @param {number} studentId - The ID of the student
+   * @param {number[]} courseIds - Course IDs being enrolled in together
+   * @param {Object} term - Term row the selection is for
+   * @returns {Object} Result with success status and the unmet rules if any
+   */
+  async checkRequisites(connection, studentId, courseIds, term) {
+    const [rules] = await connection.query(
+      `SELECT cr.course_id, c.course_code, cr.required_course_id,
+              rc.course_code AS required_course_code, cr.requisite_type
+       FROM course_requisites cr
+       JOIN courses c ON cr.course_id = c.course_id
+       JOIN courses rc ON cr.required_course_id = rc.course_id
+       WHERE cr.course_id IN (?)
+       ORDER BY c.course_code, rc.course_code`,
+      [courseIds]
+    );
+
+    if (rules.length === 0) {
+      return { success: true };
+    }
+
+    const { completedIds, enrolledIds } = await this.getRequisiteHistory(connection, studentId, term);
+    const concurrentIds = [...completedIds, ...enrolledIds, ...courseIds];
+
+    const unmetRequisites = rules.filter(rule => {
+      const satisfiedBy = rule.requisite_type === 'prerequisite' ? completedIds : concurrentIds;
+      return !satisfiedBy.includes(rule.required_course_id);
+    });
+
+    if (unmetRequisites.length > 0) {
+      return {
+        success: false,
+        code: unmetRequisites.some(rule => rule.requisite_type === 'prerequisite') ? 'PREREQUISITE_NOT_MET' : 'COREQUISITE_NOT_MET',
+        error: unmetRequisites.map(rule =>
+          rule.requisite_type === 'prerequisite'
+            ? `Prerequisite not met: ${rule.course_code} requires ${rule.required_course_code} to be completed first`
+            : `Corequisite not met: ${rule.course_code} must be taken with ${rule.required_course_code}`
+        ).join('; '),
+        unmetRequisites: unmetRequisites.map(rule => ({
+          courseId: rule.course_id,
+          courseCode: rule.course_code,
+          requiredCourseId: rule.required_course_id,
+          requiredCourseCode: rule.required_course_code,
+          type: rule.requisite_type
+        }))
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Get the courses that count towards a student's requisites in a term
+   * @param {Object} connection - Database connection to query with
+   * @param {number} studentId - The ID of the student
+   * @param {Object} term - Term row
+   * @returns {Object} completedIds (completed or taken in an earlier term) and enrolledIds (this term)
+   */
+  async getRequisiteHistory(connection, studentId, term) {
+    const [completedRows] = await connection.query(
+      `SELECT course_id FROM completed_courses WHERE student_id = ?
+       UNION
+       SELECT sc.course_id
+       FROM student_courses sc
+       JOIN terms t ON sc.term_id = t.term_id
+       WHERE sc.student_id = ? AND t.end_date < ?`,
+      [studentId, studentId, term.start_date]
+    );
+    const [enrolledRows] = await connection.query(
+      'SELECT course_id FROM student_courses WHERE student_id = ? AND term_id = ?',
+      [studentId, term.term_id]
+    );
+
+    return {
+      completedIds: completedRows.map(r => r.course_id),
+      enrolledIds: enrolledRows.map(r => r.course_id)
+    };
+  }
+
+  /**
+   * Resolve a student and the term an operation applies to
+   * @param {Object} connection - Database connection to query with
+   * @param {number} studentId - The ID of the student
+   * @param {number|null} termId - Explicit term ID, or null for the current term
+   * @param {Object} [options] - lock: lock the student's row until the transaction ends, so
+   *   writes to the student's enrollments and waitlist entries run one at a time
+   * @returns {Object} Result with the student and term rows
+   */
+  async resolveStudentTerm(connection, studentId, termId = null, { lock = false } = {}) {
+    const [studentRows] = await connection.query(
+      `SELECT student_id, name, college_id FROM students WHERE student_id = ?${lock ? ' FOR UPDATE' : ''}`,
+      [studentId]
+    );
+
+    if (studentRows.length === 0) {
+      return {
+        success: false,
+        code: 'STUDENT_NOT_FOUND',
+        error: 'Student not found'
+      };
+    }
+
+    const termResult = await termService.resolveTerm(connection, studentRows[0].college_id, termId);
+    if (!termResult.success) {
+      return termResult;
+    }
+
+    return {
+      success: true,
+      student: studentRows[0],
+      term: termResult.term
+    };
+  }
+
+  /**
+   * Get a student's credit total for a term along with their effective credit load limits.
+   * Per-student overrides for the term take precedence over the college's limits.
+   * @param {Object} connection - Database connection to query with
+   * @param {Object} student - Student row with student_id and college_id
+   * @param {number} termId - The ID of the term
+   * @returns {Object} totalCredits, minCredits, maxCredits (null for no maximum) and minCreditPolicy
+   */
+  async getCreditStatus(connection, student, termId) {
+    const [[limits]] = await connection.query(
+      `SELECT COALESCE(o.min_credits, c.min_credits) AS min_credits,
+              COALESCE(o.max_credits, c.max_credits) AS max_credits,
+              c.min_credit_policy
+       FROM colleges c
+       LEFT JOIN credit_load_overrides o ON o.student_id = ? AND o.term_id = ?
+       WHERE c.college_id = ?`,
+      [student.student_id, termId, student.college_id]
+    );
+
+    const [[{ total_credits: totalCredits }]] = await connection.query(
+      `SELECT COALESCE(SUM(c.credits), 0) AS total_credits
+       FROM student_courses sc
+       JOIN courses c ON sc.course_id = c.course_id
+       WHERE sc.student_id = ? AND sc.term_id = ?`,
+      [student.student_id, termId]
+    );
+
+    return {
+      totalCredits: Number(totalCredits),
+      minCredits: limits.min_credits,
+      maxCredits: limits.max_credits,
+      minCreditPolicy: limits.min_credit_policy
+    };
+  }
+
+  /**
+   * Get the timetable slots of every course a student is enrolled in during a term
+   * @param {Object} connection - Database connection to query with
+   * @param {number} studentId - The ID of the student
+   * @param {number} termId - The ID of the term
+   * @returns {Array} Timetable rows with course codes
+   */
+  async getEnrolledTimetables(connection, studentId, termId) {
+    const [rows] = await connection.query(
+      `SELECT t.*, c.course_code 
+       FROM student_courses sc
+       JOIN timetables t ON sc.section_id = t.section_id
+       JOIN courses c ON t.course_id = c.course_id
+       WHERE sc.student_id = ? AND sc.term_id = ?`,
+      [studentId, termId]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Get a student's waitlist entries for a term along with their position in each queue
+   * @param {Object} connection - Database connection to query with
+   * @param {number} studentId - The ID of the student
+   * @param {number} termId - The ID of the term
+   * @returns {Array} Waitlist rows ordered by course code
+   */
+  async getWaitlistPositions(connection, studentId, termId) {
+    const [rows] = await connection.query(
+      `SELECT w.course_id, c.course_code, c.course_name, w.section_id, s.section_code,
+              w.created_at AS waitlisted_at,
+              (SELECT COUNT(*)
+               FROM course_waitlist w2
+               WHERE w2.section_id = w.section_id
+               AND w2.waitlist_id <= w.waitlist_id) AS position
+       FROM course_waitlist w
+       JOIN courses c ON w.course_id = c.course_id
+       JOIN course_sections s ON w.section_id = s.section_id
+       WHERE w.student_id = ? AND w.term_id = ?
+       ORDER BY c.course_code`,
+      [studentId, termId]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Fill open seats in a section from its waitlist, in order.
+   * Students whose timetable would clash with the section, or who would go over their
+   * maximum credit load, are skipped and keep their place.
+   * @param {Object} connection - Database connection inside an open transaction
+   * @param {number} sectionId - The ID of the section with freed seats
+   * @param {Object} actor - Caller whose change freed the seats, recorded in the audit log
+   * @returns {Array} Students that were promoted into the section
+   */
+  async promoteFromWaitlist(connection, sectionId, actor = {}) {
+    const [sectionRows] = await connection.query(
+      `SELECT s.section_id, s.section_code, s.course_id, s.term_id, s.capacity, c.course_code, c.credits
+       FROM course_sections s
+       JOIN courses c ON s.course_id = c.course_id
+       WHERE s.section_id = ?
+       FOR UPDATE`,
+      [sectionId]
+    );
+
+    if (sectionRows.length === 0) {
+      return [];
+    }
+
+    const section = sectionRows[0];
+
+    const [[{ enrolled_count: enrolledCount }]] = await connection.query(
+      'SELECT COUNT(*) AS enrolled_count FROM student_courses WHERE section_id = ?',
+      [sectionId]
+    );
+
+    let openSeats = section.capacity === null ? Infinity : section.capacity - enrolledCount;
+
+    if (openSeats <= 0) {
+      return [];
+    }
+
+    // The waitlisted students' rows are locked too, so a promotion cannot interleave with
+    // a request of the student's own (see utils/locking.js)
+    const [waitlistRows] = await connection.query(
+      `SELECT w.waitlist_id, w.student_id, s.name, s.college_id
+       FROM course_waitlist w
+       JOIN students s ON w.student_id = s.student_id
+       WHERE w.section_id = ?
+       ORDER BY w.waitlist_id
+       FOR UPDATE`,
+      [sectionId]
+    );
+
+    if (waitlistRows.length === 0) {
+      return [];
+    }
+
+    const [sectionTimetables] = await connection.query(
+      `SELECT t.*, c.course_code
+       FROM timetables t
+       JOIN courses c ON t.course_id = c.course_id
+       WHERE t.section_id = ?`,
+      [sectionId]
+    );
+
+    const promoted = [];
+
+    for (const entry of waitlistRows) {
+      if (openSeats <= 0) {
+        break;
+      }
+
+      // Only clashes with this section count; a forced clash the student already has does not
+      const existingTimetables = await this.getEnrolledTimetables(connection, entry.student_id, section.term_id);
+      const clashes = this.findTimetableClashes([...existingTimetables, ...sectionTimetables])
+        .filter(clash => clash.rows.some(row => sectionTimetables.includes(row)));
+
+      if (clashes.length > 0) {
+        continue;
+      }
+
+      const creditStatus = await this.getCreditStatus(connection, entry, section.term_id);
+      if (creditStatus.maxCredits !== null && creditStatus.totalCredits + section.credits > creditStatus.maxCredits) {
+        continue;
+      }
+
+      const inserted = await enrollmentRepository.insertEnrollment(connection, {
+        studentId: entry.student_id,
+        courseId: section.course_id,
+        termId: section.term_id,
+        sectionId
+      });
+      if (!inserted.success) {
+        continue;
+      }
+
+      await connection.query(
+        'DELETE FROM course_waitlist WHERE waitlist_id = ?',
+        [entry.waitlist_id]
+      );
+
+      await auditService.record(connection, {
+        action: 'waitlist_promote',
+        actor,
+        collegeId: entry.college_id,
+        studentId: entry.student_id,
+        courseId: section.course_id,
+        termId: section.term_id,
+        before: { status: 'waitlisted', courseCode: section.course_code, sectionCode: section.section_code },
+        after: { status: 'enrolled', courseCode: section.course_code, sectionCode: section.section_code }
+      });
+
+      promoted.push({
+        studentId: entry.student_id,
+        name: entry.name,
+        sectionId
+      });
+      openSeats--;
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Get the course sections offered to a student's college in a term, each annotated for
+   * that student: enrollment and waitlist status, seats, clashes with their timetable,
+   * requisites and credit limit. status.reasons uses the same codes as validateEnrollment
+   * and is empty when the section can be enrolled in right away.
    * @param {number} studentId - The ID of the student
-   * @param {number[]} courseIds - Array of course IDs to enroll in
-   * @returns {Object} Result object with success status and message
+   * @param {number|null} termId - Term to list, or null for the current term
+   * @param {Object} [options] - Catalog options
+   * @param {string} [options.search] - Match course code or name (case-insensitive, partial)
+   * @param {boolean} [options.eligibleOnly] - Only sections the student can enroll in now
+   * @param {boolean} [options.hideEnrolled] - Leave out courses the student already takes
+   * @param {boolean} [options.hideClashes] - Leave out sections that clash with the student's timetable
+   * @param {boolean} [options.hideFull] - Leave out full sections
+   * @param {string} [options.sortBy] - code (default), name, credits or seatsLeft
+   * @param {string} [options.order] - asc (default) or desc
+   * @param {number} [options.page] - Page number, from 1
+   * @param {number} [options.pageSize] - Sections per page (1-100, default 20)
+   * @returns {Object} Result with available courses and pagination
    */
-  async saveStudentCourses(studentId, courseIds) {
-    // Input validation
-    if (!studentId || typeof studentId !== 'number') {
+  async getAvailableCoursesForStudent(studentId, termId = null, options = {}) {
+    const {
+      search = null,
+      eligibleOnly = false,
+      hideEnrolled = false,
+      hideClashes = false,
+      hideFull = false,
+      sortBy = 'code',
+      order = 'asc',
+      page = 1,
+      pageSize = 20
+    } = options;
+
+    if (!CATALOG_SORT_KEYS.includes(sortBy)) {
       return {
         success: false,
-        error: 'Invalid student ID provided'
+        code: 'INVALID_INPUT',
+        error: 'sortBy must be one of: ' + CATALOG_SORT_KEYS.join(', ')
       };
     }
 
-    if (!Array.isArray(courseIds)) {
+    if (!['asc', 'desc'].includes(order)) {
       return {
         success: false,
-        error: 'Course IDs must be provided as an array'
+        code: 'INVALID_INPUT',
+        error: 'order must be asc or desc'
       };
     }
 
-    if (courseIds.length === 0) {
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
       return {
         success: false,
-        error: 'Course list cannot be empty'
+        code: 'INVALID_INPUT',
+        error: `page must be a positive integer and pageSize between 1 and ${MAX_PAGE_SIZE}`
       };
     }
 
-    // Remove duplicates
-    const uniqueCourseIds = [...new Set(courseIds)];
-
-    const connection = await db.getConnection();
-    
     try {
-      await connection.beginTransaction();
+      const termResult = await this.resolveStudentTerm(db, studentId, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
 
-      // 1. Verify student exists and get their college
-      const [studentRows] = await connection.query(
-        'SELECT student_id, name, college_id FROM students WHERE student_id = ?',
-        [studentId]
-      );
+      const { student, term } = termResult;
 
-      if (studentRows.length === 0) {
-        await connection.rollback();
-        return {
-          success: false,
-          error: 'Student not found'
-        };
-      }
+      const searchPattern = search ? `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%` : null;
+      const [rows] = await db.query(
+        `SELECT c.course_id, c.course_code, c.course_name, c.credits,
+                s.section_id, s.section_code, s.capacity,
+                (SELECT COUNT(*) FROM student_courses sc
+                 WHERE sc.section_id = s.section_id) as enrolled_count
+         FROM course_sections s
+         JOIN courses c ON s.course_id = c.course_id
+         WHERE s.term_id = ? AND c.college_id = ? AND c.archived_at IS NULL
+         AND (? IS NULL OR c.course_code LIKE ? OR c.course_name LIKE ?)
+         ORDER BY c.course_code, s.section_code`,
+        [term.term_id, student.college_id, searchPattern, searchPattern, searchPattern]
+      );
 
-      const student = studentRows[0];
-      const studentCollegeId = student.college_id;
+      const annotated = await this.annotateCatalog(db, student, term, rows);
 
-      // 2. Verify all courses exist and belong to the same college
-      const [courseRows] = await connection.query(
-        'SELECT course_id, course_code, course_name, college_id FROM courses WHERE course_id IN (?)',
-        [uniqueCourseIds]
+      const filtered = annotated.filter(row =>
+        (!eligibleOnly || row.status.canEnroll) &&
+        (!hideEnrolled || !row.status.enrolled) &&
+        (!hideClashes || row.status.clashes.length === 0) &&
+        (!hideFull || !row.status.full)
       );
 
-      if (courseRows.length !== uniqueCourseIds.length) {
-        await connection.rollback();
-        const foundIds = courseRows.map(c => c.course_id);
-        const missingIds = uniqueCourseIds.filter(id => !foundIds.includes(id));
-        return {
-          success: false,
-          error: `Courses not found: ${missingIds.join(', ')}`
-        };
+      const sortValue = {
+        code: row => row.course_code,
+        name: row => row.course_name,
+        credits: row => row.credits,
+        seatsLeft: row => (row.status.seatsLeft === null ? Infinity : row.status.seatsLeft)
+      }[sortBy];
+      const direction = order === 'desc' ? -1 : 1;
+      filtered.sort((a, b) => {
+        const x = sortValue(a);
+        const y = sortValue(b);
+        const primary = typeof x === 'string' ? x.localeCompare(y) : (x === y ? 0 : (x < y ? -1 : 1));
+        return direction * primary ||
+          a.course_code.localeCompare(b.course_code) ||
+          a.section_code.localeCompare(b.section_code);
+      });
+
+      const total = filtered.length;
+
+      return {
+        success: true,
+        term: {
+          termId: term.term_id,
+          name: term.name
+        },
+        enrollmentOpen: termService.isEnrollmentOpen(term),
+        pagination: {
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        },
+        data: filtered.slice((page - 1) * pageSize, page * pageSize)
+      };
+    } catch (error) {
+      console.error('Error in getAvailableCoursesForStudent:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch available courses'
+      };
+    }
+  }
+
+  /**
+   * Attach timetables and a per-student status to catalog section rows
+   * @param {Object} connection - Database connection to query with
+   * @param {Object} student - Student row with student_id and college_id
+   * @param {Object} term - Term row
+   * @param {Array} rows - Section rows with course_id, credits, section_id, capacity and enrolled_count
+   * @returns {Array} Rows with instructors, timetable and status
+   */
+  async annotateCatalog(connection, student, term, rows) {
+    const [enrolledRows] = await connection.query(
+      `SELECT sc.course_id, sc.section_id, c.course_code, s.section_code
+       FROM student_courses sc
+       JOIN courses c ON sc.course_id = c.course_id
+       JOIN course_sections s ON sc.section_id = s.section_id
+       WHERE sc.student_id = ? AND sc.term_id = ?`,
+      [student.student_id, term.term_id]
+    );
+    const [waitlistRows] = await connection.query(
+      'SELECT course_id, section_id FROM course_waitlist WHERE student_id = ? AND term_id = ?',
+      [student.student_id, term.term_id]
+    );
+
+    const courseIds = [...new Set(rows.map(row => row.course_id))];
+    const [rules] = courseIds.length > 0
+      ? await connection.query(
+        `SELECT cr.course_id, cr.required_course_id, rc.course_code AS required_course_code, cr.requisite_type
+         FROM course_requisites cr
+         JOIN courses rc ON cr.required_course_id = rc.course_id
+         WHERE cr.course_id IN (?)`,
+        [courseIds]
+      )
+      : [[]];
+
+    const { completedIds, enrolledIds } = await this.getRequisiteHistory(connection, student.student_id, term);
+    const creditStatus = await this.getCreditStatus(connection, student, term.term_id);
+    const slotsBySection = await this.getSectionSlots(connection, [
+      ...new Set([...rows.map(row => row.section_id), ...enrolledRows.map(row => row.section_id)])
+    ]);
+
+    return rows.map(row => {
+      const enrolledIn = enrolledRows.find(enrolled => enrolled.course_id === row.course_id);
+      const waitlistedFor = waitlistRows.find(entry => entry.course_id === row.course_id);
+      const seatsLeft = row.capacity === null ? null : Math.max(0, row.capacity - row.enrolled_count);
+
+      // Classes of other enrolled courses this section would overlap with
+      const clashes = [];
+      for (const slot of slotsBySection[row.section_id]) {
+        for (const enrolled of enrolledRows.filter(e => e.course_id !== row.course_id)) {
+          for (const other of slotsBySection[enrolled.section_id]) {
+            if (other.dayOfWeek === slot.dayOfWeek &&
+                this.timeSlotsOverlap(slot.startTime, slot.endTime, other.startTime, other.endTime)) {
+              clashes.push({
+                courseId: enrolled.course_id,
+                courseCode: enrolled.course_code,
+                sectionId: enrolled.section_id,
+                sectionCode: enrolled.section_code,
+                dayOfWeek: other.dayOfWeek,
+                startTime: other.startTime,
+                endTime: other.endTime
+              });
+            }
+          }
+        }
       }
 
-      // Check if all courses belong to student's college
-      const invalidCourses = courseRows.filter(
-        course => course.college_id !== studentCollegeId
-      );
+      const courseRules = rules.filter(rule => rule.course_id === row.course_id);
+      const missingPrerequisites = courseRules
+        .filter(rule => rule.requisite_type === 'prerequisite' && !completedIds.includes(rule.required_course_id))
+        .map(rule => ({ courseId: rule.required_course_id, courseCode: rule.required_course_code }));
+      // Corequisites not yet taken can be added in the same enrollment request
+      const corequisitesToAdd = courseRules
+        .filter(rule => rule.requisite_type === 'corequisite' &&
+          !completedIds.includes(rule.required_course_id) && !enrolledIds.includes(rule.required_course_id))
+        .map(rule => ({ courseId: rule.required_course_id, courseCode: rule.required_course_code }));
 
-      if (invalidCourses.length > 0) {
-        await connection.rollback();
-        return {
-          success: false,
-          error: `Courses ${invalidCourses.map(c => c.course_code).join(', ')} do not belong to student's college`
-        };
+      const exceedsCreditLimit = !enrolledIn && creditStatus.maxCredits !== null &&
+        creditStatus.totalCredits + row.credits > creditStatus.maxCredits;
+
+      const reasons = [];
+      if (enrolledIn) {
+        reasons.push('ALREADY_ENROLLED');
+      }
+      if (waitlistedFor) {
+        reasons.push('ALREADY_WAITLISTED');
+      }
+      if (clashes.length > 0) {
+        reasons.push('TIMETABLE_CLASH');
+      }
+      if (missingPrerequisites.length > 0) {
+        reasons.push('PREREQUISITE_NOT_MET');
+      }
+      if (seatsLeft === 0) {
+        reasons.push('COURSE_FULL');
+      }
+      if (exceedsCreditLimit) {
+        reasons.push('CREDIT_LIMIT_EXCEEDED');
       }
 
-      // 3. Get timetables for all courses to check for clashes
-      const [timetableRows] = await connection.query(
-        `SELECT t.*, c.course_code 
-         FROM timetables t
-         JOIN courses c ON t.course_id = c.course_id
-         WHERE t.course_id IN (?)
-         ORDER BY t.day_of_week, t.start_time`,
-        [uniqueCourseIds]
-      );
+      return {
+        ...this.withTimetable(row, slotsBySection),
+        status: {
+          enrolled: Boolean(enrolledIn),
+          enrolledSectionId: enrolledIn ? enrolledIn.section_id : null,
+          waitlisted: Boolean(waitlistedFor),
+          seatsLeft,
+          full: seatsLeft === 0,
+          clashes,
+          requirementsMet: missingPrerequisites.length === 0,
+          missingPrerequisites,
+          corequisitesToAdd,
+          exceedsCreditLimit,
+          canEnroll: reasons.length === 0,
+          reasons
+        }
+      };
+    });
+  }
 
-      // Check for timetable clashes among the selected courses
-      const clashResult = this.checkTimetableClashes(timetableRows);
-      if (!clashResult.success) {
-        await connection.rollback();
-        return clashResult;
+  /**
+   * Get enrolled courses for a student in a term
+   * @param {number} studentId - The ID of the student
+   * @param {number|null} termId - Term to list, or null for the current term
+   * @returns {Object} Result with enrolled courses
+   */
+  async getEnrolledCourses(studentId, termId = null) {
+    try {
+      const termResult = await this.resolveStudentTerm(db, studentId, termId);
+      if (!termResult.success) {
+        return termResult;
       }
 
-      // 4. Check for clashes with already enrolled courses
-      const [existingEnrollments] = await connection.query(
-        `SELECT t.*, c.course_code 
+      const { student, term } = termResult;
+
+      const [rows] = await db.query(
+        `SELECT c.course_id, c.course_code, c.course_name, c.credits,
+                s.section_id, s.section_code, sc.enrolled_at, sc.in_conflict
          FROM student_courses sc
-         JOIN timetables t ON sc.course_id = t.course_id
-         JOIN courses c ON t.course_id = c.course_id
-         WHERE sc.student_id = ?`,
-        [studentId]
+         JOIN courses c ON sc.course_id = c.course_id
+         JOIN course_sections s ON sc.section_id = s.section_id
+         WHERE sc.student_id = ? AND sc.term_id = ?
+         ORDER BY c.course_code`,
+        [studentId, term.term_id]
       );
 
-      if (existingEnrollments.length > 0) {
-        const combinedTimetables = [...existingEnrollments, ...timetableRows];
-        const existingClashResult = this.checkTimetableClashes(combinedTimetables);
-        if (!existingClashResult.success) {
-          await connection.rollback();
-          return existingClashResult;
-        }
+      const slotsBySection = await this.getSectionSlots(db, rows.map(row => row.section_id));
+      const creditStatus = await this.getCreditStatus(db, student, term.term_id);
+
+      return {
+        success: true,
+        term: {
+          termId: term.term_id,
+          name: term.name
+        },
+        credits: {
+          total: creditStatus.totalCredits,
+          min: creditStatus.minCredits,
+          max: creditStatus.maxCredits
+        },
+        data: rows.map(row => this.withTimetable({ ...row, in_conflict: Boolean(row.in_conflict) }, slotsBySection))
+      };
+    } catch (error) {
+      console.error('Error in getEnrolledCourses:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch enrolled courses'
+      };
+    }
+  }
+
+  /**
+   * Get a student's week in a term as a grid: every day Monday to Sunday with its classes
+   * in order, the free gaps between them and the contact hours per day and per week.
+   * Times are wall-clock times in the college's timezone, which is returned with them.
+   * @param {number} studentId - The ID of the student
+   * @param {number|null} termId - Term to show, or null for the current term
+   * @returns {Object} Result with the weekly timetable
+   */
+  async getWeeklyTimetable(studentId, termId = null) {
+    try {
+      const termResult = await this.resolveStudentTerm(db, studentId, termId);
+      if (!termResult.success) {
+        return termResult;
       }
 
-      // 5. Check if student is already enrolled in any of these courses
-      const [alreadyEnrolled] = await connection.query(
-        `SELECT c.course_code 
+      const { term } = termResult;
+
+      const [sections] = await db.query(
+        `SELECT c.course_id, c.course_code, c.course_name, s.section_id, s.section_code
          FROM student_courses sc
          JOIN courses c ON sc.course_id = c.course_id
-         WHERE sc.student_id = ? AND sc.course_id IN (?)`,
-        [studentId, uniqueCourseIds]
+         JOIN course_sections s ON sc.section_id = s.section_id
+         WHERE sc.student_id = ? AND sc.term_id = ?`,
+        [studentId, term.term_id]
       );
 
-      if (alreadyEnrolled.length > 0) {
-        await connection.rollback();
-        return {
-          success: false,
-          error: `Student is already enrolled in: ${alreadyEnrolled.map(c => c.course_code).join(', ')}`
-        };
-      }
+      const slotsBySection = await this.getSectionSlots(db, sections.map(section => section.section_id));
+      const slots = sections.flatMap(section => slotsBySection[section.section_id].map(slot => ({
+        courseId: section.course_id,
+        courseCode: section.course_code,
+        courseName: section.course_name,
+        sectionId: section.section_id,
+        sectionCode: section.section_code,
+        ...slot
+      })));
 
-      // 6. Insert all course enrollments
-      const insertPromises = uniqueCourseIds.map(courseId => 
-        connection.query(
-          'INSERT INTO student_courses (student_id, course_id) VALUES (?, ?)',
-          [studentId, courseId]
-        )
-      );
+      let weekMinutes = 0;
+      const days = DAYS_OF_WEEK.map(day => {
+        const daySlots = slots
+          .filter(slot => slot.dayOfWeek === day)
+          .sort((a, b) => compareTimes(a.startTime, b.startTime) || compareTimes(a.endTime, b.endTime));
 
-      await Promise.all(insertPromises);
-      await connection.commit();
+        // Merge overlapping slots so shared minutes are counted once
+        const busy = [];
+        for (const slot of daySlots) {
+          const start = toMinutes(slot.startTime);
+          const end = toMinutes(slot.endTime);
+          const last = busy[busy.length - 1];
+          if (last && start <= last.end) {
+            last.end = Math.max(last.end, end);
+          } else {
+            busy.push({ start, end });
+          }
+        }
+
+        const gaps = [];
+        for (let i = 1; i < busy.length; i++) {
+          gaps.push({
+            startTime: fromMinutes(busy[i - 1].end),
+            endTime: fromMinutes(busy[i].start),
+            minutes: busy[i].start - busy[i - 1].end
+          });
+        }
+
+        const contactMinutes = busy.reduce((total, block) => total + block.end - block.start, 0);
+        weekMinutes += contactMinutes;
+
+        return {
+          day,
+          slots: daySlots,
+          gaps,
+          contactMinutes,
+          contactHours: Math.round(contactMinutes / 60 * 100) / 100
+        };
+      });
 
       return {
         success: true,
-        message: `Successfully enrolled in ${uniqueCourseIds.length} course(s)`,
+        term: {
+          termId: term.term_id,
+          name: term.name
+        },
         data: {
           studentId,
-          enrolledCourses: courseRows.map(c => ({
-            courseId: c.course_id,
-            courseCode: c.course_code,
-            courseName: c.course_name
-          }))
+          timezone: (await collegeService.getTimeSettings(db, termResult.student.college_id)).timezone,
+          days,
+          totalContactMinutes: weekMinutes,
+          totalContactHours: Math.round(weekMinutes / 60 * 100) / 100
         }
       };
-
     } catch (error) {
-      await connection.rollback();
-      console.error('Error in saveStudentCourses:', error);
-      
-      // Handle specific MySQL errors
-      if (error.code === 'ER_SIGNAL_EXCEPTION') {
-        return {
-          success: false,
-          error: error.sqlMessage || 'Database constraint violation'
-        };
-      }
-
+      console.error('Error in getWeeklyTimetable:', error);
       return {
         success: false,
-        error: 'An error occurred while processing enrollment'
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch timetable'
       };
-    } finally {
-      connection.release();
     }
   }
 
   /**
-   * Check for timetable clashes in a set of timetables
-   * @param {Array} timetables - Array of timetable objects
-   * @returns {Object} Result with success status and clash details if any
+   * Load the timetable slots of a set of sections, ordered Monday to Sunday and by start time
+   * @param {Object} connection - Database connection to query with
+   * @param {number[]} sectionIds - Sections to load
+   * @returns {Object} Map of section ID to its slots ({ timetableId, dayOfWeek, startTime, endTime, room, instructor })
    */
-  checkTimetableClashes(timetables) {
-    const timeSlotsByDay = {};
+  async getSectionSlots(connection, sectionIds) {
+    const slotsBySection = {};
+    for (const sectionId of sectionIds) {
+      slotsBySection[sectionId] = [];
+    }
 
-    for (const slot of timetables) {
-      const day = slot.day_of_week;
-      
-      if (!timeSlotsByDay[day]) {
-        timeSlotsByDay[day] = [];
-      }
+    if (sectionIds.length === 0) {
+      return slotsBySection;
+    }
 
-      // Check against existing slots for this day
-      for (const existing of timeSlotsByDay[day]) {
-        if (this.timeSlotsOverlap(
-          slot.start_time,
-          slot.end_time,
-          existing.start_time,
-          existing.end_time
-        )) {
-          return {
-            success: false,
-            error: `Timetable clash detected on ${day}: ${slot.course_code || 'Course'} (${slot.start_time}-${slot.end_time}) overlaps with ${existing.course_code || 'Course'} (${existing.start_time}-${existing.end_time})`
-          };
-        }
-      }
+    const [rows] = await connection.query(
+      `SELECT t.timetable_id, t.section_id, t.day_of_week, t.start_time, t.end_time,
+              t.room_id, r.room_code, r.building, t.instructor_id, i.name AS instructor_name
+       FROM timetables t
+       LEFT JOIN rooms r ON t.room_id = r.room_id
+       LEFT JOIN instructors i ON t.instructor_id = i.instructor_id
+       WHERE t.section_id IN (?)
+       ORDER BY FIELD(t.day_of_week, 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'),
+                t.start_time`,
+      [sectionIds]
+    );
 
-      timeSlotsByDay[day].push(slot);
+    for (const row of rows) {
+      slotsBySection[row.section_id].push({
+        timetableId: row.timetable_id,
+        dayOfWeek: row.day_of_week,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        room: row.room_id ? { roomId: row.room_id, roomCode: row.room_code, building: row.building } : null,
+        instructor: row.instructor_id ? { instructorId: row.instructor_id, name: row.instructor_name } : null
+      });
     }
 
-    return { success: true };
+    return slotsBySection;
   }
 
   /**
-   * Check if two time slots overlap
-   * @param {string} start1 - Start time of first slot (HH:MM:SS)
-   * @param {string} end1 - End time of first slot (HH:MM:SS)
-   * @param {string} start2 - Start time of second slot (HH:MM:SS)
-   * @param {string} end2 - End time of second slot (HH:MM:SS)
-   * @returns {boolean} True if slots overlap
+   * Attach a section's slots and the instructors teaching them to a section row
+   * @param {Object} row - Row with section_id
+   * @param {Object} slotsBySection - Map of section ID to its slots
+   * @returns {Object} The row with timetable and instructors arrays
    */
-  timeSlotsOverlap(start1, end1, start2, end2) {
-    return start1 < end2 && end1 > start2;
+  withTimetable(row, slotsBySection) {
+    const timetable = slotsBySection[row.section_id] || [];
+    const instructors = [...new Set(timetable.filter(slot => slot.instructor).map(slot => slot.instructor.name))].sort();
+
+    return { ...row, instructors, timetable };
+  }
+
+  /**
+   * Remove a course enrollment and hand the freed seat to its section's waitlist
+   * @param {number} studentId - The ID of the student
+   * @param {number} courseId - The ID of the course to drop
+   * @param {number|null} termId - Term to drop from, or null for the current term
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} Result object
+   */
+  async dropCourse(studentId, courseId, termId = null, actor = {}) {
+    return retryOnLockConflict(() => this.attemptDrop(studentId, courseId, termId, actor));
   }
 
   /**
-   * Get all courses for a student's college
+   * Run dropCourse once in its own transaction
    * @param {number} studentId - The ID of the student
-   * @returns {Object} Result with available courses
+   * @param {number} courseId - The ID of the course to drop
+   * @param {number|null} termId - Term to drop from, or null for the current term
+   * @param {Object} actor - { userId, role, reason } of the caller
+   * @returns {Object} Result object
    */
-  async getAvailableCoursesForStudent(studentId) {
+  async attemptDrop(studentId, courseId, termId, actor) {
+    const connection = await db.getConnection();
+
     try {
-      const [rows] = await db.query(
-        `SELECT c.course_id, c.course_code, c.course_name, c.credits,
-                GROUP_CONCAT(CONCAT(t.day_of_week, ' ', t.start_time, '-', t.end_time) 
-                  ORDER BY t.day_of_week, t.start_time SEPARATOR '; ') as timetable
-         FROM students s
-         JOIN courses c ON s.college_id = c.college_id
-         LEFT JOIN timetables t ON c.course_id = t.course_id
-         WHERE s.student_id = ?
-         GROUP BY c.course_id, c.course_code, c.course_name, c.credits`,
-        [studentId]
+      await beginLockingTransaction(connection);
+
+      const termResult = await this.resolveStudentTerm(connection, studentId, termId, { lock: true });
+      if (!termResult.success) {
+        await connection.rollback();
+        return termResult;
+      }
+
+      const { student, term } = termResult;
+      const creditsBefore = await this.getCreditStatus(connection, student, term.term_id);
+
+      const [enrollmentRows] = await connection.query(
+        `SELECT sc.enrollment_id, sc.section_id, sc.enrolled_at, c.course_code, s.section_code
+         FROM student_courses sc
+         JOIN courses c ON sc.course_id = c.course_id
+         JOIN course_sections s ON sc.section_id = s.section_id
+         WHERE sc.student_id = ? AND sc.course_id = ? AND sc.term_id = ?
+         FOR UPDATE`,
+        [studentId, courseId, term.term_id]
       );
 
-      return {
+      if (enrollmentRows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'ENROLLMENT_NOT_FOUND',
+          error: 'Enrollment not found'
+        };
+      }
+
+      const enrollment = enrollmentRows[0];
+
+      await connection.query(
+        'DELETE FROM student_courses WHERE enrollment_id = ?',
+        [enrollment.enrollment_id]
+      );
+      await this.refreshConflictFlags(connection, [studentId], term.term_id);
+
+      const creditsAfter = await this.getCreditStatus(connection, student, term.term_id);
+      const minimumResult = this.checkMinimumCredits(creditsBefore, creditsAfter);
+
+      if (minimumResult.blocked) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'BELOW_MIN_CREDITS',
+          error: `Cannot drop course: ${minimumResult.message}`
+        };
+      }
+
+      await auditService.record(connection, {
+        action: 'drop',
+        actor,
+        collegeId: student.college_id,
+        studentId,
+        courseId,
+        termId: term.term_id,
+        before: {
+          status: 'enrolled',
+          courseCode: enrollment.course_code,
+          sectionCode: enrollment.section_code,
+          enrolledAt: enrollment.enrolled_at
+        }
+      });
+
+      const promotedStudents = await this.promoteFromWaitlist(connection, enrollment.section_id, actor);
+      await connection.commit();
+
+      const response = {
         success: true,
-        data: rows
+        message: 'Course dropped successfully',
+        data: {
+          studentId,
+          courseId,
+          sectionId: enrollment.section_id,
+          termId: term.term_id,
+          totalCredits: creditsAfter.totalCredits,
+          promotedStudents
+        }
       };
+
+      if (minimumResult.belowMinimum) {
+        response.warning = minimumResult.message;
+      }
+
+      return response;
     } catch (error) {
-      console.error('Error in getAvailableCoursesForStudent:', error);
+      await connection.rollback();
+
+      const conflict = lockConflictResult(error);
+      if (conflict) {
+        return conflict;
+      }
+
+      console.error('Error in dropCourse:', error);
       return {
         success: false,
-        error: 'Failed to fetch available courses'
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to drop course'
       };
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Get enrolled courses for a student
+   * Get a student's waitlist entries and positions for a term
    * @param {number} studentId - The ID of the student
-   * @returns {Object} Result with enrolled courses
+   * @param {number|null} termId - Term to list, or null for the current term
+   * @returns {Object} Result with waitlist entries
    */
-  async getEnrolledCourses(studentId) {
+  async getWaitlist(studentId, termId = null) {
     try {
-      const [rows] = await db.query(
-        `SELECT c.course_id, c.course_code, c.course_name, c.credits,
-                sc.enrolled_at,
-                GROUP_CONCAT(CONCAT(t.day_of_week, ' ', t.start_time, '-', t.end_time) 
-                  ORDER BY t.day_of_week, t.start_time SEPARATOR '; ') as timetable
-         FROM student_courses sc
-         JOIN courses c ON sc.course_id = c.course_id
-         LEFT JOIN timetables t ON c.course_id = t.course_id
-         WHERE sc.student_id = ?
-         GROUP BY c.course_id, c.course_code, c.course_name, c.credits, sc.enrolled_at`,
-        [studentId]
-      );
+      const termResult = await this.resolveStudentTerm(db, studentId, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      const rows = await this.getWaitlistPositions(db, studentId, termResult.term.term_id);
 
       return {
         success: true,
+        term: {
+          termId: termResult.term.term_id,
+          name: termResult.term.name
+        },
         data: rows
       };
     } catch (error) {
-      console.error('Error in getEnrolledCourses:', error);
+      console.error('Error in getWaitlist:', error);
       return {
         success: false,
-        error: 'Failed to fetch enrolled courses'
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch waitlist'
       };
     }
   }
 
   /**
-   * Remove a course enrollment
+   * Remove a student from a course waitlist
    * @param {number} studentId - The ID of the student
-   * @param {number} courseId - The ID of the course to drop
+   * @param {number} courseId - The ID of the course
+   * @param {number|null} termId - Term of the waitlist, or null for the current term
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} Result object
+   */
+  async leaveWaitlist(studentId, courseId, termId = null, actor = {}) {
+    return retryOnLockConflict(() => this.attemptLeaveWaitlist(studentId, courseId, termId, actor));
+  }
+
+  /**
+   * Run leaveWaitlist once in its own transaction
+   * @param {number} studentId - The ID of the student
+   * @param {number} courseId - The ID of the course
+   * @param {number|null} termId - Term of the waitlist, or null for the current term
+   * @param {Object} actor - { userId, role, reason } of the caller
    * @returns {Object} Result object
    */
-  async dropCourse(studentId, courseId) {
+  async attemptLeaveWaitlist(studentId, courseId, termId, actor) {
+    const connection = await db.getConnection();
+
     try {
-      const [result] = await db.query(
-        'DELETE FROM student_courses WHERE student_id = ? AND course_id = ?',
-        [studentId, courseId]
-      );
+      await beginLockingTransaction(connection);
+
+      const termResult = await this.resolveStudentTerm(connection, studentId, termId, { lock: true });
+      if (!termResult.success) {
+        await connection.rollback();
+        return termResult;
+      }
+
+      const { student, term } = termResult;
+      const positions = await this.getWaitlistPositions(connection, studentId, term.term_id);
+      const entry = positions.find(w => w.course_id === Number(courseId));
 
-      if (result.affectedRows === 0) {
+      if (!entry) {
+        await connection.rollback();
         return {
           success: false,
-          error: 'Enrollment not found'
+          code: 'WAITLIST_ENTRY_NOT_FOUND',
+          error: 'Waitlist entry not found'
         };
       }
 
+      await connection.query(
+        'DELETE FROM course_waitlist WHERE student_id = ? AND course_id = ? AND term_id = ?',
+        [studentId, courseId, term.term_id]
+      );
+
+      await auditService.record(connection, {
+        action: 'waitlist_leave',
+        actor,
+        collegeId: student.college_id,
+        studentId,
+        courseId,
+        termId: term.term_id,
+        before: {
+          status: 'waitlisted',
+          courseCode: entry.course_code,
+          sectionCode: entry.section_code,
+          position: entry.position
+        }
+      });
+
+      await connection.commit();
+
       return {
         success: true,
-        message: 'Course dropped successfully'
+        message: 'Removed from waitlist successfully'
       };
     } catch (error) {
-      console.error('Error in dropCourse:', error);
+      await connection.rollback();
+
+      const conflict = lockConflictResult(error);
+      if (conflict) {
+        return conflict;
+      }
+
+      console.error('Error in leaveWaitlist:', error);
       return {
         success: false,
-        error: 'Failed to drop course'
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to leave waitlist'
       };
+    } finally {
+      connection.release();
     }
   }
 }
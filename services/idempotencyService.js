@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { ttlHours } = require('../config/idempotency');
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the same body always hashes the same
+ * however its fields were ordered
+ * @param {*} value - Request body
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint a request: a key may only be used again for the same method, URL and body
+ * @param {Object} request - { method, path, body }
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = ({ method, path, body }) => crypto
+  .createHash('sha256')
+  .update(`${method} ${path}\n${typeof body === 'string' ? body : canonicalJson(body)}`)
+  .digest('hex');
+
+class IdempotencyService {
+  /**
+   * Claim an Idempotency-Key for a request before it runs. The first request with a key
+   * reserves it; a later one gets the stored response back if it is the same request,
+   * and is refused if the key was used for a different request or is still being processed.
+   * An expired key is forgotten and can be used again.
+   * @param {Object} request - Request being made
+   * @param {number} request.userId - Caller (keys are scoped to the user who sent them)
+   * @param {string} request.key - Idempotency-Key header value
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - URL including the query string
+   * @param {Object|string} request.body - Parsed request body
+   * @returns {Object} Result object; data.replay is null for a new request, or the stored
+   *   { statusCode, body } to send back instead of running it again
+   */
+  async begin({ userId, key, method, path, body }) {
+    const requestHash = hashRequest({ method, path, body });
+    const now = new Date();
+
+    try {
+      await db.query(
+        'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND expires_at <= ?',
+        [userId, key, now]
+      );
+
+      try {
+        await db.query(
+          `INSERT INTO idempotency_keys
+             (user_id, idempotency_key, request_method, request_path, request_hash, expires_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [userId, key, method, path, requestHash, new Date(now.getTime() + ttlHours * 60 * 60 * 1000)]
+        );
+
+        return { success: true, data: { replay: null } };
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') {
+          throw error;
+        }
+      }
+
+      const [rows] = await db.query(
+        `SELECT request_hash, status_code, response_body
+         FROM idempotency_keys
+         WHERE user_id = ? AND idempotency_key = ?`,
+        [userId, key]
+      );
+      const stored = rows[0];
+
+      if (stored && stored.request_hash !== requestHash) {
+        return {
+          success: false,
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          error: 'This Idempotency-Key was already used for a different request'
+        };
+      }
+
+      if (!stored || stored.status_code === null) {
+        return {
+          success: false,
+          code: 'IDEMPOTENCY_KEY_IN_USE',
+          error: 'A request with this Idempotency-Key is still being processed; retry once it has finished'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          replay: {
+            statusCode: stored.status_code,
+            body: typeof stored.response_body === 'string' ? JSON.parse(stored.response_body) : stored.response_body
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error in begin:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to check the Idempotency-Key'
+      };
+    }
+  }
+
+  /**
+   * Store the response to a request claimed with begin(), to be replayed for repeats
+   * @param {Object} scope - { userId, key }
+   * @param {number} statusCode - HTTP status sent
+   * @param {Object} body - JSON body sent
+   */
+  async complete({ userId, key }, statusCode, body) {
+    await db.query(
+      `UPDATE idempotency_keys SET status_code = ?, response_body = ?
+       WHERE user_id = ? AND idempotency_key = ? AND status_code IS NULL`,
+      [statusCode, JSON.stringify(body), userId, key]
+    );
+  }
+
+  /**
+   * Give up the claim on a key without storing a response (the request failed in a way
+   * that is worth retrying), so the next request with it runs again
+   * @param {Object} scope - { userId, key }
+   */
+  async release({ userId, key }) {
+    await db.query(
+      'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND status_code IS NULL',
+      [userId, key]
+    );
+  }
+
+  /**
+   * Delete every expired key and stored response (run on a timer by schedulePurge; an
+   * expired key is also forgotten when it is next sent)
+   * @returns {Object} Result object with the number of keys removed
+   */
+  async purgeExpired() {
+    try {
+      const [result] = await db.query('DELETE FROM idempotency_keys WHERE expires_at <= ?', [new Date()]);
+
+      return { success: true, data: { removed: result.affectedRows } };
+    } catch (error) {
+      console.error('Error in purgeExpired:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to purge expired Idempotency-Keys'
+      };
+    }
+  }
+
+  /**
+   * Run purgeExpired now and then every intervalMinutes, for as long as the process runs.
+   * The timer does not keep the process alive on its own.
+   * @param {number} intervalMinutes - Minutes between purges; 0 schedules nothing
+   * @returns {Object|null} The interval timer (for clearInterval), or null
+   */
+  schedulePurge(intervalMinutes) {
+    if (!intervalMinutes) {
+      return null;
+    }
+
+    const purge = async () => {
+      const result = await this.purgeExpired();
+      if (result.success && result.data.removed > 0) {
+        console.log(`Purged ${result.data.removed} expired Idempotency-Key(s)`);
+      }
+    };
+
+    purge();
+    const timer = setInterval(purge, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,422 @@
+const db = require('../config/database');
+const adminService = require('./adminService');
+const collegeService = require('./collegeService');
+const studentService = require('./studentService');
+const termService = require('./termService');
+const { parseCsv } = require('../utils/csv');
+const { normalizeTime } = require('../utils/time');
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_MODES = ['preview', 'commit'];
+
+// Columns each import accepts; everything else in the header is rejected
+const IMPORT_COLUMNS = {
+  colleges: {
+    required: ['name'],
+    optional: ['min_credits', 'max_credits', 'min_credit_policy', 'timezone', 'slot_minutes', 'teaching_start', 'teaching_end']
+  },
+  students: {
+    required: ['name', 'email'],
+    optional: ['college_id']
+  },
+  courses: {
+    required: ['course_code', 'course_name'],
+    optional: ['college_id', 'credits', 'capacity', 'term_id']
+  },
+  timetables: {
+    required: ['course_code', 'day_of_week', 'start_time', 'end_time'],
+    optional: ['college_id', 'section_code', 'term_id', 'room_code', 'instructor_email']
+  }
+};
+
+class ImportService {
+  /**
+   * Import colleges, students, courses or timetable slots from CSV.
+   * Every row runs through the same checks as the single-record endpoints inside one
+   * transaction, so later rows see earlier ones (duplicate codes, clashes within the file).
+   * Preview always rolls back; commit keeps the rows only if every row succeeded.
+   * @param {string} entity - One of colleges, students, courses, timetables
+   * @param {string} csvText - CSV document with a header row
+   * @param {Object} options - Import options
+   * @param {string} options.mode - 'preview' or 'commit'
+   * @param {number|null} options.collegeId - College the caller is limited to, or null for any college
+   * @param {Object} options.actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} Result object with a result for every row
+   */
+  async importCsv(entity, csvText, { mode = 'preview', collegeId = null, actor = {} } = {}) {
+    const columns = IMPORT_COLUMNS[entity];
+
+    if (!columns) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid import type. Must be one of: ' + Object.keys(IMPORT_COLUMNS).join(', ')
+      };
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid mode. Must be one of: ' + IMPORT_MODES.join(', ')
+      };
+    }
+
+    if (entity === 'colleges' && collegeId !== null) {
+      return {
+        success: false,
+        code: 'FORBIDDEN',
+        error: 'Only super admins can import colleges'
+      };
+    }
+
+    const parsed = parseCsv(csvText);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const missing = columns.required.filter(column => !parsed.headers.includes(column));
+    const unknown = parsed.headers.filter(header => !columns.required.includes(header) && !columns.optional.includes(header));
+
+    if (missing.length > 0 || unknown.length > 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: [
+          missing.length > 0 ? `Missing column(s): ${missing.join(', ')}` : null,
+          unknown.length > 0 ? `Unknown column(s): ${unknown.join(', ')}` : null
+        ].filter(Boolean).join('; ')
+      };
+    }
+
+    if (parsed.rows.length === 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'CSV has no data rows'
+      };
+    }
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once`
+      };
+    }
+
+    const importRow = {
+      colleges: this.importCollege,
+      students: this.importStudent,
+      courses: this.importCourse,
+      timetables: this.importTimetable
+    }[entity].bind(this);
+
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const results = [];
+      for (const { line, values } of parsed.rows) {
+        await connection.query('SAVEPOINT import_row');
+
+        let result;
+        try {
+          result = await importRow(connection, values, { collegeId, actor });
+        } catch (error) {
+          console.error(`Error importing ${entity} line ${line}:`, error);
+          result = {
+            success: false,
+            code: 'INTERNAL_ERROR',
+            error: 'Failed to import row'
+          };
+        }
+
+        if (!result.success) {
+          await connection.query('ROLLBACK TO SAVEPOINT import_row');
+        }
+
+        results.push({
+          line,
+          status: result.success ? 'ok' : 'error',
+          ...(result.success ? { data: result.data } : { code: result.code, error: result.error }),
+          ...(result.conflicts ? { conflicts: result.conflicts } : {}),
+          ...(result.bookingConflicts ? { bookingConflicts: result.bookingConflicts } : {}),
+          ...(result.warnings && result.warnings.length > 0 ? { warnings: result.warnings } : {})
+        });
+      }
+
+      const errorCount = results.filter(result => result.status === 'error').length;
+      const summary = {
+        entity,
+        mode,
+        totalRows: results.length,
+        validRows: results.length - errorCount,
+        errorRows: errorCount,
+        rows: results
+      };
+
+      if (mode === 'preview') {
+        await connection.rollback();
+        return {
+          success: true,
+          data: { ...summary, valid: errorCount === 0 }
+        };
+      }
+
+      if (errorCount > 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'IMPORT_FAILED',
+          error: `Import aborted: ${errorCount} of ${results.length} row(s) have errors; nothing was imported`,
+          data: summary
+        };
+      }
+
+      await connection.commit();
+
+      return {
+        success: true,
+        message: `Imported ${results.length} ${entity} row(s)`,
+        data: summary
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in importCsv:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to import CSV'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Import one college row
+   * @param {Object} connection - Database connection inside the import transaction
+   * @param {Object} values - Row values by column
+   * @returns {Object} Result object
+   */
+  async importCollege(connection, values) {
+    const minCredits = this.parseOptionalInteger(values.min_credits, 0);
+    const maxCredits = this.parseOptionalInteger(values.max_credits, null);
+
+    if (Number.isNaN(minCredits)) {
+      return { success: false, code: 'INVALID_INPUT', error: 'min_credits must be a non-negative integer' };
+    }
+
+    if (Number.isNaN(maxCredits)) {
+      return { success: false, code: 'INVALID_CREDIT_RANGE', error: 'max_credits must be an integer no lower than min_credits' };
+    }
+
+    const slotMinutes = this.parseOptionalInteger(values.slot_minutes, 15);
+    if (Number.isNaN(slotMinutes)) {
+      return { success: false, code: 'INVALID_INPUT', error: 'slot_minutes must be an integer' };
+    }
+
+    return collegeService.insertCollege(connection, {
+      name: values.name,
+      minCredits,
+      maxCredits,
+      minCreditPolicy: values.min_credit_policy || 'warn',
+      timezone: values.timezone || 'UTC',
+      slotMinutes,
+      teachingStart: values.teaching_start || '08:00:00',
+      teachingEnd: values.teaching_end || '22:00:00'
+    });
+  }
+
+  /**
+   * Import one student row
+   * @param {Object} connection - Database connection inside the import transaction
+   * @param {Object} values - Row values by column
+   * @param {Object} context - { collegeId } the caller is limited to
+   * @returns {Object} Result object
+   */
+  async importStudent(connection, values, { collegeId }) {
+    const college = this.resolveRowCollege(values, collegeId);
+    if (!college.success) {
+      return college;
+    }
+
+    return studentService.insertStudent(connection, {
+      name: values.name,
+      email: values.email,
+      collegeId: college.collegeId
+    });
+  }
+
+  /**
+   * Import one course row, offering it in term_id when given
+   * @param {Object} connection - Database connection inside the import transaction
+   * @param {Object} values - Row values by column
+   * @param {Object} context - { collegeId } the caller is limited to
+   * @returns {Object} Result object
+   */
+  async importCourse(connection, values, { collegeId }) {
+    const college = this.resolveRowCollege(values, collegeId);
+    if (!college.success) {
+      return college;
+    }
+
+    const credits = this.parseOptionalInteger(values.credits, 3);
+    const capacity = this.parseOptionalInteger(values.capacity, null);
+    const termId = this.parseOptionalInteger(values.term_id, null);
+
+    if (Number.isNaN(termId)) {
+      return { success: false, code: 'INVALID_INPUT', error: 'term_id must be an integer' };
+    }
+
+    const courseResult = await adminService.insertCourse(connection, {
+      courseCode: values.course_code,
+      courseName: values.course_name,
+      collegeId: college.collegeId,
+      credits,
+      capacity
+    });
+
+    if (!courseResult.success || termId === null) {
+      return courseResult;
+    }
+
+    const offeringResult = await termService.insertOffering(connection, termId, courseResult.data.courseId);
+    if (!offeringResult.success) {
+      return offeringResult;
+    }
+
+    return {
+      success: true,
+      data: {
+        ...courseResult.data,
+        termId,
+        sectionId: offeringResult.data.sectionId
+      }
+    };
+  }
+
+  /**
+   * Import one timetable slot row. The section is found by course code, section code
+   * (default A) and term (default current); rooms by code and instructors by email.
+   * @param {Object} connection - Database connection inside the import transaction
+   * @param {Object} values - Row values by column
+   * @param {Object} context - { collegeId, actor } of the caller
+   * @returns {Object} Result object
+   */
+  async importTimetable(connection, values, { collegeId, actor }) {
+    const college = this.resolveRowCollege(values, collegeId);
+    if (!college.success) {
+      return college;
+    }
+
+    const termId = this.parseOptionalInteger(values.term_id, null);
+    if (Number.isNaN(termId)) {
+      return { success: false, code: 'INVALID_INPUT', error: 'term_id must be an integer' };
+    }
+
+    const startTime = normalizeTime(values.start_time);
+    const endTime = normalizeTime(values.end_time);
+
+    if (!startTime || !endTime) {
+      return { success: false, code: 'INVALID_INPUT', error: 'start_time and end_time must be times of day such as 09:30 or 2:15 pm' };
+    }
+
+    const validation = adminService.validateTimetableSlot(values.day_of_week, startTime, endTime);
+    if (!validation.success) {
+      return validation;
+    }
+
+    const termResult = await termService.resolveTerm(connection, college.collegeId, termId);
+    if (!termResult.success) {
+      return termResult;
+    }
+
+    const sectionCode = values.section_code || 'A';
+    const [sectionRows] = await connection.query(
+      `SELECT s.section_id, s.section_code, s.course_id, s.term_id, c.college_id, c.course_code, c.archived_at
+       FROM course_sections s
+       JOIN courses c ON s.course_id = c.course_id
+       WHERE c.course_code = ? AND c.college_id = ? AND s.term_id = ? AND s.section_code = ?`,
+      [values.course_code, college.collegeId, termResult.term.term_id, sectionCode]
+    );
+
+    if (sectionRows.length === 0) {
+      return {
+        success: false,
+        code: 'SECTION_NOT_FOUND',
+        error: `Section ${values.course_code}-${sectionCode} not found in ${termResult.term.name}`
+      };
+    }
+
+    let roomId = null;
+    if (values.room_code) {
+      const [roomRows] = await connection.query(
+        'SELECT room_id FROM rooms WHERE room_code = ? AND college_id = ?',
+        [values.room_code, college.collegeId]
+      );
+      if (roomRows.length === 0) {
+        return { success: false, code: 'ROOM_NOT_FOUND', error: `Room ${values.room_code} not found` };
+      }
+      roomId = roomRows[0].room_id;
+    }
+
+    let instructorId = null;
+    if (values.instructor_email) {
+      const [instructorRows] = await connection.query(
+        'SELECT instructor_id FROM instructors WHERE email = ? AND college_id = ?',
+        [values.instructor_email, college.collegeId]
+      );
+      if (instructorRows.length === 0) {
+        return { success: false, code: 'INSTRUCTOR_NOT_FOUND', error: `Instructor ${values.instructor_email} not found` };
+      }
+      instructorId = instructorRows[0].instructor_id;
+    }
+
+    return adminService.insertTimetable(connection, sectionRows[0], {
+      dayOfWeek: values.day_of_week,
+      startTime,
+      endTime,
+      roomId,
+      instructorId
+    }, actor);
+  }
+
+  /**
+   * Work out which college a row belongs to. College admins may leave college_id
+   * out (it defaults to their own) but may not name another college.
+   * @param {Object} values - Row values by column
+   * @param {number|null} scopeCollegeId - College the caller is limited to, or null
+   * @returns {Object} { success, collegeId } or { success: false, code, error }
+   */
+  resolveRowCollege(values, scopeCollegeId) {
+    const collegeId = this.parseOptionalInteger(values.college_id, scopeCollegeId);
+
+    if (collegeId === null || Number.isNaN(collegeId)) {
+      return { success: false, code: 'INVALID_INPUT', error: 'college_id must be an integer' };
+    }
+
+    if (scopeCollegeId !== null && collegeId !== scopeCollegeId) {
+      return { success: false, code: 'FORBIDDEN', error: 'You may only import records for your own college' };
+    }
+
+    return { success: true, collegeId };
+  }
+
+  /**
+   * Parse an optional integer column
+   * @param {string} value - Raw value
+   * @param {*} defaultValue - Value to use when the column is empty
+   * @returns {number|*} The integer, the default when empty, NaN when invalid
+   */
+  parseOptionalInteger(value, defaultValue) {
+    if (value === undefined || value === '') {
+      return defaultValue;
+    }
+    return /^-?\d+$/.test(value) ? parseInt(value) : NaN;
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,264 @@
+const db = require('../config/database');
+
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const MAX_ATTEMPTS = 5;
+// How long a delivery may take to record the outcome of the notifications it claimed before
+// another delivery takes them over (the first one is assumed to have died)
+const CLAIM_MINUTES = 10;
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Default sender: writes each notification to the server log instead of delivering it
+ */
+const logSender = {
+  name: 'log',
+  async send(notification) {
+    console.log(`Notification ${notification.notificationId} to ${notification.email}: ${notification.subject}`);
+  }
+};
+
+class NotificationService {
+  constructor() {
+    this.sender = logSender;
+  }
+
+  /**
+   * Replace the sender used to deliver queued notifications (e.g., an email or SMS gateway)
+   * @param {Object} sender - { name, send(notification) }; send resolves once delivered and
+   *   throws to have the notification retried
+   */
+  setSender(sender) {
+    if (!sender || typeof sender.send !== 'function') {
+      throw new TypeError('A notification sender must have a send(notification) method');
+    }
+    this.sender = sender;
+  }
+
+  /**
+   * Queue a notification for a student inside the caller's transaction, so it is only
+   * sent if the change it describes is committed. Does not commit or roll back.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} notification - Notification details
+   * @param {number} notification.studentId - Recipient
+   * @param {string} notification.type - Kind of notification (e.g., timetable_conflict)
+   * @param {string} notification.subject - Subject line
+   * @param {string} notification.body - Plain-text message
+   * @param {Object} [notification.payload] - Structured details for senders that need them
+   * @returns {number} The ID of the queued notification
+   */
+  async queue(connection, { studentId, type, subject, body, payload = null }) {
+    const [result] = await connection.query(
+      `INSERT INTO notification_outbox (student_id, type, subject, body, payload)
+       VALUES (?, ?, ?, ?, ?)`,
+      [studentId, type, subject, body, payload === null ? null : JSON.stringify(payload)]
+    );
+
+    return result.insertId;
+  }
+
+  /**
+   * Hand pending notifications to the sender, oldest first. A notification whose send
+   * fails stays pending until it has been tried MAX_ATTEMPTS times and is then marked failed.
+   * The batch is claimed (marked sending) in a short transaction of its own, using SKIP LOCKED
+   * so concurrent deliveries never claim the same rows; the sender is then called outside any
+   * transaction and each outcome recorded on its own. A notification is only sent again if the
+   * delivery dies between sending it and recording that, once its claim has run out.
+   * @param {Object} options - Delivery options
+   * @param {number} [options.limit] - Maximum number of notifications to send
+   * @param {number|null} [options.collegeId] - Only deliver to students of this college
+   * @returns {Object} Result object with sent, retrying and failed counts
+   */
+  async deliverPending({ limit = DEFAULT_BATCH_SIZE, collegeId = null } = {}) {
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_BATCH_SIZE) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `limit must be an integer between 1 and ${MAX_BATCH_SIZE}`
+      };
+    }
+
+    try {
+      const rows = await this.claimPending(limit, collegeId);
+      const summary = { sent: 0, retrying: 0, failed: 0 };
+
+      for (const row of rows) {
+        try {
+          await this.sender.send(this.toNotification(row));
+        } catch (sendError) {
+          const attempts = row.attempts + 1;
+          const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+          await db.query(
+            `UPDATE notification_outbox
+             SET status = ?, attempts = ?, last_error = ?, claimed_until = NULL
+             WHERE notification_id = ?`,
+            [status, attempts, String(sendError.message || sendError).slice(0, 500), row.notification_id]
+          );
+          summary[status === 'failed' ? 'failed' : 'retrying']++;
+          continue;
+        }
+
+        await db.query(
+          `UPDATE notification_outbox
+           SET status = 'sent', attempts = attempts + 1, last_error = NULL, claimed_until = NULL,
+               sent_at = CURRENT_TIMESTAMP
+           WHERE notification_id = ?`,
+          [row.notification_id]
+        );
+        summary.sent++;
+      }
+
+      return {
+        success: true,
+        message: `Delivered ${summary.sent} of ${rows.length} notification(s) via ${this.sender.name || 'custom'} sender`,
+        data: summary
+      };
+    } catch (error) {
+      console.error('Error in deliverPending:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to deliver notifications'
+      };
+    }
+  }
+
+  /**
+   * Claim a batch of notifications to send: pending ones, and ones left sending by a
+   * delivery whose claim has run out. They are marked sending until CLAIM_MINUTES from now.
+   * @param {number} limit - Maximum number of notifications to claim
+   * @param {number|null} collegeId - Only claim notifications to students of this college
+   * @returns {Array} Claimed outbox rows with the student's name and email
+   */
+  async claimPending(limit, collegeId) {
+    const connection = await db.getConnection();
+    const now = new Date();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        `SELECT n.*, s.name, s.email
+         FROM notification_outbox n
+         JOIN students s ON n.student_id = s.student_id
+         WHERE (n.status = 'pending' OR (n.status = 'sending' AND n.claimed_until <= ?))
+         AND (? IS NULL OR s.college_id = ?)
+         ORDER BY n.notification_id
+         LIMIT ?
+         FOR UPDATE OF n SKIP LOCKED`,
+        [now, collegeId, collegeId, limit]
+      );
+
+      if (rows.length > 0) {
+        await connection.query(
+          `UPDATE notification_outbox SET status = 'sending', claimed_until = ?
+           WHERE notification_id IN (?)`,
+          [new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000), rows.map(row => row.notification_id)]
+        );
+      }
+
+      await connection.commit();
+      return rows;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * List queued and delivered notifications, newest first
+   * @param {Object} filters - Query filters
+   * @param {number} [filters.collegeId] - Only notifications for students of this college
+   * @param {number} [filters.studentId] - Only notifications for this student
+   * @param {string} [filters.status] - pending, sending, sent or failed
+   * @param {number} [filters.limit] - Page size (default 50, max 500)
+   * @param {number} [filters.offset] - Rows to skip
+   * @returns {Object} Result object with notifications
+   */
+  async getNotifications({ collegeId = null, studentId = null, status = null, limit = DEFAULT_BATCH_SIZE, offset = 0 } = {}) {
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid status. Must be one of: ' + NOTIFICATION_STATUSES.join(', ')
+      };
+    }
+
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_BATCH_SIZE || !Number.isInteger(offset) || offset < 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `limit must be between 1 and ${MAX_BATCH_SIZE} and offset must not be negative`
+      };
+    }
+
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (collegeId !== null) {
+        conditions.push('s.college_id = ?');
+        params.push(collegeId);
+      }
+      if (studentId !== null) {
+        conditions.push('n.student_id = ?');
+        params.push(studentId);
+      }
+      if (status) {
+        conditions.push('n.status = ?');
+        params.push(status);
+      }
+
+      const [rows] = await db.query(
+        `SELECT n.*, s.name, s.email
+         FROM notification_outbox n
+         JOIN students s ON n.student_id = s.student_id
+         ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+         ORDER BY n.notification_id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return {
+        success: true,
+        data: rows.map(row => ({
+          ...this.toNotification(row),
+          status: row.status,
+          attempts: row.attempts,
+          lastError: row.last_error,
+          createdAt: row.created_at,
+          sentAt: row.sent_at
+        }))
+      };
+    } catch (error) {
+      console.error('Error in getNotifications:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch notifications'
+      };
+    }
+  }
+
+  /**
+   * Shape an outbox row (joined with the student) into what senders receive
+   * @param {Object} row - notification_outbox row with name and email
+   * @returns {Object} { notificationId, studentId, name, email, type, subject, body, payload }
+   */
+  toNotification(row) {
+    return {
+      notificationId: row.notification_id,
+      studentId: row.student_id,
+      name: row.name,
+      email: row.email,
+      type: row.type,
+      subject: row.subject,
+      body: row.body,
+      payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload
+    };
+  }
+}
+
+module.exports = new NotificationService();
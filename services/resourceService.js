@@ -0,0 +1,416 @@
+const db = require('../config/database');
+
+class ResourceService {
+  /**
+   * Add a bookable room to a college
+   * @param {number} collegeId - College the room belongs to
+   * @param {Object} room - Room details
+   * @param {string} room.roomCode - Code used on timetables (e.g., 32-123)
+   * @param {string} [room.building] - Building the room is in
+   * @param {number} room.capacity - Number of seats
+   * @returns {Object} Result object
+   */
+  async createRoom(collegeId, { roomCode, building = null, capacity }) {
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Capacity must be a positive integer'
+      };
+    }
+
+    try {
+      const [result] = await db.query(
+        'INSERT INTO rooms (college_id, room_code, building, capacity) VALUES (?, ?, ?, ?)',
+        [collegeId, roomCode, building, capacity]
+      );
+
+      return {
+        success: true,
+        message: 'Room created successfully',
+        data: {
+          roomId: result.insertId,
+          collegeId,
+          roomCode,
+          building,
+          capacity
+        }
+      };
+    } catch (error) {
+      console.error('Error in createRoom:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_ROOM',
+          error: 'A room with this code already exists for this college'
+        };
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to create room'
+      };
+    }
+  }
+
+  /**
+   * Update a room's code, building or capacity.
+   * Shrinking a room is allowed; the slots it can no longer seat are returned as warnings.
+   * @param {number} roomId - The ID of the room
+   * @param {Object} updates - Any of roomCode, building, capacity
+   * @returns {Object} Result object
+   */
+  async updateRoom(roomId, updates) {
+    const { roomCode, building, capacity } = updates;
+
+    if (capacity !== undefined && (!Number.isInteger(capacity) || capacity <= 0)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Capacity must be a positive integer'
+      };
+    }
+
+    try {
+      const [roomRows] = await db.query('SELECT * FROM rooms WHERE room_id = ?', [roomId]);
+
+      if (roomRows.length === 0) {
+        return {
+          success: false,
+          code: 'ROOM_NOT_FOUND',
+          error: 'Room not found'
+        };
+      }
+
+      const existing = roomRows[0];
+      const merged = {
+        roomCode: roomCode !== undefined ? roomCode : existing.room_code,
+        building: building !== undefined ? building : existing.building,
+        capacity: capacity !== undefined ? capacity : existing.capacity
+      };
+
+      await db.query(
+        'UPDATE rooms SET room_code = ?, building = ?, capacity = ? WHERE room_id = ?',
+        [merged.roomCode, merged.building, merged.capacity, roomId]
+      );
+
+      const [slots] = await db.query(
+        `SELECT t.timetable_id, t.section_id, t.day_of_week, t.start_time, t.end_time,
+                c.course_code, s.section_code,
+                (SELECT COUNT(*) FROM student_courses sc WHERE sc.section_id = t.section_id) AS enrolled_count
+         FROM timetables t
+         JOIN courses c ON t.course_id = c.course_id
+         JOIN course_sections s ON t.section_id = s.section_id
+         WHERE t.room_id = ?`,
+        [roomId]
+      );
+
+      const warnings = slots
+        .filter(slot => slot.enrolled_count > merged.capacity)
+        .map(slot => this.roomTooSmallWarning({ room_code: merged.roomCode, capacity: merged.capacity }, slot));
+
+      return {
+        success: true,
+        message: 'Room updated successfully',
+        data: {
+          roomId,
+          collegeId: existing.college_id,
+          ...merged
+        },
+        warnings
+      };
+    } catch (error) {
+      console.error('Error in updateRoom:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_ROOM',
+          error: 'A room with this code already exists for this college'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to update room'
+      };
+    }
+  }
+
+  /**
+   * Get a college's rooms with the number of timetable slots booked into each
+   * @param {number} collegeId - The ID of the college
+   * @returns {Object} Result object with rooms
+   */
+  async getCollegeRooms(collegeId) {
+    try {
+      const [rows] = await db.query(
+        `SELECT r.room_id, r.room_code, r.building, r.capacity,
+                (SELECT COUNT(*) FROM timetables t WHERE t.room_id = r.room_id) AS booked_slots
+         FROM rooms r
+         WHERE r.college_id = ?
+         ORDER BY r.room_code`,
+        [collegeId]
+      );
+
+      return {
+        success: true,
+        data: rows
+      };
+    } catch (error) {
+      console.error('Error in getCollegeRooms:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch rooms'
+      };
+    }
+  }
+
+  /**
+   * Add an instructor to a college
+   * @param {number} collegeId - College the instructor teaches at
+   * @param {Object} instructor - Instructor details
+   * @param {string} instructor.name - Display name
+   * @param {string} [instructor.email] - Contact email
+   * @returns {Object} Result object
+   */
+  async createInstructor(collegeId, { name, email = null }) {
+    try {
+      const [result] = await db.query(
+        'INSERT INTO instructors (college_id, name, email) VALUES (?, ?, ?)',
+        [collegeId, name, email]
+      );
+
+      return {
+        success: true,
+        message: 'Instructor created successfully',
+        data: {
+          instructorId: result.insertId,
+          collegeId,
+          name,
+          email
+        }
+      };
+    } catch (error) {
+      console.error('Error in createInstructor:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_INSTRUCTOR',
+          error: 'An instructor with this email already exists'
+        };
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to create instructor'
+      };
+    }
+  }
+
+  /**
+   * Get a college's instructors with the number of timetable slots each teaches
+   * @param {number} collegeId - The ID of the college
+   * @returns {Object} Result object with instructors
+   */
+  async getCollegeInstructors(collegeId) {
+    try {
+      const [rows] = await db.query(
+        `SELECT i.instructor_id, i.name, i.email,
+                (SELECT COUNT(*) FROM timetables t WHERE t.instructor_id = i.instructor_id) AS booked_slots
+         FROM instructors i
+         WHERE i.college_id = ?
+         ORDER BY i.name`,
+        [collegeId]
+      );
+
+      return {
+        success: true,
+        data: rows
+      };
+    } catch (error) {
+      console.error('Error in getCollegeInstructors:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch instructors'
+      };
+    }
+  }
+
+  /**
+   * Check that a room and instructor are free for a timetable slot.
+   * Bookings in any term whose dates overlap the slot's term count, and the room and
+   * instructor rows are locked so concurrent bookings of the same resource serialize.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} slot - The slot being booked
+   * @param {number} slot.collegeId - College of the course; resources must belong to it
+   * @param {number} slot.termId - Term of the slot
+   * @param {string} slot.dayOfWeek - Day of the week
+   * @param {string} slot.startTime - Start time (HH:MM:SS)
+   * @param {string} slot.endTime - End time (HH:MM:SS)
+   * @param {number|null} slot.roomId - Room to book, or null for none
+   * @param {number|null} slot.instructorId - Instructor to book, or null for none
+   * @param {number|null} slot.excludeTimetableId - Slot being moved, ignored when looking for conflicts
+   * @returns {Object} { success, room, instructor } or { success: false, error, bookingConflicts }
+   */
+  async checkBookings(connection, { collegeId, termId, dayOfWeek, startTime, endTime, roomId, instructorId, excludeTimetableId = null }) {
+    let room = null;
+    let instructor = null;
+
+    if (roomId !== null && roomId !== undefined) {
+      const [roomRows] = await connection.query(
+        'SELECT * FROM rooms WHERE room_id = ? AND college_id = ? FOR UPDATE',
+        [roomId, collegeId]
+      );
+
+      if (roomRows.length === 0) {
+        return {
+          success: false,
+          code: 'ROOM_NOT_FOUND',
+          error: 'Room not found in this college'
+        };
+      }
+      room = roomRows[0];
+    }
+
+    if (instructorId !== null && instructorId !== undefined) {
+      const [instructorRows] = await connection.query(
+        'SELECT * FROM instructors WHERE instructor_id = ? AND college_id = ? FOR UPDATE',
+        [instructorId, collegeId]
+      );
+
+      if (instructorRows.length === 0) {
+        return {
+          success: false,
+          code: 'INSTRUCTOR_NOT_FOUND',
+          error: 'Instructor not found in this college'
+        };
+      }
+      instructor = instructorRows[0];
+    }
+
+    if (!room && !instructor) {
+      return { success: true, room, instructor };
+    }
+
+    const [rows] = await connection.query(
+      `SELECT t.timetable_id, t.term_id, t.section_id, t.room_id, t.instructor_id,
+              t.day_of_week, t.start_time, t.end_time, c.course_code, s.section_code
+       FROM timetables t
+       JOIN terms other_term ON t.term_id = other_term.term_id
+       JOIN terms slot_term ON slot_term.term_id = ?
+       JOIN courses c ON t.course_id = c.course_id
+       JOIN course_sections s ON t.section_id = s.section_id
+       WHERE (t.room_id = ? OR t.instructor_id = ?)
+       AND t.day_of_week = ?
+       AND t.start_time < ?
+       AND t.end_time > ?
+       AND other_term.start_date <= slot_term.end_date
+       AND other_term.end_date >= slot_term.start_date
+       AND t.timetable_id != ?`,
+      [termId, room ? room.room_id : null, instructor ? instructor.instructor_id : null,
+        dayOfWeek, endTime, startTime, excludeTimetableId || 0]
+    );
+
+    const bookingConflicts = [];
+    for (const row of rows) {
+      const slot = {
+        timetableId: row.timetable_id,
+        termId: row.term_id,
+        sectionId: row.section_id,
+        courseCode: row.course_code,
+        sectionCode: row.section_code,
+        dayOfWeek: row.day_of_week,
+        startTime: row.start_time,
+        endTime: row.end_time
+      };
+      if (room && row.room_id === room.room_id) {
+        bookingConflicts.push({ type: 'room', roomId: room.room_id, roomCode: room.room_code, ...slot });
+      }
+      if (instructor && row.instructor_id === instructor.instructor_id) {
+        bookingConflicts.push({ type: 'instructor', instructorId: instructor.instructor_id, instructorName: instructor.name, ...slot });
+      }
+    }
+
+    if (bookingConflicts.length > 0) {
+      const messages = bookingConflicts.map(conflict => (
+        conflict.type === 'room'
+          ? `Room ${conflict.roomCode} is already booked by ${conflict.courseCode}-${conflict.sectionCode} on ${conflict.dayOfWeek} ${conflict.startTime}-${conflict.endTime}`
+          : `${conflict.instructorName} is already teaching ${conflict.courseCode}-${conflict.sectionCode} on ${conflict.dayOfWeek} ${conflict.startTime}-${conflict.endTime}`
+      ));
+
+      return {
+        success: false,
+        code: 'DOUBLE_BOOKING',
+        error: 'Double booking: ' + messages.join('; '),
+        bookingConflicts
+      };
+    }
+
+    return { success: true, room, instructor };
+  }
+
+  /**
+   * Flag a room that cannot seat everyone enrolled in the section using it
+   * @param {Object} connection - Database connection
+   * @param {Object|null} room - Room row, or null when the slot has no room
+   * @param {number} sectionId - Section the slot belongs to
+   * @param {number} timetableId - The slot itself
+   * @returns {Array} Warnings (empty when the room is large enough)
+   */
+  async getRoomWarnings(connection, room, sectionId, timetableId) {
+    if (!room) {
+      return [];
+    }
+
+    const [countRows] = await connection.query(
+      'SELECT COUNT(*) AS enrolled_count FROM student_courses WHERE section_id = ?',
+      [sectionId]
+    );
+
+    const enrolledCount = countRows[0].enrolled_count;
+    if (enrolledCount <= room.capacity) {
+      return [];
+    }
+
+    return [this.roomTooSmallWarning(room, {
+      timetable_id: timetableId,
+      section_id: sectionId,
+      enrolled_count: enrolledCount
+    })];
+  }
+
+  /**
+   * Build the warning for a room that seats fewer students than are enrolled
+   * @param {Object} room - Room row with room_code and capacity
+   * @param {Object} slot - Row with timetable_id, section_id and enrolled_count
+   * @returns {Object} Warning object
+   */
+  roomTooSmallWarning(room, slot) {
+    return {
+      code: 'ROOM_TOO_SMALL',
+      message: `Room ${room.room_code} seats ${room.capacity} but ${slot.enrolled_count} student(s) are enrolled`,
+      timetableId: slot.timetable_id,
+      sectionId: slot.section_id,
+      roomCapacity: room.capacity,
+      enrolledCount: slot.enrolled_count
+    };
+  }
+}
+
+module.exports = new ResourceService();
@@ -0,0 +1,464 @@
+const db = require('../config/database');
+const enrollmentService = require('./enrollmentService');
+const { parseTime, compareTimes } = require('../utils/time');
+
+const VALID_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Every combination of sections is considered, so the search space is capped to keep that tractable
+const MAX_WISHLIST_SIZE = 15;
+const MAX_COMBINATIONS = 100000;
+const MAX_RESULTS = 100;
+
+// Problems that rule a course out of every schedule, whatever it is combined with
+const EXCLUDING_PROBLEMS = [
+  'COURSE_NOT_FOUND',
+  'CROSS_COLLEGE',
+  'NOT_OFFERED',
+  'ALREADY_ENROLLED',
+  'PREREQUISITE_NOT_MET',
+  'COREQUISITE_NOT_MET'
+];
+
+class ScheduleService {
+  /**
+   * Generate clash-free schedules from a wishlist of courses.
+   * Returns the largest combinations of sections (at most one per course) that clash neither
+   * with each other nor with the student's current enrollments, ranked by preferences.
+   * @param {number} studentId - The ID of the student
+   * @param {Object} options - Generation options
+   * @param {number[]} options.courseIds - Wishlist of course IDs
+   * @param {number[]} [options.mustHave] - Courses every schedule must contain
+   * @param {number} [options.maxCredits] - Credit cap for the new courses of a schedule
+   * @param {Object} [options.preferences] - Soft preferences: earliestStart, latestEnd (HH:MM), freeDays
+   * @param {number} [options.limit] - Maximum number of schedules returned (default 20, max 100)
+   * @param {number|null} termId - Term to plan for, or null for the current term
+   * @returns {Object} Result object with ranked schedules and the courses left out
+   */
+  async generateSchedules(studentId, { courseIds, mustHave = [], maxCredits = null, preferences = {}, limit = 20 }, termId = null) {
+    if (!studentId || typeof studentId !== 'number') {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Invalid student ID provided'
+      };
+    }
+
+    if (!Array.isArray(courseIds) || courseIds.length === 0) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'courseIds must be a non-empty array'
+      };
+    }
+
+    if (!Array.isArray(mustHave)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'mustHave must be an array'
+      };
+    }
+
+    const wishlist = [...new Set([...courseIds, ...mustHave])];
+
+    if (wishlist.length > MAX_WISHLIST_SIZE) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `A wishlist can hold at most ${MAX_WISHLIST_SIZE} courses`
+      };
+    }
+
+    if (maxCredits !== null && (!Number.isInteger(maxCredits) || maxCredits < 1)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'maxCredits must be a positive integer'
+      };
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `limit must be between 1 and ${MAX_RESULTS}`
+      };
+    }
+
+    const preferenceResult = this.validatePreferences(preferences);
+    if (!preferenceResult.success) {
+      return preferenceResult;
+    }
+
+    try {
+      const termResult = await enrollmentService.resolveStudentTerm(db, studentId, termId);
+
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      const { student, term } = termResult;
+
+      // 1. Rule out courses that cannot be taken in any combination
+      const check = await enrollmentService.collectEnrollmentProblems(
+        db,
+        student,
+        term,
+        { courseIds: wishlist },
+        { allSections: true }
+      );
+      const excludedCourses = [];
+
+      for (const problem of check.problems.filter(p => EXCLUDING_PROBLEMS.includes(p.code))) {
+        for (const courseId of problem.courseIds) {
+          if (!excludedCourses.some(e => e.courseId === courseId)) {
+            excludedCourses.push({ courseId, code: problem.code, reason: problem.message });
+          }
+        }
+      }
+
+      const excludedIds = excludedCourses.map(e => e.courseId);
+      let candidates = [...check.coursesToEnroll, ...check.coursesToWaitlist]
+        .filter(section => !excludedIds.includes(section.course_id));
+
+      // 2. Rule out sections that clash with the current enrollments
+      const existingSlots = await enrollmentService.getEnrolledTimetables(db, student.student_id, term.term_id);
+      const slotsBySection = await this.getSlotsBySection(candidates.map(c => c.section_id));
+
+      candidates = candidates.filter(section => {
+        const clash = this.findClash(slotsBySection[section.section_id], existingSlots);
+        if (clash) {
+          excludedCourses.push({
+            courseId: section.course_id,
+            sectionId: section.section_id,
+            code: 'TIMETABLE_CLASH',
+            reason: `${section.course_code}-${section.section_code} clashes with ${clash.course_code} on ${clash.day_of_week}, which the student is already enrolled in`
+          });
+          return false;
+        }
+        return true;
+      });
+
+      // 3. Corequisites that are on the wishlist rather than already taken must come along
+      const companions = await this.getCorequisiteCompanions(student.student_id, candidates, term);
+
+      let removed = true;
+      while (removed) {
+        const before = candidates.length;
+        candidates = candidates.filter(section => {
+          const missing = companions[section.course_id].filter(id => !candidates.some(c => c.course_id === id));
+          if (missing.length > 0) {
+            excludedCourses.push({
+              courseId: section.course_id,
+              sectionId: section.section_id,
+              code: 'COREQUISITE_NOT_MET',
+              reason: `${section.course_code} needs corequisite ${missing.join(', ')}, which cannot be scheduled`
+            });
+            return false;
+          }
+          return true;
+        });
+        removed = candidates.length < before;
+      }
+
+      const missingMustHave = mustHave.filter(id => !candidates.some(c => c.course_id === id));
+      if (missingMustHave.length > 0) {
+        return {
+          success: false,
+          code: 'SCHEDULE_IMPOSSIBLE',
+          error: `Must-have courses cannot be scheduled: ${missingMustHave.join(', ')}`,
+          excludedCourses
+        };
+      }
+
+      const courses = this.groupByCourse(candidates);
+      const searchSpace = courses.reduce((size, course) => size * (course.sections.length + 1), 1);
+
+      if (searchSpace > MAX_COMBINATIONS) {
+        return {
+          success: false,
+          code: 'TOO_MANY_COMBINATIONS',
+          error: 'The wishlist has too many section combinations; remove some courses or pick must-haves'
+        };
+      }
+
+      // 4. Work out the credit cap: the requested cap and whatever the student's limit leaves
+      const creditStatus = await enrollmentService.getCreditStatus(db, student, term.term_id);
+      let creditCap = maxCredits;
+      if (creditStatus.maxCredits !== null) {
+        const remaining = creditStatus.maxCredits - creditStatus.totalCredits;
+        creditCap = creditCap === null ? remaining : Math.min(creditCap, remaining);
+      }
+
+      // 5. Enumerate combinations and keep the largest valid ones
+      const combinations = this.findMaximalCombinations(courses, slotsBySection, {
+        mustHave,
+        creditCap,
+        companions
+      });
+
+      if (combinations.length === 0 && mustHave.length > 0) {
+        return {
+          success: false,
+          code: 'SCHEDULE_IMPOSSIBLE',
+          error: creditCap !== null
+            ? `Must-have courses cannot be scheduled together within ${creditCap} credits`
+            : 'Must-have courses cannot be scheduled together',
+          excludedCourses
+        };
+      }
+
+      // 6. Rank by preferences, then by size
+      const fullSectionIds = check.coursesToWaitlist.map(c => c.section_id);
+      const schedules = combinations
+        .map(sections => this.describeSchedule(sections, slotsBySection, preferences, fullSectionIds))
+        .sort((a, b) =>
+          a.preferenceViolations.length - b.preferenceViolations.length ||
+          b.courses.length - a.courses.length ||
+          b.totalCredits - a.totalCredits
+        );
+
+      return {
+        success: true,
+        data: {
+          studentId,
+          termId: term.term_id,
+          creditCap,
+          totalFound: schedules.length,
+          schedules: schedules.slice(0, limit),
+          excludedCourses
+        }
+      };
+    } catch (error) {
+      console.error('Error in generateSchedules:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'An error occurred while generating schedules'
+      };
+    }
+  }
+
+  /**
+   * Validate schedule preferences
+   * @param {Object} preferences - earliestStart, latestEnd (HH:MM) and freeDays
+   * @returns {Object} Result with success status
+   */
+  validatePreferences({ earliestStart, latestEnd, freeDays = [] }) {
+    if ((earliestStart && parseTime(earliestStart) === null) || (latestEnd && parseTime(latestEnd) === null)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'earliestStart and latestEnd must be times of day such as 09:30'
+      };
+    }
+
+    if (!Array.isArray(freeDays) || freeDays.some(day => !VALID_DAYS.includes(day))) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'freeDays must be a list of: ' + VALID_DAYS.join(', ')
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Load the timetable slots of a set of sections, grouped by section
+   * @param {number[]} sectionIds - Section IDs
+   * @returns {Object} Map of section ID to its slots
+   */
+  async getSlotsBySection(sectionIds) {
+    const slotsBySection = {};
+    sectionIds.forEach(id => {
+      slotsBySection[id] = [];
+    });
+
+    if (sectionIds.length === 0) {
+      return slotsBySection;
+    }
+
+    const [rows] = await db.query(
+      `SELECT t.*, c.course_code
+       FROM timetables t
+       JOIN courses c ON t.course_id = c.course_id
+       WHERE t.section_id IN (?)`,
+      [sectionIds]
+    );
+
+    rows.forEach(row => slotsBySection[row.section_id].push(row));
+    return slotsBySection;
+  }
+
+  /**
+   * Group candidate sections by course
+   * @param {Array} sections - Section rows
+   * @returns {Array} { courseId, sections } in wishlist order
+   */
+  groupByCourse(sections) {
+    const courses = [];
+
+    for (const section of sections) {
+      let course = courses.find(c => c.courseId === section.course_id);
+      if (!course) {
+        course = { courseId: section.course_id, sections: [] };
+        courses.push(course);
+      }
+      course.sections.push(section);
+    }
+
+    return courses;
+  }
+
+  /**
+   * Find the first slot of one list that overlaps a slot of another
+   * @param {Array} slots - Timetable slots
+   * @param {Array} otherSlots - Timetable slots to compare against
+   * @returns {Object|null} The overlapping slot from otherSlots, or null
+   */
+  findClash(slots, otherSlots) {
+    for (const slot of slots) {
+      const clash = otherSlots.find(other =>
+        other.day_of_week === slot.day_of_week &&
+        enrollmentService.timeSlotsOverlap(slot.start_time, slot.end_time, other.start_time, other.end_time)
+      );
+      if (clash) {
+        return clash;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * For each candidate course, the corequisites it still needs that are themselves candidates
+   * @param {number} studentId - The ID of the student
+   * @param {Array} candidates - Candidate section rows
+   * @param {Object} term - Term row
+   * @returns {Object} Map of course ID to the course IDs that must be in the same schedule
+   */
+  async getCorequisiteCompanions(studentId, candidates, term) {
+    const companions = {};
+
+    for (const courseId of [...new Set(candidates.map(c => c.course_id))]) {
+      const result = await enrollmentService.checkRequisites(db, studentId, [courseId], term);
+      companions[courseId] = (result.unmetRequisites || [])
+        .filter(rule => rule.type === 'corequisite')
+        .map(rule => rule.requiredCourseId);
+    }
+
+    return companions;
+  }
+
+  /**
+   * Enumerate every combination of sections (at most one per course) that has no internal clash,
+   * contains the must-have courses and their corequisites and fits the credit cap, keeping only
+   * those no further section can be added to.
+   * @param {Array} courses - Candidate courses with their sections, from groupByCourse
+   * @param {Object} slotsBySection - Map of section ID to its slots
+   * @param {Object} constraints - mustHave, creditCap and companions
+   * @returns {Array} Combinations as arrays of section rows
+   */
+  findMaximalCombinations(courses, slotsBySection, { mustHave, creditCap, companions }) {
+    const valid = [];
+
+    const search = (index, chosen, credits) => {
+      if (index === courses.length) {
+        const chosenCourseIds = chosen.map(section => section.course_id);
+        const complete = chosen.length > 0 &&
+          mustHave.every(id => chosenCourseIds.includes(id)) &&
+          chosen.every(section => companions[section.course_id].every(id => chosenCourseIds.includes(id)));
+
+        if (complete) {
+          valid.push(chosen);
+        }
+        return;
+      }
+
+      const course = courses[index];
+
+      for (const section of course.sections) {
+        const fits = creditCap === null || credits + section.credits <= creditCap;
+        const clashes = chosen.some(other => this.findClash(slotsBySection[section.section_id], slotsBySection[other.section_id]));
+
+        if (fits && !clashes) {
+          search(index + 1, [...chosen, section], credits + section.credits);
+        }
+      }
+
+      if (!mustHave.includes(course.courseId)) {
+        search(index + 1, chosen, credits);
+      }
+    };
+
+    search(0, [], 0);
+
+    // Larger combinations first: one is maximal unless a maximal one already found contains it
+    valid.sort((a, b) => b.length - a.length);
+
+    const maximal = [];
+    for (const combination of valid) {
+      const ids = combination.map(section => section.section_id);
+      const contained = maximal.some(other =>
+        other.length > ids.length && ids.every(id => other.some(section => section.section_id === id))
+      );
+
+      if (!contained) {
+        maximal.push(combination);
+      }
+    }
+
+    return maximal;
+  }
+
+  /**
+   * Describe a schedule and list the slots that go against the preferences
+   * @param {Array} sections - Section rows in the schedule
+   * @param {Object} slotsBySection - Map of section ID to its slots
+   * @param {Object} preferences - earliestStart, latestEnd and freeDays
+   * @param {number[]} fullSectionIds - Sections that are currently full
+   * @returns {Object} Schedule with its courses, slots, credits and preference violations
+   */
+  describeSchedule(sections, slotsBySection, { earliestStart, latestEnd, freeDays = [] }, fullSectionIds) {
+    const slots = sections
+      .flatMap(section => slotsBySection[section.section_id].map(slot => ({ ...slot, section_code: section.section_code })))
+      .sort((a, b) =>
+        VALID_DAYS.indexOf(a.day_of_week) - VALID_DAYS.indexOf(b.day_of_week) ||
+        compareTimes(a.start_time, b.start_time)
+      );
+
+    const preferenceViolations = [];
+    for (const slot of slots) {
+      const label = `${slot.course_code}-${slot.section_code} on ${slot.day_of_week} (${slot.start_time}-${slot.end_time})`;
+
+      if (earliestStart && compareTimes(slot.start_time, earliestStart) < 0) {
+        preferenceViolations.push({ preference: 'earliestStart', message: `${label} starts before ${earliestStart}` });
+      }
+      if (latestEnd && compareTimes(slot.end_time, latestEnd) > 0) {
+        preferenceViolations.push({ preference: 'latestEnd', message: `${label} ends after ${latestEnd}` });
+      }
+      if (freeDays.includes(slot.day_of_week)) {
+        preferenceViolations.push({ preference: 'freeDays', message: `${label} falls on ${slot.day_of_week}` });
+      }
+    }
+
+    return {
+      courses: sections.map(section => ({
+        ...enrollmentService.describeSection(section),
+        credits: section.credits,
+        full: fullSectionIds.includes(section.section_id)
+      })),
+      totalCredits: sections.reduce((sum, section) => sum + section.credits, 0),
+      slots: slots.map(slot => ({
+        courseCode: slot.course_code,
+        sectionCode: slot.section_code,
+        dayOfWeek: slot.day_of_week,
+        startTime: slot.start_time,
+        endTime: slot.end_time
+      })),
+      preferenceViolations
+    };
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,271 @@
+const db = require('../config/database');
+const termService = require('./termService');
+const enrollmentService = require('./enrollmentService');
+const { beginLockingTransaction } = require('../utils/locking');
+
+const SECTION_CODE_PATTERN = /^[A-Za-z0-9-]{1,10}$/;
+
+class SectionService {
+  /**
+   * Add a section to a course offering
+   * @param {number} courseId - The ID of the course
+   * @param {number|null} termId - Term of the offering, or null for the current term
+   * @param {Object} section - Section details
+   * @param {string} section.sectionCode - Short code shown to students (e.g., A, B, L01)
+   * @param {number} [section.capacity] - Seat limit; defaults to the course capacity
+   * @returns {Object} Result object
+   */
+  async createSection(courseId, termId, { sectionCode, capacity }) {
+    if (!sectionCode || !SECTION_CODE_PATTERN.test(sectionCode)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'sectionCode must be 1-10 letters, digits or dashes'
+      };
+    }
+
+    if (capacity !== undefined && capacity !== null && (!Number.isInteger(capacity) || capacity <= 0)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Capacity must be a positive integer'
+      };
+    }
+
+    try {
+      const [courseRows] = await db.query(
+        'SELECT course_id, course_code, college_id, capacity, archived_at FROM courses WHERE course_id = ?',
+        [courseId]
+      );
+
+      if (courseRows.length === 0) {
+        return {
+          success: false,
+          code: 'COURSE_NOT_FOUND',
+          error: 'Course not found'
+        };
+      }
+
+      if (courseRows[0].archived_at) {
+        return {
+          success: false,
+          code: 'COURSE_ARCHIVED',
+          error: 'Course is archived; restore it before adding sections'
+        };
+      }
+
+      const course = courseRows[0];
+      const termResult = await termService.resolveTerm(db, course.college_id, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      const { term } = termResult;
+      const sectionCapacity = capacity === undefined ? course.capacity : capacity;
+
+      const [result] = await db.query(
+        `INSERT INTO course_sections (course_id, term_id, section_code, capacity)
+         VALUES (?, ?, ?, ?)`,
+        [courseId, term.term_id, sectionCode, sectionCapacity]
+      );
+
+      return {
+        success: true,
+        message: `Section ${course.course_code}-${sectionCode} created successfully`,
+        data: {
+          sectionId: result.insertId,
+          courseId,
+          termId: term.term_id,
+          sectionCode,
+          capacity: sectionCapacity
+        }
+      };
+    } catch (error) {
+      console.error('Error in createSection:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_SECTION',
+          error: 'A section with this code already exists for this course and term'
+        };
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return {
+          success: false,
+          code: 'NOT_OFFERED',
+          error: 'Course is not offered in this term'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to create section'
+      };
+    }
+  }
+
+  /**
+   * Update a section's code or capacity.
+   * Raising the capacity hands the new seats to the section's waitlist.
+   * @param {number} sectionId - The ID of the section
+   * @param {Object} updates - Any of sectionCode, capacity (null for unlimited)
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} Result object
+   */
+  async updateSection(sectionId, updates, actor = {}) {
+    const { sectionCode, capacity } = updates;
+
+    if (sectionCode !== undefined && !SECTION_CODE_PATTERN.test(sectionCode)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'sectionCode must be 1-10 letters, digits or dashes'
+      };
+    }
+
+    if (capacity !== undefined && capacity !== null && (!Number.isInteger(capacity) || capacity <= 0)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'Capacity must be a positive integer'
+      };
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+      await beginLockingTransaction(connection);
+
+      const [sectionRows] = await connection.query(
+        `SELECT s.*,
+                (SELECT COUNT(*) FROM student_courses sc WHERE sc.section_id = s.section_id) AS enrolled_count
+         FROM course_sections s
+         WHERE s.section_id = ?
+         FOR UPDATE`,
+        [sectionId]
+      );
+
+      if (sectionRows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'SECTION_NOT_FOUND',
+          error: 'Section not found'
+        };
+      }
+
+      const existing = sectionRows[0];
+      const merged = {
+        sectionCode: sectionCode !== undefined ? sectionCode : existing.section_code,
+        capacity: capacity !== undefined ? capacity : existing.capacity
+      };
+
+      if (merged.capacity !== null && merged.capacity < existing.enrolled_count) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'CAPACITY_BELOW_ENROLLMENT',
+          error: `Capacity cannot be lower than the ${existing.enrolled_count} student(s) already enrolled`
+        };
+      }
+
+      await connection.query(
+        `UPDATE course_sections
+         SET section_code = ?, capacity = ?
+         WHERE section_id = ?`,
+        [merged.sectionCode, merged.capacity, sectionId]
+      );
+
+      const promotedStudents = await enrollmentService.promoteFromWaitlist(connection, sectionId, actor);
+
+      await connection.commit();
+
+      return {
+        success: true,
+        message: 'Section updated successfully',
+        data: {
+          sectionId,
+          courseId: existing.course_id,
+          termId: existing.term_id,
+          ...merged,
+          promotedStudents
+        }
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in updateSection:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_SECTION',
+          error: 'A section with this code already exists for this course and term'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to update section'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get the sections of a course in a term with their seat counts, instructors and timetables
+   * @param {number} courseId - The ID of the course
+   * @param {number|null} termId - Term to list, or null for the current term
+   * @returns {Object} Result object with sections
+   */
+  async getCourseSections(courseId, termId = null) {
+    try {
+      const [courseRows] = await db.query(
+        'SELECT course_id, college_id FROM courses WHERE course_id = ?',
+        [courseId]
+      );
+
+      if (courseRows.length === 0) {
+        return {
+          success: false,
+          code: 'COURSE_NOT_FOUND',
+          error: 'Course not found'
+        };
+      }
+
+      const termResult = await termService.resolveTerm(db, courseRows[0].college_id, termId);
+      if (!termResult.success) {
+        return termResult;
+      }
+
+      const [rows] = await db.query(
+        `SELECT s.section_id, s.section_code, s.capacity,
+                (SELECT COUNT(*) FROM student_courses sc WHERE sc.section_id = s.section_id) AS enrolled_count,
+                (SELECT COUNT(*) FROM course_waitlist w WHERE w.section_id = s.section_id) AS waitlist_count
+         FROM course_sections s
+         WHERE s.course_id = ? AND s.term_id = ?
+         ORDER BY s.section_code`,
+        [courseId, termResult.term.term_id]
+      );
+
+      const slotsBySection = await enrollmentService.getSectionSlots(db, rows.map(row => row.section_id));
+
+      return {
+        success: true,
+        term: {
+          termId: termResult.term.term_id,
+          name: termResult.term.name
+        },
+        data: rows.map(row => enrollmentService.withTimetable(row, slotsBySection))
+      };
+    } catch (error) {
+      console.error('Error in getCourseSections:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch sections'
+      };
+    }
+  }
+}
+
+module.exports = new SectionService();
@@ -0,0 +1,569 @@
+const db = require('../config/database');
+const auditService = require('./auditService');
+const enrollmentService = require('./enrollmentService');
+const notificationService = require('./notificationService');
+const { beginLockingTransaction } = require('../utils/locking');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_PAGE_SIZE = 100;
+
+class StudentService {
+  /**
+   * Create a student
+   * @param {Object} student - { name, email, collegeId }
+   * @returns {Object} Result object
+   */
+  async createStudent(student) {
+    try {
+      return await this.insertStudent(db, student);
+    } catch (error) {
+      console.error('Error in createStudent:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to create student'
+      };
+    }
+  }
+
+  /**
+   * Validate and insert a student using the given connection
+   * @param {Object} connection - Database connection (or the pool)
+   * @param {Object} student - { name, email, collegeId }
+   * @returns {Object} Result object
+   */
+  async insertStudent(connection, { name, email, collegeId }) {
+    const validation = this.validateStudent({ name, email });
+    if (!validation.success) {
+      return validation;
+    }
+
+    try {
+      const [result] = await connection.query(
+        'INSERT INTO students (name, email, college_id) VALUES (?, ?, ?)',
+        [name, email, collegeId]
+      );
+
+      return {
+        success: true,
+        message: 'Student created successfully',
+        data: {
+          studentId: result.insertId,
+          name,
+          email,
+          collegeId
+        }
+      };
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_EMAIL',
+          error: 'A student with this email already exists'
+        };
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check a student's name and email
+   * @param {Object} student - { name, email }
+   * @returns {Object} { success } or { success: false, code, error }
+   */
+  validateStudent({ name, email }) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'name is required'
+      };
+    }
+
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'email is not a valid email address'
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * List students, optionally limited to a college and matched on name or email
+   * @param {Object} options - Listing options
+   * @param {number|null} [options.collegeId] - Only students of this college
+   * @param {string} [options.search] - Case-insensitive match on name or email
+   * @param {number} [options.page] - Page number, from 1
+   * @param {number} [options.pageSize] - Students per page (1-100, default 20)
+   * @returns {Object} Result object with pagination and students
+   */
+  async getStudents({ collegeId = null, search = null, page = 1, pageSize = 20 } = {}) {
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `page must be a positive integer and pageSize between 1 and ${MAX_PAGE_SIZE}`
+      };
+    }
+
+    try {
+      const searchPattern = search ? `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%` : null;
+      const conditions = '(? IS NULL OR s.college_id = ?) AND (? IS NULL OR s.name LIKE ? OR s.email LIKE ?)';
+      const params = [collegeId, collegeId, searchPattern, searchPattern, searchPattern];
+
+      const [[{ total }]] = await db.query(
+        `SELECT COUNT(*) AS total FROM students s WHERE ${conditions}`,
+        params
+      );
+
+      const [rows] = await db.query(
+        `SELECT s.student_id, s.name, s.email, s.college_id, c.name AS college_name, s.created_at,
+                (SELECT COUNT(*) FROM student_courses sc
+                 JOIN terms t ON sc.term_id = t.term_id
+                 WHERE sc.student_id = s.student_id AND t.end_date >= CURDATE()) AS active_enrollments
+         FROM students s
+         JOIN colleges c ON s.college_id = c.college_id
+         WHERE ${conditions}
+         ORDER BY s.name, s.student_id
+         LIMIT ? OFFSET ?`,
+        [...params, pageSize, (page - 1) * pageSize]
+      );
+
+      return {
+        success: true,
+        pagination: {
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        },
+        data: rows
+      };
+    } catch (error) {
+      console.error('Error in getStudents:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch students'
+      };
+    }
+  }
+
+  /**
+   * Get a student with their college, login account and enrollment history counts
+   * @param {number} studentId - The ID of the student
+   * @returns {Object} Result object with the student
+   */
+  async getStudent(studentId) {
+    try {
+      const [rows] = await db.query(
+        `SELECT s.student_id, s.name, s.email, s.college_id, c.name AS college_name, s.created_at,
+                u.email AS account_email
+         FROM students s
+         JOIN colleges c ON s.college_id = c.college_id
+         LEFT JOIN users u ON u.student_id = s.student_id
+         WHERE s.student_id = ?`,
+        [studentId]
+      );
+
+      if (rows.length === 0) {
+        return {
+          success: false,
+          code: 'STUDENT_NOT_FOUND',
+          error: 'Student not found'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          ...rows[0],
+          records: await this.getStudentRecords(db, studentId)
+        }
+      };
+    } catch (error) {
+      console.error('Error in getStudent:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch student'
+      };
+    }
+  }
+
+  /**
+   * Update a student's name, email or college.
+   * Students may only take courses of their own college, so moving a student to another
+   * college would strand their enrollments and waitlist entries there. While any are in a
+   * term that has not ended the move needs confirm; they are then withdrawn (freeing the
+   * seats for waitlisted students), the old college's credit overrides removed and the
+   * student notified. Past enrollments and completions are kept as history and reported.
+   * The student's login account moves with them.
+   * @param {number} studentId - The ID of the student
+   * @param {Object} updates - Any of name, email, collegeId
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - { confirm }
+   * @returns {Object} Result object
+   */
+  async updateStudent(studentId, updates, actor = {}, { confirm = false } = {}) {
+    const connection = await db.getConnection();
+
+    try {
+      await beginLockingTransaction(connection);
+
+      const [rows] = await connection.query(
+        'SELECT * FROM students WHERE student_id = ? FOR UPDATE',
+        [studentId]
+      );
+
+      if (rows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'STUDENT_NOT_FOUND',
+          error: 'Student not found'
+        };
+      }
+
+      const existing = rows[0];
+      const merged = {
+        name: updates.name !== undefined ? updates.name : existing.name,
+        email: updates.email !== undefined ? updates.email : existing.email,
+        collegeId: updates.collegeId !== undefined ? updates.collegeId : existing.college_id
+      };
+
+      const validation = this.validateStudent(merged);
+      if (!validation.success) {
+        await connection.rollback();
+        return validation;
+      }
+
+      const moving = merged.collegeId !== existing.college_id;
+      let crossCollegeRecords = null;
+      let withdrawn = null;
+
+      if (moving) {
+        const [collegeRows] = await connection.query(
+          'SELECT college_id, name FROM colleges WHERE college_id = ?',
+          [merged.collegeId]
+        );
+
+        if (collegeRows.length === 0) {
+          await connection.rollback();
+          return {
+            success: false,
+            code: 'COLLEGE_NOT_FOUND',
+            error: 'College not found'
+          };
+        }
+
+        crossCollegeRecords = await this.getStudentRecords(connection, studentId);
+
+        if (crossCollegeRecords.activeEnrollments + crossCollegeRecords.waitlisted > 0 && !confirm) {
+          await connection.rollback();
+          return {
+            success: false,
+            code: 'CONFIRMATION_REQUIRED',
+            error: `Student has ${crossCollegeRecords.activeEnrollments} active enrollment(s) and ${crossCollegeRecords.waitlisted} waitlist entr${crossCollegeRecords.waitlisted === 1 ? 'y' : 'ies'} at their current college. Resend with confirm to withdraw them and move the student`,
+            requiresConfirmation: true,
+            crossCollegeRecords
+          };
+        }
+
+        withdrawn = await this.withdrawActiveRecords(connection, existing, actor);
+
+        await connection.query(
+          `DELETE FROM credit_load_overrides
+           WHERE student_id = ? AND term_id IN (SELECT term_id FROM terms WHERE college_id = ?)`,
+          [studentId, existing.college_id]
+        );
+
+        if (withdrawn.enrollments + withdrawn.waitlistEntries > 0) {
+          await notificationService.queue(connection, {
+            studentId,
+            type: 'college_transfer',
+            subject: `You have been moved to ${collegeRows[0].name}`,
+            body: [
+              `Hello ${merged.name},`,
+              '',
+              `Your student record has been moved to ${collegeRows[0].name}.`,
+              `${withdrawn.enrollments} enrollment(s) and ${withdrawn.waitlistEntries} waitlist place(s) at your previous college have been cancelled.`,
+              actor.reason ? `Reason given: ${actor.reason}` : null
+            ].filter(line => line !== null).join('\n'),
+            payload: {
+              fromCollegeId: existing.college_id,
+              toCollegeId: merged.collegeId,
+              withdrawnEnrollments: withdrawn.enrollments,
+              removedWaitlistEntries: withdrawn.waitlistEntries
+            }
+          });
+        }
+      }
+
+      await connection.query(
+        'UPDATE students SET name = ?, email = ?, college_id = ? WHERE student_id = ?',
+        [merged.name, merged.email, merged.collegeId, studentId]
+      );
+
+      if (moving) {
+        await connection.query(
+          'UPDATE users SET college_id = ? WHERE student_id = ?',
+          [merged.collegeId, studentId]
+        );
+      }
+
+      await auditService.record(connection, {
+        action: 'student_update',
+        actor,
+        collegeId: existing.college_id,
+        studentId,
+        before: {
+          name: existing.name,
+          email: existing.email,
+          collegeId: existing.college_id
+        },
+        after: {
+          ...merged,
+          ...(withdrawn ? { withdrawnEnrollments: withdrawn.enrollments, removedWaitlistEntries: withdrawn.waitlistEntries } : {})
+        }
+      });
+
+      await connection.commit();
+
+      const response = {
+        success: true,
+        message: moving ? 'Student moved to the new college' : 'Student updated successfully',
+        data: {
+          studentId,
+          ...merged
+        }
+      };
+
+      if (moving) {
+        response.crossCollegeRecords = crossCollegeRecords;
+        response.withdrawn = withdrawn;
+      }
+
+      return response;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in updateStudent:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_EMAIL',
+          error: 'A student with this email already exists'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to update student'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete a student and everything attached to them. A student with enrollments or
+   * waitlist entries in a term that has not ended needs confirm; their seats are handed
+   * to waitlisted students. The audit log keeps the student's history.
+   * @param {number} studentId - The ID of the student
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @param {Object} options - { confirm }
+   * @returns {Object} Result object with the records removed
+   */
+  async deleteStudent(studentId, actor = {}, { confirm = false } = {}) {
+    const connection = await db.getConnection();
+
+    try {
+      await beginLockingTransaction(connection);
+
+      const [rows] = await connection.query(
+        'SELECT * FROM students WHERE student_id = ? FOR UPDATE',
+        [studentId]
+      );
+
+      if (rows.length === 0) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'STUDENT_NOT_FOUND',
+          error: 'Student not found'
+        };
+      }
+
+      const student = rows[0];
+      const records = await this.getStudentRecords(connection, studentId);
+
+      if (records.activeEnrollments + records.waitlisted > 0 && !confirm) {
+        await connection.rollback();
+        return {
+          success: false,
+          code: 'CONFIRMATION_REQUIRED',
+          error: `Student has ${records.activeEnrollments} active enrollment(s) and ${records.waitlisted} waitlist entr${records.waitlisted === 1 ? 'y' : 'ies'}. Resend with confirm to delete the student and withdraw them`,
+          requiresConfirmation: true,
+          impact: records
+        };
+      }
+
+      const withdrawn = await this.withdrawActiveRecords(connection, student, actor);
+
+      await connection.query('DELETE FROM students WHERE student_id = ?', [studentId]);
+
+      await auditService.record(connection, {
+        action: 'student_delete',
+        actor,
+        collegeId: student.college_id,
+        studentId,
+        before: {
+          name: student.name,
+          email: student.email,
+          ...records
+        }
+      });
+
+      await connection.commit();
+
+      return {
+        success: true,
+        message: 'Student deleted successfully',
+        data: {
+          studentId,
+          promotedStudents: withdrawn.promotedStudents
+        },
+        impact: records
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in deleteStudent:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to delete student'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Count a student's enrollment records. Active records are in terms that have not ended.
+   * @param {Object} connection - Database connection
+   * @param {number} studentId - The ID of the student
+   * @returns {Object} activeEnrollments, waitlisted, pastEnrollments, completions, creditOverrides
+   */
+  async getStudentRecords(connection, studentId) {
+    const [[counts]] = await connection.query(
+      `SELECT (SELECT COUNT(*) FROM student_courses sc JOIN terms t ON sc.term_id = t.term_id
+               WHERE sc.student_id = ? AND t.end_date >= CURDATE()) AS active_enrollments,
+              (SELECT COUNT(*) FROM course_waitlist w JOIN terms t ON w.term_id = t.term_id
+               WHERE w.student_id = ? AND t.end_date >= CURDATE()) AS waitlisted,
+              (SELECT COUNT(*) FROM student_courses sc JOIN terms t ON sc.term_id = t.term_id
+               WHERE sc.student_id = ? AND t.end_date < CURDATE()) AS past_enrollments,
+              (SELECT COUNT(*) FROM completed_courses WHERE student_id = ?) AS completions,
+              (SELECT COUNT(*) FROM credit_load_overrides WHERE student_id = ?) AS credit_overrides`,
+      [studentId, studentId, studentId, studentId, studentId]
+    );
+
+    return {
+      activeEnrollments: Number(counts.active_enrollments),
+      waitlisted: Number(counts.waitlisted),
+      pastEnrollments: Number(counts.past_enrollments),
+      completions: Number(counts.completions),
+      creditOverrides: Number(counts.credit_overrides)
+    };
+  }
+
+  /**
+   * Withdraw a student from every enrollment and waitlist entry in terms that have not ended,
+   * auditing each one and offering each freed seat to the section's waitlist.
+   * Does not commit or roll back.
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {Object} student - Student row
+   * @param {Object} actor - { userId, role, reason } of the caller, recorded in the audit log
+   * @returns {Object} { enrollments, waitlistEntries, promotedStudents }
+   */
+  async withdrawActiveRecords(connection, student, actor = {}) {
+    const [enrollments] = await connection.query(
+      `SELECT sc.enrollment_id, sc.course_id, sc.section_id, sc.term_id, sc.enrolled_at,
+              c.course_code, s.section_code
+       FROM student_courses sc
+       JOIN courses c ON sc.course_id = c.course_id
+       JOIN course_sections s ON sc.section_id = s.section_id
+       JOIN terms t ON sc.term_id = t.term_id
+       WHERE sc.student_id = ? AND t.end_date >= CURDATE()
+       FOR UPDATE`,
+      [student.student_id]
+    );
+
+    const [waitlistEntries] = await connection.query(
+      `SELECT w.waitlist_id, w.course_id, w.term_id, w.created_at, c.course_code, s.section_code
+       FROM course_waitlist w
+       JOIN courses c ON w.course_id = c.course_id
+       JOIN course_sections s ON w.section_id = s.section_id
+       JOIN terms t ON w.term_id = t.term_id
+       WHERE w.student_id = ? AND t.end_date >= CURDATE()
+       FOR UPDATE`,
+      [student.student_id]
+    );
+
+    for (const entry of waitlistEntries) {
+      await connection.query('DELETE FROM course_waitlist WHERE waitlist_id = ?', [entry.waitlist_id]);
+      await auditService.record(connection, {
+        action: 'waitlist_leave',
+        actor,
+        collegeId: student.college_id,
+        studentId: student.student_id,
+        courseId: entry.course_id,
+        termId: entry.term_id,
+        before: {
+          status: 'waitlisted',
+          courseCode: entry.course_code,
+          sectionCode: entry.section_code,
+          joinedAt: entry.created_at
+        }
+      });
+    }
+
+    const promotedStudents = [];
+    for (const enrollment of enrollments) {
+      await connection.query('DELETE FROM student_courses WHERE enrollment_id = ?', [enrollment.enrollment_id]);
+      await auditService.record(connection, {
+        action: 'drop',
+        actor,
+        collegeId: student.college_id,
+        studentId: student.student_id,
+        courseId: enrollment.course_id,
+        termId: enrollment.term_id,
+        before: {
+          status: 'enrolled',
+          courseCode: enrollment.course_code,
+          sectionCode: enrollment.section_code,
+          enrolledAt: enrollment.enrolled_at
+        }
+      });
+
+      promotedStudents.push(...await enrollmentService.promoteFromWaitlist(connection, enrollment.section_id, actor));
+    }
+
+    return {
+      enrollments: enrollments.length,
+      waitlistEntries: waitlistEntries.length,
+      promotedStudents
+    };
+  }
+}
+
+module.exports = new StudentService();
@@ -0,0 +1,483 @@
+const db = require('../config/database');
+const {
+  wallClockToInstant,
+  instantToWallClock,
+  fromStoredDateTime,
+  parseDateTime,
+  formatDate,
+  formatDateTime
+} = require('../utils/time');
+
+// Terms with the timezone of their college, in which their dates and window are wall-clock values
+const TERM_COLUMNS = 'SELECT t.*, c.timezone FROM terms t JOIN colleges c ON t.college_id = c.college_id';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class TermService {
+  /**
+   * Create an academic term for a college
+   * @param {Object} term - Term details
+   * @param {number} term.collegeId - College the term belongs to
+   * @param {string} term.name - Term name (e.g., Fall 2026)
+   * @param {string} term.startDate - First day of classes (YYYY-MM-DD)
+   * @param {string} term.endDate - Last day of classes (YYYY-MM-DD)
+   * @param {string} term.enrollmentOpensAt - When enrollment opens (date-time, college time
+   *   unless it carries a UTC offset)
+   * @param {string} term.enrollmentClosesAt - When enrollment closes (date-time, likewise)
+   * @returns {Object} Result object
+   */
+  async createTerm({ collegeId, name, startDate, endDate, enrollmentOpensAt, enrollmentClosesAt }) {
+    try {
+      const [collegeRows] = await db.query('SELECT timezone FROM colleges WHERE college_id = ?', [collegeId]);
+
+      if (collegeRows.length === 0) {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+
+      const { timezone } = collegeRows[0];
+      const validation = this.validateTermDates({ startDate, endDate, enrollmentOpensAt, enrollmentClosesAt }, timezone);
+      if (!validation.success) {
+        return validation;
+      }
+
+      const [result] = await db.query(
+        `INSERT INTO terms (college_id, name, start_date, end_date, enrollment_opens_at, enrollment_closes_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [collegeId, name, startDate, endDate, validation.opensAt, validation.closesAt]
+      );
+
+      return {
+        success: true,
+        message: 'Term created successfully',
+        data: {
+          termId: result.insertId,
+          collegeId,
+          name,
+          startDate,
+          endDate,
+          enrollmentOpensAt: validation.opensAt,
+          enrollmentClosesAt: validation.closesAt,
+          timezone
+        }
+      };
+    } catch (error) {
+      console.error('Error in createTerm:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_TERM',
+          error: 'A term with this name already exists for this college'
+        };
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return {
+          success: false,
+          code: 'COLLEGE_NOT_FOUND',
+          error: 'College not found'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to create term'
+      };
+    }
+  }
+
+  /**
+   * Update the name, dates or enrollment window of a term
+   * @param {number} termId - The ID of the term
+   * @param {Object} updates - Any of name, startDate, endDate, enrollmentOpensAt, enrollmentClosesAt
+   * @returns {Object} Result object
+   */
+  async updateTerm(termId, updates) {
+    try {
+      const [termRows] = await db.query(`${TERM_COLUMNS} WHERE t.term_id = ?`, [termId]);
+
+      if (termRows.length === 0) {
+        return {
+          success: false,
+          code: 'TERM_NOT_FOUND',
+          error: 'Term not found'
+        };
+      }
+
+      const existing = termRows[0];
+      const merged = {
+        name: updates.name || existing.name,
+        startDate: updates.startDate || this.formatDate(existing.start_date),
+        endDate: updates.endDate || this.formatDate(existing.end_date),
+        enrollmentOpensAt: updates.enrollmentOpensAt || formatDateTime(fromStoredDateTime(existing.enrollment_opens_at)),
+        enrollmentClosesAt: updates.enrollmentClosesAt || formatDateTime(fromStoredDateTime(existing.enrollment_closes_at))
+      };
+
+      const validation = this.validateTermDates(merged, existing.timezone);
+      if (!validation.success) {
+        return validation;
+      }
+
+      await db.query(
+        `UPDATE terms
+         SET name = ?, start_date = ?, end_date = ?, enrollment_opens_at = ?, enrollment_closes_at = ?
+         WHERE term_id = ?`,
+        [merged.name, merged.startDate, merged.endDate, validation.opensAt, validation.closesAt, termId]
+      );
+
+      return {
+        success: true,
+        message: 'Term updated successfully',
+        data: {
+          termId,
+          name: merged.name,
+          startDate: merged.startDate,
+          endDate: merged.endDate,
+          enrollmentOpensAt: validation.opensAt,
+          enrollmentClosesAt: validation.closesAt,
+          timezone: existing.timezone
+        }
+      };
+    } catch (error) {
+      console.error('Error in updateTerm:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'DUPLICATE_TERM',
+          error: 'A term with this name already exists for this college'
+        };
+      }
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to update term'
+      };
+    }
+  }
+
+  /**
+   * Get all terms of a college, flagging the current one
+   * @param {number} collegeId - The ID of the college
+   * @returns {Object} Result object with terms
+   */
+  async getCollegeTerms(collegeId) {
+    try {
+      const [rows] = await db.query(
+        `${TERM_COLUMNS} WHERE t.college_id = ? ORDER BY t.start_date`,
+        [collegeId]
+      );
+
+      const currentTerm = this.pickCurrentTerm(rows);
+
+      return {
+        success: true,
+        data: rows.map(term => ({
+          ...term,
+          is_current: currentTerm !== null && term.term_id === currentTerm.term_id,
+          enrollment_open: this.isEnrollmentOpen(term)
+        }))
+      };
+    } catch (error) {
+      console.error('Error in getCollegeTerms:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch terms'
+      };
+    }
+  }
+
+  /**
+   * Offer a catalog course in a term so it can get timetables and enrollments.
+   * The offering starts with a single section A that takes the course's capacity.
+   * @param {number} termId - The ID of the term
+   * @param {number} courseId - The ID of the course
+   * @returns {Object} Result object
+   */
+  async addOffering(termId, courseId) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const result = await this.insertOffering(connection, termId, courseId);
+
+      if (!result.success) {
+        await connection.rollback();
+        return result;
+      }
+
+      await connection.commit();
+
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error in addOffering:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to add course offering'
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Offer a course in a term and create its section A, inside the caller's transaction
+   * @param {Object} connection - Database connection inside a transaction
+   * @param {number} termId - The ID of the term
+   * @param {number} courseId - The ID of the course
+   * @returns {Object} Result object
+   */
+  async insertOffering(connection, termId, courseId) {
+    const [rows] = await connection.query(
+      `SELECT t.college_id AS term_college_id, c.college_id AS course_college_id, c.course_code, c.capacity,
+              c.archived_at
+       FROM terms t, courses c
+       WHERE t.term_id = ? AND c.course_id = ?`,
+      [termId, courseId]
+    );
+
+    if (rows.length === 0) {
+      return {
+        success: false,
+        code: 'NOT_FOUND',
+        error: 'Term or course not found'
+      };
+    }
+
+    if (rows[0].term_college_id !== rows[0].course_college_id) {
+      return {
+        success: false,
+        code: 'CROSS_COLLEGE',
+        error: 'Course and term must belong to the same college'
+      };
+    }
+
+    if (rows[0].archived_at) {
+      return {
+        success: false,
+        code: 'COURSE_ARCHIVED',
+        error: 'Course is archived; restore it before offering it'
+      };
+    }
+
+    let result;
+    try {
+      [result] = await connection.query(
+        'INSERT INTO course_offerings (course_id, term_id) VALUES (?, ?)',
+        [courseId, termId]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return {
+          success: false,
+          code: 'ALREADY_OFFERED',
+          error: 'Course is already offered in this term'
+        };
+      }
+      throw error;
+    }
+
+    const [sectionResult] = await connection.query(
+      `INSERT INTO course_sections (course_id, term_id, section_code, capacity)
+       VALUES (?, ?, 'A', ?)`,
+      [courseId, termId, rows[0].capacity]
+    );
+
+    return {
+      success: true,
+      message: `${rows[0].course_code} is now offered in this term`,
+      data: {
+        offeringId: result.insertId,
+        termId,
+        courseId,
+        sectionId: sectionResult.insertId
+      }
+    };
+  }
+
+  /**
+   * Get the courses offered in a term
+   * @param {number} termId - The ID of the term
+   * @returns {Object} Result object with offered courses
+   */
+  async getOfferings(termId) {
+    try {
+      const [rows] = await db.query(
+        `SELECT o.offering_id, c.course_id, c.course_code, c.course_name, c.credits,
+                (SELECT COUNT(*) FROM course_sections s
+                 WHERE s.course_id = o.course_id AND s.term_id = o.term_id) AS section_count
+         FROM course_offerings o
+         JOIN courses c ON o.course_id = c.course_id
+         WHERE o.term_id = ?
+         ORDER BY c.course_code`,
+        [termId]
+      );
+
+      return {
+        success: true,
+        data: rows
+      };
+    } catch (error) {
+      console.error('Error in getOfferings:', error);
+      return {
+        success: false,
+        code: 'INTERNAL_ERROR',
+        error: 'Failed to fetch course offerings'
+      };
+    }
+  }
+
+  /**
+   * Resolve the term an operation applies to: the given term, or the college's current term
+   * @param {Object} connection - Database connection to query with
+   * @param {number} collegeId - College the caller belongs to
+   * @param {number|null} termId - Explicit term ID, or null for the current term
+   * @returns {Object} Result with the term row
+   */
+  async resolveTerm(connection, collegeId, termId = null) {
+    if (termId) {
+      const [rows] = await connection.query(
+        `${TERM_COLUMNS} WHERE t.term_id = ? AND t.college_id = ?`,
+        [termId, collegeId]
+      );
+
+      if (rows.length === 0) {
+        return {
+          success: false,
+          code: 'TERM_NOT_FOUND',
+          error: 'Term not found for this college'
+        };
+      }
+
+      return { success: true, term: rows[0] };
+    }
+
+    const [rows] = await connection.query(
+      `${TERM_COLUMNS} WHERE t.college_id = ? ORDER BY t.start_date`,
+      [collegeId]
+    );
+
+    const currentTerm = this.pickCurrentTerm(rows);
+
+    if (!currentTerm) {
+      return {
+        success: false,
+        code: 'NO_CURRENT_TERM',
+        error: 'No current term found for this college'
+      };
+    }
+
+    return { success: true, term: currentTerm };
+  }
+
+  /**
+   * Pick the current term out of a college's terms (sorted by start date).
+   * A term with enrollment open wins, then one in progress, then the next one to start.
+   * Term dates are compared with today's date in the college's timezone.
+   * @param {Array} terms - Term rows with their college's timezone, ordered by start_date
+   * @param {Date} now - Reference time
+   * @returns {Object|null} The current term, or null if every term has ended
+   */
+  pickCurrentTerm(terms, now = new Date()) {
+    const today = term => formatDate(instantToWallClock(term.timezone, now));
+    const remaining = terms.filter(term => this.formatDate(term.end_date) >= today(term));
+
+    return remaining.find(term => this.isEnrollmentOpen(term, now)) ||
+      remaining.find(term => this.formatDate(term.start_date) <= today(term)) ||
+      remaining[0] ||
+      null;
+  }
+
+  /**
+   * Get the instants a term's enrollment window opens and closes. The stored bounds are
+   * wall-clock times in the college's timezone.
+   * @param {Object} term - Term row with its college's timezone
+   * @returns {Object} { opensAt, closesAt } as Dates
+   */
+  getEnrollmentWindow(term) {
+    return {
+      opensAt: wallClockToInstant(term.timezone, fromStoredDateTime(term.enrollment_opens_at)),
+      closesAt: wallClockToInstant(term.timezone, fromStoredDateTime(term.enrollment_closes_at))
+    };
+  }
+
+  /**
+   * Check whether a term's enrollment window is open
+   * @param {Object} term - Term row with its college's timezone
+   * @param {Date} now - Reference time
+   * @returns {boolean} True if students may enroll right now
+   */
+  isEnrollmentOpen(term, now = new Date()) {
+    const { opensAt, closesAt } = this.getEnrollmentWindow(term);
+    return opensAt <= now && now <= closesAt;
+  }
+
+  /**
+   * Validate term dates and enrollment window
+   * @param {Object} dates - startDate, endDate, enrollmentOpensAt, enrollmentClosesAt
+   * @param {string} timeZone - The college's timezone, in which the window is given
+   * @returns {Object} Result with the window as wall-clock YYYY-MM-DD HH:MM:SS on success
+   */
+  validateTermDates({ startDate, endDate, enrollmentOpensAt, enrollmentClosesAt }, timeZone) {
+    if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'startDate and endDate must be dates in YYYY-MM-DD format'
+      };
+    }
+
+    if (startDate >= endDate) {
+      return {
+        success: false,
+        code: 'INVALID_DATE_RANGE',
+        error: 'Start date must be before end date'
+      };
+    }
+
+    const opensAt = parseDateTime(enrollmentOpensAt, timeZone);
+    const closesAt = parseDateTime(enrollmentClosesAt, timeZone);
+
+    if (!opensAt || !closesAt) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: 'enrollmentOpensAt and enrollmentClosesAt must be valid date-times'
+      };
+    }
+
+    if (opensAt >= closesAt) {
+      return {
+        success: false,
+        code: 'INVALID_DATE_RANGE',
+        error: 'Enrollment must open before it closes'
+      };
+    }
+
+    if (formatDate(closesAt) > endDate) {
+      return {
+        success: false,
+        code: 'INVALID_DATE_RANGE',
+        error: 'Enrollment must close before the term ends'
+      };
+    }
+
+    return { success: true, opensAt: formatDateTime(opensAt), closesAt: formatDateTime(closesAt) };
+  }
+
+  /**
+   * Format a stored DATE as YYYY-MM-DD
+   * @param {Date|string} date - DATE value as the database returns it, or a YYYY-MM-DD string
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    return formatDate(fromStoredDateTime(date));
+  }
+}
+
+module.exports = new TermService();
@@ -0,0 +1,75 @@
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+
+// Creates the database and loads dbSchema.sql into it, dropping whatever was there.
+// SEED_DEMO_ACCOUNTS=true also loads the sample logins of demoAccounts.sql (local
+// development only); ADMIN_EMAIL and ADMIN_PASSWORD create a super admin to log in with.
+
+const client = process.env.DB_CLIENT || 'mysql';
+
+/**
+ * Create the MySQL database named by DB_NAME if it does not exist yet
+ */
+const createDatabase = async () => {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 3306
+  });
+  try {
+    const name = process.env.DB_NAME || 'enrollment_system';
+    await connection.query(`CREATE DATABASE IF NOT EXISTS ${connection.escapeId(name)}`);
+  } finally {
+    await connection.end();
+  }
+};
+
+/**
+ * Create the super admin account given by ADMIN_EMAIL and ADMIN_PASSWORD, if set
+ * @returns {boolean} Whether an account was created
+ */
+const createAdmin = async () => {
+  const { ADMIN_EMAIL: email, ADMIN_PASSWORD: password } = process.env;
+  if (!email && !password) {
+    return false;
+  }
+  if (!email || !password) {
+    throw new Error('Set both ADMIN_EMAIL and ADMIN_PASSWORD to create a super admin');
+  }
+
+  const authService = require('./services/authService');
+  const result = await authService.createUser({ email, password, role: 'super_admin' });
+  if (!result.success) {
+    throw new Error(`Could not create the super admin: ${result.error}`);
+  }
+  return true;
+};
+
+const setup = async () => {
+  if (client === 'mysql') {
+    await createDatabase();
+  }
+
+  const db = require('./config/database');
+  try {
+    await db.reset();
+    console.log('Created the tables and loaded the sample data');
+
+    if (process.env.SEED_DEMO_ACCOUNTS === 'true') {
+      console.log('Loaded the demo accounts (password "password123"); for local development only');
+    }
+    if (await createAdmin()) {
+      console.log(`Created super admin ${process.env.ADMIN_EMAIL}`);
+    } else if (process.env.SEED_DEMO_ACCOUNTS !== 'true') {
+      console.log('No accounts were created: set ADMIN_EMAIL and ADMIN_PASSWORD for a super admin');
+    }
+  } finally {
+    await db.end();
+  }
+};
+
+setup().catch(error => {
+  console.error('Setup failed:', error.message);
+  process.exitCode = 1;
+});
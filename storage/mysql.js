@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2');
+
+const DEFAULT_SCHEMA_FILE = path.join(__dirname, '..', 'dbSchema.sql');
+
+/**
+ * Split a script written for the mysql client into statements, following its DELIMITER
+ * changes. USE statements are left out, so the script loads into the pool's own database.
+ * @param {string} script - Script text
+ * @returns {Array} Statements, without their delimiters
+ */
+const splitScript = (script) => {
+  const statements = [];
+  let delimiter = ';';
+  let lines = [];
+
+  for (const line of script.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const change = trimmed.match(/^DELIMITER\s+(\S+)$/i);
+
+    if (change) {
+      delimiter = change[1];
+    } else if (lines.length === 0 && (trimmed === '' || trimmed.startsWith('--'))) {
+      continue;
+    } else if (trimmed.endsWith(delimiter)) {
+      lines.push(line.slice(0, line.lastIndexOf(delimiter)));
+      const statement = lines.join('\n').trim();
+      lines = [];
+      if (!/^USE\s/i.test(statement)) {
+        statements.push(statement);
+      }
+    } else {
+      lines.push(line);
+    }
+  }
+
+  return statements;
+};
+
+/**
+ * Open a MySQL connection pool
+ * @param {Object} options - mysql2 pool options (host, user, password, database, port, ...)
+ * @param {string} [options.schemaFile] - Setup script reset() loads (default: dbSchema.sql)
+ * @param {string} [options.seedFile] - Script reset() loads after it (e.g., demoAccounts.sql)
+ * @returns {Object} mysql2 promise pool
+ */
+const createPool = ({ schemaFile = DEFAULT_SCHEMA_FILE, seedFile = null, ...options }) => {
+  const pool = mysql.createPool({
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    ...options
+  }).promise();
+
+  /**
+   * Drop everything and reload the schema and sample data, then the seed file if any
+   * (e.g., between tests)
+   */
+  pool.reset = async () => {
+    const connection = await pool.getConnection();
+    try {
+      for (const file of [schemaFile, seedFile].filter(Boolean)) {
+        for (const statement of splitScript(fs.readFileSync(file, 'utf8'))) {
+          await connection.query(statement);
+        }
+      }
+    } finally {
+      connection.release();
+    }
+  };
+
+  return pool;
+};
+
+module.exports = {
+  createPool,
+  splitScript
+};
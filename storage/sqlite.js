@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { translateQuery, translateSchema } = require('./sqliteDialect');
+
+const DEFAULT_SCHEMA_FILE = path.join(__dirname, '..', 'dbSchema.sql');
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// SQLite constraint errors reported with the MySQL error codes the services check for
+const ERROR_CODES = {
+  SQLITE_CONSTRAINT_UNIQUE: 'ER_DUP_ENTRY',
+  SQLITE_CONSTRAINT_PRIMARYKEY: 'ER_DUP_ENTRY',
+  SQLITE_CONSTRAINT_CHECK: 'ER_CHECK_CONSTRAINT_VIOLATED',
+  SQLITE_CONSTRAINT_NOTNULL: 'ER_BAD_NULL_ERROR',
+  SQLITE_CONSTRAINT_TRIGGER: 'ER_SIGNAL_EXCEPTION'
+};
+
+/**
+ * Format a Date the way MySQL stores DATETIME values (local time)
+ * @param {Date} date - Date to format
+ * @returns {string} YYYY-MM-DD HH:MM:SS[.mmm]
+ */
+const formatDateTime = (date) => {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const text = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  return date.getMilliseconds() ? `${text}.${pad(date.getMilliseconds(), 3)}` : text;
+};
+
+/**
+ * Convert a parameter to a value SQLite can bind, as mysql2 would send it to MySQL
+ * @param {*} value - Parameter value
+ * @returns {*} Bindable value
+ */
+const toBindable = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof Date) {
+    return formatDateTime(value);
+  }
+  if (typeof value === 'string' && ISO_DATE_TIME.test(value)) {
+    return formatDateTime(new Date(value));
+  }
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    throw new TypeError('Object parameters are not supported by the SQLite store');
+  }
+  return value;
+};
+
+/**
+ * Convert a stored value back to what mysql2 returns for the column's declared type:
+ * Date objects for DATE, DATETIME and TIMESTAMP, parsed objects for JSON
+ * @param {*} value - Stored value
+ * @param {string|null} type - Declared column type (null for expressions)
+ * @returns {*} Converted value
+ */
+const fromStored = (value, type) => {
+  if (value === null || typeof value !== 'string' || !type) {
+    return value;
+  }
+
+  switch (type.toUpperCase()) {
+    case 'DATE': {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    }
+    case 'DATETIME':
+    case 'TIMESTAMP':
+      return new Date(/([zZ]|[+-]\d{2}:\d{2})$/.test(value) ? value : value.replace(' ', 'T'));
+    case 'JSON':
+      return JSON.parse(value);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Expand array parameters into lists, as mysql2 does for IN (?)
+ * @param {string} sql - Query with ? placeholders
+ * @param {Array} params - Parameters
+ * @returns {Object} { sql, params } with one placeholder per bound value
+ */
+const expandParams = (sql, params = []) => {
+  if (!params.some(Array.isArray)) {
+    return { sql, params: params.map(toBindable) };
+  }
+
+  const values = [];
+  let index = 0;
+  let quote = null;
+  let expanded = '';
+
+  for (const char of sql) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      const param = params[index++];
+      if (Array.isArray(param)) {
+        values.push(...param.map(toBindable));
+        expanded += param.map(() => '?').join(', ');
+      } else {
+        values.push(toBindable(param));
+        expanded += '?';
+      }
+      continue;
+    }
+    expanded += char;
+  }
+
+  return { sql: expanded, params: values };
+};
+
+/**
+ * Report a SQLite error with the MySQL code and sqlMessage the services expect
+ * @param {Error} error - SQLite error
+ * @param {string} sql - Query that failed
+ * @returns {Error} The same error, annotated
+ */
+const toMysqlError = (error, sql) => {
+  error.sqliteCode = error.code;
+  error.sqlMessage = error.message;
+
+  if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+    error.code = /^\s*DELETE/i.test(sql) ? 'ER_ROW_IS_REFERENCED_2' : 'ER_NO_REFERENCED_ROW_2';
+  } else if (ERROR_CODES[error.code]) {
+    error.code = ERROR_CODES[error.code];
+  }
+
+  return error;
+};
+
+/**
+ * A connection checked out of the SQLite store. Only one connection is out at a time,
+ * so transactions run one after another instead of taking row locks.
+ */
+class SqliteConnection {
+  /**
+   * @param {SqlitePool} pool - Store the connection belongs to
+   * @param {Function} unlock - Lets the next caller in
+   */
+  constructor(pool, unlock) {
+    this.pool = pool;
+    this.unlock = unlock;
+  }
+
+  /**
+   * Run a query inside this connection
+   * @param {string} sql - MySQL query
+   * @param {Array} [params] - Parameters
+   * @returns {Array} [rows, columns] for reads, [{ insertId, affectedRows }] for writes
+   */
+  async query(sql, params) {
+    return this.pool.execute(sql, params);
+  }
+
+  /**
+   * Start a transaction
+   */
+  async beginTransaction() {
+    this.pool.database.exec('BEGIN IMMEDIATE');
+  }
+
+  /**
+   * Commit the open transaction
+   */
+  async commit() {
+    this.pool.database.exec('COMMIT');
+  }
+
+  /**
+   * Roll back the open transaction, if any
+   */
+  async rollback() {
+    if (this.pool.database.inTransaction) {
+      this.pool.database.exec('ROLLBACK');
+    }
+  }
+
+  /**
+   * Return the connection to the store; a transaction left open is rolled back
+   */
+  release() {
+    if (!this.unlock) {
+      return;
+    }
+    if (this.pool.database.inTransaction) {
+      this.pool.database.exec('ROLLBACK');
+    }
+    this.unlock();
+    this.unlock = null;
+  }
+}
+
+/**
+ * Embedded database with the same interface as the mysql2 promise pool
+ * (query, getConnection, beginTransaction/commit/rollback/release), so the API runs
+ * without a MySQL server. The schema and sample data come from dbSchema.sql.
+ */
+class SqlitePool {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} [options.filename] - Database file (default: in memory)
+   * @param {string} [options.schemaFile] - MySQL setup script to load (default: dbSchema.sql)
+   * @param {string} [options.seedFile] - Script loaded after the schema (e.g., demoAccounts.sql)
+   */
+  constructor({ filename = ':memory:', schemaFile = DEFAULT_SCHEMA_FILE, seedFile = null } = {}) {
+    this.database = new Database(filename);
+    this.database.pragma('foreign_keys = ON');
+    this.schemaFile = schemaFile;
+    this.seedFile = seedFile;
+    this.statements = new Map();
+    this.queue = Promise.resolve();
+
+    const [{ count }] = this.database.prepare("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'").all();
+    if (count === 0) {
+      this.loadSchema();
+    }
+  }
+
+  /**
+   * Create the tables and sample data from the schema file, then load the seed file if any
+   */
+  loadSchema() {
+    this.database.pragma('foreign_keys = OFF');
+    for (const file of [this.schemaFile, this.seedFile].filter(Boolean)) {
+      this.database.exec(translateSchema(fs.readFileSync(file, 'utf8')));
+    }
+    this.database.pragma('foreign_keys = ON');
+    this.statements.clear();
+  }
+
+  /**
+   * Drop everything and reload the schema and sample data (e.g., between tests)
+   */
+  async reset() {
+    const unlock = await this.lock();
+    try {
+      this.loadSchema();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Wait until no other connection is checked out
+   * @returns {Function} Call to let the next caller in
+   */
+  lock() {
+    let unlock;
+    const released = new Promise(resolve => { unlock = resolve; });
+    const acquired = this.queue.then(() => unlock);
+    this.queue = this.queue.then(() => released);
+    return acquired;
+  }
+
+  /**
+   * Check out a connection (waits while another one is out)
+   * @returns {SqliteConnection} Connection
+   */
+  async getConnection() {
+    return new SqliteConnection(this, await this.lock());
+  }
+
+  /**
+   * Run a single query outside any transaction
+   * @param {string} sql - MySQL query
+   * @param {Array} [params] - Parameters
+   * @returns {Array} [rows, columns] for reads, [{ insertId, affectedRows }] for writes
+   */
+  async query(sql, params) {
+    const unlock = await this.lock();
+    try {
+      return this.execute(sql, params);
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Translate and run a query
+   * @param {string} sql - MySQL query
+   * @param {Array} [params] - Parameters
+   * @returns {Array} mysql2-style result
+   */
+  execute(sql, params) {
+    const expanded = expandParams(sql, params);
+
+    try {
+      let statement = this.statements.get(expanded.sql);
+      if (!statement) {
+        statement = this.database.prepare(translateQuery(expanded.sql));
+        this.statements.set(expanded.sql, statement);
+      }
+
+      if (statement.reader) {
+        const columns = statement.columns();
+        const rows = statement.all(...expanded.params).map(row => {
+          for (const column of columns) {
+            row[column.name] = fromStored(row[column.name], column.type);
+          }
+          return row;
+        });
+        return [rows, columns];
+      }
+
+      const info = statement.run(...expanded.params);
+      return [{
+        insertId: /^\s*INSERT/i.test(sql) ? Number(info.lastInsertRowid) : 0,
+        affectedRows: info.changes
+      }];
+    } catch (error) {
+      throw toMysqlError(error, sql);
+    }
+  }
+
+  /**
+   * Close the database once no connection is checked out
+   */
+  async end() {
+    await this.lock();
+    this.database.close();
+  }
+}
+
+/**
+ * Open the embedded store
+ * @param {Object} [options] - { filename, schemaFile }
+ * @returns {SqlitePool} Store
+ */
+const createPool = (options) => new SqlitePool(options);
+
+module.exports = {
+  createPool,
+  SqlitePool
+};
@@ -0,0 +1,164 @@
+/**
+ * Translation of the MySQL dialect the services and dbSchema.sql are written in to SQLite.
+ * Only the constructs this codebase uses are covered; anything else is passed through.
+ */
+
+const LOCAL_NOW = "datetime('now', 'localtime')";
+const LOCAL_NOW_MS = "strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')";
+const LOCAL_TODAY = "date('now', 'localtime')";
+
+/**
+ * Replace MySQL date functions (and day arithmetic on them) with SQLite equivalents
+ * in local time, the way MySQL reports them for the session
+ * @param {string} sql - SQL text
+ * @returns {string} Translated SQL
+ */
+const translateDateFunctions = (sql) => sql
+  .replace(/(CURDATE|NOW)\(\)\s*([+-])\s*INTERVAL\s+(\d+)\s+DAY/gi, (match, fn, sign, days) =>
+    `${fn.toUpperCase() === 'CURDATE' ? 'date' : 'datetime'}('now', 'localtime', '${sign}${days} days')`)
+  .replace(/CURDATE\(\)/gi, LOCAL_TODAY)
+  .replace(/NOW\(\)/gi, LOCAL_NOW)
+  .replace(/CURRENT_TIMESTAMP\(3\)/gi, LOCAL_NOW_MS)
+  .replace(/CURRENT_TIMESTAMP(?!\s*\()/gi, LOCAL_NOW);
+
+/**
+ * Translate a query written for MySQL:
+ * - row locks (FOR UPDATE [OF ...] [SKIP LOCKED]) are dropped; the SQLite store runs
+ *   transactions one at a time
+ * - SET TRANSACTION ISOLATION LEVEL ... becomes a query that does nothing, for the same reason
+ * - CURDATE(), NOW() and CURRENT_TIMESTAMP become SQLite date functions
+ * - FIELD(expr, 'a', 'b', ...) becomes a CASE expression
+ * - ON DUPLICATE KEY UPDATE col = VALUES(col) becomes ON CONFLICT DO UPDATE SET col = excluded.col
+ * - LIKE ? gets MySQL's default backslash escape
+ * @param {string} sql - MySQL query
+ * @returns {string} SQLite query
+ */
+const translateQuery = (sql) => {
+  if (/^\s*SET TRANSACTION ISOLATION LEVEL/i.test(sql)) {
+    return 'SELECT NULL WHERE 0';
+  }
+
+  let translated = sql
+    .replace(/\s+FOR UPDATE(\s+OF\s+\w+(\s*,\s*\w+)*)?(\s+SKIP LOCKED|\s+NOWAIT)?/gi, '')
+    .replace(/FIELD\(([^,()]+),([^()]+)\)/gi, (match, expression, values) => {
+      const cases = values.split(',').map((value, index) => `WHEN ${value.trim()} THEN ${index + 1}`);
+      return `CASE ${expression.trim()} ${cases.join(' ')} ELSE 0 END`;
+    })
+    .replace(/LIKE \?/gi, "LIKE ? ESCAPE '\\'");
+
+  const upsert = translated.search(/ON DUPLICATE KEY UPDATE/i);
+  if (upsert !== -1) {
+    translated = translated.slice(0, upsert) + translated.slice(upsert)
+      .replace(/ON DUPLICATE KEY UPDATE/i, 'ON CONFLICT DO UPDATE SET')
+      .replace(/VALUES\((\w+)\)/gi, 'excluded.$1');
+  }
+
+  return translateDateFunctions(translated);
+};
+
+/**
+ * Split the body of a CREATE TABLE statement into its top-level column and constraint definitions
+ * @param {string} body - Text between the statement's outer parentheses
+ * @returns {Array} Definitions, trimmed
+ */
+const splitDefinitions = (body) => {
+  const definitions = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of body.replace(/--[^\n]*/g, '')) {
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    }
+
+    if (char === ',' && depth === 0) {
+      definitions.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim() !== '') {
+    definitions.push(current.trim());
+  }
+
+  return definitions;
+};
+
+/**
+ * Translate one CREATE TABLE statement. Inline indexes become separate CREATE INDEX statements.
+ * @param {string} table - Table name
+ * @param {string} body - Column and constraint definitions
+ * @returns {string} SQLite statements
+ */
+const translateTable = (table, body) => {
+  const indexes = [];
+  const definitions = [];
+
+  for (const definition of splitDefinitions(body)) {
+    const index = definition.match(/^INDEX\s+(\w+)\s*(\(.*\))$/is);
+    if (index) {
+      indexes.push(`CREATE INDEX ${index[1]} ON ${table} ${index[2]};`);
+      continue;
+    }
+
+    definitions.push(definition
+      .replace(/^UNIQUE KEY\s+(\w+)/i, 'CONSTRAINT $1 UNIQUE')
+      .replace(/(BIG)?INT AUTO_INCREMENT PRIMARY KEY/i, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+      .replace(/^(\w+)\s+ENUM\(([^)]*)\)/is, (match, column, values) =>
+        `${column} TEXT CHECK (${column} IN (${values.replace(/\s+/g, ' ')}))`)
+      .replace(/VARCHAR\(\d+\)/gi, 'TEXT COLLATE NOCASE')
+      .replace(/TIMESTAMP\(3\)/gi, 'TIMESTAMP')
+      .replace(/DEFAULT CURRENT_TIMESTAMP(\(3\))?/gi, (match, precision) =>
+        `DEFAULT (${precision ? LOCAL_NOW_MS : LOCAL_NOW})`));
+  }
+
+  return [`CREATE TABLE ${table} (\n    ${definitions.join(',\n    ')}\n);`, ...indexes].join('\n');
+};
+
+/**
+ * Translate a trigger. Triggers that only refuse the change (SIGNAL) become RAISE(ABORT);
+ * triggers with logic are left out, since those rules are enforced in JavaScript
+ * (see repositories/enrollmentRepository.js).
+ * @param {string} trigger - CREATE TRIGGER ... END statement
+ * @returns {string} SQLite trigger, or an empty string
+ */
+const translateTrigger = (trigger) => {
+  const match = trigger.match(/CREATE TRIGGER\s+(\w+)\s+(BEFORE|AFTER)\s+(INSERT|UPDATE|DELETE)\s+ON\s+(\w+)\s+FOR EACH ROW\s+BEGIN\s+SIGNAL SQLSTATE '\d+'\s+SET MESSAGE_TEXT = ('[^']*');\s+END$/is);
+  if (!match) {
+    return '';
+  }
+
+  const [, name, timing, event, table, message] = match;
+  return `CREATE TRIGGER ${name} ${timing} ${event} ON ${table} BEGIN SELECT RAISE(ABORT, ${message}); END;`;
+};
+
+/**
+ * Translate the MySQL setup script (dbSchema.sql) into a script SQLite can run
+ * @param {string} script - MySQL schema and seed data
+ * @returns {string} SQLite script
+ */
+const translateSchema = (script) => {
+  const triggers = [];
+
+  let translated = script
+    .replace(/^\s*(USE|CREATE DATABASE|DROP DATABASE)\b[^;]*;/gim, '')
+    .replace(/DELIMITER \/\/([\s\S]*?)DELIMITER ;/g, (match, block) => {
+      block.split('//').map(statement => statement.trim()).filter(Boolean)
+        .forEach(statement => triggers.push(translateTrigger(statement.replace(/^(--[^\n]*\n\s*)+/, ''))));
+      return '';
+    })
+    .replace(/CREATE TABLE (\w+) \(([\s\S]*?)\n\);/g, (match, table, body) => translateTable(table, body));
+
+  translated = translateDateFunctions(translated);
+
+  return `${translated}\n${triggers.filter(Boolean).join('\n')}\n`;
+};
+
+module.exports = {
+  translateQuery,
+  translateSchema
+};
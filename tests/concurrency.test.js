@@ -0,0 +1,244 @@
+const { db, ACCOUNTS, login, authed, resetDatabase } = require('./helpers');
+const enrollmentRepository = require('../repositories/enrollmentRepository');
+const { retryOnLockConflict } = require('../utils/locking');
+
+// Concurrent writes must end in a state that running them one after another could have
+// produced. Each test fires requests in parallel and then checks the invariants of that state.
+//
+// On the default SQLite store these tests do not exercise InnoDB locking: the store runs
+// whole transactions one at a time and drops FOR UPDATE, so they only show that the outcome
+// is consistent. Run this file with TEST_DB_NAME set (see tests/setupEnv.js) to send the same
+// requests to MySQL, where they interleave under real row locks, and to run the InnoDB tests.
+const onMysql = process.env.DB_CLIENT === 'mysql';
+
+let adminToken;
+
+const send = (method, url, body) => authed(adminToken, method, url).send(body);
+const enroll = (body) => send('post', '/api/enrollment/enroll', body);
+
+/**
+ * Check the enrollment invariants across the whole database
+ */
+const expectConsistentState = async () => {
+  const [overlaps] = await db.query(
+    `SELECT a.student_id
+     FROM student_courses a
+     JOIN student_courses b ON a.student_id = b.student_id AND a.term_id = b.term_id AND a.enrollment_id < b.enrollment_id
+     JOIN timetables ta ON ta.section_id = a.section_id
+     JOIN timetables tb ON tb.section_id = b.section_id
+     WHERE ta.day_of_week = tb.day_of_week AND ta.start_time < tb.end_time AND ta.end_time > tb.start_time`
+  );
+  expect(overlaps).toEqual([]);
+
+  const [overfull] = await db.query(
+    `SELECT s.section_id
+     FROM course_sections s
+     JOIN student_courses sc ON sc.section_id = s.section_id
+     WHERE s.capacity IS NOT NULL
+     GROUP BY s.section_id, s.capacity
+     HAVING COUNT(*) > s.capacity`
+  );
+  expect(overfull).toEqual([]);
+
+  const [enrolledAndWaiting] = await db.query(
+    `SELECT w.student_id
+     FROM course_waitlist w
+     JOIN student_courses sc ON sc.student_id = w.student_id AND sc.course_id = w.course_id AND sc.term_id = w.term_id`
+  );
+  expect(enrolledAndWaiting).toEqual([]);
+};
+
+beforeAll(async () => {
+  adminToken = await login(ACCOUNTS.superAdmin);
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+/**
+ * Record the statements run on connections checked out of the pool
+ * @returns {Array} Statements, whitespace collapsed, filled in as they run
+ */
+const recordStatements = () => {
+  const statements = [];
+  const getConnection = db.getConnection.bind(db);
+  jest.spyOn(db, 'getConnection').mockImplementation(async () => {
+    const connection = await getConnection();
+    const query = connection.query.bind(connection);
+    connection.query = (sql, params) => {
+      statements.push(sql.replace(/\s+/g, ' ').trim());
+      return query(sql, params);
+    };
+    return connection;
+  });
+  return statements;
+};
+
+/**
+ * Wait until some transaction is blocked on a row lock
+ */
+const waitForLockWait = async () => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const [[{ waiting }]] = await db.query(
+      "SELECT COUNT(*) AS waiting FROM information_schema.innodb_trx WHERE trx_state = 'LOCK WAIT'"
+    );
+    if (Number(waiting) > 0) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('No transaction waited for a lock');
+};
+
+describe('parallel requests', () => {
+  test('clashing selections for the same student never both get in', async () => {
+    // Any two of these conflict: CS101-A and AP105-A both meet Tuesday 10-11, and the others
+    // repeat a course
+    const selections = [[1], [3, 2], [1, 2], [3, 2], [1], [1, 2], [3, 2], [1]];
+
+    const responses = await Promise.all(selections.map(sectionIds => enroll({ studentId: 1, sectionIds })));
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(1);
+    expect(responses.every(res => [201, 409, 422].includes(res.status))).toBe(true);
+    await expectConsistentState();
+  });
+
+  test('enrolls, drops and swaps from several students settle into a consistent state', async () => {
+    await send('put', '/api/admin/section/4', { capacity: 2 });
+    await send('post', '/api/admin/student/4/completed-courses', { courseId: 1 });
+
+    const requests = [];
+    for (let round = 0; round < 3; round++) {
+      for (const studentId of [1, 2, 4]) {
+        requests.push(() => enroll({ studentId, sectionIds: [4] }));
+        requests.push(() => enroll({ studentId, sectionIds: round % 2 ? [6] : [1, 2] }));
+        requests.push(() => send('delete', '/api/enrollment/drop', { studentId, courseId: 4 }));
+        requests.push(() => send('post', '/api/enrollment/swap', { studentId, dropCourseIds: [2], addSectionIds: [3] }));
+      }
+    }
+
+    const responses = await Promise.all(requests.map(request => request()));
+
+    expect(responses.filter(res => res.status >= 500)).toEqual([]);
+    await expectConsistentState();
+  });
+
+  test('a timetable slot added while students enroll leaves no unflagged clash', async () => {
+    const responses = await Promise.all([
+      enroll({ studentId: 1, sectionIds: [1, 2] }),
+      send('post', '/api/admin/timetable', { sectionId: 3, dayOfWeek: 'Monday', startTime: '09:30', endTime: '10:30' }),
+      enroll({ studentId: 2, sectionIds: [2, 3] })
+    ]);
+
+    expect(responses.filter(res => res.status >= 500)).toEqual([]);
+
+    // Student 2 either got in before the slot was added (and is flagged) or was refused after it
+    const [rows] = await db.query(
+      'SELECT section_id, in_conflict FROM student_courses WHERE student_id = 2 ORDER BY section_id'
+    );
+    if (rows.length > 0 && responses[1].status === 201) {
+      expect(rows.every(row => Number(row.in_conflict) === 1)).toBe(true);
+    }
+  });
+});
+
+describe('lock conflicts', () => {
+  const deadlock = () => Object.assign(new Error('Deadlock found when trying to get lock'), { code: 'ER_LOCK_DEADLOCK' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an enrollment chosen as a deadlock victim is run again', async () => {
+    const insert = jest.spyOn(enrollmentRepository, 'insertEnrollment').mockRejectedValueOnce(deadlock());
+
+    const res = await enroll({ studentId: 1, sectionIds: [2] });
+
+    expect(res.status).toBe(201);
+    expect(insert).toHaveBeenCalledTimes(2);
+    const [rows] = await db.query('SELECT course_id FROM student_courses WHERE student_id = 1');
+    expect(rows).toEqual([{ course_id: 2 }]);
+  });
+
+  test('a request that keeps losing reports LOCK_CONFLICT instead of a server error', async () => {
+    jest.spyOn(enrollmentRepository, 'insertEnrollment').mockRejectedValue(deadlock());
+
+    const res = await enroll({ studentId: 1, sectionIds: [2] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('LOCK_CONFLICT');
+    const [rows] = await db.query('SELECT course_id FROM student_courses WHERE student_id = 1');
+    expect(rows).toEqual([]);
+  });
+
+  test('retryOnLockConflict stops at the first result that is not a lock conflict', async () => {
+    const operation = jest.fn()
+      .mockResolvedValueOnce({ success: false, code: 'LOCK_CONFLICT' })
+      .mockResolvedValueOnce({ success: false, code: 'TIMETABLE_CLASH' });
+
+    const result = await retryOnLockConflict(operation);
+
+    expect(result.code).toBe('TIMETABLE_CLASH');
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('enrollment locks the student before the sections, and the sections in ID order', async () => {
+    const statements = recordStatements();
+
+    const res = await enroll({ studentId: 1, sectionIds: [2, 1] });
+    expect(res.status).toBe(201);
+
+    const locks = statements.filter(sql => /FOR UPDATE/.test(sql));
+    expect(locks[0]).toMatch(/FROM students WHERE student_id = \? FOR UPDATE$/);
+    expect(locks[1]).toMatch(/FROM course_sections WHERE section_id IN \(\?\) ORDER BY section_id FOR UPDATE$/);
+  });
+
+  test('enrollment, swap and drop transactions run at READ COMMITTED', async () => {
+    const statements = recordStatements();
+
+    await enroll({ studentId: 1, sectionIds: [2] });
+    await send('post', '/api/enrollment/swap', { studentId: 1, dropCourseIds: [2], addSectionIds: [1] });
+    await send('delete', '/api/enrollment/drop', { studentId: 1, courseId: 1 });
+
+    const isolation = statements.filter(sql => /^SET TRANSACTION/.test(sql));
+    expect(isolation).toEqual(Array(3).fill('SET TRANSACTION ISOLATION LEVEL READ COMMITTED'));
+  });
+});
+
+(onMysql ? describe : describe.skip)('InnoDB row locks', () => {
+  afterAll(() => db.end());
+
+  test('a request that waited for a section lock counts the seats taken while it waited', async () => {
+    await db.query('UPDATE course_sections SET capacity = 1 WHERE section_id = 2');
+
+    // Another transaction holds MA204-A and takes its only seat
+    const holder = await db.getConnection();
+    await holder.beginTransaction();
+    await holder.query('SELECT section_id FROM course_sections WHERE section_id = 2 FOR UPDATE');
+    await enrollmentRepository.insertEnrollment(holder, { studentId: 2, courseId: 2, termId: 1, sectionId: 2 });
+
+    const pending = enroll({ studentId: 1, sectionIds: [2] }).then(res => res);
+    await waitForLockWait();
+    await holder.commit();
+    holder.release();
+
+    // With a snapshot from before the wait the seat would still look free
+    const res = await pending;
+    expect(res.status).toBe(201);
+    expect(res.body.data.enrolledCourses).toEqual([]);
+    expect(res.body.data.waitlistedCourses).toHaveLength(1);
+    await expectConsistentState();
+  });
+
+  test('many students racing for one seat never overfill it', async () => {
+    await db.query('UPDATE course_sections SET capacity = 1 WHERE section_id = 2');
+
+    const responses = await Promise.all([1, 2, 4, 1, 2, 4].map(studentId => enroll({ studentId, sectionIds: [2] })));
+
+    expect(responses.filter(res => res.status >= 500)).toEqual([]);
+    const [[{ seats }]] = await db.query('SELECT COUNT(*) AS seats FROM student_courses WHERE section_id = 2');
+    expect(Number(seats)).toBe(1);
+    await expectConsistentState();
+  });
+});
@@ -0,0 +1,295 @@
+const { db, ACCOUNTS, login, authed, resetDatabase } = require('./helpers');
+const enrollmentService = require('../services/enrollmentService');
+const enrollmentRepository = require('../repositories/enrollmentRepository');
+
+// Seed data (dbSchema.sql): students 1 and 2 are at MIT and have completed CS101.
+// MIT sections in the current term:
+//   1 CS101-A  Mon 09-10, Tue 10-11     2 MA204-A  Mon 10-11, Wed 09-10
+//   3 AP105-A  Tue 10-11, Thu 15-18     4 CS201-A  Wed 10-12, Fri 14-16 (1 seat)
+//   6 CS101-B  Wed 13-14, Fri 10-11
+// Course 5 (CS102) belongs to Stanford. AP105 needs MA204 alongside; CS201 needs CS101 first.
+
+let adminToken;
+
+const enroll = (body) => authed(adminToken, 'post', '/api/enrollment/enroll').send(body);
+
+const enrolledCourseIds = async (studentId) => {
+  const [rows] = await db.query(
+    'SELECT course_id FROM student_courses WHERE student_id = ? ORDER BY course_id',
+    [studentId]
+  );
+  return rows.map(row => row.course_id);
+};
+
+beforeAll(async () => {
+  adminToken = await login(ACCOUNTS.superAdmin);
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+describe('saveStudentCourses', () => {
+  test('enrolls in sections that meet back to back without overlapping', async () => {
+    const res = await enroll({ studentId: 1, sectionIds: [1, 2] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.enrolledCourses.map(c => c.sectionId)).toEqual(expect.arrayContaining([1, 2]));
+    expect(await enrolledCourseIds(1)).toEqual([1, 2]);
+  });
+
+  describe('duplicate IDs', () => {
+    test('the route rejects repeated course IDs', async () => {
+      const res = await enroll({ studentId: 1, courseIds: [2, 2] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+      expect(res.body.fields).toEqual(expect.arrayContaining([
+        expect.objectContaining({ location: 'body', field: 'courseIds' })
+      ]));
+    });
+
+    test('the route rejects repeated section IDs', async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [2, 2] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+    });
+
+    test('the service enrolls once when called with a repeated ID', async () => {
+      const result = await enrollmentService.saveStudentCourses(1, { courseIds: [2, 2] });
+
+      expect(result.success).toBe(true);
+      expect(result.data.enrolledCourses).toHaveLength(1);
+      expect(await enrolledCourseIds(1)).toEqual([2]);
+    });
+
+    test('a course named both directly and through one of its sections is refused', async () => {
+      const res = await enroll({ studentId: 1, courseIds: [2], sectionIds: [2] });
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe('DUPLICATE_COURSE');
+      expect(await enrolledCourseIds(1)).toEqual([]);
+    });
+
+    test('two sections of the same course are refused', async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [1, 6] });
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe('DUPLICATE_COURSE');
+      expect(await enrolledCourseIds(1)).toEqual([]);
+    });
+  });
+
+  describe('cross-college courses', () => {
+    test('a course of another college is refused', async () => {
+      const res = await enroll({ studentId: 1, courseIds: [5] });
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe('CROSS_COLLEGE');
+    });
+
+    test('one cross-college course rejects the whole batch', async () => {
+      const res = await enroll({ studentId: 1, courseIds: [2, 5] });
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe('CROSS_COLLEGE');
+      expect(await enrolledCourseIds(1)).toEqual([]);
+    });
+  });
+
+  describe('clashes within a batch', () => {
+    test('two sections meeting at the same time are refused together', async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [1, 2, 3] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('TIMETABLE_CLASH');
+      expect(res.body.problems[0]).toMatchObject({ code: 'TIMETABLE_CLASH', day: 'Tuesday' });
+      expect(res.body.problems[0].courseIds).toEqual(expect.arrayContaining([1, 3]));
+      expect(await enrolledCourseIds(1)).toEqual([]);
+    });
+
+    test('a clash reported alongside another problem is ENROLLMENT_REJECTED', async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [1, 3] });
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe('ENROLLMENT_REJECTED');
+      expect(res.body.problems.map(p => p.code)).toEqual(
+        expect.arrayContaining(['TIMETABLE_CLASH', 'COREQUISITE_NOT_MET'])
+      );
+    });
+  });
+
+  describe('clashes with existing enrollments', () => {
+    beforeEach(async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [2, 3] });
+      expect(res.status).toBe(201);
+    });
+
+    test('a section overlapping an enrolled class is refused', async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [1] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('TIMETABLE_CLASH');
+      expect(res.body.problems[0].courseIds).toEqual(expect.arrayContaining([1, 3]));
+      expect(await enrolledCourseIds(1)).toEqual([2, 3]);
+    });
+
+    test('another section of the clashing course that fits is accepted', async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [6] });
+
+      expect(res.status).toBe(201);
+      expect(await enrolledCourseIds(1)).toEqual([1, 2, 3]);
+    });
+
+    test('other students are not affected', async () => {
+      const res = await enroll({ studentId: 2, sectionIds: [1] });
+
+      expect(res.status).toBe(201);
+    });
+  });
+
+  describe('already-enrolled courses', () => {
+    beforeEach(async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [1] });
+      expect(res.status).toBe(201);
+    });
+
+    test('enrolling in the same section again is refused', async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [1] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('ALREADY_ENROLLED');
+    });
+
+    test('enrolling in another section of an enrolled course is refused', async () => {
+      const res = await enroll({ studentId: 1, sectionIds: [6] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('ALREADY_ENROLLED');
+      expect(await enrolledCourseIds(1)).toEqual([1]);
+    });
+
+    test('a batch holding an enrolled course is refused as a whole', async () => {
+      const res = await enroll({ studentId: 1, courseIds: [2], sectionIds: [1] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('ALREADY_ENROLLED');
+      expect(await enrolledCourseIds(1)).toEqual([1]);
+    });
+  });
+
+  test('the student must exist', async () => {
+    const res = await enroll({ studentId: 999, sectionIds: [1] });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('STUDENT_NOT_FOUND');
+  });
+
+  test('the service rejects an empty selection', async () => {
+    const result = await enrollmentService.saveStudentCourses(1, { courseIds: [], sectionIds: [] });
+
+    expect(result).toMatchObject({ success: false, code: 'INVALID_INPUT' });
+  });
+});
+
+describe('enrollment repository', () => {
+  const insert = async (values) => {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await enrollmentRepository.insertEnrollment(connection, { termId: 1, ...values });
+      await connection.commit();
+      return result;
+    } finally {
+      connection.release();
+    }
+  };
+
+  test('refuses a seat in another college', async () => {
+    const result = await insert({ studentId: 1, courseId: 5, termId: 2, sectionId: 5 });
+
+    expect(result).toMatchObject({ success: false, code: 'CROSS_COLLEGE' });
+  });
+
+  test('refuses a second seat in the same course', async () => {
+    expect((await insert({ studentId: 1, courseId: 1, sectionId: 1 })).success).toBe(true);
+
+    const result = await insert({ studentId: 1, courseId: 1, sectionId: 6 });
+
+    expect(result).toMatchObject({ success: false, code: 'ALREADY_ENROLLED' });
+  });
+
+  test('refuses an overlapping seat and allows one that only touches', async () => {
+    expect((await insert({ studentId: 1, courseId: 1, sectionId: 1 })).success).toBe(true);
+
+    const clash = await insert({ studentId: 1, courseId: 3, sectionId: 3 });
+    expect(clash).toMatchObject({ success: false, code: 'TIMETABLE_CLASH' });
+    expect(clash.clashes[0].course_code).toBe('CS101');
+
+    expect((await insert({ studentId: 1, courseId: 2, sectionId: 2 })).success).toBe(true);
+  });
+});
+
+describe('concurrent enroll requests', () => {
+  test('two students racing for the last seat: one is enrolled, the other waitlisted', async () => {
+    const [first, second] = await Promise.all([
+      enroll({ studentId: 1, sectionIds: [4] }),
+      enroll({ studentId: 2, sectionIds: [4] })
+    ]);
+
+    expect([first.status, second.status]).toEqual([201, 201]);
+
+    const outcomes = [first, second].map(res => ({
+      enrolled: res.body.data.enrolledCourses.length,
+      waitlisted: res.body.data.waitlistedCourses.length
+    }));
+    expect(outcomes).toEqual(expect.arrayContaining([
+      { enrolled: 1, waitlisted: 0 },
+      { enrolled: 0, waitlisted: 1 }
+    ]));
+
+    const [[{ seats }]] = await db.query('SELECT COUNT(*) AS seats FROM student_courses WHERE section_id = 4');
+    const [[{ queued }]] = await db.query('SELECT COUNT(*) AS queued FROM course_waitlist WHERE section_id = 4');
+    expect(Number(seats)).toBe(1);
+    expect(Number(queued)).toBe(1);
+  });
+
+  test('the same request sent twice at once enrolls the student once', async () => {
+    const responses = await Promise.all([
+      enroll({ studentId: 1, sectionIds: [2] }),
+      enroll({ studentId: 1, sectionIds: [2] })
+    ]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+    expect(responses.find(res => res.status === 409).body.code).toBe('ALREADY_ENROLLED');
+    expect(await enrolledCourseIds(1)).toEqual([2]);
+  });
+
+  test('clashing sections requested at once by the same student: only one is kept', async () => {
+    const responses = await Promise.all([
+      enroll({ studentId: 1, sectionIds: [1] }),
+      enroll({ studentId: 1, sectionIds: [2, 3] })
+    ]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+    expect(responses.find(res => res.status === 409).body.code).toBe('TIMETABLE_CLASH');
+
+    const enrolled = await enrolledCourseIds(1);
+    expect([[1], [2, 3]]).toContainEqual(enrolled);
+  });
+
+  test('many students racing for one seat never overfill it', async () => {
+    const responses = await Promise.all([1, 2, 4].map(studentId =>
+      authed(adminToken, 'post', '/api/admin/student/' + studentId + '/completed-courses').send({ courseId: 1 })
+    ));
+    expect(responses.every(res => [201, 409].includes(res.status))).toBe(true);
+
+    await Promise.all([1, 2, 4].map(studentId => enroll({ studentId, sectionIds: [4] })));
+
+    const [[{ seats }]] = await db.query('SELECT COUNT(*) AS seats FROM student_courses WHERE section_id = 4');
+    const [[{ queued }]] = await db.query('SELECT COUNT(*) AS queued FROM course_waitlist WHERE section_id = 4');
+    expect(Number(seats)).toBe(1);
+    expect(Number(queued)).toBe(2);
+  });
+});
@@ -0,0 +1,6 @@
+// Runs once in the Jest parent process, before any test file. The suite runs on a server
+// clock behind UTC so that code reading dates in the server's timezone instead of the
+// college's shows up in tests. Setting TZ inside a test file would not reach Node's clock.
+module.exports = () => {
+  process.env.TZ = 'America/Los_Angeles';
+};
@@ -0,0 +1,48 @@
+const request = require('supertest');
+const app = require('../app');
+const db = require('../config/database');
+
+// Sample accounts (demoAccounts.sql, loaded by tests/setupEnv.js); every one uses the same password
+const ACCOUNTS = {
+  superAdmin: 'admin@enrollment.local',
+  mitAdmin: 'registrar@mit.edu',
+  john: 'john.doe@mit.edu'
+};
+const PASSWORD = 'password123';
+
+/**
+ * Log in as a seeded account
+ * @param {string} email - Account email
+ * @returns {string} Access token
+ */
+const login = async (email) => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+  if (res.status !== 200) {
+    throw new Error(`Login as ${email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body.data.token;
+};
+
+/**
+ * Build a request with a bearer token
+ * @param {string} token - Access token
+ * @param {string} method - get, post, put or delete
+ * @param {string} url - Path
+ * @returns {Object} supertest request
+ */
+const authed = (token, method, url) =>
+  request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+/**
+ * Restore the schema and sample data
+ */
+const resetDatabase = () => db.reset();
+
+module.exports = {
+  app,
+  db,
+  ACCOUNTS,
+  login,
+  authed,
+  resetDatabase
+};
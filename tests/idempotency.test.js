@@ -0,0 +1,241 @@
+const { db, ACCOUNTS, login, authed, resetDatabase } = require('./helpers');
+const enrollmentRepository = require('../repositories/enrollmentRepository');
+const idempotencyService = require('../services/idempotencyService');
+
+let adminToken;
+let mitAdminToken;
+
+const send = (method, url, body, key, token = adminToken) => {
+  const req = authed(token, method, url);
+  return (key === undefined ? req : req.set('Idempotency-Key', key)).send(body);
+};
+const enroll = (body, key) => send('post', '/api/enrollment/enroll', body, key);
+
+const enrolledCourseIds = async (studentId) => {
+  const [rows] = await db.query(
+    'SELECT course_id FROM student_courses WHERE student_id = ? ORDER BY course_id',
+    [studentId]
+  );
+  return rows.map(row => row.course_id);
+};
+
+beforeAll(async () => {
+  adminToken = await login(ACCOUNTS.superAdmin);
+  mitAdminToken = await login(ACCOUNTS.mitAdmin);
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('repeated requests', () => {
+  test('an enrollment sent twice with the same key runs once and returns the first response', async () => {
+    const first = await enroll({ studentId: 1, sectionIds: [1, 2] }, 'enroll-1');
+    const second = await enroll({ studentId: 1, sectionIds: [1, 2] }, 'enroll-1');
+
+    expect(first.status).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+    expect(await enrolledCourseIds(1)).toEqual([1, 2]);
+  });
+
+  test('the same body with its fields in another order is the same request', async () => {
+    await enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1');
+    const second = await enroll({ sectionIds: [2], studentId: 1 }, 'enroll-1');
+
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('a drop sent twice with the same key is answered the same way both times', async () => {
+    await enroll({ studentId: 1, sectionIds: [2] });
+
+    const first = await send('delete', '/api/enrollment/drop', { studentId: 1, courseId: 2 }, 'drop-1');
+    const second = await send('delete', '/api/enrollment/drop', { studentId: 1, courseId: 2 }, 'drop-1');
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual(first.body);
+  });
+
+  test('an admin write sent twice with the same key creates one timetable slot', async () => {
+    const slot = { sectionId: 3, dayOfWeek: 'Friday', startTime: '09:00', endTime: '10:00' };
+
+    const first = await send('post', '/api/admin/timetable', slot, 'slot-1');
+    const second = await send('post', '/api/admin/timetable', slot, 'slot-1');
+
+    expect(first.status).toBe(201);
+    expect(second.body).toEqual(first.body);
+    const [[{ slots }]] = await db.query('SELECT COUNT(*) AS slots FROM timetables WHERE section_id = 3');
+    expect(Number(slots)).toBe(3);
+  });
+
+  test('a refused request is replayed as refused', async () => {
+    const first = await enroll({ studentId: 999, sectionIds: [1] }, 'missing-student');
+    const second = await enroll({ studentId: 999, sectionIds: [1] }, 'missing-student');
+
+    expect(first.status).toBe(404);
+    expect(second.status).toBe(404);
+    expect(second.body).toEqual(first.body);
+  });
+
+  test('without a key the same request runs again', async () => {
+    await enroll({ studentId: 1, sectionIds: [2] });
+    const second = await enroll({ studentId: 1, sectionIds: [2] });
+
+    expect(second.status).toBe(409);
+    expect(second.body.code).toBe('ALREADY_ENROLLED');
+  });
+
+  test('a CSV import is matched on the CSV it was sent', async () => {
+    const importStudents = (csv) => authed(adminToken, 'post', '/api/admin/import/students?mode=commit')
+      .set('Idempotency-Key', 'import-1')
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    const first = await importStudents('name,email,college_id\nAda Lovelace,ada@mit.edu,1\n');
+    const replay = await importStudents('name,email,college_id\nAda Lovelace,ada@mit.edu,1\n');
+    const other = await importStudents('name,email,college_id\nAlan Turing,alan@mit.edu,1\n');
+
+    expect(first.status).toBe(201);
+    expect(replay.status).toBe(201);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(other.status).toBe(422);
+    expect(other.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+});
+
+describe('key reuse', () => {
+  test('a key sent again with a different body is refused', async () => {
+    await enroll({ studentId: 1, sectionIds: [1] }, 'enroll-1');
+    const res = await enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1');
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(await enrolledCourseIds(1)).toEqual([1]);
+  });
+
+  test('a key sent again to another endpoint is refused', async () => {
+    await enroll({ studentId: 1, courseIds: [2] }, 'key-1');
+    const res = await send('post', '/api/enrollment/validate', { studentId: 1, courseIds: [2] }, 'key-1');
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('keys belong to the user who sent them', async () => {
+    await enroll({ studentId: 1, sectionIds: [1] }, 'shared-key');
+    const res = await send('post', '/api/enrollment/enroll', { studentId: 2, sectionIds: [1] }, 'shared-key', mitAdminToken);
+
+    expect(res.status).toBe(201);
+    expect(await enrolledCourseIds(2)).toEqual([1]);
+  });
+
+  test('a repeat that arrives while the first request is running is refused', async () => {
+    // Hold the first request after it has enrolled, before its response is stored
+    let finish;
+    let reached;
+    const gate = new Promise(resolve => { finish = resolve; });
+    const storing = new Promise(resolve => { reached = resolve; });
+    const complete = idempotencyService.complete.bind(idempotencyService);
+    jest.spyOn(idempotencyService, 'complete').mockImplementationOnce(async (...args) => {
+      reached();
+      await gate;
+      return complete(...args);
+    });
+
+    const first = enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1').then(res => res);
+    await storing;
+    const repeat = await enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1');
+    finish();
+
+    expect(repeat.status).toBe(409);
+    expect(repeat.body.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+    expect((await first).status).toBe(201);
+
+    const retry = await enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1');
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(await enrolledCourseIds(1)).toEqual([2]);
+  });
+
+  test('an expired key runs the request again', async () => {
+    await enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1');
+    await db.query('UPDATE idempotency_keys SET expires_at = ?', [new Date(Date.now() - 1000)]);
+
+    const res = await enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1');
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ALREADY_ENROLLED');
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('purgeExpired removes only expired keys', async () => {
+    await enroll({ studentId: 1, sectionIds: [1] }, 'old');
+    await enroll({ studentId: 1, sectionIds: [2] }, 'new');
+    await db.query('UPDATE idempotency_keys SET expires_at = ? WHERE idempotency_key = ?', [new Date(Date.now() - 1000), 'old']);
+
+    const result = await idempotencyService.purgeExpired();
+
+    expect(result).toEqual({ success: true, data: { removed: 1 } });
+    const [rows] = await db.query('SELECT idempotency_key FROM idempotency_keys');
+    expect(rows).toEqual([{ idempotency_key: 'new' }]);
+  });
+
+  test('schedulePurge purges at start and then on every interval', () => {
+    jest.useFakeTimers();
+    const purge = jest.spyOn(idempotencyService, 'purgeExpired').mockResolvedValue({ success: true, data: { removed: 0 } });
+
+    const timer = idempotencyService.schedulePurge(30);
+    expect(purge).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(2 * 30 * 60 * 1000);
+    expect(purge).toHaveBeenCalledTimes(3);
+
+    clearInterval(timer);
+    jest.useRealTimers();
+    expect(idempotencyService.schedulePurge(0)).toBeNull();
+  });
+});
+
+describe('responses that are not stored', () => {
+  const deadlock = () => Object.assign(new Error('Deadlock found when trying to get lock'), { code: 'ER_LOCK_DEADLOCK' });
+
+  test('a request that lost a lock conflict runs again when retried with its key', async () => {
+    jest.spyOn(enrollmentRepository, 'insertEnrollment').mockRejectedValue(deadlock());
+    const first = await enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1');
+    jest.restoreAllMocks();
+
+    const second = await enroll({ studentId: 1, sectionIds: [2] }, 'enroll-1');
+
+    expect(first.body.code).toBe('LOCK_CONFLICT');
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+    expect(await enrolledCourseIds(1)).toEqual([2]);
+  });
+});
+
+describe('the header', () => {
+  test('a malformed key is refused', async () => {
+    const res = await enroll({ studentId: 1, sectionIds: [2] }, 'not a valid key');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(await enrolledCourseIds(1)).toEqual([]);
+  });
+
+  test('reads ignore the header', async () => {
+    const first = await send('get', '/api/enrollment/enrolled/1', undefined, 'read-1');
+    await enroll({ studentId: 1, sectionIds: [2] });
+    const second = await send('get', '/api/enrollment/enrolled/1', undefined, 'read-1');
+
+    expect(first.status).toBe(200);
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+    expect(second.body).not.toEqual(first.body);
+  });
+});
@@ -0,0 +1,85 @@
+const { db, resetDatabase } = require('./helpers');
+const notificationService = require('../services/notificationService');
+
+const queue = (studentId) => notificationService.queue(db, {
+  studentId,
+  type: 'timetable_conflict',
+  subject: 'Timetable change',
+  body: 'One of your classes moved'
+});
+
+const statusOf = async (notificationId) => {
+  const [[row]] = await db.query(
+    'SELECT status, attempts FROM notification_outbox WHERE notification_id = ?',
+    [notificationId]
+  );
+  return row;
+};
+
+let sent;
+
+beforeEach(async () => {
+  await resetDatabase();
+  sent = [];
+  notificationService.setSender({ name: 'test', async send(notification) { sent.push(notification.notificationId); } });
+});
+
+describe('deliverPending', () => {
+  test('calls the sender after the batch is claimed and committed', async () => {
+    const id = await queue(1);
+    const seen = [];
+    notificationService.setSender({
+      name: 'test',
+      async send(notification) {
+        // Another connection can read the claim: no transaction is open while sending
+        seen.push(await statusOf(notification.notificationId));
+      }
+    });
+
+    const result = await notificationService.deliverPending();
+
+    expect(result.data).toEqual({ sent: 1, retrying: 0, failed: 0 });
+    expect(seen).toEqual([{ status: 'sending', attempts: 0 }]);
+    expect(await statusOf(id)).toEqual({ status: 'sent', attempts: 1 });
+  });
+
+  test('a notification claimed by a running delivery is not sent again', async () => {
+    const id = await queue(1);
+    await db.query(
+      "UPDATE notification_outbox SET status = 'sending', claimed_until = ? WHERE notification_id = ?",
+      [new Date(Date.now() + 60 * 1000), id]
+    );
+
+    const result = await notificationService.deliverPending();
+
+    expect(result.data.sent).toBe(0);
+    expect(sent).toEqual([]);
+  });
+
+  test('a notification left sending after its claim ran out is sent', async () => {
+    const id = await queue(1);
+    await db.query(
+      "UPDATE notification_outbox SET status = 'sending', claimed_until = ? WHERE notification_id = ?",
+      [new Date(Date.now() - 60 * 1000), id]
+    );
+
+    await notificationService.deliverPending();
+
+    expect(sent).toEqual([id]);
+    expect((await statusOf(id)).status).toBe('sent');
+  });
+
+  test('a failed send goes back to pending, and is marked failed after the last attempt', async () => {
+    const id = await queue(1);
+    notificationService.setSender({ name: 'test', async send() { throw new Error('gateway down'); } });
+
+    const first = await notificationService.deliverPending();
+    expect(first.data).toEqual({ sent: 0, retrying: 1, failed: 0 });
+    expect(await statusOf(id)).toEqual({ status: 'pending', attempts: 1 });
+
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      await notificationService.deliverPending();
+    }
+    expect(await statusOf(id)).toEqual({ status: 'failed', attempts: 5 });
+  });
+});
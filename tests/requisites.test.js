@@ -0,0 +1,60 @@
+const { ACCOUNTS, login, authed, resetDatabase } = require('./helpers');
+
+// Seed rules (dbSchema.sql), MIT:
+//   CS201 (4) requires CS101 (1) as a prerequisite
+//   AP105 (3) requires MA204 (2) as a corequisite
+
+let adminToken;
+
+const addRule = (courseId, requiredCourseId, type) =>
+  authed(adminToken, 'post', `/api/admin/course/${courseId}/prerequisites`).send({ requiredCourseId, type });
+
+beforeAll(async () => {
+  adminToken = await login(ACCOUNTS.superAdmin);
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+describe('requisite cycles', () => {
+  test('refuses a prerequisite that closes a chain of prerequisites', async () => {
+    const res = await addRule(1, 4, 'prerequisite');
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('REQUISITE_CYCLE');
+    expect(res.body.error).toContain('CS101 -> CS201 -> CS101');
+  });
+
+  test('refuses a corequisite on a course that requires this one as a prerequisite', async () => {
+    // CS101 coreq CS201 / CS201 prereq CS101: CS201 would have to come both before and after CS101
+    const res = await addRule(1, 4, 'corequisite');
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('REQUISITE_CYCLE');
+    expect(res.body.error).toContain('CS101 -> CS201 -> CS101');
+  });
+
+  test('refuses a prerequisite on a course that requires this one as a corequisite', async () => {
+    const res = await addRule(2, 3, 'prerequisite');
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('REQUISITE_CYCLE');
+  });
+
+  test('refuses a prerequisite anywhere along a longer chain of rules', async () => {
+    expect((await addRule(1, 3, 'corequisite')).status).toBe(201);
+
+    // MA204 -> CS201 -> CS101 -> AP105 -> MA204, with a prerequisite in the middle
+    const res = await addRule(2, 4, 'corequisite');
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toContain('MA204 -> CS201 -> CS101 -> AP105 -> MA204');
+  });
+
+  test('allows corequisites that require each other, which are taken together', async () => {
+    const res = await addRule(2, 3, 'corequisite');
+
+    expect(res.status).toBe(201);
+  });
+});
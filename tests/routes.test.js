@@ -0,0 +1,235 @@
+const request = require('supertest');
+const { app, ACCOUNTS, login, authed, resetDatabase } = require('./helpers');
+
+// Every route with a request its schema rejects (400 VALIDATION_FAILED) and, where the route
+// looks something up, a request naming a record that does not exist (404). Lists scoped to a
+// parent (a college's terms, rooms or instructors, a term's offerings, a course's requisites)
+// return an empty list for an unknown parent, and the unscoped lists have nothing to look up.
+
+const INVALID = [
+  ['POST', '/api/auth/login', { email: 'john.doe@mit.edu' }],
+
+  ['POST', '/api/enrollment/enroll', { studentId: 1 }],
+  ['POST', '/api/enrollment/enroll', { studentId: 'one', courseIds: [1] }],
+  ['POST', '/api/enrollment/validate', { studentId: 1, courseIds: [] }],
+  ['POST', '/api/enrollment/schedules/generate', { studentId: 1 }],
+  ['GET', '/api/enrollment/available/abc'],
+  ['GET', '/api/enrollment/enrolled/0'],
+  ['GET', '/api/enrollment/enrolled/1?termId=x'],
+  ['GET', '/api/enrollment/enrolled/abc/calendar.ics'],
+  ['GET', '/api/enrollment/timetable/-1'],
+  ['DELETE', '/api/enrollment/drop', { studentId: 1 }],
+  ['POST', '/api/enrollment/swap', { studentId: 1, addCourseIds: [2] }],
+  ['GET', '/api/enrollment/waitlist/abc'],
+  ['DELETE', '/api/enrollment/waitlist', { courseId: 1 }],
+
+  ['POST', '/api/admin/timetable/preview', { sectionId: 1, dayOfWeek: 'Someday', startTime: '09:00', endTime: '10:00' }],
+  ['POST', '/api/admin/timetable/abc/preview', { startTime: '09:00' }],
+  ['POST', '/api/admin/timetable', { sectionId: 1, dayOfWeek: 'Monday', startTime: '25:00', endTime: '10:00' }],
+  ['PUT', '/api/admin/timetable/1', {}],
+  ['DELETE', '/api/admin/timetable/abc', {}],
+  ['GET', '/api/admin/timetable/abc'],
+  ['GET', '/api/admin/course/abc/calendar.ics'],
+  ['POST', '/api/admin/course', { courseName: 'No code', collegeId: 1 }],
+  ['PUT', '/api/admin/course/1', { credits: -1 }],
+  ['DELETE', '/api/admin/course/abc', {}],
+  ['POST', '/api/admin/course/abc/restore', {}],
+  ['GET', '/api/admin/course/abc/students'],
+  ['GET', '/api/admin/course/abc/prerequisites'],
+  ['POST', '/api/admin/course/1/prerequisites', {}],
+  ['DELETE', '/api/admin/course/1/prerequisites/abc'],
+  ['POST', '/api/admin/student/1/completed-courses', { courseId: 'x' }],
+  ['POST', '/api/admin/term', { collegeId: 1, name: 'Term' }],
+  ['PUT', '/api/admin/term/abc', { name: 'Term' }],
+  ['GET', '/api/admin/college/abc/terms'],
+  ['POST', '/api/admin/term/1/offerings', {}],
+  ['GET', '/api/admin/term/abc/offerings'],
+  ['POST', '/api/admin/course/1/sections', { capacity: 0 }],
+  ['GET', '/api/admin/course/abc/sections'],
+  ['PUT', '/api/admin/section/abc', { capacity: 5 }],
+  ['POST', '/api/admin/college/1/rooms', { capacity: 10 }],
+  ['GET', '/api/admin/college/abc/rooms'],
+  ['PUT', '/api/admin/room/abc', { capacity: 5 }],
+  ['POST', '/api/admin/college/1/instructors', { email: 'no-name@mit.edu' }],
+  ['GET', '/api/admin/college/abc/instructors'],
+  ['PUT', '/api/admin/college/1/credit-limits', { minCredits: 'many' }],
+  ['PUT', '/api/admin/student/1/credit-override', { maxCredits: -5 }],
+  ['DELETE', '/api/admin/student/abc/credit-override'],
+  ['POST', '/api/admin/import/rooms', 'room_code\nX'],
+  ['GET', '/api/admin/audit?limit=0'],
+  ['GET', '/api/admin/notifications?status=lost'],
+  ['POST', '/api/admin/notifications/deliver', { limit: 'all' }],
+  ['GET', '/api/admin/colleges?page=0'],
+  ['POST', '/api/admin/college', {}],
+  ['GET', '/api/admin/college/abc'],
+  ['PUT', '/api/admin/college/1', {}],
+  ['DELETE', '/api/admin/college/abc'],
+  ['GET', '/api/admin/students?pageSize=1000'],
+  ['POST', '/api/admin/student', { name: 'No email', collegeId: 1 }],
+  ['GET', '/api/admin/student/abc'],
+  ['PUT', '/api/admin/student/1', { email: 'not-an-email' }],
+  ['DELETE', '/api/admin/student/abc', {}],
+  ['POST', '/api/admin/user', { email: 'new@mit.edu', password: 'password123', role: 'dean' }]
+];
+
+const MISSING = [
+  ['POST', '/api/enrollment/enroll', { studentId: 999, sectionIds: [1] }, 'STUDENT_NOT_FOUND'],
+  ['POST', '/api/enrollment/enroll', { studentId: 1, courseIds: [999] }, 'COURSE_NOT_FOUND'],
+  ['POST', '/api/enrollment/validate', { studentId: 999, courseIds: [1] }, 'STUDENT_NOT_FOUND'],
+  ['POST', '/api/enrollment/schedules/generate', { studentId: 999, courseIds: [1] }, 'STUDENT_NOT_FOUND'],
+  ['GET', '/api/enrollment/available/999', undefined, 'STUDENT_NOT_FOUND'],
+  ['GET', '/api/enrollment/enrolled/999', undefined, 'STUDENT_NOT_FOUND'],
+  ['GET', '/api/enrollment/enrolled/999/calendar.ics', undefined, 'STUDENT_NOT_FOUND'],
+  ['GET', '/api/enrollment/timetable/999', undefined, 'STUDENT_NOT_FOUND'],
+  ['DELETE', '/api/enrollment/drop', { studentId: 999, courseId: 1 }, 'STUDENT_NOT_FOUND'],
+  ['DELETE', '/api/enrollment/drop', { studentId: 1, courseId: 1 }, 'ENROLLMENT_NOT_FOUND'],
+  ['POST', '/api/enrollment/swap', { studentId: 999, dropCourseIds: [1], addCourseIds: [2] }, 'STUDENT_NOT_FOUND'],
+  ['GET', '/api/enrollment/waitlist/999', undefined, 'STUDENT_NOT_FOUND'],
+  ['DELETE', '/api/enrollment/waitlist', { studentId: 999, courseId: 1 }, 'STUDENT_NOT_FOUND'],
+  ['DELETE', '/api/enrollment/waitlist', { studentId: 1, courseId: 1 }, 'WAITLIST_ENTRY_NOT_FOUND'],
+
+  ['POST', '/api/admin/timetable/preview', { sectionId: 999, dayOfWeek: 'Monday', startTime: '09:00', endTime: '10:00' }, 'SECTION_NOT_FOUND'],
+  ['POST', '/api/admin/timetable/999/preview', { startTime: '09:00', endTime: '10:00' }, 'TIMETABLE_NOT_FOUND'],
+  ['POST', '/api/admin/timetable', { sectionId: 999, dayOfWeek: 'Monday', startTime: '09:00', endTime: '10:00' }, 'SECTION_NOT_FOUND'],
+  ['PUT', '/api/admin/timetable/999', { startTime: '09:00', endTime: '10:00' }, 'TIMETABLE_NOT_FOUND'],
+  ['DELETE', '/api/admin/timetable/999', {}, 'TIMETABLE_NOT_FOUND'],
+  ['GET', '/api/admin/timetable/999', undefined, 'COURSE_NOT_FOUND'],
+  ['GET', '/api/admin/course/999/calendar.ics', undefined, 'COURSE_NOT_FOUND'],
+  ['POST', '/api/admin/course', { courseCode: 'CS999', courseName: 'Orphan', collegeId: 999 }, 'COLLEGE_NOT_FOUND'],
+  ['PUT', '/api/admin/course/999', { credits: 3 }, 'COURSE_NOT_FOUND'],
+  ['DELETE', '/api/admin/course/999', {}, 'COURSE_NOT_FOUND'],
+  ['POST', '/api/admin/course/999/restore', {}, 'COURSE_NOT_FOUND'],
+  ['GET', '/api/admin/course/999/students', undefined, 'COURSE_NOT_FOUND'],
+  ['POST', '/api/admin/course/999/prerequisites', { requiredCourseId: 1 }, 'COURSE_NOT_FOUND'],
+  ['POST', '/api/admin/course/1/prerequisites', { requiredCourseId: 999 }, 'COURSE_NOT_FOUND'],
+  ['DELETE', '/api/admin/course/1/prerequisites/999', undefined, 'REQUISITE_NOT_FOUND'],
+  ['POST', '/api/admin/student/999/completed-courses', { courseId: 1 }, 'NOT_FOUND'],
+  ['PUT', '/api/admin/term/999', { name: 'Term' }, 'TERM_NOT_FOUND'],
+  ['POST', '/api/admin/term/999/offerings', { courseId: 1 }, 'NOT_FOUND'],
+  ['POST', '/api/admin/course/999/sections', { sectionCode: 'Z', capacity: 5 }, 'COURSE_NOT_FOUND'],
+  ['GET', '/api/admin/course/999/sections', undefined, 'COURSE_NOT_FOUND'],
+  ['PUT', '/api/admin/section/999', { capacity: 5 }, 'SECTION_NOT_FOUND'],
+  ['POST', '/api/admin/college/999/rooms', { roomCode: 'R1', capacity: 10 }, 'COLLEGE_NOT_FOUND'],
+  ['PUT', '/api/admin/room/999', { capacity: 5 }, 'ROOM_NOT_FOUND'],
+  ['POST', '/api/admin/college/999/instructors', { name: 'Nobody', email: 'nobody@example.edu' }, 'COLLEGE_NOT_FOUND'],
+  ['PUT', '/api/admin/college/999/credit-limits', { maxCredits: 10 }, 'COLLEGE_NOT_FOUND'],
+  ['PUT', '/api/admin/student/999/credit-override', { maxCredits: 10 }, 'STUDENT_NOT_FOUND'],
+  ['DELETE', '/api/admin/student/999/credit-override', undefined, 'STUDENT_NOT_FOUND'],
+  ['GET', '/api/admin/college/999', undefined, 'COLLEGE_NOT_FOUND'],
+  ['PUT', '/api/admin/college/999', { name: 'Nowhere' }, 'COLLEGE_NOT_FOUND'],
+  ['DELETE', '/api/admin/college/999', undefined, 'COLLEGE_NOT_FOUND'],
+  ['POST', '/api/admin/student', { name: 'Nobody', email: 'nobody@example.edu', collegeId: 999 }, 'COLLEGE_NOT_FOUND'],
+  ['GET', '/api/admin/student/999', undefined, 'STUDENT_NOT_FOUND'],
+  ['PUT', '/api/admin/student/999', { name: 'Nobody' }, 'STUDENT_NOT_FOUND'],
+  ['DELETE', '/api/admin/student/999', {}, 'STUDENT_NOT_FOUND'],
+  ['POST', '/api/admin/user', { email: 'nobody@example.edu', password: 'password123', role: 'college_admin', collegeId: 999 }, 'COLLEGE_NOT_FOUND']
+];
+
+let adminToken;
+
+/**
+ * Send one table row as the super admin
+ * @param {string} method - HTTP method
+ * @param {string} url - Path and query
+ * @param {Object|string} [body] - JSON body, or CSV text
+ * @returns {Object} supertest response
+ */
+const send = (method, url, body) => {
+  const req = authed(adminToken, method.toLowerCase(), url);
+  if (typeof body === 'string') {
+    return req.set('Content-Type', 'text/csv').send(body);
+  }
+  return body === undefined ? req : req.send(body);
+};
+
+beforeAll(async () => {
+  await resetDatabase();
+  adminToken = await login(ACCOUNTS.superAdmin);
+});
+
+describe('400 on invalid requests', () => {
+  test.each(INVALID)('%s %s', async (...row) => {
+    const res = await send(...row);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, code: 'VALIDATION_FAILED' });
+    expect(res.body.fields.length).toBeGreaterThan(0);
+  });
+
+  test('a body that is not JSON', async () => {
+    const res = await authed(adminToken, 'post', '/api/enrollment/enroll')
+      .set('Content-Type', 'application/json')
+      .send('{"studentId": 1,');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_JSON');
+  });
+
+  test('an import without a CSV body', async () => {
+    const res = await send('POST', '/api/admin/import/students', {});
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_INPUT');
+  });
+});
+
+describe('404 on missing records', () => {
+  test.each(MISSING)('%s %s', async (method, url, body, code) => {
+    const res = await send(method, url, body);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ success: false, code });
+  });
+
+  test('an unknown endpoint', async () => {
+    const res = await send('GET', '/api/admin/nothing-here');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('ROUTE_NOT_FOUND');
+  });
+});
+
+describe('authentication and access', () => {
+  test('a request without a token', async () => {
+    const res = await request(app).get('/api/enrollment/enrolled/1');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('AUTHENTICATION_REQUIRED');
+  });
+
+  test('a request with a forged token', async () => {
+    const res = await request(app).get('/api/enrollment/enrolled/1').set('Authorization', 'Bearer not.a.token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_TOKEN');
+  });
+
+  test('wrong credentials', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: ACCOUNTS.john, password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  test('a student reading another student\'s enrollments', async () => {
+    const token = await login(ACCOUNTS.john);
+    const res = await authed(token, 'get', '/api/enrollment/enrolled/2');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+  });
+
+  test('a student calling an admin endpoint', async () => {
+    const token = await login(ACCOUNTS.john);
+    const res = await authed(token, 'get', '/api/admin/colleges');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('a college admin reaching into another college', async () => {
+    const token = await login(ACCOUNTS.mitAdmin);
+    const res = await authed(token, 'get', '/api/admin/student/3');
+
+    expect(res.status).toBe(403);
+  });
+});
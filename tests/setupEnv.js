@@ -0,0 +1,15 @@
+// Runs before every test file: the suite uses the embedded SQLite store (a fresh
+// in-memory database per file) so it needs no MySQL server. Setting TEST_DB_NAME runs it
+// against that MySQL database instead (DB_HOST, DB_USER, ... as for the API); its tables
+// are dropped and reloaded from dbSchema.sql before each test, so never use real data.
+// The tests log in with the sample accounts of demoAccounts.sql.
+process.env.NODE_ENV = 'test';
+if (process.env.TEST_DB_NAME) {
+  process.env.DB_CLIENT = 'mysql';
+  process.env.DB_NAME = process.env.TEST_DB_NAME;
+} else {
+  process.env.DB_CLIENT = 'sqlite';
+  process.env.DB_FILE = ':memory:';
+}
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.SEED_DEMO_ACCOUNTS = 'true';
@@ -0,0 +1,94 @@
+// The suite runs with the server clock in America/Los_Angeles (tests/globalSetup.js): term
+// dates and enrollment windows must follow the college's timezone, not the server's
+
+const { db, resetDatabase } = require('./helpers');
+const termService = require('../services/termService');
+
+const TOKYO = 'Asia/Tokyo';
+
+/**
+ * Build a term row as the database returns it: DATE and DATETIME values are Dates holding
+ * the stored fields in the server's local time
+ * @param {Object} fields - Overrides
+ * @returns {Object} Term row
+ */
+const termRow = (fields) => ({
+  term_id: 1,
+  name: 'Fall',
+  timezone: TOKYO,
+  start_date: new Date(2026, 8, 1),
+  end_date: new Date(2026, 11, 20),
+  enrollment_opens_at: new Date(2026, 10, 1, 9, 0, 0),
+  enrollment_closes_at: new Date(2026, 10, 30, 17, 0, 0),
+  ...fields
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+describe('enrollment window', () => {
+  test('opens and closes at the college wall-clock time', () => {
+    const term = termRow();
+
+    // 09:00 in Tokyo is 00:00 UTC
+    expect(termService.isEnrollmentOpen(term, new Date('2026-10-31T23:59:00Z'))).toBe(false);
+    expect(termService.isEnrollmentOpen(term, new Date('2026-11-01T00:00:00Z'))).toBe(true);
+    expect(termService.isEnrollmentOpen(term, new Date('2026-11-30T08:00:00Z'))).toBe(true);
+    expect(termService.isEnrollmentOpen(term, new Date('2026-11-30T08:01:00Z'))).toBe(false);
+  });
+
+  test('a window created through the API is stored and read back in college time', async () => {
+    const created = await termService.createTerm({
+      collegeId: 1,
+      name: 'Spring 2027',
+      startDate: '2027-01-18',
+      endDate: '2027-05-14',
+      enrollmentOpensAt: '2026-11-01T09:00:00',
+      enrollmentClosesAt: '2027-01-29T23:59:59'
+    });
+    expect(created.data.enrollmentOpensAt).toBe('2026-11-01 09:00:00');
+
+    const { term } = await termService.resolveTerm(db, 1, created.data.termId);
+
+    // MIT is in America/New_York, where 09:00 on November 1st 2026 is 14:00 UTC
+    expect(termService.isEnrollmentOpen(term, new Date('2026-11-01T13:59:00Z'))).toBe(false);
+    expect(termService.isEnrollmentOpen(term, new Date('2026-11-01T14:00:00Z'))).toBe(true);
+  });
+
+  test('a bound given with a UTC offset is converted to college time', () => {
+    const result = termService.validateTermDates({
+      startDate: '2027-01-18',
+      endDate: '2027-05-14',
+      enrollmentOpensAt: '2026-11-01T14:00:00Z',
+      enrollmentClosesAt: '2027-01-30T04:59:59Z'
+    }, 'America/New_York');
+
+    expect(result).toEqual({ success: true, opensAt: '2026-11-01 09:00:00', closesAt: '2027-01-29 23:59:59' });
+  });
+});
+
+describe('current term', () => {
+  const spring = termRow({
+    term_id: 2,
+    start_date: new Date(2027, 0, 10),
+    end_date: new Date(2027, 4, 1),
+    enrollment_opens_at: new Date(2027, 0, 1, 9, 0, 0),
+    enrollment_closes_at: new Date(2027, 0, 5, 17, 0, 0)
+  });
+
+  test('a term has ended once its last day is over in college time', () => {
+    // 16:00 UTC on December 20th is already December 21st in Tokyo, still the 20th on the server
+    const now = new Date('2026-12-20T16:00:00Z');
+
+    expect(termService.pickCurrentTerm([termRow(), spring], now).term_id).toBe(2);
+  });
+
+  test('a term is current through its last day in college time', () => {
+    const fall = termRow({ timezone: 'America/Los_Angeles', end_date: '2026-12-20' });
+    const laterSpring = { ...spring, timezone: 'America/Los_Angeles' };
+
+    // Midday on December 20th in California; read as UTC midnight, the end date would be the 19th
+    expect(termService.pickCurrentTerm([fall, laterSpring], new Date('2026-12-20T20:00:00Z')).term_id).toBe(1);
+  });
+});
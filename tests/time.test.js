@@ -0,0 +1,60 @@
+const { parseTime, normalizeTime, compareTimes, timesOverlap, checkSlotGrid } = require('../utils/time');
+
+const MIT_GRID = { slotMinutes: 15, teachingStart: '08:00:00', teachingEnd: '22:00:00' };
+
+describe('parsing', () => {
+  test.each([
+    ['9:00', '09:00:00'],
+    ['09:00', '09:00:00'],
+    ['09:00:30', '09:00:30'],
+    [' 14:45 ', '14:45:00'],
+    ['9am', '09:00:00'],
+    ['9:30 AM', '09:30:00'],
+    ['12:15 am', '00:15:00'],
+    ['12 pm', '12:00:00'],
+    ['2:15 p.m.', '14:15:00']
+  ])('%s is %s', (input, expected) => {
+    expect(normalizeTime(input)).toBe(expected);
+  });
+
+  test.each(['24:00', '9:60', '13pm', '0am', '9', 'noon', '', null, 900])('%p is not a time of day', (input) => {
+    expect(parseTime(input)).toBeNull();
+  });
+});
+
+describe('comparing', () => {
+  test('compares times as times, not strings', () => {
+    expect(compareTimes('9:00', '10:00')).toBeLessThan(0);
+    expect(compareTimes('10:00:00', '9:30')).toBeGreaterThan(0);
+    expect(compareTimes('09:00', '9:00:00')).toBe(0);
+  });
+
+  test('ranges that only touch do not overlap', () => {
+    expect(timesOverlap('9:00', '10:00', '10:00:00', '11:00:00')).toBe(false);
+    expect(timesOverlap('9:00', '10:30', '10:00:00', '11:00:00')).toBe(true);
+  });
+});
+
+describe('checkSlotGrid', () => {
+  test('accepts a slot on the grid within teaching hours', () => {
+    expect(checkSlotGrid({ startTime: '08:00:00', endTime: '09:15:00' }, MIT_GRID)).toEqual({ success: true });
+    expect(checkSlotGrid({ startTime: '20:45:00', endTime: '22:00:00' }, MIT_GRID)).toEqual({ success: true });
+  });
+
+  test('refuses a slot that starts or ends off the grid', () => {
+    expect(checkSlotGrid({ startTime: '09:10:00', endTime: '10:00:00' }, MIT_GRID).code).toBe('OFF_SLOT_GRID');
+    expect(checkSlotGrid({ startTime: '09:00:00', endTime: '10:00:30' }, MIT_GRID).code).toBe('OFF_SLOT_GRID');
+  });
+
+  test('refuses a slot outside teaching hours', () => {
+    expect(checkSlotGrid({ startTime: '07:45:00', endTime: '09:00:00' }, MIT_GRID).code).toBe('OUTSIDE_TEACHING_HOURS');
+    expect(checkSlotGrid({ startTime: '21:30:00', endTime: '22:15:00' }, MIT_GRID).code).toBe('OUTSIDE_TEACHING_HOURS');
+  });
+
+  test('counts grid steps from the start of teaching hours', () => {
+    const grid = { slotMinutes: 50, teachingStart: '08:00:00', teachingEnd: '18:00:00' };
+
+    expect(checkSlotGrid({ startTime: '08:50:00', endTime: '10:30:00' }, grid)).toEqual({ success: true });
+    expect(checkSlotGrid({ startTime: '09:00:00', endTime: '09:50:00' }, grid).code).toBe('OFF_SLOT_GRID');
+  });
+});
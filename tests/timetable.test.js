@@ -0,0 +1,229 @@
+const { db, ACCOUNTS, login, authed, resetDatabase } = require('./helpers');
+
+// Seed timetable (dbSchema.sql), MIT current term:
+//   slot 1  CS101-A  Mon 09-10 room 1 instructor 1    slot 3  MA204-A  Mon 10-11 room 2 instructor 2
+//   slot 2  CS101-A  Tue 10-11 room 1 instructor 1    slot 4  MA204-A  Wed 09-10 room 2 instructor 2
+//   slot 7  CS201-A  Wed 10-12 room 1 instructor 4    slot 8  CS201-A  Fri 14-16 room 1 instructor 4
+// Nobody is enrolled in section 3 (AP105-A).
+// Each test starts with student 1 enrolled in CS101-A and MA204-A (back to back on Monday).
+
+let adminToken;
+
+const addSlot = (body) => authed(adminToken, 'post', '/api/admin/timetable').send(body);
+const updateSlot = (timetableId, body) => authed(adminToken, 'put', `/api/admin/timetable/${timetableId}`).send(body);
+
+const conflictFlags = async (studentId) => {
+  const [rows] = await db.query(
+    'SELECT section_id, in_conflict FROM student_courses WHERE student_id = ? ORDER BY section_id',
+    [studentId]
+  );
+  return rows.map(row => [row.section_id, Number(row.in_conflict)]);
+};
+
+beforeAll(async () => {
+  adminToken = await login(ACCOUNTS.superAdmin);
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  const res = await authed(adminToken, 'post', '/api/enrollment/enroll').send({ studentId: 1, sectionIds: [1, 2] });
+  expect(res.status).toBe(201);
+});
+
+describe('addTimetable', () => {
+  test('refuses a slot that would clash with an enrolled student\'s class', async () => {
+    const res = await addSlot({ sectionId: 2, dayOfWeek: 'Tuesday', startTime: '10:30', endTime: '11:30' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('TIMETABLE_CLASH');
+    expect(res.body.affectedStudents).toHaveLength(1);
+    expect(res.body.affectedStudents[0]).toMatchObject({ studentId: 1 });
+    expect(res.body.affectedStudents[0].clashes[0]).toMatchObject({ timetableId: 2, courseCode: 'CS101' });
+  });
+
+  test('adds a clashing slot with force and flags the enrollments in conflict', async () => {
+    const res = await addSlot({ sectionId: 2, dayOfWeek: 'Tuesday', startTime: '10:30', endTime: '11:30', force: true });
+
+    expect(res.status).toBe(201);
+    expect(res.body.affectedStudents).toHaveLength(1);
+    expect(res.body.notificationsQueued).toBe(1);
+    expect(await conflictFlags(1)).toEqual([[1, 1], [2, 1]]);
+  });
+
+  test('allows slots that touch an enrolled class without overlapping', async () => {
+    const before = await addSlot({ sectionId: 2, dayOfWeek: 'Tuesday', startTime: '09:00', endTime: '10:00' });
+    const after = await addSlot({ sectionId: 2, dayOfWeek: 'Tuesday', startTime: '11:00', endTime: '12:00' });
+
+    expect(before.status).toBe(201);
+    expect(after.status).toBe(201);
+    expect(after.body.affectedStudents).toEqual([]);
+    expect(await conflictFlags(1)).toEqual([[1, 0], [2, 0]]);
+  });
+
+  test('refuses a room that is already booked at that time', async () => {
+    const res = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '15:00', endTime: '16:00', roomId: 1 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DOUBLE_BOOKING');
+  });
+
+  test('refuses an instructor who is already teaching at that time', async () => {
+    const res = await addSlot({ sectionId: 3, dayOfWeek: 'Wednesday', startTime: '11:00', endTime: '12:00', instructorId: 4 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DOUBLE_BOOKING');
+  });
+
+  test('force does not override a double booking', async () => {
+    const res = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '15:00', endTime: '16:00', roomId: 1, force: true });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DOUBLE_BOOKING');
+  });
+
+  test('books a room right after another class ends', async () => {
+    const res = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '16:00', endTime: '17:00', roomId: 1, instructorId: 4 });
+
+    expect(res.status).toBe(201);
+  });
+
+  test('refuses a slot that ends before it starts', async () => {
+    const res = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '11:00', endTime: '10:00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TIME_RANGE');
+  });
+
+  test('refuses a slot that ends when it starts', async () => {
+    const res = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '10:00', endTime: '10:00:00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TIME_RANGE');
+  });
+});
+
+describe('updateTimetable', () => {
+  test('refuses moving a slot onto an enrolled student\'s other class', async () => {
+    const res = await updateSlot(3, { startTime: '09:30', endTime: '10:30' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('TIMETABLE_CLASH');
+    expect(res.body.affectedStudents[0].clashes[0]).toMatchObject({ timetableId: 1, courseCode: 'CS101' });
+
+    const [[slot]] = await db.query('SELECT start_time, end_time FROM timetables WHERE timetable_id = 3');
+    expect(slot).toEqual({ start_time: '10:00:00', end_time: '11:00:00' });
+  });
+
+  test('refuses moving a slot to another day where it would clash', async () => {
+    const res = await updateSlot(3, { dayOfWeek: 'Tuesday' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('TIMETABLE_CLASH');
+  });
+
+  test('applies a clashing move with force and flags the enrollments in conflict', async () => {
+    const res = await updateSlot(3, { startTime: '09:30', endTime: '10:30', force: true });
+
+    expect(res.status).toBe(200);
+    expect(await conflictFlags(1)).toEqual([[1, 1], [2, 1]]);
+  });
+
+  test('allows a move that only touches another class', async () => {
+    const res = await updateSlot(3, { dayOfWeek: 'Tuesday', startTime: '11:00', endTime: '12:00' });
+
+    expect(res.status).toBe(200);
+    expect(await conflictFlags(1)).toEqual([[1, 0], [2, 0]]);
+  });
+
+  test('a slot does not clash with itself when it is shortened', async () => {
+    const res = await updateSlot(1, { endTime: '09:30' });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('refuses moving a slot into a booked room', async () => {
+    const res = await updateSlot(4, { dayOfWeek: 'Friday', startTime: '14:00', endTime: '15:00', roomId: 1 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DOUBLE_BOOKING');
+  });
+
+  test('refuses an end time before the current start time', async () => {
+    const res = await updateSlot(3, { endTime: '09:00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TIME_RANGE');
+  });
+});
+
+describe('slot grid', () => {
+  // MIT: 15-minute steps from 08:00 to 22:00. Stanford: 30-minute steps from 08:00 to 20:00.
+
+  test('times are parsed and stored as HH:MM:SS', async () => {
+    const res = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '9:00', endTime: '10:30 am' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ startTime: '09:00:00', endTime: '10:30:00' });
+
+    const [[slot]] = await db.query('SELECT start_time, end_time FROM timetables WHERE timetable_id = ?', [res.body.data.timetableId]);
+    expect(slot).toEqual({ start_time: '09:00:00', end_time: '10:30:00' });
+  });
+
+  test('refuses a slot off the college\'s grid', async () => {
+    const res = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '09:10', endTime: '10:00' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('OFF_SLOT_GRID');
+  });
+
+  test('each college has its own grid', async () => {
+    const res = await addSlot({ sectionId: 5, dayOfWeek: 'Tuesday', startTime: '09:15', endTime: '10:15' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('OFF_SLOT_GRID');
+  });
+
+  test('refuses a slot outside teaching hours', async () => {
+    const early = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '07:00', endTime: '08:00' });
+    const late = await addSlot({ sectionId: 3, dayOfWeek: 'Friday', startTime: '9:30 pm', endTime: '10:30 pm' });
+
+    expect(early.status).toBe(422);
+    expect(early.body.code).toBe('OUTSIDE_TEACHING_HOURS');
+    expect(late.body.code).toBe('OUTSIDE_TEACHING_HOURS');
+  });
+
+  test('refuses moving a slot off the grid', async () => {
+    const res = await updateSlot(3, { startTime: '10:05' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('OFF_SLOT_GRID');
+  });
+
+  test('a new grid lists the slots that no longer fit, which keep their times until moved', async () => {
+    const update = await authed(adminToken, 'put', '/api/admin/college/1').send({ slotMinutes: 60, teachingEnd: '17:00' });
+
+    expect(update.status).toBe(200);
+    expect(update.body.data).toMatchObject({ slotMinutes: 60, teachingStart: '08:00:00', teachingEnd: '17:00:00' });
+    expect(update.body.warnings).toEqual([
+      expect.objectContaining({ code: 'OUTSIDE_TEACHING_HOURS', timetableId: 6 })
+    ]);
+
+    expect((await updateSlot(6, { roomId: null })).status).toBe(200);
+    expect((await updateSlot(6, { startTime: '14:00', endTime: '17:00' })).status).toBe(200);
+  });
+
+  test('refuses a grid whose teaching hours end before they start', async () => {
+    const res = await authed(adminToken, 'put', '/api/admin/college/1').send({ teachingStart: '18:00', teachingEnd: '08:00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TIME_RANGE');
+  });
+
+  test('course timetables come with the college\'s timezone', async () => {
+    const res = await authed(adminToken, 'get', '/api/admin/timetable/1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.timezone).toBe('America/New_York');
+    expect(res.body.data[0]).toMatchObject({ start_time: '09:00:00', end_time: '10:00:00' });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings).
+ * The first record is the header row; header names are trimmed and lower-cased.
+ * Blank lines are skipped.
+ * @param {string} text - CSV document
+ * @returns {Object} { success, headers, rows: [{ line, values }] } or { success: false, code, error }
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return {
+      success: false,
+      code: 'INVALID_INPUT',
+      error: `Unterminated quoted field starting on line ${recordLine}`
+    };
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  const nonBlank = records.filter(r => !(r.fields.length === 1 && r.fields[0].trim() === ''));
+
+  if (nonBlank.length === 0) {
+    return {
+      success: false,
+      code: 'INVALID_INPUT',
+      error: 'CSV is empty'
+    };
+  }
+
+  const headers = nonBlank[0].fields.map(header => header.trim().toLowerCase());
+  const rows = [];
+
+  for (const { line: rowLine, fields } of nonBlank.slice(1)) {
+    if (fields.length !== headers.length) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        error: `Line ${rowLine} has ${fields.length} field(s) but the header has ${headers.length}`
+      };
+    }
+
+    const values = {};
+    headers.forEach((header, index) => {
+      values[header] = fields[index].trim();
+    });
+    rows.push({ line: rowLine, values });
+  }
+
+  return { success: true, headers, rows };
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,172 @@
+/**
+ * Base class of every error the API reports to clients. Each error has a stable code
+ * (e.g., STUDENT_NOT_FOUND) that clients can rely on, a human-readable message and
+ * structured details; the HTTP status comes from the error's class.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - Stable error code
+   * @param {string} message - Human-readable description
+   * @param {Object} [details] - Structured details (e.g., problems, impact, fields)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * HTTP status the error is reported with
+   * @returns {number} Status code
+   */
+  get status() {
+    return this.constructor.status;
+  }
+
+  /**
+   * Response body: { success: false, code, error, ...details }
+   * @returns {Object} JSON body
+   */
+  toJSON() {
+    return {
+      success: false,
+      code: this.code,
+      error: this.message,
+      ...this.details
+    };
+  }
+
+  /**
+   * Turn a failed service result ({ success: false, code, error, ...details }) into the
+   * error type registered for its code
+   * @param {Object} result - Failed result object
+   * @returns {AppError} The typed error
+   */
+  static fromResult({ success, code, error, ...details }) {
+    const ErrorType = ERROR_TYPES[code] || ValidationError;
+    return new ErrorType(code || 'INVALID_INPUT', error, details);
+  }
+}
+
+/** The request itself is malformed or has invalid values (400) */
+class ValidationError extends AppError {}
+ValidationError.status = 400;
+
+/** The caller is not logged in or their credentials are wrong (401) */
+class AuthenticationError extends AppError {}
+AuthenticationError.status = 401;
+
+/** The caller may not perform this action (403) */
+class ForbiddenError extends AppError {}
+ForbiddenError.status = 403;
+
+/** The resource the request names does not exist (404) */
+class NotFoundError extends AppError {}
+NotFoundError.status = 404;
+
+/** The request conflicts with the current state (duplicates, clashes, changes needing confirmation) (409) */
+class ConflictError extends AppError {}
+ConflictError.status = 409;
+
+/** The request is well-formed but breaks a business rule (422) */
+class BusinessRuleError extends AppError {}
+BusinessRuleError.status = 422;
+
+/** Something failed on the server (500) */
+class InternalError extends AppError {}
+InternalError.status = 500;
+
+// Every error code the API uses, with the type (and so the HTTP status) it is reported as
+const ERROR_TYPES = {
+  VALIDATION_FAILED: ValidationError,
+  INVALID_INPUT: ValidationError,
+  INVALID_JSON: ValidationError,
+  INVALID_IDEMPOTENCY_KEY: ValidationError,
+  INVALID_TIME_RANGE: ValidationError,
+  INVALID_DATE_RANGE: ValidationError,
+  INVALID_CREDIT_RANGE: ValidationError,
+  UNKNOWN_TIMEZONE: ValidationError,
+  WEAK_PASSWORD: ValidationError,
+
+  AUTHENTICATION_REQUIRED: AuthenticationError,
+  INVALID_TOKEN: AuthenticationError,
+  INVALID_CREDENTIALS: AuthenticationError,
+
+  FORBIDDEN: ForbiddenError,
+
+  ROUTE_NOT_FOUND: NotFoundError,
+  NOT_FOUND: NotFoundError,
+  STUDENT_NOT_FOUND: NotFoundError,
+  COLLEGE_NOT_FOUND: NotFoundError,
+  COURSE_NOT_FOUND: NotFoundError,
+  SECTION_NOT_FOUND: NotFoundError,
+  TIMETABLE_NOT_FOUND: NotFoundError,
+  TERM_NOT_FOUND: NotFoundError,
+  NO_CURRENT_TERM: NotFoundError,
+  ROOM_NOT_FOUND: NotFoundError,
+  INSTRUCTOR_NOT_FOUND: NotFoundError,
+  REQUISITE_NOT_FOUND: NotFoundError,
+  CREDIT_OVERRIDE_NOT_FOUND: NotFoundError,
+  ENROLLMENT_NOT_FOUND: NotFoundError,
+  WAITLIST_ENTRY_NOT_FOUND: NotFoundError,
+
+  ALREADY_ENROLLED: ConflictError,
+  ALREADY_WAITLISTED: ConflictError,
+  ALREADY_COMPLETED: ConflictError,
+  ALREADY_OFFERED: ConflictError,
+  ALREADY_ARCHIVED: ConflictError,
+  COURSE_NOT_ARCHIVED: ConflictError,
+  COURSE_FULL: ConflictError,
+  LOCK_CONFLICT: ConflictError,
+  IDEMPOTENCY_KEY_IN_USE: ConflictError,
+  TIMETABLE_CLASH: ConflictError,
+  DOUBLE_BOOKING: ConflictError,
+  CONFIRMATION_REQUIRED: ConflictError,
+  CAPACITY_BELOW_ENROLLMENT: ConflictError,
+  COURSE_HAS_HISTORY: ConflictError,
+  COLLEGE_NOT_EMPTY: ConflictError,
+  DUPLICATE_COLLEGE: ConflictError,
+  DUPLICATE_EMAIL: ConflictError,
+  DUPLICATE_ACCOUNT: ConflictError,
+  DUPLICATE_COURSE_CODE: ConflictError,
+  DUPLICATE_SECTION: ConflictError,
+  DUPLICATE_TERM: ConflictError,
+  DUPLICATE_ROOM: ConflictError,
+  DUPLICATE_INSTRUCTOR: ConflictError,
+  DUPLICATE_REQUISITE: ConflictError,
+
+  CROSS_COLLEGE: BusinessRuleError,
+  COURSE_ARCHIVED: BusinessRuleError,
+  NOT_OFFERED: BusinessRuleError,
+  NOT_ENROLLED: BusinessRuleError,
+  SECTION_REQUIRED: BusinessRuleError,
+  DUPLICATE_COURSE: BusinessRuleError,
+  ENROLLMENT_CLOSED: BusinessRuleError,
+  ENROLLMENT_REJECTED: BusinessRuleError,
+  PREREQUISITE_NOT_MET: BusinessRuleError,
+  COREQUISITE_NOT_MET: BusinessRuleError,
+  CREDIT_LIMIT_EXCEEDED: BusinessRuleError,
+  BELOW_MIN_CREDITS: BusinessRuleError,
+  REQUISITE_CYCLE: BusinessRuleError,
+  SCHEDULE_IMPOSSIBLE: BusinessRuleError,
+  TOO_MANY_COMBINATIONS: BusinessRuleError,
+  IMPORT_FAILED: BusinessRuleError,
+  OUTSIDE_TEACHING_HOURS: BusinessRuleError,
+  OFF_SLOT_GRID: BusinessRuleError,
+  IDEMPOTENCY_KEY_REUSED: BusinessRuleError,
+
+  INTERNAL_ERROR: InternalError
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BusinessRuleError,
+  InternalError,
+  ERROR_TYPES
+};
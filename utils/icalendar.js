@@ -0,0 +1,221 @@
+const { getOffsetMinutes, wallClockToInstant } = require('./time');
+
+const PRODUCT_ID = '-//Student Course Enrollment System//Timetable Export//EN';
+const MAX_LINE_OCTETS = 75;
+const DAY_INDEX = {
+  Sunday: 0,
+  Monday: 1,
+  Tuesday: 2,
+  Wednesday: 3,
+  Thursday: 4,
+  Friday: 5,
+  Saturday: 6
+};
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets (RFC 5545 section 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, continuation lines starting with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a UTC offset as +HHMM / -HHMM
+ * @param {number} minutes - Offset in minutes
+ * @returns {string} Formatted offset
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+/**
+ * Format a Date as a UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted value
+ */
+const formatUtc = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+);
+
+/**
+ * Format wall-clock fields (held in a UTC Date) as a floating DATE-TIME (YYYYMMDDTHHMMSS)
+ * @param {Date} wallClock - Date whose UTC fields are the local wall-clock time
+ * @returns {string} Formatted value
+ */
+const formatLocal = (wallClock) => formatUtc(wallClock).slice(0, -1);
+
+/**
+ * Build a VTIMEZONE describing every UTC offset the zone uses between two instants.
+ * Each offset change becomes its own observance, so no recurrence rules are needed.
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} from - Start of the period the calendar covers
+ * @param {Date} to - End of the period the calendar covers
+ * @returns {Array<string>} Content lines
+ */
+const buildTimezone = (timeZone, from, to) => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const transitions = [];
+  let previous = from;
+  let previousOffset = getOffsetMinutes(timeZone, from);
+
+  for (let time = from.getTime() + DAY; time <= to.getTime() + DAY; time += DAY) {
+    const current = new Date(time);
+    const currentOffset = getOffsetMinutes(timeZone, current);
+
+    if (currentOffset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = previous.getTime();
+      let high = current.getTime();
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (getOffsetMinutes(timeZone, new Date(mid)) === previousOffset) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      transitions.push({ at: new Date(high), from: previousOffset, to: currentOffset });
+      previousOffset = currentOffset;
+    }
+    previous = current;
+  }
+
+  const initialOffset = getOffsetMinutes(timeZone, from);
+  const observances = [
+    { at: from, from: initialOffset, to: initialOffset },
+    ...transitions
+  ];
+  const standardOffset = Math.min(initialOffset, ...transitions.map(t => t.to));
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  for (const observance of observances) {
+    const kind = observance.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART of an observance is expressed in the local time in effect before it
+    const localStart = new Date(observance.at.getTime() + observance.from * 60000);
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatLocal(localStart)}`,
+      `TZOFFSETFROM:${formatOffset(observance.from)}`,
+      `TZOFFSETTO:${formatOffset(observance.to)}`,
+      `END:${kind}`
+    );
+  }
+  lines.push('END:VTIMEZONE');
+
+  return lines;
+};
+
+/**
+ * Parse a YYYY-MM-DD date and HH:MM[:SS] time into wall-clock fields held in a UTC Date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM or HH:MM:SS)
+ * @returns {Date} Wall-clock date
+ */
+const toWallClock = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes, seconds = 0] = String(time).split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * Build an iCalendar document of weekly recurring class events
+ * @param {Object} calendar - Calendar details
+ * @param {string} calendar.name - Calendar name shown by calendar apps
+ * @param {string} calendar.timeZone - IANA timezone the slot times are in
+ * @param {string} calendar.startDate - First day of the term (YYYY-MM-DD)
+ * @param {string} calendar.endDate - Last day of the term (YYYY-MM-DD)
+ * @param {Array<Object>} calendar.events - { uid, dayOfWeek, startTime, endTime, summary, location?, description? }
+ * @param {Date} [calendar.now] - Timestamp for DTSTAMP
+ * @returns {string} The .ics document
+ */
+const buildCalendar = ({ name, timeZone, startDate, endDate, events, now = new Date() }) => {
+  const termStart = toWallClock(startDate, '00:00:00');
+  const termEnd = toWallClock(endDate, '23:59:59');
+  const until = wallClockToInstant(timeZone, termEnd);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...buildTimezone(timeZone, wallClockToInstant(timeZone, termStart), until)
+  ];
+
+  for (const event of events) {
+    // First occurrence is the first matching weekday on or after the term start
+    const dayIndex = DAY_INDEX[event.dayOfWeek];
+    const daysAhead = (dayIndex - termStart.getUTCDay() + 7) % 7;
+    const firstDate = new Date(termStart.getTime() + daysAhead * 24 * 60 * 60 * 1000);
+    const firstDay = `${firstDate.getUTCFullYear()}-${pad(firstDate.getUTCMonth() + 1)}-${pad(firstDate.getUTCDate())}`;
+
+    if (firstDate > termEnd) {
+      continue;
+    }
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `DTSTART;TZID=${timeZone}:${formatLocal(toWallClock(firstDay, event.startTime))}`,
+      `DTEND;TZID=${timeZone}:${formatLocal(toWallClock(firstDay, event.endTime))}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${RRULE_DAYS[dayIndex]};UNTIL=${formatUtc(until)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,74 @@
+/**
+ * Enrollment writes lock the student's row first and then the rows of the sections involved,
+ * in section ID order, so two requests touching the same student or the same seats run one
+ * after the other. Waitlist promotion has to lock the waitlisted students after the section,
+ * so MySQL can still pick one of two transactions as a deadlock victim; it rolls that one back
+ * and running it again gives the same result as if the two had been sent one after the other.
+ *
+ * These transactions run at READ COMMITTED. Under InnoDB's default REPEATABLE READ every plain
+ * read sees a snapshot taken at the first of them, so a request that waited for a section lock
+ * would still count the seats as they were before the request it waited for committed.
+ */
+
+// MySQL errors that mean the transaction was rolled back to let another one through
+const LOCK_CONFLICT_CODES = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Check whether a database error is a lock conflict
+ * @param {Error} error - Database error
+ * @returns {boolean} Whether the transaction can be run again
+ */
+const isLockConflict = (error) => Boolean(error) && LOCK_CONFLICT_CODES.includes(error.code);
+
+/**
+ * Map an error that ended a transaction to the result retryOnLockConflict runs it again on
+ * @param {Error} error - Error caught after rolling back
+ * @returns {Object|null} LOCK_CONFLICT result, or null if the error is not a lock conflict
+ */
+const lockConflictResult = (error) => (isLockConflict(error)
+  ? {
+    success: false,
+    code: 'LOCK_CONFLICT',
+    error: 'Another request for this student or course was being processed at the same time; try again'
+  }
+  : null);
+
+/**
+ * Start a transaction that takes row locks and then reads the rows around them, at
+ * READ COMMITTED so each read sees what the transactions it waited for committed
+ * @param {Object} connection - Database connection
+ */
+const beginLockingTransaction = async (connection) => {
+  // Applies to the next transaction on this connection only
+  await connection.query('SET TRANSACTION ISOLATION LEVEL READ COMMITTED');
+  await connection.beginTransaction();
+};
+
+/**
+ * Run a transactional operation, running it again while it fails with LOCK_CONFLICT
+ * @param {Function} operation - Async function returning a result object; it rolls back and
+ *   returns lockConflictResult(error) when it loses a lock conflict
+ * @param {number} [attempts] - Maximum number of runs
+ * @returns {Object} Result of the last run
+ */
+const retryOnLockConflict = async (operation, attempts = MAX_ATTEMPTS) => {
+  let result;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    result = await operation();
+    if (result.success || result.code !== 'LOCK_CONFLICT') {
+      return result;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  isLockConflict,
+  lockConflictResult,
+  beginLockingTransaction,
+  retryOnLockConflict
+};
@@ -0,0 +1,27 @@
+/**
+ * Parse an optional term ID from a request body or query string
+ * @param {*} value - Raw termId value
+ * @returns {number|null} The term ID, null when omitted, NaN when invalid
+ */
+const parseTermId = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return parseInt(value);
+};
+
+/**
+ * Build the audit actor for a request: the authenticated caller plus the reason they gave
+ * @param {Object} req - Express request
+ * @returns {Object} { userId, role, reason }
+ */
+const getActor = (req) => ({
+  userId: req.user ? req.user.userId : null,
+  role: req.user ? req.user.role : null,
+  reason: (req.body && typeof req.body.reason === 'string') ? req.body.reason : null
+});
+
+module.exports = {
+  parseTermId,
+  getActor
+};
@@ -0,0 +1,268 @@
+/**
+ * Times of day and wall-clock date-times. Timetable times are wall-clock times in their
+ * college's timezone (colleges.timezone), stored as TIME and passed around as HH:MM:SS
+ * strings. They are compared as numbers, never as strings: '9:00' sorts after '10:00'.
+ * Term dates and enrollment windows are wall-clock values in the same timezone, stored as
+ * DATE and DATETIME; they only become instants, to compare with the current time, through
+ * wallClockToInstant.
+ */
+
+const TIME_24H = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const TIME_12H = /^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?$/i;
+const DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+const UTC_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Parse a time of day: 24-hour H:MM, HH:MM or HH:MM:SS, or 12-hour with am/pm (9am, 2:30 pm)
+ * @param {string} value - Time
+ * @returns {number|null} Seconds after midnight, or null if the value is not a time of day
+ */
+const parseTime = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  let hours;
+  let minutes;
+  let seconds = 0;
+
+  const clock24 = TIME_24H.exec(text);
+  const clock12 = clock24 ? null : TIME_12H.exec(text);
+
+  if (clock24) {
+    [hours, minutes] = [Number(clock24[1]), Number(clock24[2])];
+    seconds = clock24[3] === undefined ? 0 : Number(clock24[3]);
+  } else if (clock12) {
+    const hour = Number(clock12[1]);
+    if (hour < 1 || hour > 12) {
+      return null;
+    }
+    hours = (hour % 12) + (clock12[3].toLowerCase() === 'p' ? 12 : 0);
+    minutes = clock12[2] === undefined ? 0 : Number(clock12[2]);
+  } else {
+    return null;
+  }
+
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Format seconds after midnight as HH:MM:SS
+ * @param {number} seconds - Seconds after midnight
+ * @returns {string} Time of day
+ */
+const formatTime = (seconds) => {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+};
+
+/**
+ * Normalize any time parseTime accepts to HH:MM:SS
+ * @param {string} value - Time
+ * @returns {string|null} Normalized time, or null if the value is not a time of day
+ */
+const normalizeTime = (value) => {
+  const seconds = parseTime(value);
+  return seconds === null ? null : formatTime(seconds);
+};
+
+/**
+ * Convert a time to minutes after midnight
+ * @param {string} time - Time of day (HH:MM:SS)
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => parseTime(time) / 60;
+
+/**
+ * Convert minutes after midnight to an HH:MM:SS time
+ * @param {number} minutes - Minutes
+ * @returns {string} Time of day
+ */
+const fromMinutes = (minutes) => formatTime(Math.round(minutes * 60));
+
+/**
+ * Order two times of day (for sort)
+ * @param {string} a - Time of day
+ * @param {string} b - Time of day
+ * @returns {number} Negative if a is earlier, positive if later, 0 if equal
+ */
+const compareTimes = (a, b) => parseTime(a) - parseTime(b);
+
+/**
+ * Check if two time ranges on the same day overlap; ranges that only touch do not
+ * @param {string} start1 - Start time of the first range
+ * @param {string} end1 - End time of the first range
+ * @param {string} start2 - Start time of the second range
+ * @param {string} end2 - End time of the second range
+ * @returns {boolean} True if the ranges overlap
+ */
+const timesOverlap = (start1, end1, start2, end2) =>
+  compareTimes(start1, end2) < 0 && compareTimes(end1, start2) > 0;
+
+/**
+ * Check a class slot against its college's slot grid: it must lie within teaching hours,
+ * and start and end on a step of slotMinutes counted from the start of teaching hours
+ * @param {Object} slot - { startTime, endTime } (HH:MM:SS)
+ * @param {Object} grid - { slotMinutes, teachingStart, teachingEnd } of the college
+ * @returns {Object} { success } or { success: false, code, error }
+ */
+const checkSlotGrid = ({ startTime, endTime }, { slotMinutes, teachingStart, teachingEnd }) => {
+  const start = parseTime(startTime);
+  const end = parseTime(endTime);
+  const opens = parseTime(teachingStart);
+
+  if (start < opens || end > parseTime(teachingEnd)) {
+    return {
+      success: false,
+      code: 'OUTSIDE_TEACHING_HOURS',
+      error: `Classes must be between ${formatTime(opens)} and ${normalizeTime(teachingEnd)}`
+    };
+  }
+
+  const step = slotMinutes * 60;
+  if ((start - opens) % step !== 0 || (end - opens) % step !== 0) {
+    return {
+      success: false,
+      code: 'OFF_SLOT_GRID',
+      error: `Classes must start and end on the ${slotMinutes}-minute grid from ${formatTime(opens)} ` +
+        `(${formatTime(opens)}, ${formatTime(opens + step)}, ${formatTime(opens + 2 * step)}, ...)`
+    };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} instant - Point in time
+ * @returns {number} Offset in minutes (positive east of UTC)
+ */
+const getOffsetMinutes = (timeZone, instant) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a wall-clock time in a timezone to the instant it denotes
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} wallClock - Date whose UTC fields are the local wall-clock time
+ * @returns {Date} The UTC instant
+ */
+const wallClockToInstant = (timeZone, wallClock) => {
+  let instant = new Date(wallClock.getTime() - getOffsetMinutes(timeZone, wallClock) * 60000);
+  // A second pass settles times near an offset change
+  instant = new Date(wallClock.getTime() - getOffsetMinutes(timeZone, instant) * 60000);
+  return instant;
+};
+
+/**
+ * Read the wall clock of a timezone at an instant
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} instant - Point in time
+ * @returns {Date} Date whose UTC fields are the wall-clock time in the timezone
+ */
+const instantToWallClock = (timeZone, instant) =>
+  new Date(instant.getTime() + getOffsetMinutes(timeZone, instant) * 60000);
+
+/**
+ * Read a DATE or DATETIME value as the database drivers return it. They build a Date from
+ * the stored fields in the server's local time, so the local fields are the stored ones.
+ * @param {Date|string} value - Stored value, or a YYYY-MM-DD[ HH:MM:SS] string
+ * @returns {Date|null} Date whose UTC fields are the stored wall-clock time
+ */
+const fromStoredDateTime = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? null
+      : new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(),
+        value.getHours(), value.getMinutes(), value.getSeconds()));
+  }
+
+  const match = typeof value === 'string' ? DATE_TIME.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(part => Number(part || 0));
+  const wallClock = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+  // Reject fields that roll over, such as February 30th or 24:00
+  if (wallClock.getUTCDate() !== day || wallClock.getUTCMonth() !== month - 1 ||
+      hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+
+  return wallClock;
+};
+
+/**
+ * Parse a date-time sent to the API as a wall-clock time in a timezone. One without a UTC
+ * offset (2026-11-01T09:00) is already a wall-clock time there; one with an offset or Z
+ * denotes an instant and is converted to the timezone's wall clock.
+ * @param {string} value - ISO 8601 date-time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date|null} Date whose UTC fields are the wall-clock time, or null if invalid
+ */
+const parseDateTime = (value, timeZone) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (UTC_OFFSET.test(value.trim())) {
+    const instant = new Date(value);
+    return isNaN(instant.getTime()) ? null : instantToWallClock(timeZone, instant);
+  }
+
+  return fromStoredDateTime(value);
+};
+
+/**
+ * Format a wall-clock date as YYYY-MM-DD
+ * @param {Date} wallClock - Date whose UTC fields are the wall-clock time
+ * @returns {string} Date
+ */
+const formatDate = (wallClock) => wallClock.toISOString().slice(0, 10);
+
+/**
+ * Format a wall-clock date-time as YYYY-MM-DD HH:MM:SS, the way DATETIME columns store it
+ * @param {Date} wallClock - Date whose UTC fields are the wall-clock time
+ * @returns {string} Date-time
+ */
+const formatDateTime = (wallClock) => wallClock.toISOString().slice(0, 19).replace('T', ' ');
+
+module.exports = {
+  parseTime,
+  formatTime,
+  normalizeTime,
+  toMinutes,
+  fromMinutes,
+  compareTimes,
+  timesOverlap,
+  checkSlotGrid,
+  getOffsetMinutes,
+  wallClockToInstant,
+  instantToWallClock,
+  fromStoredDateTime,
+  parseDateTime,
+  formatDate,
+  formatDateTime
+};
@@ -0,0 +1,224 @@
+const { normalizeTime } = require('./time');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+/**
+ * Check one value against a field rule. Integers and booleans given as strings (from the
+ * URL or a form body) are converted, and times are normalized to HH:MM:SS.
+ *
+ * Rule properties:
+ * - type: integer, number, string, boolean, time (see utils/time.js), date (YYYY-MM-DD),
+ *   datetime, email, enum, array or object
+ * - required: the field must be present; nullable: null is accepted
+ * - min / max: bounds for integer and number
+ * - minLength / maxLength / pattern: constraints on string
+ * - values: allowed values of an enum
+ * - items, minItems, maxItems, unique: element rule and size of an array
+ * - properties: field rules of an object
+ *
+ * @param {*} value - Value to check (never undefined)
+ * @param {Object} rule - Field rule
+ * @param {string} field - Field path used in messages (e.g., courseIds[2])
+ * @param {Array} errors - Receives { field, message } for each problem found
+ * @returns {*} The value, converted where the rule allows
+ */
+const checkValue = (value, rule, field, errors) => {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  if (value === null) {
+    return rule.nullable ? null : fail('must not be null');
+  }
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' && (rule.type === 'number' || INTEGER_PATTERN.test(value.trim()))
+        ? Number(value)
+        : value;
+
+      if (typeof number !== 'number' || !Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        return fail(`must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return fail(`must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return fail(`must be at most ${rule.max}`);
+      }
+      return number;
+    }
+
+    case 'boolean':
+      if (value === 'true' || value === 'false') {
+        return value === 'true';
+      }
+      return typeof value === 'boolean' ? value : fail('must be true or false');
+
+    case 'enum':
+      return rule.values.includes(value) ? value : fail('must be one of: ' + rule.values.join(', '));
+
+    case 'time': {
+      const time = normalizeTime(value);
+      return time === null ? fail('must be a time of day such as 09:30, 14:15:00 or 2:15 pm') : time;
+    }
+
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERN.test(value) && isRealDate(value)
+        ? value
+        : fail('must be a date in YYYY-MM-DD format');
+
+    case 'datetime':
+      return typeof value === 'string' && DATE_TIME_PATTERN.test(value) && isRealDate(value.slice(0, 10)) && !isNaN(new Date(value).getTime())
+        ? value
+        : fail('must be a date-time such as 2026-09-01T09:00:00');
+
+    case 'email':
+      return typeof value === 'string' && EMAIL_PATTERN.test(value) ? value : fail('must be a valid email address');
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        return fail('must be a string');
+      }
+      const length = value.trim().length;
+      if (length < (rule.minLength === undefined ? 1 : rule.minLength)) {
+        return fail(rule.minLength === undefined || rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return fail(rule.patternMessage || 'has an invalid format');
+      }
+      return value;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return fail('must be a list');
+      }
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return fail(`must contain at least ${rule.minItems} item(s)`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(`must contain at most ${rule.maxItems} item(s)`);
+      }
+
+      const items = value.map((item, index) => checkValue(item, rule.items, `${field}[${index}]`, errors));
+      if (rule.unique && new Set(items).size !== items.length) {
+        return fail('must not contain duplicates');
+      }
+      return items;
+    }
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return fail('must be an object');
+      }
+      return { ...value, ...checkFields(value, rule.properties, errors, `${field}.`) };
+
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+};
+
+/**
+ * Check that a YYYY-MM-DD string names a real calendar day (not 2026-02-30)
+ * @param {string} value - Date string
+ * @returns {boolean} Whether the date exists
+ */
+const isRealDate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Check an object's fields against a map of field rules
+ * @param {Object} source - Object holding the fields
+ * @param {Object} rules - Field rules by name
+ * @param {Array} errors - Receives { field, message } for each problem found
+ * @param {string} [prefix] - Prepended to field names in messages
+ * @returns {Object} The checked fields that were present, converted where allowed
+ *   (an empty string for a non-string field counts as absent and becomes undefined)
+ */
+const checkFields = (source, rules, errors, prefix = '') => {
+  const values = {};
+
+  for (const [name, rule] of Object.entries(rules)) {
+    const value = source[name];
+
+    if (value === undefined || (value === '' && rule.type !== 'string')) {
+      if (rule.required) {
+        errors.push({ field: prefix + name, message: 'is required' });
+      } else if (value === '') {
+        values[name] = undefined;
+      }
+      continue;
+    }
+
+    values[name] = checkValue(value, rule, prefix + name, errors);
+  }
+
+  return values;
+};
+
+/**
+ * Check a request against a schema.
+ * A schema has optional params, query and body maps of field rules, plus atLeastOneOf:
+ * body fields of which at least one must be given (e.g., for partial updates).
+ * @param {Object} schema - Request schema
+ * @param {Object} request - { params, query, body }
+ * @returns {Object} { success, params, query, body } with converted values, or
+ *   { success: false, code, error, fields: [{ location, field, message }] }
+ */
+const validateRequest = (schema, { params = {}, query = {}, body = {} }) => {
+  const fields = [];
+  const result = { success: true };
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) {
+      continue;
+    }
+
+    const source = { params, query, body }[location] || {};
+    const errors = [];
+
+    if (location === 'body' && (typeof source !== 'object' || Array.isArray(source))) {
+      errors.push({ field: 'body', message: 'must be a JSON object' });
+    } else {
+      result[location] = checkFields(source, schema[location], errors);
+    }
+
+    fields.push(...errors.map(error => ({ location, ...error })));
+  }
+
+  if (schema.atLeastOneOf && !schema.atLeastOneOf.some(name => body && body[name] !== undefined)) {
+    fields.push({
+      location: 'body',
+      field: 'body',
+      message: 'must include at least one of: ' + schema.atLeastOneOf.join(', ')
+    });
+  }
+
+  if (fields.length > 0) {
+    return {
+      success: false,
+      code: 'VALIDATION_FAILED',
+      error: 'Invalid request: ' + fields.map(({ field, message }) => `${field} ${message}`).join('; '),
+      fields
+    };
+  }
+
+  return result;
+};
+
+module.exports = {
+  DAYS_OF_WEEK,
+  validateRequest
+};